@@ -0,0 +1,79 @@
+const Analysis = require('../models/Analysis');
+const scoringService = require('../services/scoringService');
+const analysisEvents = require('../services/analysisEvents');
+const revisionService = require('../services/revisionService');
+const remedyTrackerService = require('../services/remedyTrackerService');
+const traditionService = require('../services/traditionService');
+
+const ANALYSIS_JOB = 'analysis';
+
+/**
+ * Score an analysis and store the results
+ * @param {Object} payload - { analysisId }
+ * @param {Object} context - Job context from the queue
+ */
+const processAnalysis = async ({ analysisId }, { reportProgress, signal }) => {
+  const progress = async (value) => {
+    await reportProgress(value);
+    analysisEvents.publish(analysisId, 'progress', { progress: value });
+  };
+
+  const analysis = await Analysis.findById(analysisId);
+
+  if (!analysis) {
+    const error = new Error(`Analysis ${analysisId} not found`);
+    error.retryable = false;
+    throw error;
+  }
+
+  await revisionService.ensureBaseline(analysis);
+
+  if (analysis.status !== 'processing') {
+    await analysis.updateStatus('processing');
+    analysisEvents.publish(analysisId, 'status', { status: 'processing', progress: 0 });
+  }
+  await progress(10);
+
+  // Rules as the owner's regional tradition applies them
+  const region = await traditionService.getUserRegion(analysis.user);
+  const rules = await scoringService.loadRules({}, { region });
+  await progress(30);
+
+  // Remedies the user has carried out keep their credit when the plan is scored again
+  const credits = await remedyTrackerService.getCredits(analysis._id);
+  const result = scoringService.evaluate(analysis.floorPlan, rules, { credits });
+  await progress(80);
+
+  // A timed-out attempt must not overwrite the results of its retry
+  if (signal.aborted) return null;
+
+  analysis.vastuAnalysis = scoringService.toAnalysisResults(result, region);
+
+  await analysis.updateStatus('completed');
+  await revisionService.record(analysis, 'analysis');
+  analysisEvents.publish(analysisId, 'completed', {
+    status: 'completed',
+    progress: 100,
+    vastuAnalysis: analysis.vastuAnalysis
+  });
+  return { overallScore: result.overallScore };
+};
+
+// Called once all attempts are exhausted
+const markAnalysisFailed = async ({ analysisId }, error) => {
+  const analysis = await Analysis.findById(analysisId);
+  if (analysis && analysis.status !== 'completed') {
+    await analysis.updateStatus('failed', error.message);
+    analysisEvents.publish(analysisId, 'failed', { status: 'failed', reason: error.message });
+  }
+};
+
+module.exports = {
+  ANALYSIS_JOB,
+  processAnalysis,
+  markAnalysisFailed,
+  options: {
+    maxAttempts: parseInt(process.env.ANALYSIS_JOB_MAX_ATTEMPTS) || 3,
+    timeoutMs: parseInt(process.env.ANALYSIS_JOB_TIMEOUT_MS) || 2 * 60 * 1000
+  }
+};
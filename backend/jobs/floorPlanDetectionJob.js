@@ -0,0 +1,100 @@
+const Analysis = require('../models/Analysis');
+const floorPlanDetectionService = require('../services/floorPlanDetectionService');
+const analysisEvents = require('../services/analysisEvents');
+const storageService = require('../services/storageService');
+const revisionService = require('../services/revisionService');
+const remedyTrackerService = require('../services/remedyTrackerService');
+const zoningService = require('../services/zoningService');
+
+const FLOOR_PLAN_DETECTION_JOB = 'floor-plan-detection';
+
+// detection.source for each file type; anything else is an image
+const DETECTION_SOURCES = {
+  'application/pdf': 'pdf',
+  'application/dxf': 'dxf'
+};
+
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+/**
+ * Detect rooms in an uploaded floor-plan image, PDF or DXF drawing and store them as a draft
+ * @param {Object} payload - { analysisId, fileIndex, page, layers, replace }
+ * @param {Object} context - Job context from the queue
+ */
+const processFloorPlanDetection = async ({ analysisId, fileIndex = 0, page, layers, replace = false }, { signal }) => {
+  const analysis = await Analysis.findById(analysisId);
+  if (!analysis) throw permanentError(`Analysis ${analysisId} not found`);
+
+  const file = analysis.files[fileIndex];
+  if (!file || !floorPlanDetectionService.supportedTypes.includes(file.type)) {
+    throw permanentError(`File ${fileIndex} of analysis ${analysisId} is not a supported floor-plan file`);
+  }
+
+  // Never replace rooms the user drew or confirmed, or an analysis already under way
+  const hasUserRooms = analysis.floorPlan.rooms.length > 0 && analysis.floorPlan.detection.status !== 'draft';
+  if (!replace && (hasUserRooms || analysis.status !== 'pending')) {
+    return { skipped: true };
+  }
+
+  const buffer = await storageService.read(file, { signal });
+  const result = await floorPlanDetectionService.detectFile(buffer, file.type, {
+    dimensions: analysis.floorPlan.dimensions,
+    unit: analysis.floorPlan.dimensions.unit,
+    page,
+    layers
+  });
+
+  if (signal.aborted) return null;
+
+  await revisionService.ensureBaseline(analysis);
+  analysis.floorPlan.rooms = result.rooms;
+
+  // CAD drawings carry the rest of the plan as well
+  if (result.units) {
+    Object.assign(analysis.floorPlan, {
+      walls: result.walls,
+      doors: result.doors,
+      windows: result.windows,
+      boundary: result.boundary
+    });
+    analysis.floorPlan.dimensions.length = result.dimensions.length;
+    analysis.floorPlan.dimensions.width = result.dimensions.width;
+  }
+
+  analysis.floorPlan.detection = {
+    status: 'draft',
+    source: DETECTION_SOURCES[file.type] || 'image',
+    file: file.filename,
+    page: result.pages ? result.page : undefined,
+    rasterSource: result.rasterSource,
+    pages: result.pages || [],
+    units: result.units ? { drawing: result.units.drawing, source: result.units.source } : undefined,
+    imageWidth: result.image ? result.image.width : undefined,
+    imageHeight: result.image ? result.image.height : undefined,
+    scale: result.scale,
+    scaleSource: result.scaleSource,
+    roomCount: result.rooms.length,
+    detectedAt: new Date()
+  };
+  zoningService.apply(analysis);
+  await analysis.save();
+  await revisionService.record(analysis, 'detection');
+  // Detected rooms are numbered afresh, so a key may now name a different room
+  await remedyTrackerService.prune(analysis, { replacedRooms: true });
+
+  analysisEvents.publish(analysisId, 'floor-plan', { status: 'draft', roomCount: result.rooms.length, page: result.page });
+  return { roomCount: result.rooms.length };
+};
+
+module.exports = {
+  FLOOR_PLAN_DETECTION_JOB,
+  processFloorPlanDetection,
+  options: {
+    maxAttempts: 2,
+    timeoutMs: parseInt(process.env.DETECTION_JOB_TIMEOUT_MS) || 60 * 1000
+  }
+};
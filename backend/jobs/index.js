@@ -0,0 +1,20 @@
+const jobQueue = require('../services/jobQueue');
+const analysisJob = require('./analysisJob');
+const floorPlanDetectionJob = require('./floorPlanDetectionJob');
+
+// Register every job handler with the queue
+const registerJobs = () => {
+  jobQueue.register(analysisJob.ANALYSIS_JOB, analysisJob.processAnalysis, {
+    ...analysisJob.options,
+    onFailed: analysisJob.markAnalysisFailed
+  });
+  jobQueue.register(
+    floorPlanDetectionJob.FLOOR_PLAN_DETECTION_JOB,
+    floorPlanDetectionJob.processFloorPlanDetection,
+    floorPlanDetectionJob.options
+  );
+
+  return jobQueue;
+};
+
+module.exports = registerJobs;
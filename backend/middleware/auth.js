@@ -1,58 +1,51 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
-// Protect routes - verify JWT token
-const protect = async (req, res, next) => {
-  try {
-    let token;
-
-    // Check for token in headers
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+// Scope of the short-lived tokens that open one analysis's event stream
+const STREAM_TOKEN_SCOPE = 'analysis-events';
 
-    // Check for token in cookies
-    if (!token && req.cookies.token) {
-      token = req.cookies.token;
+// Verify a token and attach its user; scoped tokens are only accepted where their scope is expected
+const authenticate = async (token, req, res, next, scope) => {
+  try {
+    let decoded;
+    try {
+      // Verify token
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token.'
+      });
     }
 
-    if (!token) {
+    if (decoded.scope !== scope) {
       return res.status(401).json({
         success: false,
-        message: 'Access denied. No token provided.'
+        message: 'Invalid token.'
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get user from token
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Token is valid but user no longer exists.'
-        });
-      }
+    // Get user from token
+    const user = await User.findById(decoded.id).select('-password');
 
-      if (!user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'Account is deactivated. Please contact support.'
-        });
-      }
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is valid but user no longer exists.'
+      });
+    }
 
-      // Grant access to protected route
-      req.user = user;
-      next();
-    } catch (error) {
+    if (!user.isActive) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token.'
+        message: 'Account is deactivated. Please contact support.'
       });
     }
+
+    // Grant access to protected route
+    req.user = user;
+    req.tokenClaims = decoded;
+    next();
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -61,6 +54,55 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Protect routes - verify JWT token
+const protect = async (req, res, next) => {
+  let token;
+
+  // Check for token in headers
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  // Check for token in cookies
+  if (!token && req.cookies && req.cookies.token) {
+    token = req.cookies.token;
+  }
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. No token provided.'
+    });
+  }
+
+  return authenticate(token, req, res, next);
+};
+
+// Short-lived token for the event stream of one analysis, for clients that cannot set headers (EventSource)
+const signStreamToken = (userId, analysisId) => jwt.sign(
+  { id: String(userId), analysis: String(analysisId), scope: STREAM_TOKEN_SCOPE },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.STREAM_TOKEN_EXPIRE || '5m' }
+);
+
+// Protect an analysis event stream: a stream token for that analysis in ?token=, or the usual login token.
+// Login tokens are never accepted in the query string, where access logs and browser history keep them.
+const protectStream = (req, res, next) => {
+  if (!req.query.token) {
+    return protect(req, res, next);
+  }
+
+  return authenticate(req.query.token, req, res, () => {
+    if (req.tokenClaims.analysis !== req.params.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is not valid for this stream.'
+      });
+    }
+    next();
+  }, STREAM_TOKEN_SCOPE);
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -117,7 +159,7 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
+        const user = decoded.scope ? null : await User.findById(decoded.id).select('-password');
         
         if (user && user.isActive) {
           req.user = user;
@@ -192,6 +234,8 @@ const uploadRateLimit = createRateLimit(
 
 module.exports = {
   protect,
+  protectStream,
+  signStreamToken,
   authorize,
   requirePremium,
   optionalAuth,
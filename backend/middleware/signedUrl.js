@@ -0,0 +1,23 @@
+const storageService = require('../services/storageService');
+
+// Files under /uploads are only served through URLs signed by the local storage adapter
+const requireSignedUrl = (req, res, next) => {
+  let valid = false;
+  try {
+    const key = decodeURIComponent(req.path.replace(/^\//, ''));
+    valid = storageService.getAdapter('local').verify(key, req.query.expires, req.query.signature);
+  } catch (error) {
+    valid = false;
+  }
+
+  if (!valid) {
+    return res.status(403).json({
+      success: false,
+      message: 'Download link is invalid or has expired'
+    });
+  }
+
+  next();
+};
+
+module.exports = requireSignedUrl;
@@ -167,6 +167,67 @@ const validateProfileUpdate = [
   handleValidationErrors
 ];
 
+// Floor plan geometry validation (shared by analysis and scoring requests)
+const floorPlanGeometryRules = [
+  body('floorPlan.northOffset')
+    .optional()
+    .isFloat({ min: -360, max: 360 })
+    .withMessage('North offset must be an angle between -360 and 360 degrees'),
+  
+  body('floorPlan.northReference')
+    .optional()
+    .isIn(['true', 'magnetic'])
+    .withMessage('North reference must be true or magnetic'),
+  
+  body('floorPlan.declination')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Declination must be an angle between -180 and 180 degrees'),
+  
+  body('floorPlan.boundary')
+    .optional()
+    .isArray({ min: 3 })
+    .withMessage('Plot boundary must have at least 3 points'),
+  
+  body(['floorPlan.boundary.*.x', 'floorPlan.boundary.*.y'])
+    .isFloat()
+    .withMessage('Boundary points must have numeric x and y'),
+  
+  body('floorPlan.rooms.*.polygon')
+    .optional()
+    .isArray({ min: 3 })
+    .withMessage('Room polygons must have at least 3 points'),
+  
+  body(['floorPlan.rooms.*.polygon.*.x', 'floorPlan.rooms.*.polygon.*.y'])
+    .isFloat()
+    .withMessage('Room polygon points must have numeric x and y'),
+  
+  body(['floorPlan.doors.*.position.x', 'floorPlan.doors.*.position.y'])
+    .isFloat()
+    .withMessage('Door positions must have numeric x and y'),
+  
+  body('floorPlan.doors.*.swing')
+    .optional()
+    .isIn(['left', 'right', 'double', 'sliding', 'none'])
+    .withMessage('Please provide a valid door swing'),
+  
+  body(['floorPlan.windows.*.position.x', 'floorPlan.windows.*.position.y'])
+    .isFloat()
+    .withMessage('Window positions must have numeric x and y'),
+  
+  body('floorPlan.staircases.*.polygon')
+    .isArray({ min: 3 })
+    .withMessage('Staircase polygons must have at least 3 points'),
+  
+  body('floorPlan.fixtures.*.type')
+    .isIn(['stove', 'sink', 'toilet', 'bed', 'desk', 'altar', 'water-tank', 'borewell', 'septic-tank', 'electrical', 'safe', 'mirror', 'other'])
+    .withMessage('Please provide a valid fixture type'),
+  
+  body(['floorPlan.fixtures.*.position.x', 'floorPlan.fixtures.*.position.y'])
+    .isFloat()
+    .withMessage('Fixture positions must have numeric x and y')
+];
+
 // Analysis creation validation
 const validateAnalysis = [
   body('title')
@@ -199,6 +260,8 @@ const validateAnalysis = [
     .isIn(['sqft', 'sqm'])
     .withMessage('Unit must be either sqft or sqm'),
   
+  ...floorPlanGeometryRules,
+  
   body('isPublic')
     .optional()
     .isBoolean()
@@ -212,6 +275,128 @@ const validateAnalysis = [
   handleValidationErrors
 ];
 
+// Rooms, orientation and geometry of a floor plan to be scored (shared by scoring and directional requests)
+const floorPlanScoringRules = [
+  body('floorPlan.rooms.*.type')
+    .isIn(['bedroom', 'living-room', 'kitchen', 'bathroom', 'dining-room', 'study', 'puja-room', 'balcony', 'other'])
+    .withMessage('Please provide a valid room type'),
+  
+  body('floorPlan.rooms.*.direction')
+    .optional()
+    .isIn(['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest', 'center'])
+    .withMessage('Please provide a valid room direction'),
+  
+  body('floorPlan.orientation')
+    .optional()
+    .isIn(['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest'])
+    .withMessage('Please provide a valid orientation'),
+  
+  ...floorPlanGeometryRules
+];
+
+// Floor plan scoring validation
+const validateFloorPlanScoring = [
+  body('floorPlan')
+    .isObject()
+    .withMessage('Floor plan is required'),
+  
+  body('floorPlan.rooms')
+    .isArray()
+    .withMessage('Floor plan rooms must be an array'),
+  
+  ...floorPlanScoringRules,
+  
+  handleValidationErrors
+];
+
+// Directional analysis validation
+const validateDirectionalAnalysis = [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be a number between -90 and 90'),
+  
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be a number between -180 and 180'),
+  
+  body('radius')
+    .optional()
+    .isInt({ min: 100, max: 50000 })
+    .withMessage('Radius must be between 100 and 50000 metres'),
+  
+  body('analysisId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid analysis ID'),
+  
+  body('refresh')
+    .optional()
+    .isBoolean()
+    .withMessage('refresh must be a boolean value'),
+  
+  body('declination')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Declination must be an angle between -180 and 180 degrees'),
+  
+  body('floorPlan')
+    .optional()
+    .isObject()
+    .withMessage('Floor plan must be an object'),
+  
+  body('floorPlan.rooms')
+    .if(body('floorPlan').exists())
+    .isArray()
+    .withMessage('Floor plan rooms must be an array'),
+  
+  ...floorPlanScoringRules,
+  
+  handleValidationErrors
+];
+
+// Remedy optimization validation
+const validateRemedyOptimization = [
+  body('analysisId')
+    .isMongoId()
+    .withMessage('Invalid analysis ID'),
+  
+  body('budget')
+    .isFloat({ min: 0 })
+    .withMessage('Budget must be a number of at least 0')
+    .toFloat(),
+  
+  body('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Difficulty must be easy, medium or hard'),
+  
+  body('allowConstruction')
+    .optional()
+    .isBoolean()
+    .withMessage('allowConstruction must be a boolean value')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Analysis update validation
+const validateAnalysisUpdate = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  
+  body('floorPlan.orientation')
+    .optional()
+    .isIn(['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest'])
+    .withMessage('Please provide a valid orientation'),
+  
+  ...floorPlanGeometryRules,
+  
+  handleValidationErrors
+];
+
 // File upload validation
 const validateFileUpload = [
   body('title')
@@ -226,6 +411,67 @@ const validateFileUpload = [
     .isLength({ max: 500 })
     .withMessage('Description cannot exceed 500 characters'),
   
+  body('extractLocation')
+    .optional()
+    .isBoolean()
+    .withMessage('extractLocation must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Chunked upload session validation
+const validateUploadSession = [
+  body('filename')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Filename is required and cannot exceed 255 characters'),
+  
+  body('type')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Type cannot exceed 100 characters'),
+  
+  body('size')
+    .isInt({ min: 1 })
+    .withMessage('Size must be a positive number of bytes')
+    .toInt(),
+  
+  body('chunkSize')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Chunk size must be a positive number of bytes')
+    .toInt(),
+  
+  body('checksum')
+    .optional()
+    .matches(/^[a-fA-F0-9]{64}$/)
+    .withMessage('Checksum must be a SHA-256 hex digest'),
+  
+  body('analysisId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid analysis ID'),
+  
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  body('extractLocation')
+    .optional()
+    .isBoolean()
+    .withMessage('extractLocation must be true or false')
+    .toBoolean(),
+  
   handleValidationErrors
 ];
 
@@ -293,6 +539,260 @@ const validateVastuRule = [
     .isIn(['positive', 'negative', 'neutral'])
     .withMessage('Please provide a valid impact type'),
   
+  body('region')
+    .optional({ values: 'null' })
+    .isIn(['north', 'south', 'east', 'west', 'central'])
+    .withMessage('Region must be north, south, east, west or central'),
+  
+  handleValidationErrors
+];
+
+// Tradition profile validation: the region in the path and the profile in the body
+const validateTraditionProfile = [
+  param('region')
+    .isIn(['north', 'south', 'east', 'west', 'central'])
+    .withMessage('Region must be north, south, east, west or central'),
+  
+  body('name')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Tradition name must be between 3 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  
+  body('ruleOverrides')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Rule overrides must be an array of at most 500 entries'),
+  
+  body('ruleOverrides.*.rule')
+    .isMongoId()
+    .withMessage('Each override needs a valid rule ID'),
+  
+  body('ruleOverrides.*.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean value')
+    .toBoolean(),
+  
+  body('ruleOverrides.*.importance')
+    .optional()
+    .isIn(['critical', 'high', 'medium', 'low'])
+    .withMessage('Please provide a valid importance level'),
+  
+  body('ruleOverrides.*.priority')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Priority must be a whole number from 1 to 10')
+    .toInt(),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Room guidance validation: an optional region to give guidance for
+const validateRoomGuidance = [
+  query('region')
+    .optional()
+    .isIn(['north', 'south', 'east', 'west', 'central'])
+    .withMessage('Region must be north, south, east, west or central'),
+  
+  handleValidationErrors
+];
+
+// Analysis export validation
+const validateAnalysisExport = [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'geojson'])
+    .withMessage('Format must be json, csv or geojson'),
+  
+  // A repeated ?status= arrives as an array; join it into the comma-separated form
+  query('status')
+    .optional()
+    .customSanitizer(value => [].concat(value).join(','))
+    .matches(/^(pending|processing|completed|failed)(,(pending|processing|completed|failed))*$/)
+    .withMessage('Status must be a comma-separated list of pending, processing, completed or failed'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  
+  query('minScore')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum score must be between 0 and 100'),
+  
+  query('maxScore')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Maximum score must be between 0 and 100'),
+  
+  handleValidationErrors
+];
+
+// Analysis import validation
+const validateAnalysisImport = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+    .toBoolean(),
+  
+  query('onConflict')
+    .optional()
+    .isIn(['rename', 'skip', 'fail'])
+    .withMessage('onConflict must be rename, skip or fail'),
+  
+  handleValidationErrors
+];
+
+// Analysis comparison validation
+const validateAnalysisComparison = [
+  body('analysisIds')
+    .isArray({ min: 2, max: 5 })
+    .withMessage('Provide between 2 and 5 analysis IDs')
+    .custom(ids => new Set(ids.map(String)).size === ids.length)
+    .withMessage('Analysis IDs must be different'),
+  
+  body('analysisIds.*')
+    .isMongoId()
+    .withMessage('Invalid analysis ID'),
+  
+  handleValidationErrors
+];
+
+// What-if simulation validation: the edits to try on the plan
+const validateSimulation = [
+  body('edits')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Provide between 1 and 20 edits'),
+  
+  body('edits.*.type')
+    .isIn(['swap-room-types', 'move-room', 'move-door', 'set-entrance'])
+    .withMessage('Edit type must be swap-room-types, move-room, move-door or set-entrance'),
+  
+  body('edits.*.rooms.*')
+    .optional()
+    .isString()
+    .withMessage('Room keys must be strings'),
+  
+  body('edits.*.room')
+    .optional()
+    .isString()
+    .withMessage('Room key must be a string'),
+  
+  body('edits.*.direction')
+    .optional()
+    .isIn(['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest', 'center'])
+    .withMessage('Please provide a valid direction'),
+  
+  body('edits.*.door')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Door must be the index of a door in the plan')
+    .toInt(),
+  
+  body('edits.*.position.x')
+    .optional()
+    .isFloat()
+    .withMessage('Door position must have numeric coordinates')
+    .toFloat(),
+  
+  body('edits.*.position.y')
+    .optional()
+    .isFloat()
+    .withMessage('Door position must have numeric coordinates')
+    .toFloat(),
+  
+  body('edits.*.wall')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Wall must be the index of a wall in the plan')
+    .toInt(),
+  
+  body('edits')
+    .custom(edits => edits.every(edit => {
+      if (edit === null || typeof edit !== 'object') return false;
+      if (edit.type === 'swap-room-types') return Array.isArray(edit.rooms) && edit.rooms.length === 2;
+      if (edit.type === 'move-room') return typeof edit.room === 'string' && edit.direction !== undefined;
+      if (edit.type === 'move-door') return edit.door !== undefined && edit.position && edit.position.x !== undefined && edit.position.y !== undefined;
+      if (edit.type === 'set-entrance') return edit.direction !== undefined && edit.direction !== 'center';
+      return true;
+    }))
+    .withMessage('swap-room-types needs two rooms, move-room a room and direction, move-door a door and position, and set-entrance a direction other than center'),
+  
+  handleValidationErrors
+];
+
+// Remedy checklist update validation: a new status, a note, or both
+const validateRemedyUpdate = [
+  body('status')
+    .optional()
+    .isIn(['pending', 'started', 'done'])
+    .withMessage('Status must be pending, started or done'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Note must be between 1 and 1000 characters'),
+  
+  body()
+    .custom(value => value.status !== undefined || value.note !== undefined)
+    .withMessage('Provide a status or a note'),
+  
+  handleValidationErrors
+];
+
+// Remedy photo upload validation
+const validateRemedyPhotos = [
+  body('analysisId')
+    .isMongoId()
+    .withMessage('Invalid analysis ID'),
+  
+  body('remedyId')
+    .isMongoId()
+    .withMessage('Invalid remedy ID'),
+  
+  handleValidationErrors
+];
+
+// Revision validation: a revision number, or the two revisions a diff compares
+const validateRevision = [
+  param('number')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Revision number must be a positive integer')
+    .toInt(),
+  
+  query('from')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('From must be a revision number')
+    .toInt(),
+  
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('To must be a revision number')
+    .toInt(),
+  
   handleValidationErrors
 ];
 
@@ -333,8 +833,22 @@ module.exports = {
   validateNewPassword,
   validateProfileUpdate,
   validateAnalysis,
+  validateAnalysisUpdate,
+  validateAnalysisExport,
+  validateAnalysisImport,
+  validateAnalysisComparison,
+  validateSimulation,
+  validateRemedyUpdate,
+  validateRemedyPhotos,
+  validateRevision,
+  validateFloorPlanScoring,
+  validateDirectionalAnalysis,
+  validateRemedyOptimization,
   validateFileUpload,
+  validateUploadSession,
   validateVastuRule,
+  validateTraditionProfile,
+  validateRoomGuidance,
   validateObjectId,
   validatePagination
 };
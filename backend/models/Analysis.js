@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 
+const DIRECTIONS = ['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest'];
+const ZONES = [...DIRECTIONS, 'center'];
+// The 16 zones of the Vastu Purusha Mandala and its centre, as services/zoningService.js names them
+const MANDALA_ZONES = [
+  'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+  'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW',
+  'BRAHMASTHAN'
+];
+
+// A point in plan coordinates (x to the right, y upwards)
+const pointSchema = new mongoose.Schema({
+  x: { type: Number, required: true },
+  y: { type: Number, required: true }
+}, { _id: false });
+
+// Share of an element's area lying in one mandala zone
+const zoneOverlapSchema = new mongoose.Schema({
+  zone: { type: String, enum: MANDALA_ZONES },
+  percentage: Number
+}, { _id: false });
+
 const analysisSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -38,6 +59,19 @@ const analysisSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    format: String,
+    // Storage backend holding the file; older uploads are all on Cloudinary
+    storage: {
+      type: String,
+      enum: ['cloudinary', 'local'],
+      default: 'cloudinary'
+    },
+    thumbnail: String, // key of the image preview
+    // Pixel size of images, as stored after optimizing
+    dimensions: {
+      width: Number,
+      height: Number
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -54,12 +88,34 @@ const analysisSchema = new mongoose.Schema({
         default: 'sqft'
       }
     },
+    // Optional so uploads can create an analysis before the plan is described
     orientation: {
       type: String,
-      enum: ['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest'],
-      required: true
+      enum: ['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest']
+    },
+    // Compass bearing of the plan's +y axis, in degrees clockwise from north
+    northOffset: {
+      type: Number,
+      min: -360,
+      max: 360,
+      default: 0
+    },
+    // Whether northOffset was read from a magnetic compass or is relative to true north
+    northReference: {
+      type: String,
+      enum: ['true', 'magnetic'],
+      default: 'true'
+    },
+    // Magnetic declination at the site, degrees east of true north
+    declination: {
+      type: Number,
+      min: -180,
+      max: 180,
+      default: 0
     },
+    boundary: [pointSchema],
     rooms: [{
+      key: String,
       name: {
         type: String,
         required: true
@@ -81,8 +137,218 @@ const analysisSchema = new mongoose.Schema({
       direction: {
         type: String,
         enum: ['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest', 'center']
+      },
+      polygon: [pointSchema],
+      centroid: pointSchema,
+      directionSource: {
+        type: String,
+        enum: ['manual', 'geometry']
+      },
+      source: {
+        type: String,
+        enum: ['manual', 'detected'],
+        default: 'manual'
+      },
+      confidence: Number
+    }],
+    walls: [{
+      start: pointSchema,
+      end: pointSchema,
+      thickness: Number,
+      rooms: [String], // keys of the rooms on either side
+      isExterior: Boolean,
+      source: {
+        type: String,
+        enum: ['drawn', 'derived'],
+        default: 'drawn'
+      }
+    }],
+    doors: [{
+      position: pointSchema,
+      width: Number,
+      wall: Number, // index into walls
+      rooms: [String], // key of the room the door opens from, then into
+      swing: {
+        type: String,
+        enum: ['left', 'right', 'double', 'sliding', 'none'],
+        default: 'none'
+      },
+      opensInward: {
+        type: Boolean,
+        default: true
+      },
+      isMainEntrance: {
+        type: Boolean,
+        default: false
+      },
+      facing: {
+        type: String,
+        enum: DIRECTIONS
+      },
+      facingBearing: Number,
+      direction: {
+        type: String,
+        enum: ZONES
+      }
+    }],
+    windows: [{
+      position: pointSchema,
+      width: Number,
+      wall: Number,
+      rooms: [String],
+      facing: {
+        type: String,
+        enum: DIRECTIONS
       }
-    }]
+    }],
+    staircases: [{
+      polygon: [pointSchema],
+      ascent: {
+        type: String,
+        enum: ['clockwise', 'anticlockwise', 'straight']
+      },
+      direction: {
+        type: String,
+        enum: ZONES
+      }
+    }],
+    fixtures: [{
+      type: {
+        type: String,
+        enum: ['stove', 'sink', 'toilet', 'bed', 'desk', 'altar', 'water-tank', 'borewell', 'septic-tank', 'electrical', 'safe', 'mirror', 'other'],
+        required: true
+      },
+      name: String,
+      position: pointSchema,
+      polygon: [pointSchema]
+    }],
+    // Set when the rooms were detected from an uploaded file rather than entered
+    detection: {
+      status: {
+        type: String,
+        enum: ['draft', 'confirmed']
+      },
+      source: {
+        type: String,
+        enum: ['image', 'pdf', 'dxf']
+      },
+      file: String, // filename of the source file
+      // PDF sources: the page used, how it was rasterized, and what each page holds
+      page: Number,
+      rasterSource: {
+        type: String,
+        enum: ['vector', 'raster']
+      },
+      pages: [{
+        _id: false,
+        page: Number,
+        width: Number,
+        height: Number,
+        segments: Number,
+        fills: Number,
+        images: Number,
+        labels: Number,
+        hasVectors: Boolean
+      }],
+      // DXF sources: drawing units and whether $INSUNITS declared them
+      units: {
+        drawing: {
+          type: String,
+          enum: ['in', 'ft', 'mm', 'cm', 'm']
+        },
+        source: {
+          type: String,
+          enum: ['header', 'guessed']
+        }
+      },
+      imageWidth: Number,
+      imageHeight: Number,
+      scale: Number, // plan units per image pixel, or per drawing unit for DXF
+      scaleSource: {
+        type: String,
+        enum: ['option', 'dimensions', 'pixels', 'units']
+      },
+      roomCount: Number,
+      detectedAt: Date,
+      confirmedAt: Date
+    },
+    entrance: {
+      direction: {
+        type: String,
+        enum: DIRECTIONS
+      },
+      zone: {
+        type: String,
+        enum: ZONES
+      },
+      source: {
+        type: String,
+        enum: ['manual', 'geometry']
+      }
+    }
+  },
+  // Property location read from an uploaded photo's EXIF GPS position, offered to prefill the site
+  suggestedLocation: {
+    latitude: Number,
+    longitude: Number,
+    source: {
+      type: String,
+      enum: ['exif']
+    },
+    file: String // original name of the photo
+  },
+  // Surroundings as fetched from the maps provider, kept so results stay reproducible
+  surroundings: {
+    location: {
+      latitude: Number,
+      longitude: Number
+    },
+    radius: Number,
+    provider: String,
+    places: [mongoose.Schema.Types.Mixed],
+    elevation: Number,
+    terrain: mongoose.Schema.Types.Mixed,
+    address: mongoose.Schema.Types.Mixed,
+    analysis: mongoose.Schema.Types.Mixed,
+    fetchedAt: Date
+  },
+  // 16-zone Vastu Purusha Mandala division of the plot, derived from the floor-plan geometry
+  zoning: {
+    northReference: {
+      type: String,
+      enum: ['true', 'magnetic']
+    },
+    declination: Number,
+    trueNorthOffset: Number,
+    center: pointSchema,
+    brahmasthan: [pointSchema],
+    zones: [{
+      zone: { type: String, enum: MANDALA_ZONES },
+      startBearing: Number,
+      endBearing: Number,
+      polygon: [pointSchema],
+      area: Number
+    }],
+    rooms: [{
+      key: String,
+      name: String,
+      primaryZone: { type: String, enum: MANDALA_ZONES },
+      direction: { type: String, enum: ZONES },
+      overlaps: [zoneOverlapSchema]
+    }],
+    doors: [{
+      index: Number,
+      zone: { type: String, enum: MANDALA_ZONES },
+      isMainEntrance: Boolean,
+      overlaps: [zoneOverlapSchema]
+    }],
+    fixtures: [{
+      index: Number,
+      type: { type: String },
+      zone: { type: String, enum: MANDALA_ZONES },
+      overlaps: [zoneOverlapSchema]
+    }],
+    computedAt: Date
   },
   vastuAnalysis: {
     overallScore: {
@@ -140,6 +406,11 @@ const analysisSchema = new mongoose.Schema({
         score: Number,
         issues: [String],
         recommendations: [String]
+      },
+      center: {
+        score: Number,
+        issues: [String],
+        recommendations: [String]
       }
     },
     fiveElements: {
@@ -172,12 +443,17 @@ const analysisSchema = new mongoose.Schema({
     roomAnalysis: [{
       roomName: String,
       roomType: String,
+      direction: String,
       vastuScore: Number,
       issues: [String],
       recommendations: [String],
       remedies: [String]
     }],
     remedies: [{
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'VastuRule'
+      },
       type: {
         type: String,
         enum: ['color', 'placement', 'decoration', 'construction', 'other']
@@ -196,8 +472,41 @@ const analysisSchema = new mongoose.Schema({
         enum: ['easy', 'medium', 'hard']
       }
     }],
+    entranceScore: Number,
+    // Every rule the scoring engine applied, so each score can be explained
+    ruleEvaluations: [{
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'VastuRule'
+      },
+      ruleName: String,
+      category: String,
+      impact: String,
+      importance: String,
+      priority: Number,
+      element: String,
+      expectedDirection: String,
+      subject: String,
+      subjectKey: String,
+      roomType: String,
+      direction: String,
+      weight: Number,
+      possible: Number,
+      earned: Number,
+      credit: Number, // part of `earned` won back by remedies carried out
+      status: {
+        type: String,
+        enum: ['satisfied', 'unsatisfied', 'violated', 'clear']
+      },
+      reason: String
+    }],
     positiveAspects: [String],
     negativeAspects: [String],
+    // Regional tradition the rules were applied under (User.preferences.vastuPreferences.region)
+    region: {
+      type: String,
+      enum: ['north', 'south', 'east', 'west', 'central']
+    },
     summary: String,
     expertNotes: String
   },
@@ -208,6 +517,8 @@ const analysisSchema = new mongoose.Schema({
   },
   processingStartedAt: Date,
   completedAt: Date,
+  failedAt: Date,
+  failureReason: String,
   processingTime: Number, // in seconds
   isPublic: {
     type: Boolean,
@@ -257,15 +568,24 @@ analysisSchema.virtual('roomCount').get(function() {
   return this.floorPlan.rooms.length;
 });
 
+// Rooms saved before they had keys are known by position, as their remedy tasks were recorded
+analysisSchema.post('init', function(doc) {
+  ((doc.floorPlan && doc.floorPlan.rooms) || []).forEach((room, index) => {
+    if (!room.key) room.key = `room-${index}`;
+  });
+});
+
 // Pre-save middleware to calculate area
 analysisSchema.pre('save', function(next) {
+  this.assignRoomKeys();
+  
   if (this.floorPlan.dimensions.length && this.floorPlan.dimensions.width) {
     this.floorPlan.dimensions.area = this.floorPlan.dimensions.length * this.floorPlan.dimensions.width;
   }
   
-  // Calculate room areas
+  // Calculate room areas; rooms zoned from their polygon keep the polygon's area
   this.floorPlan.rooms.forEach(room => {
-    if (room.dimensions.length && room.dimensions.width) {
+    if (room.directionSource !== 'geometry' && room.dimensions.length && room.dimensions.width) {
       room.dimensions.area = room.dimensions.length * room.dimensions.width;
     }
   });
@@ -273,17 +593,31 @@ analysisSchema.pre('save', function(next) {
   next();
 });
 
+// Every room keeps one key across plan edits; new rooms get a fresh one rather than their position
+analysisSchema.methods.assignRoomKeys = function() {
+  const keys = new Set();
+  this.floorPlan.rooms.forEach(room => {
+    if (!room.key || keys.has(room.key)) room.key = `room-${new mongoose.Types.ObjectId()}`;
+    keys.add(room.key);
+  });
+};
+
 // Method to update analysis status
-analysisSchema.methods.updateStatus = function(status) {
+analysisSchema.methods.updateStatus = function(status, reason) {
   this.status = status;
   
   if (status === 'processing') {
     this.processingStartedAt = new Date();
+    this.failedAt = undefined;
+    this.failureReason = undefined;
   } else if (status === 'completed') {
     this.completedAt = new Date();
     if (this.processingStartedAt) {
       this.processingTime = Math.round((this.completedAt - this.processingStartedAt) / 1000);
     }
+  } else if (status === 'failed') {
+    this.failedAt = new Date();
+    this.failureReason = reason;
   }
   
   return this.save();
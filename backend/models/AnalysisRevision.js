@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A snapshot of an analysis's plan and results, taken whenever they change. Revisions are never edited.
+const analysisRevisionSchema = new mongoose.Schema({
+  analysis: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Analysis',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 1 for the oldest revision of an analysis, counting up
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reason: {
+    type: String,
+    enum: ['baseline', 'created', 'update', 'detection', 'floor-plan-confirmed', 'analysis', 'import', 'remedy'],
+    required: true
+  },
+  title: String,
+  status: String,
+  floorPlan: mongoose.Schema.Types.Mixed,
+  zoning: mongoose.Schema.Types.Mixed,
+  vastuAnalysis: mongoose.Schema.Types.Mixed,
+  // SHA-256 of the snapshot, so saves that change nothing tracked add no revision
+  checksum: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+analysisRevisionSchema.index({ analysis: 1, number: -1 }, { unique: true });
+
+analysisRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Analysis revisions cannot be changed'));
+  }
+  next();
+});
+
+analysisRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Analysis revisions cannot be changed'));
+});
+
+module.exports = mongoose.model('AnalysisRevision', analysisRevisionSchema);
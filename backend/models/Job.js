@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    min: 1,
+    default: 3
+  },
+  timeoutMs: {
+    type: Number,
+    min: 1000,
+    default: 2 * 60 * 1000 // 2 minutes
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedUntil: Date,
+  lockedBy: String,
+  lastError: String,
+  completedAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for claiming and recovering jobs
+jobSchema.index({ status: 1, type: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ 'payload.analysisId': 1, createdAt: -1 });
+
+// Virtual for whether another attempt is allowed
+jobSchema.virtual('canRetry').get(function() {
+  return this.attempts < this.maxAttempts;
+});
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Provider results for one nearby-place query, shared across analyses of the same site
+const placeCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: String,
+  type: String,
+  latitude: Number,
+  longitude: Number,
+  radius: Number,
+  places: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes entries once they expire
+placeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PlaceCache', placeCacheSchema);
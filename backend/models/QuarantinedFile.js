@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// An upload that failed content verification, kept apart from analyses for review
+const quarantinedFileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  declaredType: String, // MIME type the client gave
+  detectedType: String, // MIME type found from the content, when recognized
+  size: Number,
+  reasons: [String],
+  source: {
+    type: String,
+    enum: ['upload', 'session'],
+    default: 'upload'
+  },
+  // Stored copy of the rejected bytes; missing when storing it failed
+  filename: String,
+  storage: {
+    type: String,
+    enum: ['cloudinary', 'local']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+quarantinedFileSchema.index({ user: 1, createdAt: -1 });
+
+// Expired entries are purged with their stored files by uploadVerificationService
+quarantinedFileSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('QuarantinedFile', quarantinedFileSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// One remedy on an analysis's checklist, for one failed rule check, and how far the user has got with it
+const remedyTaskSchema = new mongoose.Schema({
+  analysis: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Analysis',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The rule check the remedy addresses: a rule and the room (or `entrance`, `plan`) it was checked on
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VastuRule',
+    required: true
+  },
+  ruleName: String,
+  subject: String,
+  subjectKey: {
+    type: String,
+    required: true
+  },
+  importance: String,
+  type: {
+    type: String,
+    enum: ['color', 'placement', 'decoration', 'construction', 'other'],
+    default: 'other'
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  cost: String,
+  difficulty: String,
+  status: {
+    type: String,
+    enum: ['pending', 'started', 'done'],
+    default: 'pending'
+  },
+  notes: [{
+    text: {
+      type: String,
+      required: true,
+      maxlength: 1000
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Stored like Analysis.files, through the upload pipeline
+  photos: [{
+    filename: {
+      type: String,
+      required: true
+    },
+    originalName: String,
+    url: String,
+    size: Number,
+    type: {
+      type: String
+    },
+    format: String,
+    storage: {
+      type: String,
+      enum: ['cloudinary', 'local']
+    },
+    thumbnail: String,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  startedAt: Date,
+  completedAt: Date,
+  // Overall score before and after the re-score that credited the remedy, and the revision it made
+  scoreBefore: Number,
+  scoreAfter: Number,
+  revision: Number
+}, {
+  timestamps: true
+});
+
+remedyTaskSchema.index({ analysis: 1, rule: 1, subjectKey: 1, description: 1 }, { unique: true });
+
+module.exports = mongoose.model('RemedyTask', remedyTaskSchema);
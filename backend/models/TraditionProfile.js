@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A regional school of Vastu: how scoring in its region departs from the shared rule set
+const traditionProfileSchema = new mongoose.Schema({
+  // Matches User.preferences.vastuPreferences.region; one profile per region
+  region: {
+    type: String,
+    enum: ['north', 'south', 'east', 'west', 'central'],
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Tradition name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Rules the tradition turns off or weighs differently; unset fields keep the rule's own
+  ruleOverrides: [{
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VastuRule',
+      required: true
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    importance: {
+      type: String,
+      enum: ['critical', 'high', 'medium', 'low']
+    },
+    priority: {
+      type: Number,
+      min: 1,
+      max: 10
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TraditionProfile', traditionProfileSchema);
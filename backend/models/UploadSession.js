@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A resumable upload of one file, received in numbered chunks before it is stored
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Existing analysis the file is added to; a new analysis is created when empty
+  analysis: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Analysis'
+  },
+  title: String,
+  description: String,
+  originalName: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+  checksum: String, // SHA-256 of the whole file, hex, when the client supplies one
+  extractLocation: Boolean, // suggest the property location from the image's EXIF GPS position
+  chunks: [{
+    _id: false,
+    index: Number,
+    size: Number,
+    checksum: String // SHA-256 of the chunk as received
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'finalizing', 'complete', 'failed'],
+    default: 'open'
+  },
+  failureReason: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ user: 1, createdAt: -1 });
+
+// MongoDB removes sessions once they expire
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Chunk indexes the client still has to send
+uploadSessionSchema.virtual('missingChunks').get(function() {
+  const received = new Set(this.chunks.map(chunk => chunk.index));
+  return Array.from({ length: this.totalChunks }, (value, index) => index).filter(index => !received.has(index));
+});
+
+uploadSessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
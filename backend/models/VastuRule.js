@@ -93,6 +93,11 @@ const vastuRuleSchema = new mongoose.Schema({
   modernAdaptations: [String],
   scientificBasis: String,
   references: [String],
+  // Regional tradition the rule belongs to; rules without one apply in every region
+  region: {
+    type: String,
+    enum: ['north', 'south', 'east', 'west', 'central']
+  },
   isActive: {
     type: Boolean,
     default: true
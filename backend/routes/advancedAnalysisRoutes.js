@@ -7,54 +7,114 @@ const User = require('../models/User');
 
 // Import middleware
 const { protect, requirePremium } = require('../middleware/auth');
-const { validatePagination, validateObjectId } = require('../middleware/validation');
+const { validatePagination, validateObjectId, validateFloorPlanScoring, validateDirectionalAnalysis, validateRemedyOptimization } = require('../middleware/validation');
 
 // Import utilities
 const catchAsync = require('../utils/catchAsync');
 
 // Import services
 const mlService = require('../services/mlService');
+const scoringService = require('../services/scoringService');
+const mapsService = require('../services/mapsService');
+const remedyOptimizerService = require('../services/remedyOptimizerService');
+const traditionService = require('../services/traditionService');
 
 // @desc    Complete directional analysis with Google Maps integration
 // @route   POST /api/advanced/directional-analysis
 // @access  Private/Premium
-router.post('/directional-analysis', protect, requirePremium, catchAsync(async (req, res) => {
-  const { latitude, longitude, address, floorPlan } = req.body;
+router.post('/directional-analysis', protect, requirePremium, validateDirectionalAnalysis, catchAsync(async (req, res) => {
+  const { analysisId, refresh } = req.body;
+  const latitude = Number(req.body.latitude);
+  const longitude = Number(req.body.longitude);
+  const radius = Number(req.body.radius) || 2000;
+  const declination = req.body.declination === undefined ? undefined : Number(req.body.declination);
+  let floorPlan = req.body.floorPlan;
+  let analysis = null;
+
+  if (analysisId) {
+    analysis = await Analysis.findById(analysisId);
+
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: 'Analysis not found'
+      });
+    }
+
+    if (analysis.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
 
-  // Simulate Google Maps API integration
-  const surroundings = await getSurroundingsFromMaps(latitude, longitude);
+    floorPlan = floorPlan || analysis.floorPlan.toObject();
+  }
+
+  // Reuse the analysis' snapshot for the same site unless a refresh is asked for
+  let surroundings = analysis && !refresh && isSameSite(analysis.surroundings, latitude, longitude, radius)
+    ? analysis.toObject().surroundings
+    : null;
+  const fromSnapshot = Boolean(surroundings);
+
+  if (!surroundings) {
+    surroundings = {
+      location: { latitude, longitude },
+      radius,
+      provider: mapsService.provider.name,
+      ...(await mapsService.getSurroundings(latitude, longitude, radius)),
+      fetchedAt: new Date()
+    };
+
+    if (analysis) {
+      await Analysis.updateOne({ _id: analysis._id }, { surroundings });
+    }
+  }
+
+  const scoring = floorPlan ? await scoringService.scoreFloorPlan(floorPlan, { region: traditionService.regionOf(req.user) }) : null;
   
   const directionalAnalysis = {
     propertyOrientation: calculatePropertyOrientation(latitude, longitude),
-    surroundingElements: analyzeSurroundings(surroundings),
+    surroundingElements: analyzeSurroundings(surroundings, { declination }),
+    terrain: surroundings.terrain || null,
     directionalRecommendations: generateDirectionalRecommendations(floorPlan, surroundings),
     energyFlow: calculateEnergyFlow(floorPlan, surroundings),
     prosperityZones: identifyProsperityZones(floorPlan),
     entranceOptimization: optimizeEntrance(floorPlan, surroundings),
-    overallScore: calculateDirectionalScore(floorPlan, surroundings)
+    overallScore: scoring ? calculateDirectionalScore(scoring).score : null
   };
 
   res.status(200).json({
     success: true,
-    data: { directionalAnalysis }
+    data: {
+      directionalAnalysis,
+      surroundings: {
+        provider: surroundings.provider,
+        fetchedAt: surroundings.fetchedAt,
+        fromSnapshot
+      }
+    }
   });
 }));
 
 // @desc    Detailed room-by-room insights
 // @route   POST /api/advanced/room-analysis
 // @access  Private/Premium
-router.post('/room-analysis', protect, requirePremium, catchAsync(async (req, res) => {
+router.post('/room-analysis', protect, requirePremium, validateFloorPlanScoring, catchAsync(async (req, res) => {
   const { floorPlan, userPreferences } = req.body;
 
-  const roomAnalysis = floorPlan.rooms.map(room => ({
+  const scoring = await scoringService.scoreFloorPlan(floorPlan, { region: traditionService.regionOf(req.user) });
+
+  const roomAnalysis = floorPlan.rooms.map((room, index) => ({
     roomName: room.name,
     roomType: room.type,
-    vastuScore: calculateRoomVastuScore(room),
-    directionalAnalysis: analyzeRoomDirection(room),
+    vastuScore: calculateRoomVastuScore(scoring, index),
+    directionalAnalysis: analyzeRoomDirection(scoring, index),
+    ruleEvaluations: explainRoomScore(scoring, room, index),
     elementBalance: calculateElementBalance(room),
     energyFlow: analyzeRoomEnergyFlow(room),
     specificRecommendations: generateRoomRecommendations(room),
-    remedies: generateRoomRemedies(room),
+    remedies: generateRoomRemedies(scoring, index),
     colorSuggestions: suggestRoomColors(room),
     furniturePlacement: suggestFurniturePlacement(room),
     lightingRecommendations: suggestLighting(room),
@@ -143,6 +203,43 @@ router.post('/remedies', protect, requirePremium, catchAsync(async (req, res) =>
   });
 }));
 
+// @desc    Plan the remedies that gain the most score within a budget
+// @route   POST /api/advanced/remedies/optimize
+// @access  Private/Premium
+router.post('/remedies/optimize', protect, requirePremium, validateRemedyOptimization, catchAsync(async (req, res) => {
+  const { analysisId, budget, difficulty, allowConstruction } = req.body;
+
+  const analysis = await Analysis.findById(analysisId).select('user status vastuAnalysis');
+
+  if (!analysis) {
+    return res.status(404).json({
+      success: false,
+      message: 'Analysis not found'
+    });
+  }
+
+  if (analysis.user.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  if (analysis.status !== 'completed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Remedies can only be planned for a completed analysis'
+    });
+  }
+
+  const plan = await remedyOptimizerService.optimize(analysis, { budget, difficulty, allowConstruction });
+
+  res.status(200).json({
+    success: true,
+    data: { plan }
+  });
+}));
+
 // @desc    Prosperity zone identification
 // @route   POST /api/advanced/prosperity-zones
 // @access  Private/Premium
@@ -238,24 +335,39 @@ router.post('/ai-chat', protect, requirePremium, catchAsync(async (req, res) =>
 // @desc    Overall Vastu Score with detailed breakdown
 // @route   POST /api/advanced/vastu-score
 // @access  Private/Premium
-router.post('/vastu-score', protect, requirePremium, catchAsync(async (req, res) => {
+router.post('/vastu-score', protect, requirePremium, validateFloorPlanScoring, catchAsync(async (req, res) => {
   const { floorPlan, userProfile } = req.body;
 
+  const scoring = await scoringService.scoreFloorPlan(floorPlan, { region: traditionService.regionOf(req.user) });
+
+  const sections = {
+    overall: calculateOverallVastuScore(scoring),
+    directional: calculateDirectionalScore(scoring),
+    element: calculateElementScore(scoring),
+    energy: calculateEnergyScore(scoring),
+    room: calculateRoomScore(scoring),
+    entrance: calculateEntranceScore(scoring),
+    prosperity: calculateProsperityScore(scoring),
+    health: calculateHealthScore(scoring),
+    relationship: calculateRelationshipScore(scoring),
+    career: calculateCareerScore(scoring)
+  };
+
   const vastuScore = {
-    overallScore: calculateOverallVastuScore(floorPlan, userProfile),
-    directionalScore: calculateDirectionalScore(floorPlan),
-    elementScore: calculateElementScore(floorPlan),
-    energyScore: calculateEnergyScore(floorPlan),
-    roomScore: calculateRoomScore(floorPlan),
-    entranceScore: calculateEntranceScore(floorPlan),
-    prosperityScore: calculateProsperityScore(floorPlan),
-    healthScore: calculateHealthScore(floorPlan),
-    relationshipScore: calculateRelationshipScore(floorPlan),
-    careerScore: calculateCareerScore(floorPlan),
-    detailedBreakdown: generateDetailedBreakdown(floorPlan),
-    improvementAreas: identifyImprovementAreas(floorPlan),
-    strengths: identifyStrengths(floorPlan),
-    recommendations: generateScoreBasedRecommendations(floorPlan, userProfile)
+    overallScore: sections.overall.score,
+    directionalScore: sections.directional.score,
+    elementScore: sections.element.score,
+    energyScore: sections.energy.score,
+    roomScore: sections.room.score,
+    entranceScore: sections.entrance.score,
+    prosperityScore: sections.prosperity.score,
+    healthScore: sections.health.score,
+    relationshipScore: sections.relationship.score,
+    careerScore: sections.career.score,
+    detailedBreakdown: generateDetailedBreakdown(sections),
+    improvementAreas: identifyImprovementAreas(scoring),
+    strengths: identifyStrengths(scoring),
+    recommendations: generateScoreBasedRecommendations(scoring, userProfile)
   };
 
   res.status(200).json({
@@ -343,15 +455,14 @@ router.post('/key-recommendations', protect, catchAsync(async (req, res) => {
 }));
 
 // Helper functions (these would be implemented with actual logic)
-async function getSurroundingsFromMaps(lat, lng) {
-  // Simulate Google Maps API call
-  return {
-    waterBodies: ['Lake 2km north', 'River 5km east'],
-    mountains: ['Hills 10km south'],
-    roads: ['Highway 1km west', 'Main road 500m north'],
-    buildings: ['Commercial complex 2km east', 'School 1km south'],
-    vegetation: ['Forest 3km north', 'Park 500m west']
-  };
+// Whether a stored surroundings snapshot was taken for this site and radius
+function isSameSite(snapshot, latitude, longitude, radius) {
+  if (!snapshot || !snapshot.fetchedAt || !snapshot.location) return false;
+
+  const same = (a, b) => Math.abs(a - b) < 1e-6;
+  return same(snapshot.location.latitude, latitude) &&
+    same(snapshot.location.longitude, longitude) &&
+    snapshot.radius === radius;
 }
 
 function calculatePropertyOrientation(lat, lng) {
@@ -364,11 +475,29 @@ function calculatePropertyOrientation(lat, lng) {
   };
 }
 
-function analyzeSurroundings(surroundings) {
+function analyzeSurroundings(surroundings, options = {}) {
+  const analysis = surroundings.analysis || {};
+  const northReference = mapsService.getNorthReference(options);
+
+  // Stored directions are from true north; a declination measures them again from magnetic north
+  const directionalAnalysis = northReference === 'magnetic'
+    ? mapsService.analyzeDirections(surroundings.places || [], {
+      lat: surroundings.location.latitude,
+      lng: surroundings.location.longitude
+    }, options)
+    : analysis.directionalAnalysis || {};
+
   return {
-    positiveElements: ['Water body north', 'Green space west'],
-    negativeElements: ['Highway west', 'Commercial building east'],
-    recommendations: ['Plant trees to block highway noise', 'Use water features to enhance north energy']
+    address: surroundings.address ? surroundings.address.formatted_address : null,
+    placeCount: (surroundings.places || []).length,
+    positiveElements: analysis.positiveElements || [],
+    negativeElements: analysis.negativeElements || [],
+    recommendations: analysis.recommendations || [],
+    vastuScore: analysis.vastuScore || 0,
+    directionalAnalysis,
+    // Place bearings and directions are measured from true north, the frame the plan is zoned in, unless a declination was sent
+    northReference,
+    declination: options.declination
   };
 }
 
@@ -410,8 +539,8 @@ function optimizeEntrance(floorPlan, surroundings) {
   };
 }
 
-function calculateDirectionalScore(floorPlan, surroundings) {
-  return 82;
+function calculateDirectionalScore(scoring) {
+  return scoringService.scoreSection(scoring, item => scoringService.directions.includes(item.direction));
 }
 
 // Additional helper functions would be implemented here...
@@ -437,12 +566,19 @@ function suggestMaterials(floorPlan) { return ['Wood for earth', 'Glass for wate
 function optimizeElementPlacement(floorPlan) { return ['Move water features north', 'Add earth elements southwest']; }
 
 // Room analysis functions
-function calculateRoomVastuScore(room) { return Math.floor(Math.random() * 40) + 60; }
-function analyzeRoomDirection(room) { return { direction: 'north', score: 85 }; }
+function calculateRoomVastuScore(scoring, index) { return scoring.roomAnalysis[index].vastuScore; }
+function analyzeRoomDirection(scoring, index) {
+  const room = scoring.roomAnalysis[index];
+  return { direction: room.direction, score: room.vastuScore, issues: room.issues };
+}
+function explainRoomScore(scoring, room, index) {
+  const key = scoringService.subjectKey(room, index);
+  return scoringService.scoreSection(scoring, item => item.subjectKey === key).rules;
+}
 function calculateRoomElementBalance(room) { return { balance: 'good', score: 80 }; }
 function analyzeRoomEnergyFlow(room) { return { flow: 'optimal', score: 75 }; }
 function generateRoomRecommendations(room) { return ['Improve lighting', 'Add plants']; }
-function generateRoomRemedies(room) { return ['Use specific colors', 'Rearrange furniture']; }
+function generateRoomRemedies(scoring, index) { return scoring.roomAnalysis[index].remedies; }
 function suggestRoomColors(room) { return ['Light blue', 'White', 'Green']; }
 function suggestFurniturePlacement(room) { return ['Bed in southwest', 'Desk in north']; }
 function suggestLighting(room) { return ['Natural light north', 'Warm lights south']; }
@@ -506,21 +642,32 @@ async function generateAIResponse(message, context, analysisId) {
 function generateChatSuggestions(context) { return ['Ask about kitchen placement', 'Get bedroom recommendations', 'Learn about color therapy']; }
 function findRelatedTopics(message) { return ['Directional analysis', 'Element balance', 'Energy flow']; }
 
-// Vastu score functions
-function calculateOverallVastuScore(floorPlan, userProfile) { return 82; }
-function calculateOverallDirectionalScore(floorPlan) { return 85; }
-function calculateElementScore(floorPlan) { return 80; }
-function calculateEnergyScore(floorPlan) { return 78; }
-function calculateRoomScore(floorPlan) { return 83; }
-function calculateEntranceScore(floorPlan) { return 87; }
-function calculateProsperityScore(floorPlan) { return 81; }
-function calculateHealthScore(floorPlan) { return 79; }
-function calculateRelationshipScore(floorPlan) { return 84; }
-function calculateCareerScore(floorPlan) { return 86; }
-function generateDetailedBreakdown(floorPlan) { return { breakdown: 'Detailed analysis' }; }
-function identifyImprovementAreas(floorPlan) { return ['Kitchen placement', 'Bathroom location']; }
-function identifyStrengths(floorPlan) { return ['Good entrance', 'Proper bedroom placement']; }
-function generateScoreBasedRecommendations(floorPlan, userProfile) { return ['Focus on kitchen', 'Enhance entrance']; }
+// Vastu score functions - each returns { score, rules } from the scoring engine
+function calculateOverallVastuScore(scoring) { return scoringService.scoreSection(scoring, () => true); }
+function calculateElementScore(scoring) { return scoringService.scoreSection(scoring, item => Boolean(item.element)); }
+function calculateEnergyScore(scoring) {
+  return scoringService.scoreSection(scoring, item => ['energy-flow', 'five-elements'].includes(item.category) || item.direction === 'center');
+}
+function calculateRoomScore(scoring) { return scoringService.scoreSection(scoring, item => item.subjectKey.startsWith('room-')); }
+function calculateEntranceScore(scoring) { return scoringService.scoreSection(scoring, item => item.roomType === 'entrance'); }
+function calculateLifeAreaScore(scoring, area) {
+  const directions = scoringService.lifeAreaDirections[area];
+  return scoringService.scoreSection(scoring, item => directions.includes(item.direction));
+}
+function calculateProsperityScore(scoring) { return calculateLifeAreaScore(scoring, 'prosperity'); }
+function calculateHealthScore(scoring) { return calculateLifeAreaScore(scoring, 'health'); }
+function calculateRelationshipScore(scoring) { return calculateLifeAreaScore(scoring, 'relationship'); }
+function calculateCareerScore(scoring) { return calculateLifeAreaScore(scoring, 'career'); }
+function generateDetailedBreakdown(sections) {
+  const breakdown = {};
+  Object.entries(sections).forEach(([name, section]) => {
+    breakdown[name] = section.rules;
+  });
+  return breakdown;
+}
+function identifyImprovementAreas(scoring) { return scoring.negativeAspects; }
+function identifyStrengths(scoring) { return scoring.positiveAspects; }
+function generateScoreBasedRecommendations(scoring, userProfile) { return scoring.remedies.map(remedy => remedy.description); }
 
 // Space analysis functions
 function calculateTotalArea(floorPlan) { return 1500; }
@@ -3,14 +3,33 @@ const router = express.Router();
 
 // Import models
 const Analysis = require('../models/Analysis');
+const Job = require('../models/Job');
 const User = require('../models/User');
 
 // Import middleware
-const { protect, optionalAuth, requirePremium } = require('../middleware/auth');
-const { validateAnalysis, validatePagination, validateObjectId } = require('../middleware/validation');
+const { protect, protectStream, signStreamToken, optionalAuth, requirePremium } = require('../middleware/auth');
+const { validateAnalysis, validateAnalysisUpdate, validateAnalysisExport, validateAnalysisImport, validateAnalysisComparison, validateSimulation, validateRemedyUpdate, validateRevision, validatePagination, validateObjectId } = require('../middleware/validation');
 
 // Import utilities
 const catchAsync = require('../utils/catchAsync');
+const openEventStream = require('../utils/eventStream');
+
+// Import services
+const jobQueue = require('../services/jobQueue');
+const analysisEvents = require('../services/analysisEvents');
+const floorPlanDetectionService = require('../services/floorPlanDetectionService');
+const dxfFloorPlanService = require('../services/dxfFloorPlanService');
+const storageService = require('../services/storageService');
+const reportService = require('../services/reportService');
+const exportService = require('../services/exportService');
+const importService = require('../services/importService');
+const revisionService = require('../services/revisionService');
+const comparisonService = require('../services/comparisonService');
+const simulationService = require('../services/simulationService');
+const zoningService = require('../services/zoningService');
+const remedyTrackerService = require('../services/remedyTrackerService');
+const { ANALYSIS_JOB } = require('../jobs/analysisJob');
+const { FLOOR_PLAN_DETECTION_JOB } = require('../jobs/floorPlanDetectionJob');
 
 // @desc    Get all analyses (public)
 // @route   GET /api/analysis
@@ -88,6 +107,30 @@ router.get('/my-analyses', protect, validatePagination, catchAsync(async (req, r
   });
 }));
 
+// @desc    Export the user's analyses as JSON, CSV or GeoJSON
+// @route   GET /api/analysis/export
+// @access  Private
+router.get('/export', protect, validateAnalysisExport, catchAsync(async (req, res) => {
+  const format = req.query.format || 'json';
+  const filters = {};
+  ['status', 'from', 'to', 'minScore', 'maxScore'].forEach(key => {
+    if (req.query[key] !== undefined) filters[key] = req.query[key];
+  });
+
+  const { contentType, filename } = exportService.describe(format);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    await exportService.stream(res, format, req.user.id, filters);
+  } catch (error) {
+    // Once the export has started the status can no longer change, so cut the download short
+    if (!res.headersSent) throw error;
+    console.error('Analysis export error:', error.message);
+    res.destroy(error);
+  }
+}));
+
 // @desc    Get analysis by ID
 // @route   GET /api/analysis/:id
 // @access  Private/Public
@@ -115,19 +158,59 @@ router.get('/:id', optionalAuth, validateObjectId('id'), catchAsync(async (req,
     await analysis.incrementViews();
   }
 
+  // Files are returned with short-lived download URLs
+  const data = analysis.toJSON();
+  data.files = storageService.signFiles(data.files);
+
   res.status(200).json({
     success: true,
-    data: { analysis }
+    data: { analysis: data }
   });
 }));
 
+// @desc    Download a completed analysis as a PDF report
+// @route   GET /api/analysis/:id/report.pdf
+// @access  Private (public analyses: anyone)
+router.get('/:id/report.pdf', optionalAuth, validateObjectId('id'), catchAsync(async (req, res) => {
+  const analysis = await Analysis.findById(req.params.id)
+    .populate('user', 'firstName lastName');
+
+  if (!analysis) {
+    return res.status(404).json({
+      success: false,
+      message: 'Analysis not found'
+    });
+  }
+
+  if (!analysis.isPublic && (!req.user || analysis.user._id.toString() !== req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  if (analysis.status !== 'completed') {
+    return res.status(400).json({
+      success: false,
+      message: 'The report is available once the analysis is completed'
+    });
+  }
+
+  const report = await reportService.generate(analysis);
+  const filename = `vastu-report-${analysis.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || analysis._id}.pdf`;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  report.pipe(res);
+}));
+
 // @desc    Create new analysis
 // @route   POST /api/analysis
 // @access  Private
 router.post('/', protect, validateAnalysis, catchAsync(async (req, res) => {
   const { title, description, floorPlan, isPublic, tags } = req.body;
 
-  const analysis = await Analysis.create({
+  const analysis = new Analysis({
     user: req.user.id,
     title,
     description,
@@ -136,6 +219,9 @@ router.post('/', protect, validateAnalysis, catchAsync(async (req, res) => {
     tags: tags || [],
     status: 'pending'
   });
+  zoningService.apply(analysis);
+  await analysis.save();
+  await revisionService.record(analysis, 'created');
 
   res.status(201).json({
     success: true,
@@ -144,11 +230,77 @@ router.post('/', protect, validateAnalysis, catchAsync(async (req, res) => {
   });
 }));
 
+// @desc    Import analyses from an exported JSON bundle
+// @route   POST /api/analysis/import
+// @access  Private
+router.post('/import', protect, validateAnalysisImport, catchAsync(async (req, res) => {
+  const report = await importService.import(req.body, req.user.id, {
+    dryRun: req.query.dryRun,
+    onConflict: req.query.onConflict
+  });
+
+  if (report.blocked && !report.dryRun) {
+    return res.status(report.summary.invalid > 0 ? 422 : 409).json({
+      success: false,
+      message: report.summary.invalid > 0
+        ? 'Some analyses in the bundle are invalid; nothing was imported'
+        : 'Some titles already exist; nothing was imported',
+      data: { report }
+    });
+  }
+
+  const imported = report.summary.create + report.summary.rename;
+  res.status(report.committed ? 201 : 200).json({
+    success: true,
+    message: report.committed
+      ? `Imported ${imported} ${imported === 1 ? 'analysis' : 'analyses'}`
+      : 'Dry run complete; nothing was imported',
+    data: { report }
+  });
+}));
+
+// @desc    Compare 2-5 completed analyses side by side
+// @route   POST /api/analysis/compare
+// @access  Private
+router.post('/compare', protect, validateAnalysisComparison, catchAsync(async (req, res) => {
+  const { analysisIds } = req.body;
+  const found = await Analysis.find({ _id: { $in: analysisIds } })
+    .select('user isPublic title status createdAt completedAt floorPlan.dimensions floorPlan.entrance vastuAnalysis');
+
+  // Keep the requested order; analyses the user cannot see are reported as missing
+  const analyses = analysisIds.map(id => found.find(analysis => analysis._id.toString() === id));
+  const missing = analysisIds.filter((id, index) => {
+    const analysis = analyses[index];
+    return !analysis || (!analysis.isPublic && analysis.user.toString() !== req.user.id);
+  });
+  if (missing.length > 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Some analyses were not found',
+      data: { missing }
+    });
+  }
+
+  const incomplete = analyses.filter(analysis => analysis.status !== 'completed');
+  if (incomplete.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only completed analyses can be compared',
+      data: { incomplete: incomplete.map(analysis => ({ id: analysis._id, title: analysis.title, status: analysis.status })) }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { comparison: comparisonService.compare(analyses) }
+  });
+}));
+
 // @desc    Update analysis
 // @route   PUT /api/analysis/:id
 // @access  Private
-router.put('/:id', protect, validateObjectId('id'), catchAsync(async (req, res) => {
-  const { title, description, isPublic, tags } = req.body;
+router.put('/:id', protect, validateObjectId('id'), validateAnalysisUpdate, catchAsync(async (req, res) => {
+  const { title, description, isPublic, tags, floorPlan } = req.body;
 
   const analysis = await Analysis.findById(req.params.id);
 
@@ -167,12 +319,20 @@ router.put('/:id', protect, validateObjectId('id'), catchAsync(async (req, res)
     });
   }
 
+  await revisionService.ensureBaseline(analysis);
+
   if (title) analysis.title = title;
   if (description !== undefined) analysis.description = description;
   if (isPublic !== undefined) analysis.isPublic = isPublic;
   if (tags) analysis.tags = tags;
+  if (floorPlan) {
+    analysis.floorPlan = { ...analysis.floorPlan.toObject(), ...floorPlan };
+    zoningService.apply(analysis);
+  }
 
   await analysis.save();
+  await revisionService.record(analysis, 'update');
+  if (floorPlan) await remedyTrackerService.prune(analysis);
 
   res.status(200).json({
     success: true,
@@ -203,6 +363,8 @@ router.delete('/:id', protect, validateObjectId('id'), catchAsync(async (req, re
   }
 
   await Analysis.findByIdAndDelete(req.params.id);
+  await revisionService.removeAll(req.params.id);
+  await remedyTrackerService.removeAll(req.params.id);
 
   res.status(200).json({
     success: true,
@@ -231,100 +393,420 @@ router.post('/:id/start', protect, requirePremium, validateObjectId('id'), catch
     });
   }
 
-  if (analysis.status !== 'pending') {
+  if (!['pending', 'failed'].includes(analysis.status)) {
     return res.status(400).json({
       success: false,
       message: 'Analysis is already being processed or completed'
     });
   }
 
-  // Update status to processing
+  if (analysis.floorPlan.detection.status === 'draft') {
+    return res.status(400).json({
+      success: false,
+      message: 'Review and confirm the detected floor plan before starting the analysis'
+    });
+  }
+
+  // Update status to processing and hand the work to the job queue
   await analysis.updateStatus('processing');
+  const job = await jobQueue.enqueue(ANALYSIS_JOB, { analysisId: analysis._id.toString() });
+  analysisEvents.publish(analysis._id, 'status', { status: 'processing', progress: 0 });
 
-  // Simulate analysis processing (in real implementation, this would trigger AI analysis)
-  setTimeout(async () => {
-    try {
-      // Simulate analysis results
-      const mockResults = {
-        overallScore: Math.floor(Math.random() * 40) + 60, // 60-100
-        energyFlow: {
-          score: Math.floor(Math.random() * 30) + 70,
-          issues: ['Kitchen placement needs adjustment'],
-          recommendations: ['Move kitchen to southeast corner']
-        },
-        directionalAnalysis: {
-          north: { score: 85, issues: [], recommendations: ['Good placement'] },
-          south: { score: 75, issues: ['Bedroom in south'], recommendations: ['Consider moving bedroom'] },
-          east: { score: 90, issues: [], recommendations: ['Excellent placement'] },
-          west: { score: 80, issues: [], recommendations: ['Good placement'] },
-          northeast: { score: 70, issues: ['Bathroom in northeast'], recommendations: ['Move bathroom'] },
-          northwest: { score: 85, issues: [], recommendations: ['Good placement'] },
-          southeast: { score: 95, issues: [], recommendations: ['Excellent placement'] },
-          southwest: { score: 75, issues: ['Kitchen in southwest'], recommendations: ['Move kitchen'] }
-        },
-        fiveElements: {
-          earth: { score: 80, balance: 'Good', recommendations: ['Add more earth elements'] },
-          water: { score: 75, balance: 'Moderate', recommendations: ['Add water features'] },
-          fire: { score: 85, balance: 'Good', recommendations: ['Maintain current fire elements'] },
-          air: { score: 90, balance: 'Excellent', recommendations: ['Excellent air flow'] },
-          space: { score: 85, balance: 'Good', recommendations: ['Good space utilization'] }
-        },
-        roomAnalysis: [
-          {
-            roomName: 'Living Room',
-            roomType: 'living-room',
-            vastuScore: 85,
-            issues: [],
-            recommendations: ['Excellent placement'],
-            remedies: []
-          },
-          {
-            roomName: 'Kitchen',
-            roomType: 'kitchen',
-            vastuScore: 65,
-            issues: ['Wrong direction'],
-            recommendations: ['Move to southeast'],
-            remedies: ['Use yellow colors', 'Add fire elements']
-          }
-        ],
-        remedies: [
-          {
-            type: 'color',
-            description: 'Use yellow colors in kitchen',
-            priority: 'high',
-            cost: 'low',
-            difficulty: 'easy'
-          },
-          {
-            type: 'placement',
-            description: 'Move kitchen to southeast corner',
-            priority: 'high',
-            cost: 'high',
-            difficulty: 'hard'
-          }
-        ],
-        positiveAspects: ['Good living room placement', 'Excellent air flow'],
-        negativeAspects: ['Kitchen in wrong direction', 'Bathroom in northeast'],
-        summary: 'Overall good Vastu compliance with some areas needing attention. Focus on kitchen and bathroom placement for optimal energy flow.',
-        expertNotes: 'Consider consulting a Vastu expert for detailed recommendations.'
-      };
-
-      analysis.vastuAnalysis = mockResults;
-      await analysis.updateStatus('completed');
+  res.status(200).json({
+    success: true,
+    message: 'Analysis processing started',
+    data: { analysis, jobId: job._id }
+  });
+}));
 
-    } catch (error) {
-      console.error('Analysis processing error:', error);
-      await analysis.updateStatus('failed');
+// @desc    Detect draft rooms from an uploaded floor-plan image, PDF page or DXF drawing
+// @route   POST /api/analysis/:id/floor-plan/detect
+// @access  Private
+router.post('/:id/floor-plan/detect', protect, validateObjectId('id'), catchAsync(async (req, res) => {
+  const analysis = await Analysis.findById(req.params.id);
+
+  if (!analysis) {
+    return res.status(404).json({
+      success: false,
+      message: 'Analysis not found'
+    });
+  }
+
+  // Check if user owns this analysis
+  if (analysis.user.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  const fileIndex = req.body.fileIndex !== undefined
+    ? parseInt(req.body.fileIndex)
+    : analysis.files.findIndex(file => floorPlanDetectionService.supportedTypes.includes(file.type));
+  const file = analysis.files[fileIndex];
+
+  if (!file || !floorPlanDetectionService.supportedTypes.includes(file.type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'No JPG, PNG, PDF or DXF floor plan to detect rooms from'
+    });
+  }
+
+  // PDFs default to the page with the most line work
+  const page = req.body.page !== undefined ? parseInt(req.body.page) : undefined;
+  if (page !== undefined && (file.type !== 'application/pdf' || !(page >= 1))) {
+    return res.status(400).json({
+      success: false,
+      message: 'page must be a page number of a PDF floor plan'
+    });
+  }
+
+  // DXF layer names override the configured ones, e.g. { rooms: ['AREAS'] }
+  const { layers } = req.body;
+  const layerParts = Object.keys(dxfFloorPlanService.layers);
+  const validLayers = layers === undefined || (
+    file.type === 'application/dxf' &&
+    typeof layers === 'object' && layers !== null && !Array.isArray(layers) &&
+    Object.entries(layers).every(([part, names]) => layerParts.includes(part) &&
+      Array.isArray(names) && names.length > 0 && names.every(name => typeof name === 'string' && name.trim()))
+  );
+  if (!validLayers) {
+    return res.status(400).json({
+      success: false,
+      message: `layers must map ${layerParts.join(', ')} to lists of DXF layer names`
+    });
+  }
+
+  // Detection replaces the current rooms with a new draft
+  const job = await jobQueue.enqueue(FLOOR_PLAN_DETECTION_JOB, {
+    analysisId: analysis._id.toString(),
+    fileIndex,
+    page,
+    layers,
+    replace: true
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Floor plan detection queued',
+    data: { jobId: job._id }
+  });
+}));
+
+// @desc    Confirm a detected floor plan after review
+// @route   POST /api/analysis/:id/floor-plan/confirm
+// @access  Private
+router.post('/:id/floor-plan/confirm', protect, validateObjectId('id'), catchAsync(async (req, res) => {
+  const analysis = await Analysis.findById(req.params.id);
+
+  if (!analysis) {
+    return res.status(404).json({
+      success: false,
+      message: 'Analysis not found'
+    });
+  }
+
+  // Check if user owns this analysis
+  if (analysis.user.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  if (analysis.floorPlan.detection.status !== 'draft') {
+    return res.status(400).json({
+      success: false,
+      message: 'There is no detected floor plan awaiting confirmation'
+    });
+  }
+
+  await revisionService.ensureBaseline(analysis);
+  analysis.floorPlan.detection.status = 'confirmed';
+  analysis.floorPlan.detection.confirmedAt = new Date();
+  await analysis.save();
+  await revisionService.record(analysis, 'floor-plan-confirmed');
+
+  res.status(200).json({
+    success: true,
+    message: 'Floor plan confirmed',
+    data: { floorPlan: analysis.floorPlan }
+  });
+}));
+
+// Find an analysis the current user owns, or send the 404 / 403 and return null.
+// Only the owner is loaded unless other fields are asked for; null loads the whole document.
+const findOwnAnalysis = async (req, res, fields = 'user') => {
+  const query = Analysis.findById(req.params.id);
+  const analysis = await (fields ? query.select(fields) : query);
+
+  if (!analysis) {
+    res.status(404).json({
+      success: false,
+      message: 'Analysis not found'
+    });
+    return null;
+  }
+
+  if (analysis.user.toString() !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return analysis;
+};
+
+// @desc    List an analysis's revisions
+// @route   GET /api/analysis/:id/revisions
+// @access  Private
+router.get('/:id/revisions', protect, validateObjectId('id'), validatePagination, catchAsync(async (req, res) => {
+  if (!await findOwnAnalysis(req, res)) return;
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const { revisions, total } = await revisionService.list(req.params.id, { skip: (page - 1) * limit, limit });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      revisions,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
     }
-  }, 5000); // 5 second delay to simulate processing
+  });
+}));
+
+// @desc    Compare two revisions of an analysis
+// @route   GET /api/analysis/:id/revisions/diff?from=&to=
+// @access  Private
+router.get('/:id/revisions/diff', protect, validateObjectId('id'), validateRevision, catchAsync(async (req, res) => {
+  if (!await findOwnAnalysis(req, res)) return;
+
+  const diff = await revisionService.diff(req.params.id, { from: req.query.from, to: req.query.to });
 
   res.status(200).json({
     success: true,
-    message: 'Analysis processing started',
-    data: { analysis }
+    data: { diff }
+  });
+}));
+
+// @desc    Get one revision of an analysis
+// @route   GET /api/analysis/:id/revisions/:number
+// @access  Private
+router.get('/:id/revisions/:number', protect, validateObjectId('id'), validateRevision, catchAsync(async (req, res) => {
+  if (!await findOwnAnalysis(req, res)) return;
+
+  const revision = await revisionService.get(req.params.id, req.params.number);
+
+  res.status(200).json({
+    success: true,
+    data: { revision }
+  });
+}));
+
+// Send the 400 for an analysis whose remedies cannot be tracked yet and return false
+const canTrackRemedies = (analysis, res) => {
+  if (analysis.status === 'completed') return true;
+  res.status(400).json({
+    success: false,
+    message: 'Remedies can be tracked once the analysis is completed'
+  });
+  return false;
+};
+
+// @desc    Get an analysis's remedy checklist
+// @route   GET /api/analysis/:id/remedies
+// @access  Private
+router.get('/:id/remedies', protect, validateObjectId('id'), catchAsync(async (req, res) => {
+  const analysis = await findOwnAnalysis(req, res, 'user status vastuAnalysis.ruleEvaluations');
+  if (!analysis || !canTrackRemedies(analysis, res)) return;
+
+  const remedies = await remedyTrackerService.list(analysis);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      remedies: remedies.map(remedy => ({ ...remedy, photos: storageService.signFiles(remedy.photos) })),
+      summary: {
+        total: remedies.length,
+        pending: remedies.filter(remedy => remedy.status === 'pending').length,
+        started: remedies.filter(remedy => remedy.status === 'started').length,
+        done: remedies.filter(remedy => remedy.status === 'done').length
+      }
+    }
+  });
+}));
+
+// @desc    Get an analysis's overall score over time, with the remedies completed along the way
+// @route   GET /api/analysis/:id/remedies/trajectory
+// @access  Private
+router.get('/:id/remedies/trajectory', protect, validateObjectId('id'), catchAsync(async (req, res) => {
+  if (!await findOwnAnalysis(req, res)) return;
+
+  const trajectory = await remedyTrackerService.trajectory(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: { trajectory }
+  });
+}));
+
+// @desc    Mark a remedy started or done, or add a note to it
+// @route   PUT /api/analysis/:id/remedies/:remedyId
+// @access  Private
+router.put('/:id/remedies/:remedyId', protect, validateObjectId('id'), validateObjectId('remedyId'), validateRemedyUpdate, catchAsync(async (req, res) => {
+  const analysis = await findOwnAnalysis(req, res, null);
+  if (!analysis || !canTrackRemedies(analysis, res)) return;
+
+  const { remedy, score } = await remedyTrackerService.update(analysis, req.params.remedyId, {
+    status: req.body.status,
+    note: req.body.note
+  });
+
+  res.status(200).json({
+    success: true,
+    message: score ? `Analysis re-scored: ${score.from} to ${score.to}` : 'Remedy updated',
+    data: {
+      remedy: { ...remedy.toObject(), photos: storageService.signFiles(remedy.toObject().photos) },
+      score
+    }
+  });
+}));
+
+// @desc    Re-score an analysis's floor plan with edits applied, without saving them
+// @route   POST /api/analysis/:id/simulate
+// @access  Private (public analyses: any signed-in user)
+router.post('/:id/simulate', protect, validateObjectId('id'), validateSimulation, catchAsync(async (req, res) => {
+  const analysis = await Analysis.findById(req.params.id).select('user isPublic floorPlan');
+
+  if (!analysis) {
+    return res.status(404).json({
+      success: false,
+      message: 'Analysis not found'
+    });
+  }
+
+  if (!analysis.isPublic && analysis.user.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  const simulation = await simulationService.simulate(analysis, req.body.edits);
+
+  res.status(200).json({
+    success: true,
+    data: { simulation }
+  });
+}));
+
+// @desc    Get a short-lived token that opens the analysis's event stream
+// @route   POST /api/analysis/:id/events/token
+// @access  Private
+router.post('/:id/events/token', protect, validateObjectId('id'), catchAsync(async (req, res) => {
+  if (!await findOwnAnalysis(req, res)) return;
+
+  res.status(201).json({
+    success: true,
+    data: { token: signStreamToken(req.user.id, req.params.id) }
   });
 }));
 
+// @desc    Stream analysis status, progress and results (Server-Sent Events)
+// @route   GET /api/analysis/:id/events
+// @access  Private (login token, or a stream token in ?token=)
+router.get('/:id/events', protectStream, validateObjectId('id'), catchAsync(async (req, res) => {
+  const analysis = await Analysis.findById(req.params.id).select('user status failureReason vastuAnalysis');
+
+  if (!analysis) {
+    return res.status(404).json({
+      success: false,
+      message: 'Analysis not found'
+    });
+  }
+
+  // Check if user owns this analysis
+  if (analysis.user.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  const stream = openEventStream(req, res);
+  const state = { status: analysis.status, progress: await getJobProgress(analysis) };
+
+  // The client may have gone while the progress was read
+  if (stream.closed) return;
+
+  const finish = (doc) => {
+    if (doc.status === 'completed') {
+      stream.send('completed', {
+        analysisId: doc._id,
+        status: doc.status,
+        progress: 100,
+        vastuAnalysis: doc.vastuAnalysis
+      });
+    } else {
+      stream.send('failed', { analysisId: doc._id, status: doc.status, reason: doc.failureReason });
+    }
+    stream.close();
+  };
+
+  stream.send('status', { analysisId: analysis._id, status: state.status, progress: state.progress });
+
+  if (['completed', 'failed'].includes(analysis.status)) {
+    return finish(analysis);
+  }
+
+  // Events from a worker in this process arrive immediately
+  stream.onClose(analysisEvents.subscribe(analysis._id, ({ type, data }) => {
+    if (type === 'progress') {
+      if (data.progress === state.progress) return;
+      state.progress = data.progress;
+    } else if (type === 'status') {
+      state.status = data.status;
+    }
+
+    stream.send(type, data);
+    if (type === 'completed' || type === 'failed') stream.close();
+  }));
+
+  // Polling picks up workers running in other processes
+  const poll = setInterval(async () => {
+    try {
+      const current = await Analysis.findById(analysis._id).select('status failureReason vastuAnalysis');
+      if (!current || stream.closed) return;
+
+      if (['completed', 'failed'].includes(current.status)) {
+        return finish(current);
+      }
+
+      const progress = await getJobProgress(current);
+      if (current.status !== state.status) {
+        state.status = current.status;
+        stream.send('status', { analysisId: current._id, status: current.status, progress });
+      }
+      if (progress !== state.progress) {
+        state.progress = progress;
+        stream.send('progress', { analysisId: current._id, progress });
+      }
+    } catch (error) {
+      console.error('Analysis event stream error:', error.message);
+    }
+  }, parseInt(process.env.SSE_POLL_INTERVAL_MS) || 3000);
+
+  stream.onClose(() => clearInterval(poll));
+}));
+
 // @desc    Like analysis
 // @route   POST /api/analysis/:id/like
 // @access  Private
@@ -411,4 +893,16 @@ router.get('/recent', optionalAuth, catchAsync(async (req, res) => {
   });
 }));
 
+// Progress of the latest job for an analysis
+async function getJobProgress(analysis) {
+  if (analysis.status === 'completed') return 100;
+  if (analysis.status !== 'processing') return 0;
+
+  const job = await Job.findOne({ 'payload.analysisId': analysis._id.toString() })
+    .sort({ createdAt: -1 })
+    .select('progress');
+
+  return job ? job.progress : 0;
+}
+
 module.exports = router;
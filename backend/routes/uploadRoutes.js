@@ -1,40 +1,62 @@
 const express = require('express');
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-const sharp = require('sharp');
 const path = require('path');
-const fs = require('fs');
 
 // Import models
 const Analysis = require('../models/Analysis');
+const UploadSession = require('../models/UploadSession');
+const QuarantinedFile = require('../models/QuarantinedFile');
 
 // Import middleware
 const { protect, uploadRateLimit } = require('../middleware/auth');
-const { validateFileUpload } = require('../middleware/validation');
+const { validateFileUpload, validateUploadSession, validateRemedyPhotos, validateObjectId, validatePagination } = require('../middleware/validation');
 
 // Import utilities
 const catchAsync = require('../utils/catchAsync');
 
-const router = express.Router();
+// Import services
+const jobQueue = require('../services/jobQueue');
+const storageService = require('../services/storageService');
+const chunkedUploadService = require('../services/chunkedUploadService');
+const uploadVerificationService = require('../services/uploadVerificationService');
+const floorPlanDetectionService = require('../services/floorPlanDetectionService');
+const dxfFloorPlanService = require('../services/dxfFloorPlanService');
+const remedyTrackerService = require('../services/remedyTrackerService');
+const { FLOOR_PLAN_DETECTION_JOB } = require('../jobs/floorPlanDetectionJob');
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const router = express.Router();
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
 
+const INVALID_TYPE_MESSAGE = 'Invalid file type. Only JPG, PNG, PDF and DXF files are allowed.';
+
+// MIME types assumed from the extension when an upload session does not give one
+const EXTENSION_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.pdf': 'application/pdf'
+};
+
+// MIME type a file is stored under, or null when the type is not accepted
+const getAcceptedType = (file) => {
+  const allowedTypes = (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/jpg,image/png,application/pdf,application/dxf').split(',');
+
+  // DXF files arrive under several MIME types, often application/octet-stream
+  const mimetype = dxfFloorPlanService.isDxf(file) ? 'application/dxf' : file.mimetype;
+  return allowedTypes.includes(mimetype) ? mimetype : null;
+};
+
 // File filter
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/jpg,image/png,application/pdf').split(',');
+  const mimetype = getAcceptedType(file);
   
-  if (allowedTypes.includes(file.mimetype)) {
+  if (mimetype) {
+    file.mimetype = mimetype;
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only JPG, PNG, and PDF files are allowed.'), false);
+    cb(new Error(INVALID_TYPE_MESSAGE), false);
   }
 };
 
@@ -48,49 +70,100 @@ const upload = multer({
   }
 });
 
-// Helper function to upload file to Cloudinary
-const uploadToCloudinary = async (file, folder = 'vastu-vision') => {
+// Helper function to store a file with the configured storage adapter
+const storeFile = async (file, userId) => {
   try {
-    let uploadOptions = {
-      folder,
-      resource_type: 'auto',
-      quality: 'auto',
-      fetch_format: 'auto'
-    };
-
-    // If it's an image, optimize it
-    if (file.mimetype.startsWith('image/')) {
-      const optimizedBuffer = await sharp(file.buffer)
-        .resize(1920, 1080, { 
-          fit: 'inside',
-          withoutEnlargement: true 
-        })
-        .jpeg({ quality: 85 })
-        .toBuffer();
-
-      uploadOptions.format = 'jpg';
-      file.buffer = optimizedBuffer;
-    }
-
-    const result = await cloudinary.uploader.upload(
-      `data:${file.mimetype};base64,${file.buffer.toString('base64')}`,
-      uploadOptions
-    );
-
-    return {
-      public_id: result.public_id,
-      url: result.secure_url,
-      format: result.format,
-      width: result.width,
-      height: result.height,
-      bytes: result.bytes
-    };
+    return await storageService.store(file, storageService.getUserFolder(userId));
   } catch (error) {
-    console.error('Cloudinary upload error:', error);
+    console.error('Storage upload error:', error);
     throw new Error('File upload failed');
   }
 };
 
+const quarantineSummary = (entry) => ({
+  id: entry._id,
+  originalName: entry.originalName,
+  declaredType: entry.declaredType,
+  detectedType: entry.detectedType,
+  size: entry.size,
+  reasons: entry.reasons,
+  source: entry.source,
+  createdAt: entry.createdAt,
+  expiresAt: entry.expiresAt
+});
+
+// Suggested property location from a photo's EXIF GPS position
+const suggestLocation = (location, originalName) => (
+  location ? { ...location, source: 'exif', file: originalName } : undefined
+);
+
+/**
+ * Check uploaded files against their content before any is stored
+ * @param {Object[]} files - Multer memory-storage files
+ * @param {string} userId - Uploader
+ * @param {Object} options - { extractLocation }
+ * @returns {Promise<Object>} { quarantined: summaries of files that failed, location: first suggested location }
+ */
+const verifyFiles = async (files, userId, options = {}) => {
+  const quarantined = [];
+  let location;
+
+  for (const file of files) {
+    const verification = await uploadVerificationService.verifyBuffer(file, options);
+    if (!verification.passed) {
+      quarantined.push(quarantineSummary(await uploadVerificationService.quarantineBuffer(file, verification, userId)));
+    } else if (!location) {
+      location = suggestLocation(verification.location, file.originalname);
+    }
+  }
+
+  return { quarantined, location };
+};
+
+const rejectQuarantined = (res, quarantined) => res.status(422).json({
+  success: false,
+  message: 'Files failed content verification and were quarantined; nothing was stored',
+  data: { quarantined }
+});
+
+// Uploads may only be read or deleted by the user whose folder holds them
+const ownsFile = (key, userId) => storageService.ownsFile(key, userId);
+
+const statusError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getOwnSession = async (id, userId) => {
+  const session = await UploadSession.findById(id);
+  if (!session) throw statusError('Upload session not found', 404);
+  if (session.user.toString() !== userId) throw statusError('Access denied', 403);
+  return session;
+};
+
+const sessionSummary = (session) => ({
+  id: session._id,
+  originalName: session.originalName,
+  type: session.type,
+  size: session.size,
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  chunks: session.chunks,
+  missingChunks: session.missingChunks,
+  status: session.status,
+  analysis: session.analysis,
+  expiresAt: session.expiresAt
+});
+
+// Queue room detection when the file is the analysis's first detectable floor plan
+const enqueueDetection = async (analysis, fileIndex) => {
+  const firstIndex = analysis.files.findIndex(file => floorPlanDetectionService.supportedTypes.includes(file.type));
+  return firstIndex >= 0 && firstIndex === fileIndex
+    ? jobQueue.enqueue(FLOOR_PLAN_DETECTION_JOB, { analysisId: analysis._id.toString(), fileIndex })
+    : null;
+};
+
 // @desc    Upload files for analysis
 // @route   POST /api/upload/files
 // @access  Private
@@ -107,26 +180,18 @@ router.post('/files',
       });
     }
 
-    const { title, description } = req.body;
+    const { title, description, extractLocation } = req.body;
+    const { quarantined, location } = await verifyFiles(req.files, req.user.id, { extractLocation });
+    if (quarantined.length > 0) {
+      return rejectQuarantined(res, quarantined);
+    }
+
     const uploadedFiles = [];
 
     try {
-      // Upload each file to Cloudinary
+      // Store each file with the configured storage adapter
       for (const file of req.files) {
-        const result = await uploadToCloudinary(file, `vastu-vision/users/${req.user.id}`);
-        
-        uploadedFiles.push({
-          filename: result.public_id,
-          originalName: file.originalname,
-          url: result.url,
-          size: result.bytes,
-          type: file.mimetype,
-          format: result.format,
-          dimensions: {
-            width: result.width,
-            height: result.height
-          }
-        });
+        uploadedFiles.push(await storeFile(file, req.user.id));
       }
 
       // Create analysis record
@@ -135,9 +200,14 @@ router.post('/files',
         title: title || `Analysis ${new Date().toLocaleDateString()}`,
         description: description || '',
         files: uploadedFiles,
+        suggestedLocation: location,
         status: 'pending'
       });
 
+      // Detect draft rooms from the first floor-plan image, PDF or DXF drawing
+      const imageIndex = uploadedFiles.findIndex(file => floorPlanDetectionService.supportedTypes.includes(file.type));
+      const detectionJob = await enqueueDetection(analysis, imageIndex);
+
       res.status(201).json({
         success: true,
         message: 'Files uploaded successfully',
@@ -146,10 +216,12 @@ router.post('/files',
             id: analysis._id,
             title: analysis.title,
             description: analysis.description,
-            files: analysis.files,
+            files: storageService.signFiles(analysis.toObject().files),
+            suggestedLocation: location,
             status: analysis.status,
             createdAt: analysis.createdAt
-          }
+          },
+          detectionJobId: detectionJob ? detectionJob._id : null
         }
       });
 
@@ -157,7 +229,7 @@ router.post('/files',
       // If upload fails, clean up any successfully uploaded files
       for (const file of uploadedFiles) {
         try {
-          await cloudinary.uploader.destroy(file.filename);
+          await storageService.remove(file);
         } catch (cleanupError) {
           console.error('Failed to cleanup file:', cleanupError);
         }
@@ -175,6 +247,7 @@ router.post('/single',
   protect, 
   uploadRateLimit, 
   upload.single('file'), 
+  validateFileUpload,
   catchAsync(async (req, res) => {
     if (!req.file) {
       return res.status(400).json({
@@ -183,45 +256,380 @@ router.post('/single',
       });
     }
 
+    const { quarantined, location } = await verifyFiles([req.file], req.user.id, {
+      extractLocation: req.body.extractLocation
+    });
+    if (quarantined.length > 0) {
+      return rejectQuarantined(res, quarantined);
+    }
+
+    const [file] = storageService.signFiles([await storeFile(req.file, req.user.id)]);
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: { file, suggestedLocation: location }
+    });
+  })
+);
+
+// @desc    Upload photos of a remedy being carried out
+// @route   POST /api/upload/remedy-photos
+// @access  Private
+router.post('/remedy-photos',
+  protect,
+  uploadRateLimit,
+  upload.array('photos', 5),
+  validateRemedyPhotos,
+  catchAsync(async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No photos uploaded'
+      });
+    }
+
+    if (req.files.some(file => !file.mimetype.startsWith('image/'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remedy photos must be JPG or PNG images'
+      });
+    }
+
+    const analysis = await Analysis.findById(req.body.analysisId).select('user');
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: 'Analysis not found'
+      });
+    }
+    if (analysis.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    // Fails with a 404 before anything is stored
+    await remedyTrackerService.get(analysis._id, req.body.remedyId);
+
+    const { quarantined } = await verifyFiles(req.files, req.user.id);
+    if (quarantined.length > 0) {
+      return rejectQuarantined(res, quarantined);
+    }
+
+    const uploadedFiles = [];
+
     try {
-      const result = await uploadToCloudinary(req.file, `vastu-vision/users/${req.user.id}`);
-      
+      for (const file of req.files) {
+        uploadedFiles.push(await storeFile(file, req.user.id));
+      }
+
+      const remedy = await remedyTrackerService.addPhotos(analysis._id, req.body.remedyId, uploadedFiles);
+
       res.status(201).json({
         success: true,
-        message: 'File uploaded successfully',
-        data: {
-          file: {
-            filename: result.public_id,
-            originalName: req.file.originalname,
-            url: result.url,
-            size: result.bytes,
-            type: req.file.mimetype,
-            format: result.format,
-            dimensions: {
-              width: result.width,
-              height: result.height
-            }
-          }
-        }
+        message: 'Photos uploaded successfully',
+        data: { photos: storageService.signFiles(remedy.toObject().photos) }
       });
-
     } catch (error) {
+      for (const file of uploadedFiles) {
+        try {
+          await storageService.remove(file);
+        } catch (cleanupError) {
+          console.error('Failed to cleanup file:', cleanupError);
+        }
+      }
+
       throw error;
     }
   })
 );
 
+// @desc    Start a resumable chunked upload
+// @route   POST /api/upload/sessions
+// @access  Private
+router.post('/sessions', protect, uploadRateLimit, validateUploadSession, catchAsync(async (req, res) => {
+  const { filename, size, chunkSize, checksum, analysisId, title, description, extractLocation } = req.body;
+
+  const type = getAcceptedType({
+    originalname: filename,
+    mimetype: req.body.type || EXTENSION_TYPES[path.extname(filename).toLowerCase()]
+  });
+  if (!type) {
+    return res.status(400).json({
+      success: false,
+      message: INVALID_TYPE_MESSAGE
+    });
+  }
+
+  if (analysisId) {
+    const analysis = await Analysis.findById(analysisId).select('user');
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: 'Analysis not found'
+      });
+    }
+    if (analysis.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+  }
+
+  const session = await chunkedUploadService.createSession(req.user.id, {
+    originalName: filename,
+    type,
+    size,
+    chunkSize,
+    checksum,
+    analysisId,
+    title,
+    description,
+    extractLocation
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Upload session created',
+    data: { session: sessionSummary(session) }
+  });
+}));
+
+// @desc    Get upload session progress, to resume an interrupted upload
+// @route   GET /api/upload/sessions/:id
+// @access  Private
+router.get('/sessions/:id', protect, validateObjectId('id'), catchAsync(async (req, res) => {
+  const session = await getOwnSession(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { session: sessionSummary(session) }
+  });
+}));
+
+// @desc    Upload one chunk as the raw request body
+// @route   PUT /api/upload/sessions/:id/chunks/:index
+// @access  Private
+router.put('/sessions/:id/chunks/:index', protect, validateObjectId('id'), catchAsync(async (req, res) => {
+  const session = await getOwnSession(req.params.id, req.user.id);
+
+  if (session.status !== 'open') {
+    return res.status(409).json({
+      success: false,
+      message: `Upload session is ${session.status}`
+    });
+  }
+
+  // Optional SHA-256 of the chunk, hex; a mismatch rejects the chunk
+  const chunk = await chunkedUploadService.writeChunk(
+    session,
+    Number(req.params.index),
+    req,
+    req.get('X-Chunk-Checksum')
+  );
+  const missingChunks = session.missingChunks.filter(index => index !== chunk.index);
+
+  res.status(200).json({
+    success: true,
+    message: `Chunk ${chunk.index} received`,
+    data: { chunk, missingChunks }
+  });
+}));
+
+// @desc    Assemble the chunks, verify the file and add it to an analysis
+// @route   POST /api/upload/sessions/:id/complete
+// @access  Private
+router.post('/sessions/:id/complete', protect, validateObjectId('id'), catchAsync(async (req, res) => {
+  let session = await getOwnSession(req.params.id, req.user.id);
+
+  if (session.missingChunks.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Upload is incomplete',
+      data: { missingChunks: session.missingChunks }
+    });
+  }
+
+  // Only one finalize may run per session, and only while no chunk is being written
+  session = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'open', chunks: { $size: session.totalChunks } },
+    { status: 'finalizing' },
+    { new: true }
+  );
+  if (!session) {
+    return res.status(409).json({
+      success: false,
+      message: 'Upload session is already being finalized, or a chunk is still being written'
+    });
+  }
+
+  let file;
+  let location;
+  try {
+    ({ file, location } = await chunkedUploadService.finalize(session));
+  } catch (error) {
+    // A corrupt or quarantined file cannot be repaired by retrying; anything else can be
+    if (error.statusCode === 422) {
+      await chunkedUploadService.discard(session);
+      await UploadSession.updateOne({ _id: session._id }, { status: 'failed', failureReason: error.message });
+    } else {
+      await UploadSession.updateOne({ _id: session._id }, { status: 'open' });
+    }
+    throw error;
+  }
+
+  try {
+    let analysis;
+    if (session.analysis) {
+      analysis = await Analysis.findById(session.analysis);
+      if (!analysis) throw statusError('Analysis not found', 404);
+      analysis.files.push(file);
+      if (location && analysis.suggestedLocation.latitude === undefined) {
+        analysis.suggestedLocation = suggestLocation(location, file.originalName);
+      }
+      await analysis.save();
+    } else {
+      analysis = await Analysis.create({
+        user: req.user.id,
+        title: session.title || `Analysis ${new Date().toLocaleDateString()}`,
+        description: session.description || '',
+        files: [file],
+        suggestedLocation: suggestLocation(location, file.originalName),
+        status: 'pending'
+      });
+    }
+
+    const detectionJob = await enqueueDetection(analysis, analysis.files.length - 1);
+    await UploadSession.updateOne({ _id: session._id }, { status: 'complete', analysis: analysis._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: {
+        analysis: {
+          id: analysis._id,
+          title: analysis.title,
+          description: analysis.description,
+          files: storageService.signFiles(analysis.toObject().files),
+          suggestedLocation: analysis.suggestedLocation,
+          status: analysis.status,
+          createdAt: analysis.createdAt
+        },
+        detectionJobId: detectionJob ? detectionJob._id : null
+      }
+    });
+  } catch (error) {
+    await storageService.remove(file).catch(cleanupError => console.error('Failed to cleanup file:', cleanupError));
+    await UploadSession.updateOne({ _id: session._id }, { status: 'failed', failureReason: error.message });
+    throw error;
+  }
+}));
+
+// @desc    Abandon an upload session and delete its chunks
+// @route   DELETE /api/upload/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, validateObjectId('id'), catchAsync(async (req, res) => {
+  const session = await getOwnSession(req.params.id, req.user.id);
+
+  if (session.status === 'finalizing') {
+    return res.status(409).json({
+      success: false,
+      message: 'Upload session is being finalized'
+    });
+  }
+
+  await chunkedUploadService.discard(session);
+  await session.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Upload session deleted'
+  });
+}));
+
+// @desc    List uploads quarantined after failing content verification
+// @route   GET /api/upload/quarantine
+// @access  Private (admins may list every user's with all=true)
+router.get('/quarantine', protect, validatePagination, catchAsync(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const query = req.query.all === 'true' && req.user.role === 'admin' ? {} : { user: req.user.id };
+
+  const entries = await QuarantinedFile.find(query)
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(limit);
+
+  const total = await QuarantinedFile.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      files: entries.map(entry => ({ ...quarantineSummary(entry), user: entry.user })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    }
+  });
+}));
+
+// @desc    Delete a quarantined upload
+// @route   DELETE /api/upload/quarantine/:id
+// @access  Private
+router.delete('/quarantine/:id', protect, validateObjectId('id'), catchAsync(async (req, res) => {
+  const entry = await QuarantinedFile.findById(req.params.id);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quarantined file not found'
+    });
+  }
+
+  if (entry.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  await uploadVerificationService.remove(entry);
+
+  res.status(200).json({
+    success: true,
+    message: 'Quarantined file deleted'
+  });
+}));
+
 // @desc    Delete uploaded file
 // @route   DELETE /api/upload/files/:publicId
 // @access  Private
 router.delete('/files/:publicId', protect, catchAsync(async (req, res) => {
   const { publicId } = req.params;
 
+  if (!ownsFile(publicId, req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
   try {
-    // Delete from Cloudinary
-    const result = await cloudinary.uploader.destroy(publicId);
+    // Files attached to an analysis know their backend and thumbnail
+    const analysis = await Analysis.findOne({ user: req.user.id, 'files.filename': publicId });
+    const record = analysis ? analysis.files.find(file => file.filename === publicId) : null;
+    const removed = record
+      ? await storageService.remove(record)
+      : await storageService.getAdapter().remove(publicId);
     
-    if (result.result === 'ok') {
+    if (removed) {
       res.status(200).json({
         success: true,
         message: 'File deleted successfully'
@@ -254,10 +662,17 @@ router.get('/stats', protect, catchAsync(async (req, res) => {
     { $group: { _id: null, totalFiles: { $sum: '$fileCount' } } }
   ]);
 
+  let storageUsed = 0;
+  try {
+    storageUsed = await storageService.getUsage(userId);
+  } catch (error) {
+    console.error('Storage usage error:', error.message);
+  }
+
   const stats = {
     totalAnalyses,
     totalFiles: totalFiles.length > 0 ? totalFiles[0].totalFiles : 0,
-    storageUsed: 0, // This would need to be calculated from Cloudinary API
+    storageUsed, // bytes
     remainingUploads: 10 - totalAnalyses // Assuming free tier allows 10 analyses
   };
 
@@ -267,37 +682,49 @@ router.get('/stats', protect, catchAsync(async (req, res) => {
   });
 }));
 
-// @desc    Get file info
+// @desc    Get file info with a signed download URL
 // @route   GET /api/upload/files/:publicId
 // @access  Private
 router.get('/files/:publicId', protect, catchAsync(async (req, res) => {
   const { publicId } = req.params;
 
-  try {
-    const result = await cloudinary.api.resource(publicId);
-    
-    res.status(200).json({
-      success: true,
-      data: {
-        file: {
-          public_id: result.public_id,
-          url: result.secure_url,
-          format: result.format,
-          size: result.bytes,
-          dimensions: {
-            width: result.width,
-            height: result.height
-          },
-          createdAt: result.created_at
-        }
-      }
+  if (!ownsFile(publicId, req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
     });
-  } catch (error) {
-    res.status(404).json({
+  }
+
+  const adapter = storageService.getAdapter();
+  const result = await adapter.stat(publicId);
+
+  if (!result) {
+    return res.status(404).json({
       success: false,
       message: 'File not found'
     });
   }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      file: {
+        public_id: result.key,
+        url: adapter.getSignedUrl(result.key, {
+          format: result.format,
+          resourceType: result.resourceType,
+          expiresIn: storageService.urlExpiresIn
+        }) || result.url,
+        format: result.format,
+        size: result.bytes,
+        dimensions: {
+          width: result.width,
+          height: result.height
+        },
+        createdAt: result.createdAt
+      }
+    }
+  });
 }));
 
 // Error handling middleware for multer
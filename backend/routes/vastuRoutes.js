@@ -5,12 +5,16 @@ const router = express.Router();
 const VastuRule = require('../models/VastuRule');
 
 // Import middleware
-const { protect, authorize } = require('../middleware/auth');
-const { validateVastuRule, validatePagination } = require('../middleware/validation');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { validateVastuRule, validateTraditionProfile, validateRoomGuidance, validatePagination } = require('../middleware/validation');
 
 // Import utilities
 const catchAsync = require('../utils/catchAsync');
 
+// Import services
+const scoringService = require('../services/scoringService');
+const traditionService = require('../services/traditionService');
+
 // @desc    Get all Vastu rules
 // @route   GET /api/vastu/rules
 // @access  Public
@@ -40,12 +44,16 @@ router.get('/rules', validatePagination, catchAsync(async (req, res) => {
   if (req.query.impact) {
     query.impact = req.query.impact;
   }
+  // Rules of one region's tradition along with the shared ones
+  if (req.query.region) {
+    query.region = { $in: [null, req.query.region] };
+  }
 
   const rules = await VastuRule.find(query)
     .sort({ priority: -1, importance: -1 })
     .skip(skip)
     .limit(limit)
-    .select('name category description direction roomType element importance impact benefits consequences remedies');
+    .select('name category description direction roomType element importance impact region benefits consequences remedies');
 
   const total = await VastuRule.countDocuments(query);
 
@@ -320,8 +328,8 @@ router.get('/directions', catchAsync(async (req, res) => {
 
 // @desc    Get room-specific Vastu guidelines
 // @route   GET /api/vastu/rooms/:roomType
-// @access  Public
-router.get('/rooms/:roomType', catchAsync(async (req, res) => {
+// @access  Public (signed-in users get their region's tradition)
+router.get('/rooms/:roomType', optionalAuth, validateRoomGuidance, catchAsync(async (req, res) => {
   const { roomType } = req.params;
 
   const roomGuidelines = {
@@ -381,9 +389,100 @@ router.get('/rooms/:roomType', catchAsync(async (req, res) => {
     });
   }
 
+  // A region asked for, else the signed-in user's; anonymous requests get the general guidance
+  const region = req.query.region || (req.user ? traditionService.regionOf(req.user) : null);
+  if (!region) {
+    return res.status(200).json({
+      success: true,
+      data: { guidelines }
+    });
+  }
+
+  const [rules, profile] = await Promise.all([
+    scoringService.loadRules({ roomType }, { region }),
+    traditionService.getProfile(region)
+  ]);
+  const placement = rules
+    .filter(rule => rule.direction && rule.direction !== 'any')
+    .map(rule => ({ rule, weight: scoringService.getRuleWeight(rule) }))
+    .sort((a, b) => b.weight - a.weight);
+  const directionsOf = impact => {
+    const directions = [...new Set(placement.filter(item => item.rule.impact === impact).map(item => item.rule.direction))];
+    return directions.map(direction => direction.charAt(0).toUpperCase() + direction.slice(1)).join(' or ');
+  };
+
+  res.status(200).json({
+    success: true,
+    data: {
+      guidelines: {
+        ...guidelines,
+        // The region's rules decide the zones wherever they say anything about them
+        idealDirection: directionsOf('positive') || guidelines.idealDirection,
+        avoidDirection: directionsOf('negative') || guidelines.avoidDirection,
+        rules: placement.map(({ rule, weight }) => ({
+          id: rule._id,
+          name: rule.name,
+          direction: rule.direction,
+          impact: rule.impact,
+          importance: rule.importance,
+          weight,
+          region: rule.region || null
+        }))
+      },
+      tradition: {
+        region,
+        name: profile ? profile.name : null
+      }
+    }
+  });
+}));
+
+// @desc    Get regional Vastu traditions
+// @route   GET /api/vastu/traditions
+// @access  Public
+router.get('/traditions', catchAsync(async (req, res) => {
+  const traditions = await traditionService.list();
+
+  res.status(200).json({
+    success: true,
+    data: { traditions }
+  });
+}));
+
+// @desc    Get a region's tradition profile with its rule overrides and regional rules
+// @route   GET /api/vastu/traditions/:region
+// @access  Public
+router.get('/traditions/:region', catchAsync(async (req, res) => {
+  const { profile, rules } = await traditionService.get(req.params.region);
+
+  res.status(200).json({
+    success: true,
+    data: { tradition: profile, rules }
+  });
+}));
+
+// @desc    Create or replace a region's tradition profile (Admin only)
+// @route   PUT /api/vastu/traditions/:region
+// @access  Private/Admin
+router.put('/traditions/:region', protect, authorize('admin'), validateTraditionProfile, catchAsync(async (req, res) => {
+  const { profile, created } = await traditionService.save(req.params.region, req.body, req.user.id);
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Tradition profile created successfully' : 'Tradition profile updated successfully',
+    data: { tradition: profile }
+  });
+}));
+
+// @desc    Deactivate a region's tradition profile (Admin only)
+// @route   DELETE /api/vastu/traditions/:region
+// @access  Private/Admin
+router.delete('/traditions/:region', protect, authorize('admin'), catchAsync(async (req, res) => {
+  await traditionService.deactivate(req.params.region);
+
   res.status(200).json({
     success: true,
-    data: { guidelines }
+    message: 'Tradition profile deactivated successfully'
   });
 }));
 
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+const registerJobs = require('../jobs');
+
+// Standalone job worker: run with JOB_WORKER_MODE=external on the API servers
+const startWorker = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('🗄️  MongoDB Connected for job worker');
+  } catch (error) {
+    console.error('Database connection failed:', error);
+    process.exit(1);
+  }
+
+  const jobQueue = registerJobs();
+  jobQueue.start();
+
+  const shutdown = async (signal) => {
+    console.log(`🛑 ${signal} received, waiting for running jobs...`);
+    await jobQueue.stop();
+    await mongoose.connection.close();
+    console.log('🔌 Job worker stopped');
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+};
+
+startWorker();
@@ -20,6 +20,10 @@ const advancedAnalysisRoutes = require('./routes/advancedAnalysisRoutes');
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
+const requireSignedUrl = require('./middleware/signedUrl');
+
+// Import services
+const storageService = require('./services/storageService');
 
 // Import database connection
 const connectDB = require('./config/database');
@@ -28,6 +32,9 @@ const connectDB = require('./config/database');
 const mlService = require('./services/mlService');
 mlService.initialize();
 
+// Import job handlers
+const registerJobs = require('./jobs');
+
 const app = express();
 
 // Connect to database (optional for demo)
@@ -37,6 +44,12 @@ try {
   console.log('⚠️ Database connection failed, running in demo mode');
 }
 
+// Process analysis jobs in this process unless a separate worker is deployed
+const jobQueue = registerJobs();
+if (process.env.MONGODB_URI && process.env.JOB_WORKER_MODE !== 'external') {
+  jobQueue.start();
+}
+
 // Trust proxy for rate limiting
 app.set('trust proxy', 1);
 
@@ -83,12 +96,15 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  // Lets the dashboard save downloads under the name the server gives them
+  exposedHeaders: ['Content-Disposition']
 };
 
 app.use(cors(corsOptions));
 
-// Body parsing middleware
+// Body parsing middleware; analysis bundles may be larger than other requests
+app.use('/api/analysis/import', express.json({ limit: `${parseInt(process.env.ANALYSIS_IMPORT_MAX_MB) || 50}mb` }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -101,7 +117,8 @@ app.use(hpp());
 // Compression middleware
 app.use(compression());
 
-// Logging middleware
+// Logging middleware; tokens in query strings (event streams) are kept out of the log
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/gi, '$1[redacted]'));
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
 } else {
@@ -109,7 +126,7 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use('/uploads', requireSignedUrl, express.static(storageService.getAdapter('local').root));
 app.use(express.static(path.join(__dirname, '../frontend')));
 
 // Health check endpoint
@@ -0,0 +1,34 @@
+const EventEmitter = require('events');
+
+// In-process hub for analysis lifecycle events, keyed by analysis ID
+class AnalysisEvents extends EventEmitter {
+  constructor() {
+    super();
+    // Every open SSE stream adds a listener
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publish an event for an analysis
+   * @param {string} analysisId - Analysis ID
+   * @param {string} type - status, progress, completed or failed
+   * @param {Object} data - Event payload
+   */
+  publish(analysisId, type, data = {}) {
+    this.emit(analysisId.toString(), { type, data: { analysisId: analysisId.toString(), ...data } });
+  }
+
+  /**
+   * Listen to the events of one analysis
+   * @param {string} analysisId - Analysis ID
+   * @param {Function} listener - Called with { type, data }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(analysisId, listener) {
+    const key = analysisId.toString();
+    this.on(key, listener);
+    return () => this.off(key, listener);
+  }
+}
+
+module.exports = new AnalysisEvents();
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const UploadSession = require('../models/UploadSession');
+const storageService = require('./storageService');
+const uploadVerificationService = require('./uploadVerificationService');
+
+const MB = 1024 * 1024;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Resumable uploads for files too large for a single request. Chunks are
+ * streamed to a temporary directory, verified, and on finalize streamed on to
+ * the storage adapter, so no file is ever held in memory whole.
+ */
+class ChunkedUploadService {
+  constructor() {
+    this.tempDir = path.resolve(process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'vastu-uploads'));
+    this.maxSize = (parseInt(process.env.CHUNKED_UPLOAD_MAX_MB) || 200) * MB;
+    this.defaultChunkSize = 5 * MB;
+    this.minChunkSize = 256 * 1024;
+    this.maxChunkSize = 16 * MB;
+    this.ttlMs = (parseInt(process.env.CHUNKED_UPLOAD_TTL_HOURS) || 24) * 60 * 60 * 1000;
+  }
+
+  sessionDir(session) {
+    return path.join(this.tempDir, session._id.toString());
+  }
+
+  chunkPath(session, index) {
+    return path.join(this.sessionDir(session), `${index}.part`);
+  }
+
+  // Bytes chunk `index` must contain; only the last chunk may be short
+  expectedChunkSize(session, index) {
+    return Math.min(session.chunkSize, session.size - index * session.chunkSize);
+  }
+
+  /**
+   * Start an upload session
+   * @param {string} userId - Owner
+   * @param {Object} details - { originalName, type, size, chunkSize, checksum, analysisId, title, description, extractLocation }
+   * @returns {Promise<UploadSession>} New session
+   */
+  async createSession(userId, details) {
+    if (details.size > this.maxSize) {
+      throw httpError(`File too large. Maximum size is ${this.maxSize / MB}MB`, 413);
+    }
+
+    const chunkSize = Math.min(this.maxChunkSize, Math.max(this.minChunkSize, details.chunkSize || this.defaultChunkSize));
+    this.purgeStale().catch(error => console.error('Upload cleanup error:', error.message));
+
+    return UploadSession.create({
+      user: userId,
+      analysis: details.analysisId,
+      title: details.title,
+      description: details.description,
+      originalName: details.originalName,
+      type: details.type,
+      size: details.size,
+      chunkSize,
+      totalChunks: Math.ceil(details.size / chunkSize),
+      checksum: details.checksum ? details.checksum.toLowerCase() : undefined,
+      extractLocation: details.extractLocation,
+      expiresAt: new Date(Date.now() + this.ttlMs)
+    });
+  }
+
+  /**
+   * Receive one chunk, hashing and counting it as it streams to disk.
+   * A chunk only counts once it is complete and verified, so resending is always safe.
+   * @param {UploadSession} session - Open session
+   * @param {number} index - Chunk number, from 0
+   * @param {Readable} stream - Chunk contents (the request)
+   * @param {string} expectedChecksum - SHA-256 of the chunk, hex, when the client supplies one
+   * @returns {Promise<Object>} { index, size, checksum }
+   */
+  async writeChunk(session, index, stream, expectedChecksum) {
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      throw httpError(`Chunk index must be between 0 and ${session.totalChunks - 1}`, 400);
+    }
+
+    const expectedSize = this.expectedChunkSize(session, index);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const meter = new Transform({
+      transform(data, encoding, callback) {
+        size += data.length;
+        if (size > expectedSize) {
+          callback(httpError(`Chunk ${index} must be ${expectedSize} bytes`, 400));
+          return;
+        }
+        hash.update(data);
+        callback(null, data);
+      }
+    });
+
+    const target = this.chunkPath(session, index);
+    const partial = `${target}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      await pipeline(stream, meter, fs.createWriteStream(partial));
+      if (size !== expectedSize) {
+        throw httpError(`Chunk ${index} must be ${expectedSize} bytes, received ${size}`, 400);
+      }
+
+      const checksum = hash.digest('hex');
+      if (expectedChecksum && expectedChecksum.toLowerCase() !== checksum) {
+        throw httpError(`Checksum mismatch for chunk ${index}`, 422);
+      }
+
+      // Unlist the chunk only while the session is still open; from here until it is listed
+      // again the upload is incomplete, so it cannot start finalizing under the rename
+      const open = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: 'open' },
+        { $pull: { chunks: { index } } }
+      );
+      if (!open) {
+        throw httpError('Upload session is no longer open', 409);
+      }
+
+      await fs.promises.rename(partial, target);
+      const chunk = { index, size, checksum };
+      await UploadSession.updateOne({ _id: session._id, 'chunks.index': { $ne: index } }, { $push: { chunks: chunk } });
+      return chunk;
+    } catch (error) {
+      await fs.promises.rm(partial, { force: true });
+      throw error;
+    }
+  }
+
+  // The received chunks, in order, as one stream
+  openStream(session) {
+    const paths = Array.from({ length: session.totalChunks }, (value, index) => this.chunkPath(session, index));
+    return Readable.from((async function* () {
+      for (const chunkPath of paths) {
+        yield* fs.createReadStream(chunkPath);
+      }
+    })());
+  }
+
+  async hashFile(session) {
+    const hash = crypto.createHash('sha256');
+    for await (const data of this.openStream(session)) {
+      hash.update(data);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Assemble the chunks, verify the content and store the file.
+   * A file that fails verification is quarantined instead.
+   * @param {UploadSession} session - Session with every chunk received
+   * @returns {Promise<Object>} { file: record for Analysis.files, location: EXIF GPS position when requested }
+   */
+  async finalize(session) {
+    if (session.checksum && await this.hashFile(session) !== session.checksum) {
+      throw httpError('Checksum mismatch for the assembled file', 422);
+    }
+
+    const openStream = () => this.openStream(session);
+    const details = { mimetype: session.type, originalname: session.originalName, size: session.size };
+    const verification = await uploadVerificationService.verify(openStream, details, {
+      extractLocation: session.extractLocation
+    });
+    if (!verification.passed) {
+      await uploadVerificationService.quarantine(openStream, details, verification, session.user, 'session');
+      throw httpError(`File failed content verification: ${verification.reasons.join('; ')}`, 422);
+    }
+
+    const file = await storageService.storeStream(openStream, details, storageService.getUserFolder(session.user));
+
+    await this.discard(session);
+    return { file, location: verification.location };
+  }
+
+  async discard(session) {
+    await fs.promises.rm(this.sessionDir(session), { recursive: true, force: true });
+  }
+
+  // Remove chunk directories left behind by sessions that expired
+  async purgeStale() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.tempDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const cutoff = Date.now() - this.ttlMs;
+    for (const entry of entries.filter(item => item.isDirectory())) {
+      const directory = path.join(this.tempDir, entry.name);
+      const stats = await fs.promises.stat(directory);
+      if (stats.mtimeMs < cutoff) {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+      }
+    }
+  }
+}
+
+module.exports = new ChunkedUploadService();
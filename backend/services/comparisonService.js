@@ -0,0 +1,162 @@
+const DIRECTIONS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest', 'center'];
+const ELEMENTS = ['earth', 'water', 'fire', 'air', 'space'];
+const FAILED_STATUSES = ['violated', 'unsatisfied'];
+
+const average = (values) => (values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+// One aligned row: a value per analysis and the positions holding the best value, unless all are level
+const row = (values) => {
+  const present = values.filter(value => typeof value === 'number');
+  const top = Math.max(...present);
+  const level = present.length < 2 || top === Math.min(...present);
+  return {
+    values,
+    best: level ? [] : values.reduce((best, value, index) => (value === top ? [...best, index] : best), [])
+  };
+};
+
+// Critical rule checks an analysis failed, identified by rule and room type so they match across plans
+const criticalFailures = (analysis) => {
+  const failures = new Map();
+  ((analysis.vastuAnalysis && analysis.vastuAnalysis.ruleEvaluations) || [])
+    .filter(item => item.importance === 'critical' && FAILED_STATUSES.includes(item.status))
+    .forEach(item => {
+      const key = `${item.rule || item.ruleName}|${item.roomType || ''}`;
+      if (!failures.has(key)) {
+        failures.set(key, {
+          ruleName: item.ruleName,
+          roomType: item.roomType,
+          subject: item.subject,
+          direction: item.direction,
+          status: item.status,
+          reason: item.reason
+        });
+      }
+    });
+  return failures;
+};
+
+/**
+ * Lines up the scores of several completed analyses, so candidate homes can
+ * be compared side by side, and ranks them.
+ */
+class ComparisonService {
+  /**
+   * Compare analyses
+   * @param {Analysis[]} analyses - Completed analyses, in the order to present them
+   * @returns {Object} { analyses, scores, directions, elements, roomTypes, criticalViolations, ranking, recommendation }
+   */
+  compare(analyses) {
+    const results = analyses.map(analysis => analysis.vastuAnalysis || {});
+    const scoreOf = (pick) => row(results.map(result => {
+      const value = pick(result);
+      return typeof value === 'number' ? value : null;
+    }));
+
+    const directions = {};
+    DIRECTIONS.forEach(direction => {
+      directions[direction] = scoreOf(result => result.directionalAnalysis && result.directionalAnalysis[direction] && result.directionalAnalysis[direction].score);
+    });
+
+    const elements = {};
+    ELEMENTS.forEach(element => {
+      elements[element] = scoreOf(result => result.fiveElements && result.fiveElements[element] && result.fiveElements[element].score);
+    });
+
+    // Rooms of a type are averaged, since plans may have several bedrooms
+    const roomTypes = {};
+    const types = [...new Set(results.flatMap(result => (result.roomAnalysis || []).map(room => room.roomType)))].filter(Boolean).sort();
+    types.forEach(type => {
+      const rooms = results.map(result => (result.roomAnalysis || []).filter(room => room.roomType === type && typeof room.vastuScore === 'number'));
+      roomTypes[type] = {
+        ...row(rooms.map(list => average(list.map(room => room.vastuScore)))),
+        counts: rooms.map(list => list.length)
+      };
+    });
+
+    const failures = analyses.map(criticalFailures);
+    const criticalViolations = failures.map((own, index) => {
+      const others = failures.filter((other, position) => position !== index);
+      return {
+        total: own.size,
+        unique: [...own.entries()]
+          .filter(([key]) => !others.some(other => other.has(key)))
+          .map(([, failure]) => failure)
+      };
+    });
+
+    const ranking = this.rank(analyses, criticalViolations);
+
+    return {
+      analyses: analyses.map(analysis => ({
+        id: analysis._id,
+        title: analysis.title,
+        createdAt: analysis.createdAt,
+        completedAt: analysis.completedAt,
+        area: analysis.floorPlan && analysis.floorPlan.dimensions ? analysis.floorPlan.dimensions.area : undefined,
+        unit: analysis.floorPlan && analysis.floorPlan.dimensions ? analysis.floorPlan.dimensions.unit : undefined,
+        entrance: analysis.floorPlan && analysis.floorPlan.entrance ? analysis.floorPlan.entrance.direction : undefined
+      })),
+      scores: {
+        overall: scoreOf(result => result.overallScore),
+        energyFlow: scoreOf(result => result.energyFlow && result.energyFlow.score),
+        entrance: scoreOf(result => result.entranceScore)
+      },
+      directions,
+      elements,
+      roomTypes,
+      criticalViolations,
+      ranking,
+      recommendation: this.recommend(ranking, criticalViolations)
+    };
+  }
+
+  /**
+   * Order analyses best first: by overall score, then fewer critical violations, then entrance score
+   * @returns {Object[]} { rank, index, id, title, overallScore, criticalViolations }
+   */
+  rank(analyses, criticalViolations) {
+    return analyses
+      .map((analysis, index) => ({
+        index,
+        id: analysis._id,
+        title: analysis.title,
+        overallScore: (analysis.vastuAnalysis && analysis.vastuAnalysis.overallScore) || 0,
+        entranceScore: (analysis.vastuAnalysis && analysis.vastuAnalysis.entranceScore) || 0,
+        criticalViolations: criticalViolations[index].total
+      }))
+      .sort((a, b) => (b.overallScore - a.overallScore) ||
+        (a.criticalViolations - b.criticalViolations) ||
+        (b.entranceScore - a.entranceScore))
+      .map(({ entranceScore, ...entry }, position) => ({ rank: position + 1, ...entry }));
+  }
+
+  // A sentence naming the best analysis and why
+  recommend(ranking, criticalViolations) {
+    const [best, next] = ranking;
+    const reasons = [];
+
+    if (best.overallScore > next.overallScore) {
+      reasons.push(`the highest overall score (${best.overallScore}, ${best.overallScore - next.overallScore} ahead of ${next.title})`);
+    } else {
+      reasons.push(`an overall score of ${best.overallScore}, level with ${next.title}`);
+    }
+
+    const violations = criticalViolations[best.index];
+    if (violations.total === 0) {
+      reasons.push('no critical rule violations');
+    } else if (violations.total < next.criticalViolations) {
+      reasons.push(`fewer critical violations (${violations.total} against ${next.criticalViolations})`);
+    } else {
+      reasons.push(`${violations.total} critical violation${violations.total === 1 ? '' : 's'} to remedy`);
+    }
+
+    return {
+      id: best.id,
+      title: best.title,
+      summary: `${best.title} is the strongest candidate, with ${reasons.join(' and ')}.`
+    };
+  }
+}
+
+module.exports = new ComparisonService();
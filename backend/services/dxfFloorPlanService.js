@@ -0,0 +1,370 @@
+const { pointInPolygon, polygonArea } = require('../utils/geometry');
+const { roomTypeFromLabel, roomNameFromLabel } = require('../utils/roomLabels');
+
+// Metres per drawing unit for the $INSUNITS header codes used in floor plans
+const INSUNITS = {
+  1: { unit: 'in', meters: 0.0254 },
+  2: { unit: 'ft', meters: 0.3048 },
+  4: { unit: 'mm', meters: 0.001 },
+  5: { unit: 'cm', meters: 0.01 },
+  6: { unit: 'm', meters: 1 }
+};
+const UNIT_METERS = Object.values(INSUNITS).reduce((units, { unit, meters }) => ({ ...units, [unit]: meters }), {});
+
+// Plan units for each floorPlan.dimensions.unit
+const PLAN_UNITS = { sqft: 'ft', sqm: 'm' };
+
+// Layer names (case-insensitive, * as wildcard) read for each part of the plan
+const DEFAULT_LAYERS = {
+  rooms: ['A-AREA*', 'A-ROOM*', 'ROOM*', 'SPACE*', 'AREA*'],
+  walls: ['A-WALL*', 'WALL*'],
+  labels: ['A-AREA-IDEN*', 'A-ANNO*', 'A-ROOM-NAME*', 'ROOM-NAME*', 'TEXT*', 'LABEL*', 'ANNO*'],
+  doors: ['A-DOOR*', 'DOOR*'],
+  windows: ['A-GLAZ*', 'A-WIND*', 'WINDOW*'],
+  boundary: ['A-SITE*', 'BOUNDARY*', 'PLOT*', 'C-PROP*']
+};
+
+const LAYER_ENV = {
+  rooms: 'DXF_ROOM_LAYERS',
+  walls: 'DXF_WALL_LAYERS',
+  labels: 'DXF_LABEL_LAYERS',
+  doors: 'DXF_DOOR_LAYERS',
+  windows: 'DXF_WINDOW_LAYERS',
+  boundary: 'DXF_BOUNDARY_LAYERS'
+};
+
+// Nested blocks deeper than this are ignored, which also stops self-references
+const MAX_INSERT_DEPTH = 8;
+
+/**
+ * Imports floor plans drawn in CAD and exported as ASCII DXF. Closed polylines
+ * on room layers become rooms, named by the text inside them; lines on wall
+ * layers become walls; door and window blocks become openings.
+ */
+class DxfFloorPlanService {
+  constructor() {
+    this.supportedTypes = ['application/dxf', 'application/x-dxf', 'image/vnd.dxf', 'image/x-dxf'];
+    this.layers = Object.keys(DEFAULT_LAYERS).reduce((layers, part) => ({
+      ...layers,
+      [part]: process.env[LAYER_ENV[part]]
+        ? process.env[LAYER_ENV[part]].split(',').map(name => name.trim()).filter(Boolean)
+        : DEFAULT_LAYERS[part]
+    }), {});
+  }
+
+  // Browsers rarely know the DXF MIME type, so the extension counts too
+  isDxf(file) {
+    const name = file.originalname || file.originalName || '';
+    return this.supportedTypes.includes(file.mimetype || file.type) || /\.dxf$/i.test(name);
+  }
+
+  /**
+   * Read the group code / value pairs of an ASCII DXF file
+   * @param {string} text - File contents
+   * @returns {Object} { header, blocks: { name: { base, entities } }, entities }
+   */
+  parse(text) {
+    const lines = text.split(/\r?\n/);
+    if (lines.length < 2 || !/^\s*0\s*$/.test(lines[0])) {
+      throw this.permanentError('Not an ASCII DXF file');
+    }
+
+    const pairs = [];
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+      pairs.push({ code: parseInt(lines[i], 10), value: lines[i + 1].trim() });
+    }
+
+    const header = {};
+    const blocks = {};
+    const entities = [];
+    let section = null;
+    let block = null;
+    let entity = null;
+    let variable = null;
+
+    const finishEntity = () => {
+      if (!entity) return;
+      (block ? block.entities : entities).push(entity);
+      entity = null;
+    };
+
+    pairs.forEach(({ code, value }) => {
+      if (code === 0) {
+        finishEntity();
+        if (value === 'SECTION' || value === 'ENDSEC') {
+          section = null;
+        } else if (section === 'BLOCKS' && value === 'BLOCK') {
+          block = { name: null, base: { x: 0, y: 0 }, entities: [] };
+        } else if (section === 'BLOCKS' && value === 'ENDBLK') {
+          if (block && block.name) blocks[block.name] = block;
+          block = null;
+        } else if (section === 'ENTITIES' || (section === 'BLOCKS' && block)) {
+          entity = { type: value, layer: '0', values: [] };
+        }
+        return;
+      }
+
+      if (code === 2 && section === null) {
+        section = value;
+      } else if (section === 'HEADER') {
+        if (code === 9) variable = value;
+        else if (variable) header[variable] = header[variable] || value;
+      } else if (entity) {
+        if (code === 8) entity.layer = value;
+        entity.values.push({ code, value });
+      } else if (block) {
+        if (code === 2) block.name = value;
+        if (code === 10) block.base.x = parseFloat(value);
+        if (code === 20) block.base.y = parseFloat(value);
+      }
+    });
+    finishEntity();
+
+    const read = (items) => items.map(item => this.readEntity(item)).filter(Boolean);
+    Object.values(blocks).forEach(item => {
+      item.entities = read(item.entities);
+    });
+
+    return { header, blocks, entities: read(entities) };
+  }
+
+  // Geometry of the supported entity types; anything else is dropped
+  readEntity({ type, layer, values }) {
+    const first = (code, fallback) => {
+      const pair = values.find(item => item.code === code);
+      return pair ? pair.value : fallback;
+    };
+    const number = (code, fallback = 0) => {
+      const value = parseFloat(first(code));
+      return Number.isFinite(value) ? value : fallback;
+    };
+
+    if (type === 'LINE') {
+      return {
+        type,
+        layer,
+        start: { x: number(10), y: number(20) },
+        end: { x: number(11), y: number(21) }
+      };
+    }
+
+    if (type === 'LWPOLYLINE') {
+      const points = [];
+      values.forEach(({ code, value }) => {
+        if (code === 10) points.push({ x: parseFloat(value), y: 0 });
+        if (code === 20 && points.length > 0) points[points.length - 1].y = parseFloat(value);
+      });
+      return { type, layer, points, closed: (parseInt(first(70, '0'), 10) & 1) === 1 };
+    }
+
+    if (type === 'TEXT' || type === 'MTEXT') {
+      // MTEXT splits long strings across code 3 and code 1, and embeds formatting codes
+      const text = values.filter(item => item.code === 3 || item.code === 1).map(item => item.value).join('');
+      return {
+        type: 'TEXT',
+        layer,
+        text: type === 'MTEXT' ? this.cleanMText(text) : text.trim(),
+        position: { x: number(10), y: number(20) }
+      };
+    }
+
+    if (type === 'INSERT') {
+      return {
+        type,
+        layer,
+        block: first(2),
+        position: { x: number(10), y: number(20) },
+        scale: { x: number(41, 1), y: number(42, 1) },
+        rotation: number(50)
+      };
+    }
+
+    return null;
+  }
+
+  cleanMText(text) {
+    return text
+      .replace(/\\P/g, ' ')
+      .replace(/\\[A-Za-z][^;\\]*;/g, '')
+      .replace(/[{}]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Entities with block references expanded into drawing coordinates. Block
+   * contents drawn on layer 0 take the layer of their INSERT, as in CAD.
+   * @param {Object} drawing - parse() result
+   * @returns {Array} Flat list of LINE, LWPOLYLINE, TEXT and INSERT entities
+   */
+  explode(drawing) {
+    const result = [];
+
+    const visit = (entities, transform, insertLayer, depth) => {
+      entities.forEach(entity => {
+        const layer = entity.layer === '0' && insertLayer ? insertLayer : entity.layer;
+
+        if (entity.type === 'INSERT') {
+          const block = drawing.blocks[entity.block];
+          const placed = this.placeInsert(entity, block, transform);
+          result.push({ ...entity, layer, position: transform(entity.position), ...placed });
+          if (block && depth < MAX_INSERT_DEPTH) {
+            visit(block.entities, placed.transform, layer, depth + 1);
+          }
+        } else if (entity.type === 'LINE') {
+          result.push({ ...entity, layer, start: transform(entity.start), end: transform(entity.end) });
+        } else if (entity.type === 'LWPOLYLINE') {
+          result.push({ ...entity, layer, points: entity.points.map(transform) });
+        } else if (entity.type === 'TEXT') {
+          result.push({ ...entity, layer, position: transform(entity.position) });
+        }
+      });
+    };
+
+    visit(drawing.entities, point => point, null, 0);
+    return result;
+  }
+
+  // Transform for an INSERT's block contents, and the placed block's extent along its x axis
+  placeInsert(insert, block, parentTransform) {
+    const angle = (insert.rotation * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const base = block ? block.base : { x: 0, y: 0 };
+
+    const transform = (point) => {
+      const x = (point.x - base.x) * insert.scale.x;
+      const y = (point.y - base.y) * insert.scale.y;
+      return parentTransform({
+        x: insert.position.x + x * cos - y * sin,
+        y: insert.position.y + x * sin + y * cos
+      });
+    };
+
+    const xs = block ? block.entities.flatMap(entity => this.entityPoints(entity).map(point => point.x)) : [];
+    const width = xs.length > 0 ? (Math.max(...xs) - Math.min(...xs)) * Math.abs(insert.scale.x) : 0;
+
+    return { transform, width };
+  }
+
+  entityPoints(entity) {
+    if (entity.type === 'LINE') return [entity.start, entity.end];
+    if (entity.type === 'LWPOLYLINE') return entity.points;
+    if (entity.type === 'INSERT' || entity.type === 'TEXT') return [entity.position];
+    return [];
+  }
+
+  matchesLayer(layer, patterns) {
+    return patterns.some(pattern => {
+      const expression = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+      return new RegExp(`^${expression}$`, 'i').test(layer);
+    });
+  }
+
+  /**
+   * Drawing units, from $INSUNITS or guessed from the size of the drawing
+   * @param {Object} header - DXF header variables
+   * @param {number} extent - Longest side of the drawing in drawing units
+   * @returns {Object} { unit, meters, source: 'header' | 'guessed' }
+   */
+  detectUnits(header, extent) {
+    const declared = INSUNITS[parseInt(header.$INSUNITS, 10)];
+    if (declared) return { ...declared, source: 'header' };
+
+    // A house is roughly 5 to 100 m across; pick the unit that puts the drawing in that range
+    const metric = header.$MEASUREMENT === undefined || parseInt(header.$MEASUREMENT, 10) === 1;
+    let unit;
+    if (metric) {
+      unit = extent > 2000 ? 'mm' : extent > 200 ? 'cm' : 'm';
+    } else {
+      unit = extent > 400 ? 'in' : 'ft';
+    }
+    return { unit, meters: UNIT_METERS[unit], source: 'guessed' };
+  }
+
+  /**
+   * Convert a DXF drawing into floor-plan fields of the Analysis model
+   * @param {Buffer|string} input - DXF file
+   * @param {Object} options - { unit: 'sqft' | 'sqm', layers: { rooms, walls, labels, doors, windows, boundary } }
+   * @returns {Object} { rooms, walls, doors, windows, boundary, dimensions, units, layers }
+   */
+  import(input, options = {}) {
+    const drawing = this.parse(Buffer.isBuffer(input) ? input.toString('latin1') : String(input));
+    const layers = { ...this.layers, ...(options.layers || {}) };
+    const entities = this.explode(drawing);
+    const onLayers = (part) => entities.filter(entity => this.matchesLayer(entity.layer, layers[part]));
+
+    const roomOutlines = onLayers('rooms').filter(entity => entity.type === 'LWPOLYLINE' && entity.closed && entity.points.length >= 3);
+    const wallEntities = onLayers('walls');
+    const boundaryOutline = onLayers('boundary').find(entity => entity.type === 'LWPOLYLINE' && entity.closed);
+    const labels = onLayers('labels').filter(entity => entity.type === 'TEXT' && entity.text);
+    const doors = onLayers('doors').filter(entity => entity.type === 'INSERT');
+    const windows = onLayers('windows').filter(entity => entity.type === 'INSERT');
+
+    const planPoints = [
+      ...roomOutlines.flatMap(entity => entity.points),
+      ...wallEntities.flatMap(entity => this.entityPoints(entity)),
+      ...(boundaryOutline ? boundaryOutline.points : [])
+    ];
+    if (planPoints.length === 0) {
+      throw this.permanentError(`No room or wall geometry found on layers ${[...layers.rooms, ...layers.walls].join(', ')}`);
+    }
+
+    const minX = Math.min(...planPoints.map(point => point.x));
+    const minY = Math.min(...planPoints.map(point => point.y));
+    const spanX = Math.max(...planPoints.map(point => point.x)) - minX;
+    const spanY = Math.max(...planPoints.map(point => point.y)) - minY;
+
+    const planUnit = options.unit === 'sqm' ? 'sqm' : 'sqft';
+    const units = this.detectUnits(drawing.header, Math.max(spanX, spanY));
+    const factor = units.meters / UNIT_METERS[PLAN_UNITS[planUnit]];
+    const round = (value) => Math.round(value * 1000) / 1000;
+    // Plan coordinates start at the drawing's lower-left corner
+    const toPlan = (point) => ({ x: round((point.x - minX) * factor), y: round((point.y - minY) * factor) });
+
+    const rooms = roomOutlines.map((outline, index) => {
+      const polygon = outline.points.map(toPlan);
+      const label = labels.find(text => pointInPolygon(toPlan(text.position), polygon) && roomTypeFromLabel(text.text));
+      return {
+        key: `room-${index}`,
+        name: label ? roomNameFromLabel(label.text) : `Room ${index + 1}`,
+        type: label ? roomTypeFromLabel(label.text) : 'other',
+        source: 'detected',
+        confidence: label ? 1 : 0.5,
+        polygon
+      };
+    }).filter(room => polygonArea(room.polygon) > 0);
+
+    const walls = wallEntities.flatMap(entity => {
+      if (entity.type === 'LINE') return [{ start: toPlan(entity.start), end: toPlan(entity.end) }];
+      if (entity.type !== 'LWPOLYLINE') return [];
+      const points = entity.closed ? [...entity.points, entity.points[0]] : entity.points;
+      return points.slice(1).map((point, index) => ({ start: toPlan(points[index]), end: toPlan(point) }));
+    }).map(wall => ({ ...wall, source: 'drawn' }));
+
+    const opening = (insert) => ({ position: toPlan(insert.position), width: round(insert.width * factor) || undefined });
+
+    return {
+      rooms,
+      walls,
+      doors: doors.map(opening),
+      windows: windows.map(opening),
+      boundary: boundaryOutline ? boundaryOutline.points.map(toPlan) : [],
+      dimensions: {
+        length: round(spanX * factor),
+        width: round(spanY * factor),
+        unit: planUnit
+      },
+      units: { drawing: units.unit, source: units.source, scale: factor },
+      layers
+    };
+  }
+
+  permanentError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+  }
+}
+
+module.exports = new DxfFloorPlanService();
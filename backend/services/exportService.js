@@ -0,0 +1,302 @@
+const { once } = require('events');
+const Analysis = require('../models/Analysis');
+const floorPlanService = require('./floorPlanService');
+const geometry = require('../utils/geometry');
+
+// Version of the JSON export layout; bump it when the shape of an exported analysis changes
+const EXPORT_SCHEMA_VERSION = 1;
+
+const FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' }
+};
+
+const CSV_COLUMNS = [
+  'analysis_id', 'analysis_title', 'status', 'overall_score', 'created_at', 'completed_at',
+  'record', 'room_name', 'room_type', 'direction', 'room_score',
+  'remedy_type', 'priority', 'cost', 'difficulty', 'description',
+  'issues', 'recommendations'
+];
+
+// Metres per plan unit, by the unit the plan's area is measured in
+const METRES_PER_UNIT = { sqft: 0.3048, sqm: 1 };
+const METRES_PER_DEGREE_LATITUDE = 111320;
+
+// A `to` date without a time, which covers the whole day
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return csvCell(value.join('; '));
+  if (typeof value !== 'string') return String(value);
+
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// GeoJSON positions are [longitude, latitude], rounded to about a centimetre
+const round = (value) => Math.round(value * 1e7) / 1e7;
+
+/**
+ * Streams a user's analyses as JSON, CSV or GeoJSON. Analyses are read with a
+ * cursor and written as they arrive, so exports of any size use little memory.
+ */
+class ExportService {
+  constructor() {
+    this.schemaVersion = EXPORT_SCHEMA_VERSION;
+    this.formats = Object.keys(FORMATS);
+  }
+
+  /**
+   * MongoDB query for a user's analyses matching the export filters
+   * @param {string} userId - Owner
+   * @param {Object} filters - { status, from, to, minScore, maxScore }
+   * @returns {Object} Query
+   */
+  buildQuery(userId, filters = {}) {
+    const query = { user: userId };
+
+    if (filters.status) {
+      query.status = { $in: filters.status.split(',') };
+    }
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to && DATE_ONLY.test(filters.to)) {
+        const nextDay = new Date(filters.to);
+        nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+        query.createdAt.$lt = nextDay;
+      } else if (filters.to) {
+        query.createdAt.$lte = new Date(filters.to);
+      }
+    }
+    if (filters.minScore !== undefined || filters.maxScore !== undefined) {
+      query['vastuAnalysis.overallScore'] = {};
+      if (filters.minScore !== undefined) query['vastuAnalysis.overallScore'].$gte = Number(filters.minScore);
+      if (filters.maxScore !== undefined) query['vastuAnalysis.overallScore'].$lte = Number(filters.maxScore);
+    }
+
+    return query;
+  }
+
+  // Content type and download filename for a format
+  describe(format, date = new Date()) {
+    const { contentType, extension } = FORMATS[format];
+    return {
+      contentType,
+      filename: `vastu-analyses-${date.toISOString().slice(0, 10)}.${extension}`
+    };
+  }
+
+  /**
+   * Write a user's analyses to a response in the requested format
+   * @param {Writable} output - Destination, usually the HTTP response
+   * @param {string} format - 'json', 'csv' or 'geojson'
+   * @param {string} userId - Owner
+   * @param {Object} filters - { status, from, to, minScore, maxScore }
+   * @returns {Promise<number>} Number of analyses written
+   */
+  async stream(output, format, userId, filters = {}) {
+    const query = this.buildQuery(userId, filters);
+    const cursor = Analysis.find(query).sort('-createdAt').select('-__v').lean().cursor();
+
+    // Stop reading once the client goes away
+    const closed = () => cursor.close().catch(() => {});
+    output.once('close', closed);
+
+    const write = async (text) => {
+      if (!output.write(text)) {
+        await Promise.race([once(output, 'drain'), once(output, 'close')]);
+      }
+    };
+
+    let count = 0;
+    try {
+      await write(this.header(format, filters));
+      for await (const analysis of cursor) {
+        if (output.destroyed) break;
+        await write(this[`${format}Entry`](analysis, count));
+        count++;
+      }
+      if (!output.destroyed) output.end(this.footer(format, count));
+    } finally {
+      output.removeListener('close', closed);
+    }
+
+    return count;
+  }
+
+  header(format, filters) {
+    if (format === 'csv') return csvRow(CSV_COLUMNS);
+
+    const meta = {
+      schemaVersion: this.schemaVersion,
+      exportedAt: new Date().toISOString(),
+      filters
+    };
+    if (format === 'geojson') {
+      return `{"type":"FeatureCollection","schemaVersion":${meta.schemaVersion},"exportedAt":${JSON.stringify(meta.exportedAt)},"features":[`;
+    }
+    return `${JSON.stringify(meta).slice(0, -1)},"analyses":[`;
+  }
+
+  footer(format, count) {
+    if (format === 'csv') return '';
+    return `],"count":${count}}`;
+  }
+
+  // One analysis in the JSON export
+  jsonEntry(analysis, index) {
+    return `${index > 0 ? ',' : ''}${JSON.stringify(analysis)}`;
+  }
+
+  // Room score and remedy rows for one analysis; analyses with neither get a single summary row
+  csvEntry(analysis) {
+    const results = analysis.vastuAnalysis || {};
+    const base = [
+      analysis._id, analysis.title, analysis.status, results.overallScore,
+      analysis.createdAt, analysis.completedAt
+    ];
+
+    const rows = [
+      ...(results.roomAnalysis || []).map(room => csvRow([
+        ...base, 'room', room.roomName, room.roomType, room.direction, room.vastuScore,
+        '', '', '', '', '', room.issues, room.recommendations
+      ])),
+      ...(results.remedies || []).map(remedy => csvRow([
+        ...base, 'remedy', '', '', '', '',
+        remedy.type, remedy.priority, remedy.cost, remedy.difficulty, remedy.description, '', ''
+      ]))
+    ];
+
+    return rows.length > 0 ? rows.join('') : csvRow([...base, 'analysis']);
+  }
+
+  // Floor-plan polygons and surrounding places of one analysis as GeoJSON features
+  geojsonEntry(analysis, index) {
+    const features = this.toFeatures(analysis);
+    return features.map((feature, position) => (
+      `${index > 0 || position > 0 ? ',' : ''}${JSON.stringify(feature)}`
+    )).join('');
+  }
+
+  /**
+   * GeoJSON features for an analysis. The plan is placed on the map with its
+   * centroid at the site location and turned to its true north offset, so
+   * only analyses with a site location get geometry; others export the site
+   * feature alone, with null geometry.
+   * @param {Object} analysis - Lean Analysis document
+   * @returns {Object[]} Features
+   */
+  toFeatures(analysis) {
+    const results = analysis.vastuAnalysis || {};
+    const floorPlan = analysis.floorPlan || {};
+    const location = analysis.surroundings && analysis.surroundings.location;
+    const hasLocation = location && Number.isFinite(location.latitude) && Number.isFinite(location.longitude);
+    const common = { analysisId: String(analysis._id) };
+
+    const site = {
+      type: 'Feature',
+      geometry: hasLocation ? { type: 'Point', coordinates: [round(location.longitude), round(location.latitude)] } : null,
+      properties: {
+        ...common,
+        kind: 'site',
+        title: analysis.title,
+        status: analysis.status,
+        overallScore: results.overallScore,
+        entrance: floorPlan.entrance && floorPlan.entrance.direction,
+        createdAt: analysis.createdAt,
+        completedAt: analysis.completedAt
+      }
+    };
+    if (!hasLocation) return [site];
+
+    const features = [site];
+    const project = this.projector(floorPlan, location);
+    const polygon = (points, properties) => {
+      if (!project || !floorPlanService.isPolygon(points)) return;
+      const ring = points.map(project);
+      ring.push(ring[0]);
+      features.push({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [ring] }, properties: { ...common, ...properties } });
+    };
+
+    polygon(floorPlan.boundary, { kind: 'boundary' });
+
+    const zoning = analysis.zoning || {};
+    (zoning.zones || []).forEach(zone => polygon(zone.polygon, {
+      kind: 'zone',
+      zone: zone.zone,
+      startBearing: zone.startBearing,
+      endBearing: zone.endBearing,
+      area: zone.area
+    }));
+    polygon(zoning.brahmasthan, { kind: 'zone', zone: 'BRAHMASTHAN' });
+
+    const roomScores = results.roomAnalysis || [];
+    (floorPlan.rooms || []).forEach(room => {
+      const scored = roomScores.find(item => item.roomName === room.name);
+      const zoned = (zoning.rooms || []).find(item => item.key === room.key);
+      polygon(room.polygon, {
+        kind: 'room',
+        name: room.name,
+        roomType: room.type,
+        direction: room.direction,
+        primaryZone: zoned && zoned.primaryZone,
+        vastuScore: scored && scored.vastuScore
+      });
+    });
+
+    (analysis.surroundings.places || []).forEach(place => {
+      const point = place.geometry && place.geometry.location;
+      if (!point || !Number.isFinite(point.lat) || !Number.isFinite(point.lng)) return;
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [round(point.lng), round(point.lat)] },
+        properties: {
+          ...common,
+          kind: 'place',
+          name: place.name,
+          placeType: place.type,
+          distance: place.distance,
+          vicinity: place.vicinity
+        }
+      });
+    });
+
+    return features;
+  }
+
+  /**
+   * Function taking plan points to [longitude, latitude], or null when the plan has no outline
+   * @param {Object} floorPlan - Floor plan in the Analysis.floorPlan shape
+   * @param {Object} location - { latitude, longitude } of the plan's centroid
+   * @returns {Function|null} Projection
+   */
+  projector(floorPlan, location) {
+    const frame = floorPlanService.getCompassFrame(floorPlan);
+    if (!frame) return null;
+
+    const unit = METRES_PER_UNIT[(floorPlan.dimensions && floorPlan.dimensions.unit) || 'sqft'];
+    const metresPerDegreeLongitude = METRES_PER_DEGREE_LATITUDE * Math.cos(geometry.toRadians(location.latitude));
+
+    return (point) => {
+      const { east, north } = geometry.toCompassFrame({
+        x: point.x - frame.centroid.x,
+        y: point.y - frame.centroid.y
+      }, frame.northOffset);
+      return [
+        round(location.longitude + (east * unit) / metresPerDegreeLongitude),
+        round(location.latitude + (north * unit) / METRES_PER_DEGREE_LATITUDE)
+      ];
+    };
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,454 @@
+const sharp = require('sharp');
+const pdfFloorPlanService = require('./pdfFloorPlanService');
+const dxfFloorPlanService = require('./dxfFloorPlanService');
+const { pointInPolygon } = require('../utils/geometry');
+const { roomTypeFromLabel, roomNameFromLabel } = require('../utils/roomLabels');
+
+// Heading vectors in image coordinates (y down), clockwise from east
+const HEADINGS = [
+  { x: 1, y: 0 },
+  { x: 0, y: 1 },
+  { x: -1, y: 0 },
+  { x: 0, y: -1 }
+];
+
+/**
+ * Local first pass over a floor-plan image: dark line work is taken as walls
+ * and the enclosed light regions between them become draft room polygons.
+ */
+class FloorPlanDetectionService {
+  constructor() {
+    this.supportedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf', 'application/dxf'];
+    // Working resolution; larger images are scaled down before detection
+    this.maxSize = parseInt(process.env.DETECTION_MAX_SIZE) || 1000;
+    // Regions smaller than this share of the image are labels, furniture or noise
+    this.minRoomRatio = 0.004;
+    // Gaps narrower than this share of the image, such as door openings, are closed
+    this.gapRatio = 0.1;
+    // Thickest wall expected, as a share of the image
+    this.wallRatio = 0.03;
+  }
+
+  /**
+   * Detect rooms in a floor-plan image
+   * @param {Buffer} buffer - JPG or PNG image
+   * @param {Object} options - { dimensions: { length, width }, scale, maxSize }
+   * @returns {Object} { rooms, image, scale, scaleSource }
+   */
+  async detect(buffer, options = {}) {
+    const maxSize = options.maxSize || this.maxSize;
+    const { data, info } = await sharp(buffer)
+      .flatten({ background: '#ffffff' })
+      .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+      .toColourspace('b-w')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    const shortSide = Math.min(width, height);
+
+    const threshold = this.otsuThreshold(data);
+    let walls = new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+      walls[i] = data[i] < threshold ? 1 : 0;
+    }
+
+    const gap = Math.max(1, Math.round((shortSide * this.gapRatio) / 2));
+    walls = this.erode(this.dilate(walls, width, height, gap), width, height, gap);
+
+    const regions = this.labelRegions(walls, width, height);
+    const minArea = width * height * this.minRoomRatio;
+    const rooms = regions.filter(region => !region.touchesBorder && region.area >= minArea);
+
+    // Grow rooms through the walls so neighbours meet on the wall centre line
+    const wallThickness = Math.round(shortSide * this.wallRatio);
+    const labels = this.growIntoWalls(regions.labels, walls, width, height, rooms, wallThickness);
+
+    const traced = rooms.map(region => ({
+      region,
+      outline: this.simplify(this.traceOutline(labels, width, height, region, wallThickness), Math.max(1.5, shortSide * 0.01))
+    }));
+    const aligned = this.alignVertices(traced.map(({ outline }) => outline), Math.max(2, shortSide * 0.015));
+    const outlines = traced
+      .map(({ region }, index) => ({ region, outline: aligned[index] }))
+      .filter(({ outline }) => outline.length >= 3);
+
+    const { scale, scaleSource } = this.getScale(outlines.map(({ outline }) => outline), options);
+
+    return {
+      image: { width, height, threshold },
+      scale,
+      scaleSource,
+      rooms: outlines.map(({ region, outline }, index) => ({
+        key: `room-${index}`,
+        name: `Room ${index + 1}`,
+        type: 'other',
+        source: 'detected',
+        confidence: Math.round(Math.min(1, region.area / region.boxArea) * 100) / 100,
+        polygon: outline.map(point => ({
+          x: Math.round(point.x * scale * 1000) / 1000,
+          y: Math.round((height - point.y) * scale * 1000) / 1000
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Detect rooms in an uploaded file. PDF pages are rasterized first, and text
+   * labels on vector pages name the rooms they fall in. DXF drawings are read
+   * directly and also give walls, openings and the plan size.
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimetype - One of supportedTypes
+   * @param {Object} options - detect() options plus { page } for PDFs, { unit, layers } for DXF
+   * @returns {Object} detect() result, plus { page, pages, rasterSource } for PDFs
+   *   or dxfFloorPlanService.import() fields for DXF
+   */
+  async detectFile(buffer, mimetype, options = {}) {
+    if (mimetype === 'application/dxf') {
+      const imported = dxfFloorPlanService.import(buffer, options);
+      return { ...imported, scale: imported.units.scale, scaleSource: 'units' };
+    }
+    if (mimetype !== 'application/pdf') {
+      return this.detect(buffer, options);
+    }
+
+    const maxSize = options.maxSize || this.maxSize;
+    const rendered = await pdfFloorPlanService.renderPage(buffer, { page: options.page, maxSize });
+    const result = await this.detect(rendered.image, { ...options, maxSize });
+
+    const { height } = result.image;
+    rendered.labels.forEach(label => {
+      const point = { x: label.x * result.scale, y: (height - label.y) * result.scale };
+      const room = result.rooms.find(candidate => pointInPolygon(point, candidate.polygon));
+      const type = roomTypeFromLabel(label.text);
+      if (!room || room.labelled || !type) return;
+
+      room.name = roomNameFromLabel(label.text);
+      room.type = type;
+      room.labelled = true;
+    });
+    result.rooms.forEach(room => delete room.labelled);
+
+    return {
+      ...result,
+      page: rendered.page,
+      pages: rendered.pages,
+      rasterSource: rendered.source
+    };
+  }
+
+  // Grey level separating line work from background, by Otsu's method
+  otsuThreshold(data) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+    const total = data.length;
+    const sumAll = histogram.reduce((sum, count, level) => sum + level * count, 0);
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let best = 0;
+    let threshold = 128;
+
+    for (let level = 0; level < 256; level++) {
+      weightBackground += histogram[level];
+      if (weightBackground === 0) continue;
+      const weightForeground = total - weightBackground;
+      if (weightForeground === 0) break;
+
+      sumBackground += level * histogram[level];
+      const meanBackground = sumBackground / weightBackground;
+      const meanForeground = (sumAll - sumBackground) / weightForeground;
+      const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+      if (between > best) {
+        best = between;
+        threshold = level + 1;
+      }
+    }
+
+    return threshold;
+  }
+
+  // Square dilation, done as separate horizontal and vertical passes with running counts
+  dilate(mask, width, height, radius) {
+    return this.boxFilter(mask, width, height, radius, count => count > 0);
+  }
+
+  erode(mask, width, height, radius) {
+    return this.boxFilter(mask, width, height, radius, (count, size) => count === size);
+  }
+
+  boxFilter(mask, width, height, radius, test) {
+    const pass = (input, length, lines, index) => {
+      const output = new Uint8Array(input.length);
+      for (let line = 0; line < lines; line++) {
+        let count = 0;
+        for (let i = 0; i < Math.min(radius, length); i++) count += input[index(line, i)];
+        for (let i = 0; i < length; i++) {
+          if (i + radius < length) count += input[index(line, i + radius)];
+          if (i - radius - 1 >= 0) count -= input[index(line, i - radius - 1)];
+          const size = Math.min(length - 1, i + radius) - Math.max(0, i - radius) + 1;
+          output[index(line, i)] = test(count, size) ? 1 : 0;
+        }
+      }
+      return output;
+    };
+
+    const horizontal = pass(mask, width, height, (row, column) => row * width + column);
+    return pass(horizontal, height, width, (column, row) => row * width + column);
+  }
+
+  // 4-connected components of the non-wall pixels
+  labelRegions(walls, width, height) {
+    const labels = new Int32Array(width * height).fill(-1);
+    const regions = [];
+    const stack = [];
+
+    for (let start = 0; start < walls.length; start++) {
+      if (walls[start] || labels[start] !== -1) continue;
+
+      const region = { id: regions.length, area: 0, start, touchesBorder: false, minX: width, minY: height, maxX: 0, maxY: 0 };
+      labels[start] = region.id;
+      stack.push(start);
+
+      while (stack.length > 0) {
+        const index = stack.pop();
+        const x = index % width;
+        const y = (index - x) / width;
+        region.area++;
+        if (x === 0 || y === 0 || x === width - 1 || y === height - 1) region.touchesBorder = true;
+        if (x < region.minX) region.minX = x;
+        if (x > region.maxX) region.maxX = x;
+        if (y < region.minY) region.minY = y;
+        if (y > region.maxY) region.maxY = y;
+
+        const neighbours = [
+          x > 0 ? index - 1 : -1,
+          x < width - 1 ? index + 1 : -1,
+          y > 0 ? index - width : -1,
+          y < height - 1 ? index + width : -1
+        ];
+        for (const next of neighbours) {
+          if (next >= 0 && !walls[next] && labels[next] === -1) {
+            labels[next] = region.id;
+            stack.push(next);
+          }
+        }
+      }
+
+      region.boxArea = (region.maxX - region.minX + 1) * (region.maxY - region.minY + 1);
+      regions.push(region);
+    }
+
+    regions.labels = labels;
+    return regions;
+  }
+
+  // Breadth-first growth of the kept rooms into wall pixels, up to maxDistance pixels
+  growIntoWalls(labels, walls, width, height, rooms, maxDistance) {
+    const grown = new Int32Array(labels.length).fill(-1);
+    const kept = new Set(rooms.map(room => room.id));
+    let frontier = [];
+
+    for (let i = 0; i < labels.length; i++) {
+      if (labels[i] !== -1 && kept.has(labels[i])) {
+        grown[i] = labels[i];
+        frontier.push(i);
+      }
+    }
+
+    for (let step = 1; step <= maxDistance && frontier.length > 0; step++) {
+      const next = [];
+      for (const index of frontier) {
+        const x = index % width;
+        const neighbours = [
+          x > 0 ? index - 1 : -1,
+          x < width - 1 ? index + 1 : -1,
+          index >= width ? index - width : -1,
+          index < labels.length - width ? index + width : -1
+        ];
+        for (const neighbour of neighbours) {
+          if (neighbour >= 0 && walls[neighbour] && grown[neighbour] === -1) {
+            grown[neighbour] = grown[index];
+            next.push(neighbour);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    return grown;
+  }
+
+  /**
+   * Outer boundary of a region along pixel edges, as pixel-corner coordinates.
+   * Neighbouring regions share exactly the same edges.
+   * @param {Int32Array} labels - Region id per pixel
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {Object} region - Region with id and bounds
+   * @param {number} margin - How far the region may have grown past its bounds
+   * @returns {Array} Polygon vertices in image coordinates (y down)
+   */
+  traceOutline(labels, width, height, region, margin = 0) {
+    const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === region.id;
+    const minX = Math.max(0, region.minX - margin);
+    const maxX = Math.min(width - 1, region.maxX + margin);
+    const minY = Math.max(0, region.minY - margin);
+    const maxY = Math.min(height - 1, region.maxY + margin);
+
+    // Top-left pixel of the region, scanning rows from the top
+    let start = null;
+    for (let y = minY; y <= maxY && !start; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        if (inside(x, y)) {
+          start = { x, y };
+          break;
+        }
+      }
+    }
+    if (!start) return [];
+
+    // Walk corners with the region on the right-hand side
+    const outline = [];
+    let corner = { x: start.x, y: start.y };
+    let heading = 0;
+    const limit = 4 * (maxX - minX + 1) * (maxY - minY + 1);
+
+    for (let steps = 0; steps < limit; steps++) {
+      const { x: dx, y: dy } = HEADINGS[heading];
+      const ahead = { x: corner.x + dx, y: corner.y + dy };
+
+      // Pixels beyond the next corner, on the left and on the right of the heading
+      const pixel = (side) => {
+        const px = ahead.x + (dx - dy * side - 1) / 2;
+        const py = ahead.y + (dy + dx * side - 1) / 2;
+        return inside(Math.round(px), Math.round(py));
+      };
+
+      corner = ahead;
+      const right = pixel(1);
+      const left = pixel(-1);
+      const previous = heading;
+
+      if (!right) heading = (heading + 1) % 4;
+      else if (left) heading = (heading + 3) % 4;
+
+      if (heading !== previous) outline.push({ x: corner.x, y: corner.y });
+      if (corner.x === start.x && corner.y === start.y && heading === 0) break;
+    }
+
+    return outline;
+  }
+
+  // Ramer-Douglas-Peucker simplification of a closed polygon
+  simplify(points, tolerance) {
+    if (points.length <= 4) return points;
+
+    const simplifyOpen = (segment) => {
+      if (segment.length <= 2) return segment;
+      const first = segment[0];
+      const last = segment[segment.length - 1];
+      const length = Math.hypot(last.x - first.x, last.y - first.y) || 1;
+
+      let farthest = 0;
+      let index = 0;
+      for (let i = 1; i < segment.length - 1; i++) {
+        const offset = Math.abs((last.x - first.x) * (first.y - segment[i].y) - (first.x - segment[i].x) * (last.y - first.y)) / length;
+        if (offset > farthest) {
+          farthest = offset;
+          index = i;
+        }
+      }
+
+      if (farthest <= tolerance) return [first, last];
+      const head = simplifyOpen(segment.slice(0, index + 1));
+      return [...head.slice(0, -1), ...simplifyOpen(segment.slice(index))];
+    };
+
+    // Split at the vertex farthest from the first so both halves are open chains
+    let split = 1;
+    let farthest = 0;
+    points.forEach((point, index) => {
+      const d = Math.hypot(point.x - points[0].x, point.y - points[0].y);
+      if (d > farthest) {
+        farthest = d;
+        split = index;
+      }
+    });
+
+    const first = simplifyOpen(points.slice(0, split + 1));
+    const second = simplifyOpen([...points.slice(split), points[0]]);
+    return [...first.slice(0, -1), ...second.slice(0, -1)];
+  }
+
+  /**
+   * Snap nearly equal x and y coordinates across all outlines to a shared value,
+   * squaring off corners and making neighbouring rooms share their walls exactly
+   * @param {Array} outlines - Polygons in image coordinates
+   * @param {number} tolerance - Largest difference, in pixels, treated as equal
+   * @returns {Array} Aligned polygons without repeated or collinear vertices
+   */
+  alignVertices(outlines, tolerance) {
+    const snapper = (values) => {
+      const sorted = [...new Set(values)].sort((a, b) => a - b);
+      const snapped = new Map();
+      let group = [];
+
+      const flush = () => {
+        const mean = Math.round((group.reduce((sum, value) => sum + value, 0) / group.length) * 10) / 10;
+        group.forEach(value => snapped.set(value, mean));
+        group = [];
+      };
+
+      sorted.forEach(value => {
+        if (group.length > 0 && value - group[0] > tolerance) flush();
+        group.push(value);
+      });
+      if (group.length > 0) flush();
+
+      return value => snapped.get(value);
+    };
+
+    const points = outlines.flat();
+    const snapX = snapper(points.map(point => point.x));
+    const snapY = snapper(points.map(point => point.y));
+
+    return outlines.map(outline => {
+      let result = outline.map(point => ({ x: snapX(point.x), y: snapY(point.y) }));
+
+      // Drop repeated vertices, then vertices lying on the line through their neighbours
+      result = result.filter((point, index) => {
+        const next = result[(index + 1) % result.length];
+        return point.x !== next.x || point.y !== next.y;
+      });
+      return result.filter((point, index) => {
+        const previous = result[(index + result.length - 1) % result.length];
+        const next = result[(index + 1) % result.length];
+        return (point.x - previous.x) * (next.y - previous.y) !== (point.y - previous.y) * (next.x - previous.x);
+      });
+    });
+  }
+
+  // Plan units per working-image pixel: explicit, from the plan dimensions, or 1
+  getScale(outlines, options) {
+    if (options.scale > 0) return { scale: options.scale, scaleSource: 'option' };
+
+    const dimensions = options.dimensions || {};
+    const points = outlines.flat();
+    if (points.length > 0 && (dimensions.length > 0 || dimensions.width > 0)) {
+      const spanX = Math.max(...points.map(point => point.x)) - Math.min(...points.map(point => point.x));
+      const spanY = Math.max(...points.map(point => point.y)) - Math.min(...points.map(point => point.y));
+      const scales = [];
+      if (dimensions.length > 0 && spanX > 0) scales.push(dimensions.length / spanX);
+      if (dimensions.width > 0 && spanY > 0) scales.push(dimensions.width / spanY);
+      if (scales.length > 0) {
+        return { scale: scales.reduce((sum, value) => sum + value, 0) / scales.length, scaleSource: 'dimensions' };
+      }
+    }
+
+    return { scale: 1, scaleSource: 'pixels' };
+  }
+}
+
+module.exports = new FloorPlanDetectionService();
@@ -0,0 +1,222 @@
+const geometry = require('../utils/geometry');
+
+// The nine cells of the Vastu grid, north row first, west to east
+const GRID_ZONES = [
+  ['northwest', 'north', 'northeast'],
+  ['west', 'center', 'east'],
+  ['southwest', 'south', 'southeast']
+];
+
+// 8 compass directions clockwise from north, each covering 45°
+const COMPASS_DIRECTIONS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+class FloorPlanService {
+  constructor() {
+    this.gridZones = GRID_ZONES;
+    this.compassDirections = COMPASS_DIRECTIONS;
+  }
+
+  isPolygon(points) {
+    return Array.isArray(points) && points.length >= 3;
+  }
+
+  hasGeometry(floorPlan = {}) {
+    return (floorPlan.rooms || []).some(room => this.isPolygon(room.polygon));
+  }
+
+  // The plot boundary, or the bounding rectangle of all rooms when none is drawn
+  getPlotPolygon(floorPlan) {
+    if (this.isPolygon(floorPlan.boundary)) {
+      return floorPlan.boundary;
+    }
+
+    const points = [];
+    (floorPlan.rooms || []).forEach(room => {
+      if (this.isPolygon(room.polygon)) points.push(...room.polygon);
+    });
+    if (points.length === 0) return null;
+
+    const box = geometry.boundingBox(points);
+    return [
+      { x: box.minX, y: box.minY },
+      { x: box.maxX, y: box.minY },
+      { x: box.maxX, y: box.maxY },
+      { x: box.minX, y: box.maxY }
+    ];
+  }
+
+  // Plan rotation relative to true north, correcting magnetic readings by the declination
+  getTrueNorthOffset(floorPlan) {
+    const offset = floorPlan.northOffset || 0;
+    return floorPlan.northReference === 'magnetic' ? offset + (floorPlan.declination || 0) : offset;
+  }
+
+  /**
+   * Compass-aligned extent of the plot, used to place points on the Vastu grid
+   * @param {Object} floorPlan - Floor plan with polygons
+   * @returns {Object|null} { northOffset, minEast, maxEast, minNorth, maxNorth, centroid }
+   */
+  getCompassFrame(floorPlan) {
+    const plot = this.getPlotPolygon(floorPlan);
+    if (!plot) return null;
+
+    const northOffset = this.getTrueNorthOffset(floorPlan);
+    const points = plot.map(point => geometry.toCompassFrame(point, northOffset));
+
+    return {
+      northOffset,
+      plot,
+      centroid: geometry.polygonCentroid(plot),
+      minEast: Math.min(...points.map(point => point.east)),
+      maxEast: Math.max(...points.map(point => point.east)),
+      minNorth: Math.min(...points.map(point => point.north)),
+      maxNorth: Math.max(...points.map(point => point.north))
+    };
+  }
+
+  // Zone of the 3x3 Vastu grid a plan point falls in
+  getZoneForPoint(point, frame) {
+    const { east, north } = geometry.toCompassFrame(point, frame.northOffset);
+    const cell = (value, min, max) => {
+      if (max - min <= 0) return 1;
+      return Math.max(0, Math.min(2, Math.floor((3 * (value - min)) / (max - min))));
+    };
+
+    const column = cell(east, frame.minEast, frame.maxEast);
+    const row = 2 - cell(north, frame.minNorth, frame.maxNorth);
+    return GRID_ZONES[row][column];
+  }
+
+  bearingToDirection(bearing) {
+    const index = Math.round(geometry.normalizeBearing(bearing) / 45) % 8;
+    return COMPASS_DIRECTIONS[index];
+  }
+
+  /**
+   * Find walls shared by two rooms from their polygon edges
+   * @param {Array} rooms - Rooms with polygons and keys
+   * @returns {Array} Walls in the Analysis.floorPlan.walls shape
+   */
+  deriveSharedWalls(rooms) {
+    const walls = [];
+    const withPolygons = rooms
+      .map((room, index) => ({ key: room.key || `room-${index}`, polygon: room.polygon }))
+      .filter(room => this.isPolygon(room.polygon));
+
+    for (let i = 0; i < withPolygons.length; i++) {
+      for (let j = i + 1; j < withPolygons.length; j++) {
+        geometry.polygonEdges(withPolygons[i].polygon).forEach(([a1, a2]) => {
+          geometry.polygonEdges(withPolygons[j].polygon).forEach(([b1, b2]) => {
+            const overlap = geometry.collinearOverlap(a1, a2, b1, b2);
+            if (overlap) {
+              walls.push({
+                start: overlap.start,
+                end: overlap.end,
+                rooms: [withPolygons[i].key, withPolygons[j].key],
+                isExterior: false,
+                source: 'derived'
+              });
+            }
+          });
+        });
+      }
+    }
+
+    return walls;
+  }
+
+  /**
+   * Compass direction a door faces when stepping out through it
+   * @param {Object} door - Door with a position and optional wall index
+   * @param {Object} floorPlan - Floor plan holding the walls and rooms
+   * @param {Object} frame - Output of getCompassFrame
+   * @returns {Object} { bearing, direction }
+   */
+  getDoorFacing(door, floorPlan, frame) {
+    const wall = typeof door.wall === 'number' ? (floorPlan.walls || [])[door.wall] : null;
+    const inside = this.getDoorInside(door, floorPlan, frame);
+    let outward = { x: door.position.x - inside.x, y: door.position.y - inside.y };
+
+    if (wall && wall.start && wall.end) {
+      // Wall normal, flipped to point away from the inside of the door
+      const normal = { x: wall.end.y - wall.start.y, y: -(wall.end.x - wall.start.x) };
+      const sign = normal.x * outward.x + normal.y * outward.y < 0 ? -1 : 1;
+      outward = { x: normal.x * sign, y: normal.y * sign };
+    }
+
+    const bearing = Math.round(geometry.bearingOfVector(outward, frame.northOffset) * 10) / 10;
+    return { bearing, direction: this.bearingToDirection(bearing) };
+  }
+
+  // Interior reference point of a door: its first room, else the plot centre
+  getDoorInside(door, floorPlan, frame) {
+    const key = door.rooms && door.rooms[0];
+    const room = (floorPlan.rooms || []).find((item, index) => (item.key || `room-${index}`) === key);
+    return room && this.isPolygon(room.polygon) ? geometry.polygonCentroid(room.polygon) : frame.centroid;
+  }
+
+  /**
+   * Derive zones, areas and door facings from the floor-plan geometry.
+   * Rooms without a polygon keep their typed direction.
+   * @param {Object} floorPlan - Floor plan in the Analysis.floorPlan shape
+   * @returns {Object} A plain copy of the floor plan with derived fields
+   */
+  resolve(floorPlan = {}) {
+    const plan = typeof floorPlan.toObject === 'function' ? floorPlan.toObject() : JSON.parse(JSON.stringify(floorPlan));
+    plan.rooms = plan.rooms || [];
+
+    const frame = this.hasGeometry(plan) ? this.getCompassFrame(plan) : null;
+    if (!frame) {
+      plan.rooms.forEach(room => {
+        if (room.direction) room.directionSource = 'manual';
+      });
+      return plan;
+    }
+
+    plan.rooms.forEach((room, index) => {
+      room.key = room.key || `room-${index}`;
+      if (!this.isPolygon(room.polygon)) {
+        if (room.direction) room.directionSource = 'manual';
+        return;
+      }
+
+      room.centroid = geometry.polygonCentroid(room.polygon);
+      room.direction = this.getZoneForPoint(room.centroid, frame);
+      room.directionSource = 'geometry';
+      room.dimensions = { ...(room.dimensions || {}), area: Math.round(geometry.polygonArea(room.polygon) * 100) / 100 };
+    });
+
+    (plan.staircases || []).forEach(staircase => {
+      if (this.isPolygon(staircase.polygon)) {
+        staircase.direction = this.getZoneForPoint(geometry.polygonCentroid(staircase.polygon), frame);
+      }
+    });
+
+    // Shared walls are re-derived unless the plan has walls drawn by hand
+    const drawnWalls = (plan.walls || []).filter(wall => wall.source !== 'derived');
+    plan.walls = drawnWalls.length > 0 ? drawnWalls : this.deriveSharedWalls(plan.rooms);
+
+    (plan.doors || []).forEach(door => {
+      if (!door.position) return;
+      const facing = this.getDoorFacing(door, plan, frame);
+      door.facing = facing.direction;
+      door.facingBearing = facing.bearing;
+      door.direction = this.getZoneForPoint(door.position, frame);
+    });
+
+    (plan.windows || []).forEach(window => {
+      if (!window.position) return;
+      const facing = this.getDoorFacing(window, plan, frame);
+      window.facing = facing.direction;
+    });
+
+    const mainDoor = (plan.doors || []).find(door => door.isMainEntrance && door.facing);
+    if (mainDoor) {
+      plan.entrance = { direction: mainDoor.facing, zone: mainDoor.direction, source: 'geometry' };
+    }
+
+    return plan;
+  }
+}
+
+module.exports = new FloorPlanService();
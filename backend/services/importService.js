@@ -0,0 +1,242 @@
+const Analysis = require('../models/Analysis');
+const exportService = require('./exportService');
+const revisionService = require('./revisionService');
+const storageService = require('./storageService');
+const zoningService = require('./zoningService');
+
+// Fields of an exported analysis that are imported; ownership, counters and IDs are not,
+// and zoning is derived again from the plan
+const IMPORTED_FIELDS = [
+  'title', 'description', 'files', 'floorPlan', 'suggestedLocation', 'surroundings',
+  'vastuAnalysis', 'status', 'processingStartedAt', 'completedAt', 'failedAt', 'failureReason',
+  'processingTime', 'tags'
+];
+
+const TITLE_MAX_LENGTH = 100;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Upgrades bundles one version at a time until they reach the current schema.
+ * Version 0 covers everything written before bundles were versioned: a bare
+ * analysis, an array of analyses, or an `{ analyses }` object, including
+ * analyses saved from `GET /api/analysis/:id` with its computed fields.
+ */
+const MIGRATIONS = {
+  0: (bundle) => ({
+    ...bundle,
+    schemaVersion: 1,
+    analyses: bundle.analyses.map(analysis => {
+      const { id, fileCount, roomCount, processingDuration, ...rest } = analysis;
+      return {
+        ...rest,
+        files: (rest.files || []).map(({ thumbnailUrl, ...file }) => file)
+      };
+    })
+  })
+};
+
+/**
+ * Imports analyses from a JSON bundle in the export format. Bundles are
+ * migrated to the current schema, every analysis is validated, and title
+ * conflicts are resolved before anything is written, so a dry run reports
+ * exactly what a real import would do.
+ */
+class ImportService {
+  constructor() {
+    this.maxAnalyses = parseInt(process.env.ANALYSIS_IMPORT_MAX_ANALYSES) || 500;
+  }
+
+  /**
+   * Bring a bundle to the current schema version
+   * @param {*} body - Parsed request body
+   * @returns {Object} { bundle, fromVersion }
+   */
+  migrate(body) {
+    let bundle;
+    if (Array.isArray(body)) {
+      bundle = { schemaVersion: 0, analyses: body };
+    } else if (isPlainObject(body) && isPlainObject(body.data) && isPlainObject(body.data.analysis)) {
+      bundle = { schemaVersion: 0, analyses: [body.data.analysis] };
+    } else if (isPlainObject(body) && !Array.isArray(body.analyses) && body.title !== undefined) {
+      bundle = { schemaVersion: 0, analyses: [body] };
+    } else if (isPlainObject(body)) {
+      bundle = { ...body, schemaVersion: body.schemaVersion === undefined ? 0 : body.schemaVersion };
+    } else {
+      throw httpError('The bundle must be a JSON object with an analyses array', 400);
+    }
+
+    const fromVersion = bundle.schemaVersion;
+    if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+      throw httpError('schemaVersion must be a whole number', 400);
+    }
+    if (fromVersion > exportService.schemaVersion) {
+      throw httpError(`Bundle schema version ${fromVersion} is newer than this server supports (${exportService.schemaVersion})`, 400);
+    }
+    if (!Array.isArray(bundle.analyses) || bundle.analyses.length === 0) {
+      throw httpError('The bundle contains no analyses', 400);
+    }
+    if (bundle.analyses.length > this.maxAnalyses) {
+      throw httpError(`A bundle may contain at most ${this.maxAnalyses} analyses`, 400);
+    }
+
+    while (bundle.schemaVersion < exportService.schemaVersion) {
+      bundle = MIGRATIONS[bundle.schemaVersion](bundle);
+    }
+    return { bundle, fromVersion };
+  }
+
+  /**
+   * Turn one bundle entry into an analysis for the user and validate it
+   * @param {*} entry - Analysis from the bundle
+   * @param {string} userId - Importing user
+   * @returns {Object} { analysis, errors, warnings }
+   */
+  prepare(entry, userId) {
+    if (!isPlainObject(entry)) {
+      return { analysis: null, errors: [{ field: '', message: 'Analysis must be an object' }], warnings: [] };
+    }
+
+    const warnings = [];
+    const fields = {};
+    IMPORTED_FIELDS.forEach(field => {
+      if (entry[field] !== undefined) fields[field] = entry[field];
+    });
+
+    // Files are only a manifest: keys outside the user's own folder would hand them someone else's files
+    if (Array.isArray(fields.files)) {
+      fields.files = fields.files.filter(file => {
+        const owned = isPlainObject(file) && storageService.ownsFile(file.filename, userId) &&
+          (!file.thumbnail || storageService.ownsFile(file.thumbnail, userId));
+        if (!owned) {
+          const name = isPlainObject(file) && (file.originalName || file.filename);
+          warnings.push(`${name ? `File ${name}` : 'A file'} is stored under another account and was not imported; upload it again`);
+        }
+        return owned;
+      });
+    }
+
+    // Nothing is running the imported analysis, so it has to be started again
+    if (fields.status === 'processing') {
+      fields.status = 'pending';
+      warnings.push('Analysis was still processing when exported and was imported as pending');
+    }
+
+    const analysis = new Analysis({ ...fields, user: userId, isPublic: false });
+    const validation = analysis.validateSync();
+    const errors = validation
+      ? Object.entries(validation.errors).map(([field, error]) => ({ field, message: error.message }))
+      : [];
+    if (errors.length === 0) zoningService.apply(analysis);
+
+    return { analysis, errors, warnings };
+  }
+
+  // First free title: "Title", then "Title (2)", "Title (3)", ...
+  uniqueTitle(title, taken) {
+    if (!taken.has(title.toLowerCase())) return title;
+    for (let copy = 2; ; copy++) {
+      const suffix = ` (${copy})`;
+      const candidate = `${title.slice(0, TITLE_MAX_LENGTH - suffix.length).trimEnd()}${suffix}`;
+      if (!taken.has(candidate.toLowerCase())) return candidate;
+    }
+  }
+
+  /**
+   * Plan or run an import
+   * @param {*} body - Parsed bundle
+   * @param {string} userId - Importing user
+   * @param {Object} options - { dryRun, onConflict: 'rename' | 'skip' | 'fail' }
+   * @returns {Promise<Object>} Report: { dryRun, committed, blocked, schemaVersion, migratedFrom, summary, analyses }
+   */
+  async import(body, userId, options = {}) {
+    const onConflict = options.onConflict || 'rename';
+    const { bundle, fromVersion } = this.migrate(body);
+
+    const existing = await Analysis.find({ user: userId }).select('title').lean();
+    const taken = new Set(existing.map(analysis => analysis.title.toLowerCase()));
+
+    const entries = bundle.analyses.map((entry, index) => {
+      const { analysis, errors, warnings } = this.prepare(entry, userId);
+      const title = analysis ? analysis.title : undefined;
+      const result = { index, title, action: 'create', errors, warnings, analysis };
+
+      if (errors.length > 0) {
+        result.action = 'invalid';
+        return result;
+      }
+
+      // Titles already in the account, or earlier in the bundle, conflict
+      if (taken.has(title.toLowerCase())) {
+        result.conflict = true;
+        if (onConflict === 'skip') {
+          result.action = 'skip';
+          return result;
+        }
+        if (onConflict === 'rename') {
+          result.action = 'rename';
+          analysis.title = this.uniqueTitle(title, taken);
+          result.importedTitle = analysis.title;
+        }
+      }
+      taken.add(analysis.title.toLowerCase());
+      return result;
+    });
+
+    const count = action => entries.filter(entry => entry.action === action).length;
+    const conflicts = entries.filter(entry => entry.conflict).length;
+    const invalid = count('invalid');
+    const blocked = invalid > 0 || (onConflict === 'fail' && conflicts > 0);
+    const report = {
+      dryRun: Boolean(options.dryRun),
+      committed: false,
+      blocked,
+      schemaVersion: exportService.schemaVersion,
+      migratedFrom: fromVersion < exportService.schemaVersion ? fromVersion : undefined,
+      summary: {
+        total: entries.length,
+        create: count('create'),
+        rename: count('rename'),
+        skip: count('skip'),
+        invalid,
+        conflicts
+      },
+      analyses: entries
+    };
+
+    if (!options.dryRun && !blocked) {
+      await this.commit(entries.filter(entry => ['create', 'rename'].includes(entry.action)));
+      report.committed = true;
+    }
+
+    report.analyses = entries.map(({ analysis, ...entry }) => ({
+      ...entry,
+      id: report.committed && analysis && !['skip', 'invalid'].includes(entry.action) ? analysis._id : undefined
+    }));
+    return report;
+  }
+
+  // Save the analyses, removing the ones already saved if any fails, so an import is all or nothing
+  async commit(entries) {
+    const saved = [];
+    try {
+      for (const entry of entries) {
+        saved.push(await entry.analysis.save());
+        await revisionService.record(entry.analysis, 'import');
+      }
+    } catch (error) {
+      const ids = saved.map(analysis => analysis._id);
+      await Analysis.deleteMany({ _id: { $in: ids } });
+      await Promise.all(ids.map(id => revisionService.removeAll(id)));
+      throw error;
+    }
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,255 @@
+const EventEmitter = require('events');
+const os = require('os');
+const Job = require('../models/Job');
+
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.handlers = {};
+    this.running = new Map();
+    // Jobs whose handler succeeded but whose completion could not be saved yet
+    this.unrecorded = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+    this.backoffMs = parseInt(process.env.JOB_BACKOFF_MS) || 5000;
+    this.maxBackoffMs = 10 * 60 * 1000; // 10 minutes
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, context) => result; must stop once context.signal aborts
+   * @param {Object} options - { onFailed, maxAttempts, timeoutMs }
+   */
+  register(type, handler, options = {}) {
+    this.handlers[type] = { handler, ...options };
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Registered job type
+   * @param {Object} payload - Data handed to the handler
+   * @param {Object} options - { maxAttempts, timeoutMs, runAt }
+   * @returns {Object} The queued job
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const defaults = this.handlers[type] || {};
+
+    return Job.create({
+      type,
+      payload,
+      maxAttempts: options.maxAttempts || defaults.maxAttempts,
+      timeoutMs: options.timeoutMs || defaults.timeoutMs,
+      runAt: options.runAt || new Date()
+    });
+  }
+
+  /**
+   * Start polling for jobs in this process
+   * @param {Object} options - { concurrency, pollInterval }
+   */
+  start(options = {}) {
+    if (this.timer) return;
+
+    this.concurrency = options.concurrency || this.concurrency;
+    this.pollInterval = options.pollInterval || this.pollInterval;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.tick();
+
+    console.log(`⚙️  Job worker ${this.workerId} started (concurrency ${this.concurrency})`);
+  }
+
+  /**
+   * Stop polling and wait for running jobs to settle
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.allSettled([...this.running.values()]);
+    await this.recordCompletions();
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.recordCompletions();
+      await this.recoverStuckJobs();
+
+      while (this.timer && this.running.size < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        const run = this.run(job)
+          .catch(error => console.error(`❌ Job ${job.id} (${job.type}) run error:`, error.message))
+          .finally(() => this.running.delete(job.id));
+        this.running.set(job.id, run);
+      }
+    } catch (error) {
+      console.error('❌ Job queue poll error:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Atomically lock the oldest due job of a type this worker handles
+  async claimNext() {
+    return Job.findOneAndUpdate(
+      {
+        status: 'queued',
+        type: { $in: Object.keys(this.handlers) },
+        runAt: { $lte: new Date() }
+      },
+      [{
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          lockedAt: '$$NOW',
+          lockedUntil: { $add: ['$$NOW', '$timeoutMs'] },
+          attempts: { $add: ['$attempts', 1] }
+        }
+      }],
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async run(job) {
+    const { handler } = this.handlers[job.type];
+    const controller = new AbortController();
+    let timeout;
+
+    const context = {
+      job,
+      attempt: job.attempts,
+      signal: controller.signal,
+      reportProgress: progress => this.reportProgress(job, progress)
+    };
+
+    const timedOut = new Promise((resolve, reject) => {
+      timeout = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`Job timed out after ${job.timeoutMs}ms`));
+      }, job.timeoutMs);
+    });
+
+    const work = Promise.resolve().then(() => handler(job.payload, context));
+
+    let result;
+    try {
+      result = await Promise.race([work, timedOut]);
+    } catch (error) {
+      await this.recordFailure(job, error);
+      // A timed-out handler has been told to stop; its slot stays taken until it has
+      if (controller.signal.aborted) await work.catch(() => {});
+      return;
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    // The work is done, so failing to record it must not run the job again
+    try {
+      await this.complete(job);
+    } catch (error) {
+      console.error(`❌ Job ${job.id} (${job.type}) succeeded but could not be marked completed, will retry: ${error.message}`);
+      this.unrecorded.set(job.id, job);
+    }
+    this.emit('completed', job, result);
+  }
+
+  async reportProgress(job, progress) {
+    const value = Math.max(0, Math.min(100, Math.round(progress)));
+    await Job.updateOne({ _id: job._id, lockedBy: this.workerId, status: 'running' }, { progress: value });
+    this.emit('progress', job, value);
+  }
+
+  async complete(job) {
+    await Job.updateOne(
+      { _id: job._id, lockedBy: this.workerId, status: 'running' },
+      { status: 'completed', progress: 100, completedAt: new Date(), $unset: { lockedUntil: 1 } }
+    );
+  }
+
+  // Save the completion of jobs that could not be marked completed when they finished
+  async recordCompletions() {
+    for (const [id, job] of this.unrecorded) {
+      try {
+        await this.complete(job);
+        this.unrecorded.delete(id);
+      } catch (error) {
+        console.error(`❌ Job ${id} (${job.type}) still could not be marked completed: ${error.message}`);
+      }
+    }
+  }
+
+  // Fail a job without throwing; a failure that cannot be saved is retried once the job's lock expires
+  async recordFailure(job, error) {
+    try {
+      await this.fail(job, error);
+    } catch (failError) {
+      console.error(`❌ Job ${job.id} (${job.type}) could not be marked failed, will retry: ${failError.message}`);
+    }
+  }
+
+  // Retry with exponential backoff, or give up once attempts are exhausted
+  async fail(job, error) {
+    const retryable = error.retryable !== false && job.attempts < job.maxAttempts;
+    const update = retryable
+      ? {
+        status: 'queued',
+        runAt: new Date(Date.now() + this.getBackoff(job.attempts)),
+        lastError: error.message,
+        $unset: { lockedBy: 1, lockedAt: 1, lockedUntil: 1 }
+      }
+      : {
+        status: 'failed',
+        lastError: error.message,
+        failedAt: new Date(),
+        $unset: { lockedUntil: 1 }
+      };
+
+    const result = await Job.updateOne({ _id: job._id, status: 'running', attempts: job.attempts }, update);
+    if (result.modifiedCount === 0) return;
+
+    if (retryable) {
+      console.log(`🔁 Job ${job.id} (${job.type}) attempt ${job.attempts} failed, retrying: ${error.message}`);
+      this.emit('retry', job, error);
+      return;
+    }
+
+    console.error(`❌ Job ${job.id} (${job.type}) failed: ${error.message}`);
+    this.emit('failed', job, error);
+
+    const { onFailed } = this.handlers[job.type] || {};
+    if (onFailed) {
+      try {
+        await onFailed(job.payload, error);
+      } catch (hookError) {
+        console.error(`❌ Job ${job.id} failure hook error:`, hookError.message);
+      }
+    }
+  }
+
+  getBackoff(attempts) {
+    return Math.min(this.backoffMs * Math.pow(2, attempts - 1), this.maxBackoffMs);
+  }
+
+  // Jobs whose lock expired belong to a worker that died or hung
+  async recoverStuckJobs() {
+    const stuck = await Job.find({
+      status: 'running',
+      type: { $in: Object.keys(this.handlers) },
+      lockedUntil: { $lt: new Date() }
+    });
+
+    for (const job of stuck) {
+      if (this.running.has(job.id) || this.unrecorded.has(job.id)) continue;
+      await this.recordFailure(job, new Error(`Job timed out after ${job.timeoutMs}ms`));
+    }
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,184 @@
+const fs = require('fs').promises;
+const path = require('path');
+const MapsProvider = require('./mapsProvider');
+
+const EARTH_RADIUS_M = 6371000;
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+const haversine = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+// Representative { lat, lng } of a GeoJSON geometry: the point itself, else the vertex average
+const geometryLocation = (geometry) => {
+  if (!geometry) return null;
+  if (geometry.type === 'Point') {
+    return { lat: geometry.coordinates[1], lng: geometry.coordinates[0] };
+  }
+
+  const positions = [];
+  const collect = (coordinates) => {
+    if (typeof coordinates[0] === 'number') positions.push(coordinates);
+    else coordinates.forEach(collect);
+  };
+  collect(geometry.coordinates || []);
+  if (positions.length === 0) return null;
+
+  return {
+    lat: positions.reduce((sum, position) => sum + position[1], 0) / positions.length,
+    lng: positions.reduce((sum, position) => sum + position[0], 0) / positions.length
+  };
+};
+
+const parseLatLng = (value) => {
+  if (typeof value !== 'string') return null;
+  const [lat, lng] = value.split(',').map(Number);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+/**
+ * Reads surroundings from a local file so analyses can run offline and reproducibly.
+ * The file is either a GeoJSON FeatureCollection of places, or an object with
+ * optional keys:
+ *   places     - FeatureCollection; each feature's properties carry name and type
+ *   elevation  - { default, points: [{ lat, lng, elevation }] }
+ *   address    - reverse geocoding result
+ *   directions - Directions response returned for every route
+ * Point features with an `elevation` property also serve as elevation samples.
+ */
+class FixtureMapsProvider extends MapsProvider {
+  constructor(options = {}) {
+    super('fixture');
+    this.filePath = path.resolve(options.filePath || process.env.MAPS_FIXTURE_PATH || path.join(__dirname, '../../fixtures/surroundings.geojson'));
+    this.fixture = null;
+  }
+
+  async load() {
+    if (!this.fixture) {
+      this.fixture = fs.readFile(this.filePath, 'utf8')
+        .then(content => this.normalize(JSON.parse(content)))
+        .catch(error => {
+          this.fixture = null;
+          throw new Error(`Failed to load maps fixture ${this.filePath}: ${error.message}`);
+        });
+    }
+    return this.fixture;
+  }
+
+  normalize(data) {
+    const collection = data.type === 'FeatureCollection' ? data : data.places || { features: [] };
+
+    const places = (collection.features || [])
+      .map((feature, index) => {
+        const properties = feature.properties || {};
+        const location = geometryLocation(feature.geometry);
+        if (!location || !properties.type) return null;
+
+        return {
+          name: properties.name || `Place ${index + 1}`,
+          types: [properties.type],
+          geometry: { location },
+          rating: properties.rating,
+          vicinity: properties.vicinity,
+          place_id: properties.place_id || `fixture-${index}`,
+          elevation: properties.elevation
+        };
+      })
+      .filter(Boolean);
+
+    const elevation = data.elevation || {};
+    const samples = [
+      ...(elevation.points || []),
+      ...places
+        .filter(place => typeof place.elevation === 'number')
+        .map(place => ({ ...place.geometry.location, elevation: place.elevation }))
+    ];
+
+    return {
+      places,
+      elevationSamples: samples,
+      defaultElevation: elevation.default || 0,
+      address: data.address || null,
+      directions: data.directions || null
+    };
+  }
+
+  async nearbySearch({ latitude, longitude, radius, type }) {
+    const { places } = await this.load();
+    const origin = { lat: latitude, lng: longitude };
+
+    return places
+      .filter(place => place.types.includes(type) && haversine(origin, place.geometry.location) <= radius)
+      .map(({ elevation, ...place }) => place);
+  }
+
+  // Inverse-distance weighting of the fixture's elevation samples
+  async getElevations(locations) {
+    const { elevationSamples, defaultElevation } = await this.load();
+    if (elevationSamples.length === 0) return locations.map(() => defaultElevation);
+
+    return locations.map(location => {
+      let weightSum = 0;
+      let valueSum = 0;
+
+      for (const sample of elevationSamples) {
+        const distance = haversine(location, sample);
+        if (distance < 1) return sample.elevation;
+        const weight = 1 / (distance * distance);
+        weightSum += weight;
+        valueSum += weight * sample.elevation;
+      }
+
+      return valueSum / weightSum;
+    });
+  }
+
+  async reverseGeocode(latitude, longitude) {
+    const { address } = await this.load();
+    return address || {
+      formatted_address: `${latitude.toFixed(6)}, ${longitude.toFixed(6)}`,
+      address_components: [],
+      place_id: null
+    };
+  }
+
+  // The fixture's route if it has one, else a straight line between coordinates
+  async getDirections(origin, destination, mode = 'driving') {
+    const { directions } = await this.load();
+    if (directions) return directions;
+
+    const start = parseLatLng(origin);
+    const end = parseLatLng(destination);
+    if (!start || !end) return { status: 'ZERO_RESULTS', routes: [] };
+
+    const meters = Math.round(haversine(start, end));
+    return {
+      status: 'OK',
+      routes: [{
+        summary: `Straight line (${mode})`,
+        legs: [{
+          distance: { value: meters, text: `${(meters / 1000).toFixed(1)} km` },
+          start_location: start,
+          end_location: end,
+          steps: []
+        }]
+      }]
+    };
+  }
+
+  async getPlaceDetails(placeId) {
+    const { places } = await this.load();
+    const place = places.find(item => item.place_id === placeId);
+    return place ? { name: place.name, rating: place.rating } : null;
+  }
+
+  async getNearestRoads() {
+    return { snappedPoints: [] };
+  }
+}
+
+module.exports = FixtureMapsProvider;
@@ -0,0 +1,87 @@
+const axios = require('axios');
+const MapsProvider = require('./mapsProvider');
+
+// Locations per Elevation API request, kept well under its URL length limit
+const ELEVATION_BATCH_SIZE = 100;
+
+// Statuses of a Places search that answered; any other (OVER_QUERY_LIMIT, REQUEST_DENIED, ...) is a failure
+const PLACES_OK_STATUSES = ['OK', 'ZERO_RESULTS'];
+
+class GoogleMapsProvider extends MapsProvider {
+  constructor(options = {}) {
+    super('google');
+    this.apiKey = options.apiKey || process.env.GOOGLE_MAPS_API_KEY;
+    this.baseUrl = options.baseUrl || 'https://maps.googleapis.com/maps/api';
+  }
+
+  async request(path, params) {
+    const response = await axios.get(`${this.baseUrl}${path}`, {
+      params: { ...params, key: this.apiKey }
+    });
+    return response.data;
+  }
+
+  async nearbySearch({ latitude, longitude, radius, type }) {
+    const data = await this.request('/place/nearbysearch/json', {
+      location: `${latitude},${longitude}`,
+      radius: radius,
+      type: type
+    });
+    // Thrown rather than returned as no places, so the failure is not cached
+    if (!PLACES_OK_STATUSES.includes(data.status)) {
+      throw new Error(`Places search failed with ${data.status}${data.error_message ? `: ${data.error_message}` : ''}`);
+    }
+    return data.results || [];
+  }
+
+  async getElevations(locations) {
+    const elevations = [];
+
+    for (let i = 0; i < locations.length; i += ELEVATION_BATCH_SIZE) {
+      const batch = locations.slice(i, i + ELEVATION_BATCH_SIZE);
+      const data = await this.request('/elevation/json', {
+        locations: batch.map(location => `${location.lat},${location.lng}`).join('|')
+      });
+      elevations.push(...batch.map((location, index) => data.results?.[index]?.elevation ?? null));
+    }
+
+    return elevations;
+  }
+
+  async reverseGeocode(latitude, longitude) {
+    const data = await this.request('/geocode/json', {
+      latlng: `${latitude},${longitude}`
+    });
+
+    const result = data.results?.[0];
+    if (!result) return null;
+
+    return {
+      formatted_address: result.formatted_address,
+      address_components: result.address_components,
+      place_id: result.place_id
+    };
+  }
+
+  async getDirections(origin, destination, mode = 'driving') {
+    return this.request('/directions/json', { origin, destination, mode });
+  }
+
+  async getPlaceDetails(placeId) {
+    const data = await this.request('/place/details/json', {
+      place_id: placeId,
+      fields: 'name,rating,formatted_phone_number,website,opening_hours,reviews'
+    });
+    return data.result;
+  }
+
+  async getNearestRoads(latitude, longitude) {
+    // The Roads API lives on its own host
+    const response = await axios.get('https://roads.googleapis.com/v1/nearestRoads', {
+      params: { points: `${latitude},${longitude}`, key: this.apiKey }
+    });
+    return response.data;
+  }
+}
+
+module.exports = GoogleMapsProvider;
@@ -0,0 +1,27 @@
+const GoogleMapsProvider = require('./googleMapsProvider');
+const FixtureMapsProvider = require('./fixtureMapsProvider');
+
+const PROVIDERS = {
+  google: GoogleMapsProvider,
+  fixture: FixtureMapsProvider
+};
+
+/**
+ * Create the maps provider selected by name, or by MAPS_PROVIDER
+ * @param {string} name - google or fixture
+ * @param {Object} options - Provider options, e.g. { filePath } for fixture
+ * @returns {MapsProvider} Provider instance
+ */
+const createMapsProvider = (name = process.env.MAPS_PROVIDER || 'google', options = {}) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown maps provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+};
+
+module.exports = {
+  createMapsProvider,
+  GoogleMapsProvider,
+  FixtureMapsProvider
+};
@@ -0,0 +1,63 @@
+/**
+ * Interface every maps data source implements.
+ * Places are returned in the Google Places shape so MapsService can treat
+ * all providers alike: { name, types, geometry: { location: { lat, lng } }, rating, vicinity, place_id }.
+ */
+class MapsProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Places of one type around a location
+   * @param {Object} query - { latitude, longitude, radius (metres), type }
+   * @returns {Promise<Array>} Places in the Google Places shape
+   */
+  async nearbySearch(query) {
+    throw this.notSupported('nearbySearch');
+  }
+
+  /**
+   * Elevation of one or more locations
+   * @param {Array} locations - [{ lat, lng }]
+   * @returns {Promise<Array>} Elevations in metres, in the same order
+   */
+  async getElevations(locations) {
+    throw this.notSupported('getElevations');
+  }
+
+  /**
+   * Address of a location
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {Promise<Object|null>} { formatted_address, address_components, place_id }
+   */
+  async reverseGeocode(latitude, longitude) {
+    throw this.notSupported('reverseGeocode');
+  }
+
+  /**
+   * Route between two points
+   * @param {string} origin - Address or "lat,lng"
+   * @param {string} destination - Address or "lat,lng"
+   * @param {string} mode - driving, walking, bicycling or transit
+   * @returns {Promise<Object>} Response in the Google Directions shape
+   */
+  async getDirections(origin, destination, mode) {
+    throw this.notSupported('getDirections');
+  }
+
+  async getPlaceDetails(placeId) {
+    throw this.notSupported('getPlaceDetails');
+  }
+
+  async getNearestRoads(latitude, longitude) {
+    throw this.notSupported('getNearestRoads');
+  }
+
+  notSupported(method) {
+    return new Error(`Maps provider "${this.name}" does not support ${method}`);
+  }
+}
+
+module.exports = MapsProvider;
@@ -1,23 +1,77 @@
-const axios = require('axios');
+const { createMapsProvider } = require('./mapsProviders');
+const placeCache = require('./placeCache');
+const mapLimit = require('../utils/mapLimit');
+
+// Compass directions clockwise from north, at 8 and 16 point precision
+const DIRECTIONS_8 = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+const DIRECTIONS_16 = [
+  'north', 'north-northeast', 'northeast', 'east-northeast',
+  'east', 'east-southeast', 'southeast', 'south-southeast',
+  'south', 'south-southwest', 'southwest', 'west-southwest',
+  'west', 'west-northwest', 'northwest', 'north-northwest'
+];
+
+// Surrounding element scores, before distance weighting
+const PLACE_TYPE_SCORES = {
+  water: 10,
+  park: 8,
+  school: 5,
+  hospital: 7,
+  cemetery: -15,
+  airport: -10
+};
+
+// How favourable it is for the land to fall away towards each direction
+const SLOPE_RULES = {
+  northeast: { score: 100, assessment: 'Land slopes down to the northeast - the most auspicious slope' },
+  north: { score: 90, assessment: 'Land slopes down to the north - good for prosperity' },
+  east: { score: 90, assessment: 'Land slopes down to the east - good for health and growth' },
+  northwest: { score: 60, assessment: 'Land slopes down to the northwest - acceptable' },
+  southeast: { score: 45, assessment: 'Land slopes down to the southeast - not recommended' },
+  west: { score: 35, assessment: 'Land slopes down to the west - not recommended' },
+  south: { score: 30, assessment: 'Land slopes down to the south - inauspicious' },
+  southwest: { score: 10, assessment: 'Land slopes down to the southwest - the most inauspicious slope' }
+};
+
+// Slopes gentler than this count as level ground; the full rule score applies from FULL_SLOPE_PERCENT
+const FLAT_SLOPE_PERCENT = 0.5;
+const FULL_SLOPE_PERCENT = 2;
+const STEEP_SLOPE_PERCENT = 15;
+const METERS_PER_DEGREE = 111320;
 
 class MapsService {
   constructor() {
-    this.apiKey = process.env.GOOGLE_MAPS_API_KEY;
-    this.baseUrl = 'https://maps.googleapis.com/maps/api';
+    this.provider = createMapsProvider();
+    this.concurrency = parseInt(process.env.MAPS_CONCURRENCY) || 4;
+    this.terrainGridSize = parseInt(process.env.MAPS_TERRAIN_GRID_SIZE) || 5;
+    this.terrainSpacing = parseFloat(process.env.MAPS_TERRAIN_SPACING_M) || 25;
+    this.neutralTerrainScore = 70;
+    // A place this far away counts half as much as one next door
+    this.halfWeightDistanceKm = parseFloat(process.env.MAPS_HALF_WEIGHT_DISTANCE_KM) || 0.5;
   }
 
-  // Get surroundings information from Google Maps
-  async getSurroundings(latitude, longitude, radius = 2000) {
+  // Swap the data source, e.g. for a fixture provider in development
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  // Get surroundings information from the maps provider; options as for analyzeSurroundings
+  async getSurroundings(latitude, longitude, radius = 2000, options = {}) {
     try {
       const places = await this.getNearbyPlaces(latitude, longitude, radius);
       const elevation = await this.getElevation(latitude, longitude);
+      const terrain = await this.getTerrain(latitude, longitude);
       const geocoding = await this.getReverseGeocoding(latitude, longitude);
+
+      const analysis = this.analyzeSurroundings(places, elevation, { lat: latitude, lng: longitude }, options);
+      if (terrain) this.applyTerrain(analysis, terrain);
       
       return {
         places: places,
         elevation: elevation,
+        terrain: terrain,
         address: geocoding,
-        analysis: this.analyzeSurroundings(places, elevation)
+        analysis: analysis
       };
     } catch (error) {
       console.error('Maps service error:', error);
@@ -25,7 +79,7 @@ class MapsService {
     }
   }
 
-  // Get nearby places using Google Places API
+  // Get nearby places of every Vastu-relevant type, cached per rounded site and type
   async getNearbyPlaces(latitude, longitude, radius) {
     const types = [
       'water', 'park', 'school', 'hospital', 'shopping_mall', 
@@ -33,33 +87,31 @@ class MapsService {
       'temple', 'cemetery', 'airport', 'train_station', 'bus_station'
     ];
 
-    const allPlaces = [];
-
-    for (const type of types) {
+    const resultsByType = await mapLimit(types, this.concurrency, async (type) => {
       try {
-        const response = await axios.get(`${this.baseUrl}/place/nearbysearch/json`, {
-          params: {
-            location: `${latitude},${longitude}`,
-            radius: radius,
-            type: type,
-            key: this.apiKey
-          }
-        });
-
-        if (response.data.results) {
-          allPlaces.push(...response.data.results.map(place => ({
-            name: place.name,
-            type: type,
-            distance: place.distance || this.calculateDistance(latitude, longitude, place.geometry.location.lat, place.geometry.location.lng),
-            rating: place.rating,
-            vicinity: place.vicinity,
-            geometry: place.geometry
-          })));
-        }
+        return await placeCache.fetch(
+          { provider: this.provider.name, latitude, longitude, radius, type },
+          query => this.provider.nearbySearch(query)
+        );
       } catch (error) {
         console.error(`Error fetching ${type} places:`, error);
+        return [];
       }
-    }
+    });
+
+    const allPlaces = [];
+    resultsByType.forEach((results, index) => {
+      // Places without coordinates can be neither measured nor placed in a direction
+      const located = (results || []).filter(place => place.geometry && place.geometry.location);
+      allPlaces.push(...located.map(place => ({
+        name: place.name,
+        type: types[index],
+        distance: place.distance || this.calculateDistance(latitude, longitude, place.geometry.location.lat, place.geometry.location.lng),
+        rating: place.rating,
+        vicinity: place.vicinity,
+        geometry: place.geometry
+      })));
+    });
 
     return allPlaces;
   }
@@ -67,44 +119,166 @@ class MapsService {
   // Get elevation data
   async getElevation(latitude, longitude) {
     try {
-      const response = await axios.get(`${this.baseUrl}/elevation/json`, {
-        params: {
-          locations: `${latitude},${longitude}`,
-          key: this.apiKey
-        }
-      });
-
-      return response.data.results[0]?.elevation || 0;
+      const [elevation] = await this.provider.getElevations([{ lat: latitude, lng: longitude }]);
+      return elevation || 0;
     } catch (error) {
       console.error('Elevation service error:', error);
       return 0;
     }
   }
 
+  /**
+   * Sample an elevation grid around the plot and score how the land slopes
+   * @param {number} latitude - Plot centre latitude
+   * @param {number} longitude - Plot centre longitude
+   * @param {Object} options - { gridSize, spacing (metres between samples) }
+   * @returns {Object|null} Terrain analysis, or null when elevations are unavailable
+   */
+  async getTerrain(latitude, longitude, options = {}) {
+    const gridSize = options.gridSize || this.terrainGridSize;
+    const spacing = options.spacing || this.terrainSpacing;
+    const half = (gridSize - 1) / 2;
+
+    const offsets = [];
+    for (let row = 0; row < gridSize; row++) {
+      for (let column = 0; column < gridSize; column++) {
+        offsets.push({ east: (column - half) * spacing, north: (half - row) * spacing });
+      }
+    }
+
+    const metersPerDegreeLng = METERS_PER_DEGREE * Math.cos(this.deg2rad(latitude));
+    const locations = offsets.map(offset => ({
+      lat: latitude + offset.north / METERS_PER_DEGREE,
+      lng: longitude + offset.east / metersPerDegreeLng
+    }));
+
+    let elevations;
+    try {
+      elevations = await this.provider.getElevations(locations);
+    } catch (error) {
+      console.error('Terrain elevation error:', error);
+      return null;
+    }
+
+    const samples = offsets
+      .map((offset, index) => ({ ...offset, elevation: elevations[index] }))
+      .filter(sample => typeof sample.elevation === 'number');
+    if (samples.length < 3) return null;
+
+    return this.analyzeSlope(samples, { gridSize, spacing });
+  }
+
+  /**
+   * Fit a plane to elevation samples and score its downhill direction
+   * @param {Array} samples - [{ east, north, elevation }] with offsets in metres
+   * @param {Object} grid - { gridSize, spacing } the samples were taken on
+   * @returns {Object} Slope, downhill direction, score and recommendations
+   */
+  analyzeSlope(samples, grid = {}) {
+    // Least squares fit of elevation = a * east + b * north + c
+    const n = samples.length;
+    const mean = (fn) => samples.reduce((sum, sample) => sum + fn(sample), 0) / n;
+    const meanEast = mean(sample => sample.east);
+    const meanNorth = mean(sample => sample.north);
+    const meanElevation = mean(sample => sample.elevation);
+
+    let see = 0, snn = 0, sen = 0, sez = 0, snz = 0;
+    samples.forEach(sample => {
+      const e = sample.east - meanEast;
+      const nn = sample.north - meanNorth;
+      const z = sample.elevation - meanElevation;
+      see += e * e;
+      snn += nn * nn;
+      sen += e * nn;
+      sez += e * z;
+      snz += nn * z;
+    });
+
+    const determinant = see * snn - sen * sen;
+    const a = determinant ? (sez * snn - snz * sen) / determinant : 0;
+    const b = determinant ? (snz * see - sez * sen) / determinant : 0;
+
+    const gradient = Math.hypot(a, b);
+    const slopePercent = Math.round(gradient * 10000) / 100;
+    const elevationValues = samples.map(sample => sample.elevation);
+
+    const terrain = {
+      samples: n,
+      gridSize: grid.gridSize,
+      spacing: grid.spacing,
+      minElevation: Math.round(Math.min(...elevationValues) * 10) / 10,
+      maxElevation: Math.round(Math.max(...elevationValues) * 10) / 10,
+      relief: Math.round((Math.max(...elevationValues) - Math.min(...elevationValues)) * 10) / 10,
+      slopePercent,
+      slopeDegrees: Math.round(Math.atan(gradient) * (180 / Math.PI) * 100) / 100,
+      downhillBearing: null,
+      downhillDirection: null,
+      score: this.neutralTerrainScore,
+      assessment: 'Level ground - neutral',
+      recommendations: []
+    };
+
+    if (slopePercent < FLAT_SLOPE_PERCENT) {
+      terrain.recommendations.push('Level ground is acceptable; keep the northeast of the plot lowest when grading');
+      return terrain;
+    }
+
+    // The gradient points uphill; the land falls away the opposite way
+    const bearing = (Math.atan2(-a, -b) * (180 / Math.PI) + 360) % 360;
+    const direction = this.bearingToDirection(bearing);
+    const rule = SLOPE_RULES[direction];
+    const strength = Math.min(1, slopePercent / FULL_SLOPE_PERCENT);
+
+    terrain.downhillBearing = Math.round(bearing * 10) / 10;
+    terrain.downhillDirection = direction;
+    terrain.score = Math.round(this.neutralTerrainScore + (rule.score - this.neutralTerrainScore) * strength);
+    terrain.assessment = rule.assessment;
+
+    if (rule.score < this.neutralTerrainScore) {
+      terrain.recommendations.push('Raise the southwest of the plot or build heavier structures there to counter the slope');
+      terrain.recommendations.push('Plant tall trees along the low side of the plot');
+    }
+    if (slopePercent > STEEP_SLOPE_PERCENT) {
+      terrain.recommendations.push('The slope is steep - consider terracing and drainage before construction');
+    }
+
+    return terrain;
+  }
+
+  // Fold the terrain result into a surroundings analysis
+  applyTerrain(analysis, terrain) {
+    analysis.terrain = terrain;
+    if (!terrain.downhillDirection) return;
+
+    if (terrain.score >= this.neutralTerrainScore) {
+      analysis.positiveElements.push(terrain.assessment);
+      analysis.vastuScore += 5;
+    } else {
+      analysis.negativeElements.push(terrain.assessment);
+      analysis.vastuScore -= 5;
+    }
+    analysis.recommendations.push(...terrain.recommendations);
+  }
+
   // Get reverse geocoding information
   async getReverseGeocoding(latitude, longitude) {
     try {
-      const response = await axios.get(`${this.baseUrl}/geocode/json`, {
-        params: {
-          latlng: `${latitude},${longitude}`,
-          key: this.apiKey
-        }
-      });
-
-      const result = response.data.results[0];
-      return {
-        formatted_address: result.formatted_address,
-        address_components: result.address_components,
-        place_id: result.place_id
-      };
+      return await this.provider.reverseGeocode(latitude, longitude);
     } catch (error) {
       console.error('Geocoding service error:', error);
       return null;
     }
   }
 
-  // Analyze surroundings for Vastu compliance
-  analyzeSurroundings(places, elevation) {
+  /**
+   * Analyze surroundings for Vastu compliance
+   * @param {Array} places - Places from getNearbyPlaces
+   * @param {number} elevation - Elevation of the property in metres
+   * @param {Object} origin - Property location { lat, lng }
+   * @param {Object} options - { precision: 8 or 16, declination }
+   * @returns {Object} Surroundings analysis
+   */
+  analyzeSurroundings(places, elevation, origin, options = {}) {
     const analysis = {
       positiveElements: [],
       negativeElements: [],
@@ -165,56 +339,109 @@ class MapsService {
       analysis.recommendations.push('Use specific colors and elements to amplify positive influences');
     }
 
-    // Directional analysis based on surroundings
-    analysis.directionalAnalysis = this.analyzeDirections(places);
+    // Directional analysis based on surroundings; bearings and directions are from true north unless a declination is given
+    analysis.directionalAnalysis = this.analyzeDirections(places, origin, options);
+    analysis.northReference = this.getNorthReference(options);
 
     return analysis;
   }
 
-  // Analyze directions based on surrounding elements
-  analyzeDirections(places) {
-    const directions = {
-      north: { score: 0, elements: [] },
-      south: { score: 0, elements: [] },
-      east: { score: 0, elements: [] },
-      west: { score: 0, elements: [] },
-      northeast: { score: 0, elements: [] },
-      northwest: { score: 0, elements: [] },
-      southeast: { score: 0, elements: [] },
-      southwest: { score: 0, elements: [] }
-    };
+  /**
+   * Analyze directions based on surrounding elements.
+   * Each place counts towards the direction it lies in from the property,
+   * weighted down the further away it is.
+   * @param {Array} places - Places with geometry.location
+   * @param {Object} origin - Property location { lat, lng }
+   * @param {Object} options - { precision: 8 or 16, declination }
+   * @returns {Object} Score, elements and places per direction
+   */
+  analyzeDirections(places, origin, options = {}) {
+    const directions = {};
+    this.getDirectionNames(options.precision).forEach(direction => {
+      directions[direction] = { score: 0, elements: [], places: [] };
+    });
 
     places.forEach(place => {
-      const direction = this.getDirectionFromPlace(place);
-      if (direction && directions[direction]) {
-        directions[direction].elements.push(place.name);
-        
-        // Score based on element type
-        if (place.type === 'water') {
-          directions[direction].score += 10;
-        } else if (place.type === 'park') {
-          directions[direction].score += 8;
-        } else if (place.type === 'school') {
-          directions[direction].score += 5;
-        } else if (place.type === 'hospital') {
-          directions[direction].score += 7;
-        } else if (place.type === 'cemetery') {
-          directions[direction].score -= 15;
-        } else if (place.type === 'airport') {
-          directions[direction].score -= 10;
-        }
-      }
+      const direction = this.getDirectionFromPlace(place, origin, options);
+      if (!direction || !directions[direction]) return;
+
+      const location = place.geometry.location;
+      const distance = place.distance || this.calculateDistance(origin.lat, origin.lng, location.lat, location.lng);
+      const weight = this.getDistanceWeight(distance);
+
+      directions[direction].elements.push(place.name);
+      directions[direction].places.push({
+        name: place.name,
+        type: place.type,
+        distance: Math.round(distance * 1000) / 1000,
+        bearing: Math.round(this.getPlaceBearing(place, origin, options) * 10) / 10,
+        weight: Math.round(weight * 100) / 100
+      });
+      directions[direction].score += (PLACE_TYPE_SCORES[place.type] || 0) * weight;
+    });
+
+    Object.values(directions).forEach(entry => {
+      entry.score = Math.round(entry.score * 100) / 100;
     });
 
     return directions;
   }
 
-  // Get direction from place location (simplified)
-  getDirectionFromPlace(place) {
-    // This is a simplified version - in reality, you'd calculate the actual direction
-    // based on the place's coordinates relative to the property
-    const directions = ['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest'];
-    return directions[Math.floor(Math.random() * directions.length)];
+  getDirectionNames(precision = 8) {
+    return precision === 16 ? DIRECTIONS_16 : DIRECTIONS_8;
+  }
+
+  /**
+   * Direction a place lies in, seen from the property
+   * @param {Object} place - Place with geometry.location { lat, lng }
+   * @param {Object} origin - Property location { lat, lng }
+   * @param {Object} options - { precision: 8 or 16, declination }
+   * @returns {string|null} Direction name, or null without coordinates
+   */
+  getDirectionFromPlace(place, origin, options = {}) {
+    const bearing = this.getPlaceBearing(place, origin, options);
+    return bearing === null ? null : this.bearingToDirection(bearing, options.precision);
+  }
+
+  /**
+   * Bearing from the property to a place
+   * @param {Object} place - Place with geometry.location { lat, lng }
+   * @param {Object} origin - Property location { lat, lng }
+   * @param {Object} options - { declination } in degrees, east positive, to measure from magnetic north
+   * @returns {number|null} Degrees clockwise from true north (the frame the plan's zones use), or from magnetic north with a declination
+   */
+  getPlaceBearing(place, origin, options = {}) {
+    const location = place.geometry && place.geometry.location;
+    if (!location || !origin) return null;
+
+    const bearing = this.calculateBearing(origin.lat, origin.lng, location.lat, location.lng);
+    return ((bearing - (options.declination || 0)) % 360 + 360) % 360;
+  }
+
+  // North that bearings measured with these options are taken from
+  getNorthReference(options = {}) {
+    return options.declination === undefined || options.declination === null ? 'true' : 'magnetic';
+  }
+
+  bearingToDirection(bearing, precision = 8) {
+    const names = this.getDirectionNames(precision);
+    const index = Math.round(bearing / (360 / names.length)) % names.length;
+    return names[index];
+  }
+
+  // Initial great-circle bearing between two points, degrees clockwise from true north
+  calculateBearing(lat1, lon1, lat2, lon2) {
+    const phi1 = this.deg2rad(lat1);
+    const phi2 = this.deg2rad(lat2);
+    const dLon = this.deg2rad(lon2 - lon1);
+    const y = Math.sin(dLon) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+    return (Math.atan2(y, x) * (180 / Math.PI) + 360) % 360;
+  }
+
+  // 1 next to the property, falling to 0.5 at halfWeightDistanceKm
+  getDistanceWeight(distanceKm) {
+    return 1 / (1 + distanceKm / this.halfWeightDistanceKm);
   }
 
   // Calculate distance between two points
@@ -259,15 +486,7 @@ class MapsService {
   // Get detailed place information
   async getPlaceDetails(placeId) {
     try {
-      const response = await axios.get(`${this.baseUrl}/place/details/json`, {
-        params: {
-          place_id: placeId,
-          fields: 'name,rating,formatted_phone_number,website,opening_hours,reviews',
-          key: this.apiKey
-        }
-      });
-
-      return response.data.result;
+      return await this.provider.getPlaceDetails(placeId);
     } catch (error) {
       console.error('Place details service error:', error);
       return null;
@@ -277,16 +496,7 @@ class MapsService {
   // Get directions between two points
   async getDirections(origin, destination, mode = 'driving') {
     try {
-      const response = await axios.get(`${this.baseUrl}/directions/json`, {
-        params: {
-          origin: origin,
-          destination: destination,
-          mode: mode,
-          key: this.apiKey
-        }
-      });
-
-      return response.data;
+      return await this.provider.getDirections(origin, destination, mode);
     } catch (error) {
       console.error('Directions service error:', error);
       return null;
@@ -296,14 +506,7 @@ class MapsService {
   // Get traffic information
   async getTrafficInfo(latitude, longitude) {
     try {
-      const response = await axios.get(`${this.baseUrl}/roads/nearestRoads`, {
-        params: {
-          points: `${latitude},${longitude}`,
-          key: this.apiKey
-        }
-      });
-
-      return response.data;
+      return await this.provider.getNearestRoads(latitude, longitude);
     } catch (error) {
       console.error('Traffic service error:', error);
       return null;
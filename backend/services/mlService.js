@@ -2,6 +2,8 @@ const axios = require('axios');
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const floorPlanDetectionService = require('./floorPlanDetectionService');
+const geometry = require('../utils/geometry');
 
 class MLService {
   constructor() {
@@ -42,8 +44,44 @@ class MLService {
       return this.processMLResponse(response.data);
     } catch (error) {
       console.error('ML service error:', error);
-      // Fallback to rule-based analysis
-      return this.fallbackAnalysis(imageData);
+      // Fallback to rule-based analysis, with rooms detected locally when the image can be read
+      const analysis = this.fallbackAnalysis(imageData);
+      const detectedRooms = await this.detectRoomsLocally(imageData);
+      if (detectedRooms) {
+        analysis.roomDetection = {
+          detectedRooms,
+          totalArea: detectedRooms.reduce((sum, room) => sum + room.area, 0),
+          roomCount: detectedRooms.length
+        };
+      }
+      return analysis;
+    }
+  }
+
+  /**
+   * Detect rooms with the in-repo image pipeline
+   * @param {Buffer|string} imageData - Image buffer, base64 string or data URL
+   * @returns {Array|null} Detected rooms, or null when none were found
+   */
+  async detectRoomsLocally(imageData) {
+    try {
+      const buffer = Buffer.isBuffer(imageData)
+        ? imageData
+        : Buffer.from(String(imageData).replace(/^data:[^,]+,/, ''), 'base64');
+      const { rooms } = await floorPlanDetectionService.detect(buffer);
+      if (rooms.length === 0) return null;
+
+      return rooms.map(room => ({
+        name: room.name,
+        type: room.type,
+        area: Math.round(geometry.polygonArea(room.polygon) * 100) / 100,
+        position: geometry.polygonCentroid(room.polygon),
+        polygon: room.polygon,
+        confidence: room.confidence
+      }));
+    } catch (error) {
+      console.error('Local room detection error:', error.message);
+      return null;
     }
   }
 
@@ -0,0 +1,308 @@
+const sharp = require('sharp');
+// pdf.js as bundled with pdf-parse; it runs without a worker or canvas in Node
+const pdfjs = require('pdf-parse/lib/pdf.js/v2.0.550/build/pdf.js');
+
+const { OPS, Util } = pdfjs;
+
+// pdf.js image data layouts
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+const STROKE_OPS = [OPS.stroke, OPS.closeStroke, OPS.fillStroke, OPS.eoFillStroke, OPS.closeFillStroke, OPS.closeEOFillStroke];
+const FILL_OPS = [OPS.fill, OPS.eoFill, OPS.fillStroke, OPS.eoFillStroke, OPS.closeFillStroke, OPS.closeEOFillStroke];
+const IMAGE_OPS = [OPS.paintImageXObject, OPS.paintJpegXObject];
+
+// A page needs at least this many lines or filled shapes to count as line work
+const MIN_VECTOR_ITEMS = 4;
+
+/**
+ * Reads floor plans out of PDF files: summarizes pages, picks the plan page,
+ * and rasterizes it for room detection. Vector line work is redrawn as SVG;
+ * scanned pages fall back to their largest embedded image.
+ */
+class PdfFloorPlanService {
+  constructor() {
+    this.maxPages = parseInt(process.env.PDF_MAX_PAGES) || 20;
+  }
+
+  async load(buffer) {
+    return pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      nativeImageDecoderSupport: pdfjs.NativeImageDecoding.NONE,
+      disableFontFace: true,
+      verbosity: pdfjs.VerbosityLevel.ERRORS
+    });
+  }
+
+  /**
+   * Summarize every page so one can be chosen
+   * @param {Buffer} buffer - PDF file
+   * @returns {Promise<Array>} [{ page, width, height, segments, fills, images, labels, hasVectors }]
+   */
+  async getPages(buffer) {
+    const doc = await this.load(buffer);
+    try {
+      const pages = [];
+      for (let number = 1; number <= Math.min(doc.numPages, this.maxPages); number++) {
+        pages.push(this.summarize(await this.readPage(await doc.getPage(number))));
+      }
+      return pages;
+    } finally {
+      doc.destroy();
+    }
+  }
+
+  summarize(content) {
+    return {
+      page: content.number,
+      width: Math.round(content.width),
+      height: Math.round(content.height),
+      segments: content.segments.length,
+      fills: content.fills.length,
+      images: content.images.length,
+      labels: content.labels.length,
+      hasVectors: content.segments.length + content.fills.length >= MIN_VECTOR_ITEMS
+    };
+  }
+
+  // The page most likely to hold the plan: the most line work, else the largest image
+  selectPage(pages) {
+    const vector = pages.filter(page => page.hasVectors);
+    if (vector.length > 0) {
+      return vector.reduce((best, page) => (page.segments + page.fills > best.segments + best.fills ? page : best)).page;
+    }
+    const scanned = pages.filter(page => page.images > 0);
+    return scanned.length > 0 ? scanned[0].page : 1;
+  }
+
+  /**
+   * Line work, filled shapes, images and text of one page, in PDF user space (y up)
+   * @param {Object} page - pdf.js page
+   * @returns {Promise<Object>} Page content
+   */
+  async readPage(page) {
+    const [x0, y0, x1, y1] = page.view;
+    const operators = await page.getOperatorList();
+    const text = await page.getTextContent();
+
+    const content = {
+      number: page.pageNumber,
+      page,
+      view: { x0, y0, x1, y1 },
+      width: x1 - x0,
+      height: y1 - y0,
+      segments: [],
+      fills: [],
+      images: [],
+      labels: text.items
+        .filter(item => item.str && item.str.trim())
+        .map(item => ({ text: item.str.trim(), x: item.transform[4], y: item.transform[5] }))
+    };
+
+    let ctm = [1, 0, 0, 1, 0, 0];
+    let lineWidth = 1;
+    const stack = [];
+    let path = [];
+
+    const point = (x, y) => {
+      const [px, py] = Util.applyTransform([x, y], ctm);
+      return { x: px, y: py };
+    };
+
+    operators.fnArray.forEach((fn, index) => {
+      const args = operators.argsArray[index];
+
+      if (fn === OPS.save) {
+        stack.push({ ctm, lineWidth });
+      } else if (fn === OPS.restore) {
+        ({ ctm, lineWidth } = stack.pop() || { ctm, lineWidth });
+      } else if (fn === OPS.transform) {
+        ctm = Util.transform(ctm, args);
+      } else if (fn === OPS.setLineWidth) {
+        lineWidth = args[0];
+      } else if (fn === OPS.constructPath) {
+        path.push(...this.buildSubpaths(args[0], args[1], point));
+      } else if (STROKE_OPS.includes(fn) || FILL_OPS.includes(fn) || fn === OPS.endPath) {
+        const width = Math.max(lineWidth, 0) * Math.sqrt(Math.abs(ctm[0] * ctm[3] - ctm[1] * ctm[2]));
+
+        if (STROKE_OPS.includes(fn)) {
+          path.forEach(subpath => {
+            const points = subpath.closed ? [...subpath.points, subpath.points[0]] : subpath.points;
+            for (let i = 1; i < points.length; i++) {
+              content.segments.push({ start: points[i - 1], end: points[i], width });
+            }
+          });
+        }
+        if (FILL_OPS.includes(fn)) {
+          path.filter(subpath => subpath.points.length >= 3).forEach(subpath => content.fills.push(subpath.points));
+        }
+        path = [];
+      } else if (IMAGE_OPS.includes(fn)) {
+        // Images are drawn into the unit square of the current transform
+        const corners = [point(0, 0), point(1, 1)];
+        content.images.push({
+          objId: args[0],
+          x: Math.min(corners[0].x, corners[1].x),
+          y: Math.min(corners[0].y, corners[1].y),
+          width: Math.abs(corners[1].x - corners[0].x),
+          height: Math.abs(corners[1].y - corners[0].y)
+        });
+      }
+    });
+
+    return content;
+  }
+
+  // Subpaths of a constructPath operation; curves are reduced to their end points
+  buildSubpaths(ops, coordinates, point) {
+    const subpaths = [];
+    let current = null;
+    let c = 0;
+
+    const start = (p) => {
+      current = { points: [p], closed: false };
+      subpaths.push(current);
+    };
+    const lineTo = (p) => {
+      if (!current) start(p);
+      else current.points.push(p);
+    };
+
+    ops.forEach(op => {
+      if (op === OPS.moveTo) {
+        start(point(coordinates[c], coordinates[c + 1]));
+        c += 2;
+      } else if (op === OPS.lineTo) {
+        lineTo(point(coordinates[c], coordinates[c + 1]));
+        c += 2;
+      } else if (op === OPS.curveTo) {
+        lineTo(point(coordinates[c + 4], coordinates[c + 5]));
+        c += 6;
+      } else if (op === OPS.curveTo2 || op === OPS.curveTo3) {
+        lineTo(point(coordinates[c + 2], coordinates[c + 3]));
+        c += 4;
+      } else if (op === OPS.closePath) {
+        if (current) current.closed = true;
+      } else if (op === OPS.rectangle) {
+        const [x, y, w, h] = coordinates.slice(c, c + 4);
+        current = {
+          points: [point(x, y), point(x + w, y), point(x + w, y + h), point(x, y + h)],
+          closed: true
+        };
+        subpaths.push(current);
+        c += 4;
+      }
+    });
+
+    return subpaths;
+  }
+
+  /**
+   * Rasterize one page for room detection
+   * @param {Buffer} buffer - PDF file
+   * @param {Object} options - { page (1-based, default: best page), maxSize }
+   * @returns {Promise<Object>} { image (PNG), page, pages, source, labels }
+   *   where labels are in the image's pixel coordinates (y down)
+   */
+  async renderPage(buffer, options = {}) {
+    const maxSize = options.maxSize || 1000;
+    const doc = await this.load(buffer);
+
+    try {
+      const contents = [];
+      for (let number = 1; number <= Math.min(doc.numPages, this.maxPages); number++) {
+        contents.push(await this.readPage(await doc.getPage(number)));
+      }
+      const pages = contents.map(content => this.summarize(content));
+
+      const number = options.page || this.selectPage(pages);
+      const content = contents[number - 1];
+      if (!content) {
+        throw this.permanentError(`The PDF has no page ${number}`);
+      }
+
+      if (pages[number - 1].hasVectors) {
+        return { ...(await this.renderVectors(content, maxSize)), page: number, pages };
+      }
+      if (content.images.length > 0) {
+        return { ...(await this.renderImage(content, maxSize)), page: number, pages };
+      }
+      throw this.permanentError(`Page ${number} of the PDF has no line work or images to detect rooms from`);
+    } finally {
+      doc.destroy();
+    }
+  }
+
+  // Redraw the line work as SVG, leaving text out so labels do not split rooms
+  async renderVectors(content, maxSize) {
+    const { view } = content;
+    const scale = maxSize / Math.max(content.width, content.height);
+    const width = Math.round(content.width * scale);
+    const height = Math.round(content.height * scale);
+    const toPixel = (p) => ({ x: (p.x - view.x0) * scale, y: (view.y1 - p.y) * scale });
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const fills = content.fills.map(points => {
+      const d = points.map(toPixel).map(p => `${round(p.x)},${round(p.y)}`).join(' ');
+      return `<polygon points="${d}" fill="black"/>`;
+    });
+    const lines = content.segments.map(({ start, end, width: strokeWidth }) => {
+      const a = toPixel(start);
+      const b = toPixel(end);
+      return `<line x1="${round(a.x)}" y1="${round(a.y)}" x2="${round(b.x)}" y2="${round(b.y)}" stroke-width="${round(Math.max(1, strokeWidth * scale))}"/>`;
+    });
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<rect width="${width}" height="${height}" fill="white"/>${fills.join('')}` +
+      `<g stroke="black" stroke-linecap="square">${lines.join('')}</g></svg>`;
+
+    return {
+      image: await sharp(Buffer.from(svg)).png().toBuffer(),
+      source: 'vector',
+      labels: content.labels.map(label => ({ text: label.text, ...toPixel(label) }))
+    };
+  }
+
+  // Scanned pages: the largest embedded image, scaled down to the working size
+  async renderImage(content, maxSize) {
+    const placed = content.images.reduce((best, image) => (image.width * image.height > best.width * best.height ? image : best));
+    const data = await new Promise(resolve => content.page.objs.get(placed.objId, resolve));
+    if (!data || !data.data) {
+      throw this.permanentError(`Could not decode the image on page ${content.number}`);
+    }
+
+    let pixels = Buffer.from(data.data.buffer, data.data.byteOffset, data.data.byteLength);
+    let channels = data.kind === IMAGE_KIND.RGBA_32BPP ? 4 : 3;
+
+    if (data.kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+      const rowBytes = Math.ceil(data.width / 8);
+      const unpacked = Buffer.alloc(data.width * data.height);
+      for (let y = 0; y < data.height; y++) {
+        for (let x = 0; x < data.width; x++) {
+          const bit = (pixels[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+          unpacked[y * data.width + x] = bit ? 255 : 0;
+        }
+      }
+      pixels = unpacked;
+      channels = 1;
+    }
+
+    const image = await sharp(pixels, { raw: { width: data.width, height: data.height, channels } })
+      .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+
+    return {
+      image,
+      source: 'raster',
+      labels: []
+    };
+  }
+
+  permanentError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+  }
+}
+
+module.exports = new PdfFloorPlanService();
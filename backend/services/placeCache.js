@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const PlaceCache = require('../models/PlaceCache');
+
+class PlaceCacheService {
+  constructor() {
+    this.ttlMs = (parseInt(process.env.MAPS_CACHE_TTL_SECONDS) || 24 * 60 * 60) * 1000;
+    // Decimal places kept from lat/lng; 3 is roughly 100 m
+    this.precision = parseInt(process.env.MAPS_CACHE_PRECISION) || 3;
+    this.maxMemoryEntries = 500;
+    this.memory = new Map();
+    this.inflight = new Map();
+  }
+
+  round(value) {
+    return Number(value.toFixed(this.precision));
+  }
+
+  /**
+   * Cache key for a nearby-place query
+   * @param {Object} query - { provider, latitude, longitude, radius, type }
+   * @returns {string} Key shared by queries for the same rounded site
+   */
+  buildKey({ provider, latitude, longitude, radius, type }) {
+    return [provider, this.round(latitude), this.round(longitude), radius, type].join(':');
+  }
+
+  // Persistence is skipped while MongoDB is not connected
+  isPersistent() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  async get(key) {
+    const cached = this.memory.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.places;
+    this.memory.delete(key);
+
+    if (!this.isPersistent()) return null;
+
+    try {
+      const entry = await PlaceCache.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      if (!entry) return null;
+
+      this.remember(key, entry.places, entry.expiresAt.getTime());
+      return entry.places;
+    } catch (error) {
+      console.error('Place cache read error:', error.message);
+      return null;
+    }
+  }
+
+  async set(key, places, query) {
+    const expiresAt = Date.now() + this.ttlMs;
+    this.remember(key, places, expiresAt);
+
+    if (!this.isPersistent()) return;
+
+    try {
+      await PlaceCache.updateOne(
+        { key },
+        {
+          key,
+          provider: query.provider,
+          type: query.type,
+          latitude: this.round(query.latitude),
+          longitude: this.round(query.longitude),
+          radius: query.radius,
+          places,
+          expiresAt: new Date(expiresAt)
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('Place cache write error:', error.message);
+    }
+  }
+
+  // Keep the newest entries in memory, evicting the oldest first
+  remember(key, places, expiresAt) {
+    this.memory.delete(key);
+    this.memory.set(key, { places, expiresAt });
+    if (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  /**
+   * Return cached places for a query, or load and cache them.
+   * Concurrent calls for the same key share a single load. A load that
+   * throws caches nothing, so the next call tries again.
+   * @param {Object} query - { provider, latitude, longitude, radius, type }
+   * @param {Function} loader - async (roundedQuery) => places
+   * @returns {Promise<Array>} Places
+   */
+  async fetch(query, loader) {
+    const key = this.buildKey(query);
+    if (this.inflight.has(key)) return this.inflight.get(key);
+
+    const pending = (async () => {
+      const cached = await this.get(key);
+      if (cached) return cached;
+
+      const places = await loader({
+        ...query,
+        latitude: this.round(query.latitude),
+        longitude: this.round(query.longitude)
+      });
+      await this.set(key, places, query);
+      return places;
+    })().finally(() => this.inflight.delete(key));
+
+    this.inflight.set(key, pending);
+    return pending;
+  }
+
+  async clear() {
+    this.memory.clear();
+    if (this.isPersistent()) await PlaceCache.deleteMany({});
+  }
+}
+
+module.exports = new PlaceCacheService();
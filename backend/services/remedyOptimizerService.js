@@ -0,0 +1,231 @@
+const VastuRule = require('../models/VastuRule');
+const RemedyTask = require('../models/RemedyTask');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Share of a failed check's lost points a remedy of each type is expected to win back
+const REMEDY_EFFECTIVENESS = {
+  construction: 1,
+  placement: 0.8,
+  other: 0.5,
+  color: 0.4,
+  decoration: 0.3
+};
+
+// Phases of the plan, in the order they are carried out
+const PHASES = [
+  { name: 'Quick fixes', difficulty: 'easy' },
+  { name: 'Rearrangements', difficulty: 'medium' },
+  { name: 'Renovation', difficulty: 'hard' }
+];
+
+// Most budget steps the optimizer works through; past it, steps grow and costs are rounded up to them
+const MAX_BUDGET_STEPS = 20000;
+
+const round = (value, digits = 1) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Chooses which remedies to carry out for an analysis's failed rule checks,
+ * within a total budget, and orders them into phases.
+ */
+class RemedyOptimizerService {
+  constructor() {
+    // Estimated spend for each cost level, in the same currency as the budget
+    this.costs = {
+      low: parseInt(process.env.REMEDY_COST_LOW) || 300,
+      medium: parseInt(process.env.REMEDY_COST_MEDIUM) || 1250,
+      high: parseInt(process.env.REMEDY_COST_HIGH) || 5000
+    };
+  }
+
+  /**
+   * Build a remedy plan for a completed analysis
+   * @param {Analysis} analysis - Completed analysis
+   * @param {Object} options - { budget, difficulty: highest allowed, allowConstruction }
+   * @returns {Promise<Object>} { constraints, currentScore, projectedScore, totalCost, phases, unaddressed }
+   */
+  async optimize(analysis, options) {
+    const constraints = {
+      budget: options.budget,
+      difficulty: options.difficulty || 'hard',
+      allowConstruction: Boolean(options.allowConstruction)
+    };
+    const evaluations = (analysis.vastuAnalysis && analysis.vastuAnalysis.ruleEvaluations) || [];
+    const possible = evaluations.reduce((sum, item) => sum + (item.possible || 0), 0);
+    const earned = evaluations.reduce((sum, item) => sum + (item.earned || 0), 0);
+    const toScore = points => (possible > 0 ? Math.round((points / possible) * 100) : analysis.vastuAnalysis.overallScore);
+
+    // Checks with a remedy already done keep its credit and are not planned for again
+    const done = await RemedyTask.find({ analysis: analysis._id, status: 'done' }).select('rule subjectKey').lean();
+    const remedied = new Set(done.map(task => `${task.rule}|${task.subjectKey}`));
+
+    const failed = evaluations.filter(item => item.earned < item.possible && !remedied.has(`${item.rule}|${item.subjectKey}`));
+    const rules = await VastuRule.find({ _id: { $in: [...new Set(failed.map(item => String(item.rule)))] } })
+      .select('name remedies')
+      .lean();
+    const rulesById = new Map(rules.map(rule => [String(rule._id), rule]));
+
+    const checks = failed.map(evaluation => {
+      const rule = rulesById.get(String(evaluation.rule));
+      const all = (rule && rule.remedies) || [];
+      return {
+        evaluation,
+        hasRemedies: all.length > 0,
+        options: all
+          .filter(remedy => this.isAllowed(remedy, constraints))
+          .map(remedy => this.toOption(remedy, evaluation))
+      };
+    });
+
+    const chosen = this.choose(checks.filter(check => check.options.length > 0), constraints.budget);
+
+    const phases = [];
+    let points = earned;
+    let cumulativeCost = 0;
+    PHASES.forEach(({ name, difficulty }) => {
+      const remedies = chosen
+        .filter(option => this.phaseOf(option) === difficulty)
+        .sort((a, b) => b.gain - a.gain);
+      if (remedies.length === 0) return;
+
+      const cost = remedies.reduce((sum, option) => sum + option.estimatedCost, 0);
+      points += remedies.reduce((sum, option) => sum + option.gain, 0);
+      cumulativeCost += cost;
+      phases.push({
+        phase: phases.length + 1,
+        name,
+        remedies: remedies.map(option => this.describe(option, possible)),
+        cost,
+        cumulativeCost,
+        scoreAfter: toScore(points)
+      });
+    });
+
+    const addressed = new Set(chosen.map(option => option.evaluation));
+    const unaddressed = checks
+      .filter(check => !addressed.has(check.evaluation))
+      .map(({ evaluation, hasRemedies, options: allowed }) => ({
+        rule: evaluation.rule,
+        ruleName: evaluation.ruleName,
+        subject: evaluation.subject,
+        importance: evaluation.importance,
+        reason: !hasRemedies
+          ? 'The rule has no remedies'
+          : allowed.length === 0 ? 'No remedy fits the allowed difficulty and construction' : 'Not within the budget'
+      }));
+
+    return {
+      constraints,
+      currentScore: toScore(earned),
+      projectedScore: toScore(points),
+      totalCost: cumulativeCost,
+      phases,
+      unaddressed
+    };
+  }
+
+  isAllowed(remedy, constraints) {
+    if (remedy.type === 'construction' && !constraints.allowConstruction) return false;
+    return DIFFICULTIES.indexOf(remedy.difficulty || 'medium') <= DIFFICULTIES.indexOf(constraints.difficulty);
+  }
+
+  // Share of a failed check's lost points the remedy is expected to win back
+  getEffectiveness(remedy) {
+    return REMEDY_EFFECTIVENESS[remedy.type] || REMEDY_EFFECTIVENESS.other;
+  }
+
+  // A remedy for one failed check, with its estimated cost and the points it is expected to win back
+  toOption(remedy, evaluation) {
+    return {
+      evaluation,
+      remedy,
+      estimatedCost: this.costs[remedy.cost] || this.costs.medium,
+      gain: this.getEffectiveness(remedy) * (evaluation.possible - evaluation.earned)
+    };
+  }
+
+  // Structural work waits for the renovation phase whatever its listed difficulty
+  phaseOf(option) {
+    return option.remedy.type === 'construction' ? 'hard' : option.remedy.difficulty || 'medium';
+  }
+
+  /**
+   * Pick at most one remedy per failed check so the total expected gain is as
+   * high as possible without the estimated cost passing the budget; among
+   * equally good picks the cheapest wins. Solved as a multiple-choice knapsack
+   * over the budget in steps of the costs' common divisor.
+   * @param {Object[]} checks - { options } for each failed check
+   * @param {number} budget - Total budget
+   * @returns {Object[]} Chosen options
+   */
+  choose(checks, budget) {
+    if (checks.length === 0) return [];
+
+    // More budget than the dearest remedy of every check cannot change the answer
+    const ceiling = checks.reduce((sum, check) => sum + Math.max(...check.options.map(option => option.estimatedCost)), 0);
+    const limit = Math.min(budget, ceiling);
+    const divisor = checks.reduce((current, check) =>
+      check.options.reduce((value, option) => gcd(value, option.estimatedCost), current), 0);
+    const unit = Math.max(divisor, Math.ceil(limit / MAX_BUDGET_STEPS));
+    const costOf = option => Math.ceil(option.estimatedCost / unit);
+    // Rounded up, the costs may outgrow the budget's steps; a budget covering every check still covers them
+    const steps = budget >= ceiling
+      ? checks.reduce((sum, check) => sum + Math.max(...check.options.map(costOf)), 0)
+      : Math.floor(limit / unit);
+
+    const best = new Float64Array(steps + 1);
+    const picks = checks.map(() => new Int16Array(steps + 1).fill(-1));
+
+    checks.forEach((check, index) => {
+      // Downwards, so every step still reads the totals from before this check
+      for (let step = steps; step >= 0; step--) {
+        check.options.forEach((option, position) => {
+          const cost = costOf(option);
+          if (cost > step) return;
+          const total = best[step - cost] + option.gain;
+          if (total > best[step] + 1e-9) {
+            best[step] = total;
+            picks[index][step] = position;
+          }
+        });
+      }
+    });
+
+    // The smallest spend reaching the best total
+    let step = 0;
+    for (let candidate = 1; candidate <= steps; candidate++) {
+      if (best[candidate] > best[step] + 1e-9) step = candidate;
+    }
+
+    const chosen = [];
+    for (let index = checks.length - 1; index >= 0; index--) {
+      const position = picks[index][step];
+      if (position < 0) continue;
+      const option = checks[index].options[position];
+      chosen.push(option);
+      step -= costOf(option);
+    }
+    return chosen.reverse();
+  }
+
+  describe(option, possible) {
+    const { evaluation, remedy } = option;
+    return {
+      rule: evaluation.rule,
+      ruleName: evaluation.ruleName,
+      subject: evaluation.subject,
+      importance: evaluation.importance,
+      type: remedy.type || 'other',
+      description: remedy.description,
+      cost: remedy.cost,
+      estimatedCost: option.estimatedCost,
+      difficulty: remedy.difficulty,
+      timeRequired: remedy.timeRequired,
+      expectedGain: possible > 0 ? round((option.gain / possible) * 100) : 0
+    };
+  }
+}
+
+module.exports = new RemedyOptimizerService();
@@ -0,0 +1,218 @@
+const RemedyTask = require('../models/RemedyTask');
+const VastuRule = require('../models/VastuRule');
+const scoringService = require('./scoringService');
+const revisionService = require('./revisionService');
+const remedyOptimizerService = require('./remedyOptimizerService');
+const traditionService = require('./traditionService');
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const checkKey = (rule, subjectKey) => `${rule}|${subjectKey}`;
+
+/**
+ * Tracks the remedies a user carries out for an analysis, as a checklist of
+ * tasks. Completed remedies are credited against the rule check they address
+ * and the analysis is scored again, so its revisions trace the score over time.
+ */
+class RemedyTrackerService {
+  /**
+   * Add a pending task for every remedy of every failed check that has none yet
+   * @param {Analysis} analysis - Completed analysis
+   */
+  async sync(analysis) {
+    const failed = ((analysis.vastuAnalysis && analysis.vastuAnalysis.ruleEvaluations) || [])
+      .filter(item => item.rule && item.earned < item.possible);
+    if (failed.length === 0) return;
+
+    const rules = await VastuRule.find({ _id: { $in: [...new Set(failed.map(item => String(item.rule)))] } })
+      .select('remedies')
+      .lean();
+    const rulesById = new Map(rules.map(rule => [String(rule._id), rule]));
+
+    const operations = failed.flatMap(evaluation => {
+      const rule = rulesById.get(String(evaluation.rule));
+      return ((rule && rule.remedies) || []).map(remedy => ({
+        updateOne: {
+          filter: {
+            analysis: analysis._id,
+            rule: evaluation.rule,
+            subjectKey: evaluation.subjectKey,
+            description: remedy.description
+          },
+          update: {
+            $setOnInsert: {
+              user: analysis.user._id || analysis.user,
+              ruleName: evaluation.ruleName,
+              subject: evaluation.subject,
+              importance: evaluation.importance,
+              type: remedy.type || 'other',
+              cost: remedy.cost,
+              difficulty: remedy.difficulty
+            }
+          },
+          upsert: true
+        }
+      }));
+    });
+
+    if (operations.length > 0) {
+      await RemedyTask.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  /**
+   * Delete the tasks of checks whose room (or entrance) is no longer in the plan,
+   * so their credit cannot pass to whatever takes its place
+   * @param {Analysis} analysis - Analysis whose plan changed
+   * @param {Object} options - { replacedRooms: every room is new, so no room task carries over }
+   */
+  async prune(analysis, { replacedRooms = false } = {}) {
+    const subjects = scoringService.getSubjects(analysis.floorPlan)
+      .filter(subject => !replacedRooms || subject.roomType === 'entrance');
+    await RemedyTask.deleteMany({
+      analysis: analysis._id,
+      subjectKey: { $nin: ['plan', ...subjects.map(subject => subject.key)] }
+    });
+  }
+
+  // The checklist of an analysis, most important checks first
+  async list(analysis) {
+    await this.sync(analysis);
+    const importance = Object.keys(scoringService.importanceWeights);
+    const tasks = await RemedyTask.find({ analysis: analysis._id }).sort('createdAt').lean();
+    return tasks.sort((a, b) => importance.indexOf(a.importance) - importance.indexOf(b.importance));
+  }
+
+  async get(analysisId, taskId) {
+    const task = await RemedyTask.findOne({ _id: taskId, analysis: analysisId });
+    if (!task) throw httpError('Remedy not found', 404);
+    return task;
+  }
+
+  /**
+   * Change a task's status or add a note. Completing a remedy, or reopening a
+   * completed one, scores the analysis again.
+   * @param {Analysis} analysis - Completed analysis the task belongs to
+   * @param {string} taskId - Task
+   * @param {Object} changes - { status, note }
+   * @returns {Promise<Object>} { remedy, score: { from, to, change } when it was scored again }
+   */
+  async update(analysis, taskId, changes) {
+    const task = await this.get(analysis._id, taskId);
+    const wasDone = task.status === 'done';
+
+    if (changes.note) {
+      task.notes.push({ text: changes.note });
+    }
+
+    if (changes.status && changes.status !== task.status) {
+      task.status = changes.status;
+      if (changes.status === 'pending') {
+        task.startedAt = undefined;
+      } else if (!task.startedAt) {
+        task.startedAt = new Date();
+      }
+      task.completedAt = changes.status === 'done' ? new Date() : undefined;
+    }
+    await task.save();
+
+    if (wasDone === (task.status === 'done')) {
+      return { remedy: task };
+    }
+
+    const scoreBefore = analysis.vastuAnalysis.overallScore;
+    const revision = await this.rescore(analysis);
+    const scoreAfter = analysis.vastuAnalysis.overallScore;
+
+    if (task.status === 'done') {
+      task.scoreBefore = scoreBefore;
+      task.scoreAfter = scoreAfter;
+      task.revision = revision ? revision.number : undefined;
+    } else {
+      task.scoreBefore = undefined;
+      task.scoreAfter = undefined;
+      task.revision = undefined;
+    }
+    await task.save();
+
+    return { remedy: task, score: { from: scoreBefore, to: scoreAfter, change: scoreAfter - scoreBefore } };
+  }
+
+  // Attach stored photos to a task
+  async addPhotos(analysisId, taskId, files) {
+    const task = await this.get(analysisId, taskId);
+    task.photos.push(...files);
+    await task.save();
+    return task;
+  }
+
+  /**
+   * Share of each failed check's lost points won back by its completed remedies.
+   * Several remedies for one check each win back part of what is still missing.
+   * @param {string} analysisId - Analysis
+   * @returns {Promise<Object>} Shares keyed by `<rule id>|<subject key>`, for scoringService.evaluate
+   */
+  async getCredits(analysisId) {
+    const done = await RemedyTask.find({ analysis: analysisId, status: 'done' }).select('rule subjectKey type').lean();
+    const missing = {};
+    done.forEach(task => {
+      const key = checkKey(task.rule, task.subjectKey);
+      missing[key] = (key in missing ? missing[key] : 1) * (1 - remedyOptimizerService.getEffectiveness(task));
+    });
+
+    const credits = {};
+    Object.entries(missing).forEach(([key, share]) => {
+      credits[key] = 1 - share;
+    });
+    return credits;
+  }
+
+  /**
+   * Score the analysis again with the credit of its completed remedies and save the results
+   * @param {Analysis} analysis - Completed analysis
+   * @returns {Promise<AnalysisRevision|null>} Revision recording the new score
+   */
+  async rescore(analysis) {
+    const region = await traditionService.getUserRegion(analysis.user);
+    const rules = await scoringService.loadRules({}, { region });
+    const credits = await this.getCredits(analysis._id);
+    const result = scoringService.evaluate(analysis.floorPlan, rules, { credits });
+
+    await revisionService.ensureBaseline(analysis);
+    analysis.vastuAnalysis = scoringService.toAnalysisResults(result, region);
+    await analysis.save();
+    return revisionService.record(analysis, 'remedy');
+  }
+
+  /**
+   * Overall score over time: every revision with results, with the remedies completed at each
+   * @param {string} analysisId - Analysis
+   * @returns {Promise<Object[]>} { number, reason, createdAt, overallScore, remedies }
+   */
+  async trajectory(analysisId) {
+    const [history, completed] = await Promise.all([
+      revisionService.scoreHistory(analysisId),
+      RemedyTask.find({ analysis: analysisId, status: 'done', revision: { $exists: true } })
+        .select('description ruleName subject revision')
+        .lean()
+    ]);
+
+    return history.map(point => ({
+      ...point,
+      remedies: completed
+        .filter(task => task.revision === point.number)
+        .map(task => ({ id: task._id, description: task.description, ruleName: task.ruleName, subject: task.subject }))
+    }));
+  }
+
+  // Delete an analysis's checklist along with it
+  async removeAll(analysisId) {
+    await RemedyTask.deleteMany({ analysis: analysisId });
+  }
+}
+
+module.exports = new RemedyTrackerService();
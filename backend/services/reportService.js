@@ -0,0 +1,585 @@
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const geometry = require('../utils/geometry');
+const storageService = require('./storageService');
+const pdfFloorPlanService = require('./pdfFloorPlanService');
+const scoringService = require('./scoringService');
+
+// Brand palette, as in frontend/style.css
+const COLORS = {
+  primary: '#F4A261',
+  secondary: '#FFF8E7',
+  accent: '#FFD166',
+  neutral: '#3E3E3E',
+  earth: '#EAD7C0',
+  green: '#2A9D8F',
+  terracotta: '#E07A5F',
+  gray: '#7D7D7D',
+  light: '#E6E1D8',
+  white: '#FFFFFF'
+};
+
+const ELEMENT_COLORS = {
+  earth: '#B08968',
+  water: '#4A90C2',
+  fire: '#E07A5F',
+  air: '#8FB8A8',
+  space: '#9B8AC4'
+};
+
+// Compass directions clockwise from north, with the bearing each is centred on
+const COMPASS = [
+  { direction: 'north', label: 'N' },
+  { direction: 'northeast', label: 'NE' },
+  { direction: 'east', label: 'E' },
+  { direction: 'southeast', label: 'SE' },
+  { direction: 'south', label: 'S' },
+  { direction: 'southwest', label: 'SW' },
+  { direction: 'west', label: 'W' },
+  { direction: 'northwest', label: 'NW' }
+];
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+const LEVEL_COLORS = { low: COLORS.green, easy: COLORS.green, medium: '#C98B2B', high: COLORS.terracotta, hard: COLORS.terracotta };
+
+const MARGIN = 50;
+const PAGE_WIDTH = 595.28; // A4
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const isScore = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const scoreColor = (score) => {
+  if (!isScore(score)) return COLORS.gray;
+  if (score >= 75) return COLORS.green;
+  if (score >= 50) return COLORS.primary;
+  return COLORS.terracotta;
+};
+
+const titleCase = (text = '') => String(text).replace(/[-_]+/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+
+// Point on a circle at a compass bearing, with north up the page
+const onCircle = (cx, cy, radius, bearing) => {
+  const theta = geometry.toRadians(bearing);
+  return [cx + radius * Math.sin(theta), cy - radius * Math.cos(theta)];
+};
+
+const arcPoints = (cx, cy, radius, from, to) => {
+  const steps = Math.max(2, Math.ceil(Math.abs(to - from) / 3));
+  return Array.from({ length: steps + 1 }, (value, i) => onCircle(cx, cy, radius, from + (to - from) * i / steps));
+};
+
+/**
+ * Renders a completed analysis as a branded PDF report: cover, overall score,
+ * directional compass, five-element chart, rooms, remedies and the floor plan
+ * with its mandala zones.
+ */
+class ReportService {
+  /**
+   * Build the report for an analysis
+   * @param {Analysis} analysis - Completed analysis, with user populated for the cover
+   * @returns {Promise<PDFDocument>} Finished document, to be piped to the response
+   */
+  async generate(analysis) {
+    const background = await this.loadFloorPlanImage(analysis).catch(error => {
+      console.error('Report floor plan image error:', error.message);
+      return null;
+    });
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGIN,
+      bufferPages: true,
+      info: {
+        Title: `Vastu Report - ${analysis.title}`,
+        Author: 'Vastu Vision',
+        Subject: 'Vastu Shastra analysis report'
+      }
+    });
+
+    const vastu = analysis.vastuAnalysis || {};
+    this.drawCover(doc, analysis);
+
+    doc.addPage();
+    this.drawScore(doc, vastu);
+    this.drawCompass(doc, vastu.directionalAnalysis || {});
+
+    doc.addPage();
+    this.drawElements(doc, vastu.fiveElements || {});
+    this.drawRooms(doc, vastu.roomAnalysis || []);
+    this.drawRemedies(doc, vastu.remedies || []);
+
+    doc.addPage();
+    this.drawFloorPlan(doc, analysis, background);
+
+    this.drawFooters(doc, analysis);
+    doc.end();
+    return doc;
+  }
+
+  /**
+   * The image the rooms were detected from, placed in plan coordinates
+   * @param {Analysis} analysis - Analysis with a detected floor plan
+   * @returns {Promise<Object|null>} { image (JPEG), width, height } in plan units, or null
+   */
+  async loadFloorPlanImage(analysis) {
+    const detection = (analysis.floorPlan && analysis.floorPlan.detection) || {};
+    const file = (analysis.files || []).find(item => item.filename === detection.file);
+    if (!file || !['image', 'pdf'].includes(detection.source) || !(detection.scale > 0) ||
+      !detection.imageWidth || !detection.imageHeight) {
+      return null;
+    }
+
+    const buffer = await storageService.read(file);
+    const source = detection.source === 'pdf'
+      ? (await pdfFloorPlanService.renderPage(buffer, { page: detection.page })).image
+      : buffer;
+    const image = await sharp(source)
+      .resize(1600, 1600, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: COLORS.white })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+
+    // Detection maps image pixels to plan units with y flipped, so the image spans this rectangle
+    return {
+      image,
+      width: detection.imageWidth * detection.scale,
+      height: detection.imageHeight * detection.scale
+    };
+  }
+
+  heading(doc, title, subtitle) {
+    this.ensureSpace(doc, 60);
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.neutral).text(title, MARGIN, doc.y);
+    doc.rect(MARGIN, doc.y + 2, 40, 3).fill(COLORS.primary);
+    doc.moveDown(0.6);
+    if (subtitle) {
+      doc.font('Helvetica').fontSize(10).fillColor(COLORS.gray).text(subtitle, MARGIN, doc.y, { width: CONTENT_WIDTH });
+    }
+    doc.moveDown(0.8);
+  }
+
+  // Start a new page unless `height` points fit above the bottom margin
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+  }
+
+  drawCover(doc, analysis) {
+    const vastu = analysis.vastuAnalysis || {};
+    const { width, height } = doc.page;
+
+    const band = doc.linearGradient(0, 0, width, 320);
+    band.stop(0, COLORS.primary).stop(1, COLORS.accent);
+    doc.rect(0, 0, width, 320).fill(band);
+    doc.rect(0, 320, width, height - 320).fill(COLORS.secondary);
+
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.white).text('VASTU VISION', MARGIN, 60, { characterSpacing: 3 });
+    doc.font('Helvetica-Bold').fontSize(34).text('Vastu Analysis Report', MARGIN, 120, { width: CONTENT_WIDTH });
+    doc.font('Helvetica').fontSize(16).text(analysis.title, MARGIN, doc.y + 10, { width: CONTENT_WIDTH });
+
+    // Score badge straddling the band
+    const cx = width - MARGIN - 70;
+    doc.circle(cx, 320, 70).fill(COLORS.white);
+    doc.circle(cx, 320, 62).lineWidth(6).stroke(scoreColor(vastu.overallScore));
+    doc.font('Helvetica-Bold').fontSize(36).fillColor(COLORS.neutral)
+      .text(isScore(vastu.overallScore) ? String(Math.round(vastu.overallScore)) : '-', cx - 60, 300, { width: 120, align: 'center' });
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.gray).text('VASTU SCORE', cx - 60, 340, { width: 120, align: 'center' });
+
+    const user = analysis.user && analysis.user.firstName ? `${analysis.user.firstName} ${analysis.user.lastName || ''}`.trim() : null;
+    const dimensions = (analysis.floorPlan && analysis.floorPlan.dimensions) || {};
+    const details = [
+      ['Prepared for', user],
+      ['Completed', (analysis.completedAt || analysis.updatedAt || new Date()).toDateString()],
+      ['Plot', dimensions.length && dimensions.width ? `${dimensions.length} x ${dimensions.width}` : null],
+      ['Area', dimensions.area ? `${dimensions.area} ${dimensions.unit || ''}`.trim() : null],
+      ['Facing', analysis.floorPlan && analysis.floorPlan.orientation ? titleCase(analysis.floorPlan.orientation) : null]
+    ].filter(([, value]) => value);
+
+    let y = 420;
+    details.forEach(([label, value]) => {
+      doc.font('Helvetica').fontSize(10).fillColor(COLORS.gray).text(label.toUpperCase(), MARGIN, y);
+      doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.neutral).text(value, MARGIN, y + 14, { width: CONTENT_WIDTH - 160 });
+      y += 44;
+    });
+
+    if (analysis.description) {
+      doc.font('Helvetica').fontSize(11).fillColor(COLORS.neutral).text(analysis.description, MARGIN, y + 10, { width: CONTENT_WIDTH });
+    }
+  }
+
+  drawScore(doc, vastu) {
+    this.heading(doc, 'Overall Score', 'How closely the plan follows Vastu Shastra, from the weighted result of every rule applied.');
+
+    const top = doc.y;
+    const cx = MARGIN + 80;
+    const cy = top + 80;
+    const score = isScore(vastu.overallScore) ? vastu.overallScore : 0;
+
+    doc.circle(cx, cy, 64).lineWidth(14).stroke(COLORS.light);
+    if (score > 0) {
+      doc.save();
+      doc.lineWidth(14).lineCap('round').strokeColor(scoreColor(score));
+      const points = arcPoints(cx, cy, 64, 0, Math.min(score, 99.9) * 3.6);
+      doc.moveTo(...points[0]);
+      points.slice(1).forEach(point => doc.lineTo(...point));
+      doc.stroke();
+      doc.restore();
+    }
+    doc.font('Helvetica-Bold').fontSize(32).fillColor(COLORS.neutral).text(String(Math.round(score)), cx - 50, cy - 20, { width: 100, align: 'center' });
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.gray).text(scoringService.describeBalance(score), cx - 50, cy + 14, { width: 100, align: 'center' });
+
+    // Secondary scores beside the gauge
+    const stats = [
+      ['Energy flow', vastu.energyFlow && vastu.energyFlow.score],
+      ['Main entrance', vastu.entranceScore]
+    ];
+    stats.forEach(([label, value], index) => {
+      const x = MARGIN + 190 + index * 155;
+      doc.roundedRect(x, top + 20, 140, 60, 6).fill(COLORS.secondary);
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.gray).text(label.toUpperCase(), x + 12, top + 30);
+      doc.font('Helvetica-Bold').fontSize(22).fillColor(scoreColor(value)).text(isScore(value) ? `${Math.round(value)}` : 'n/a', x + 12, top + 45);
+    });
+
+    doc.y = top + 170;
+    doc.x = MARGIN;
+    if (vastu.summary) {
+      doc.font('Helvetica').fontSize(11).fillColor(COLORS.neutral).text(vastu.summary, MARGIN, doc.y, { width: CONTENT_WIDTH });
+      doc.moveDown();
+    }
+
+    this.bulletList(doc, 'Strengths', (vastu.positiveAspects || []).slice(0, 5), COLORS.green);
+    this.bulletList(doc, 'Needs attention', (vastu.negativeAspects || []).slice(0, 5), COLORS.terracotta);
+  }
+
+  bulletList(doc, title, items, color) {
+    if (items.length === 0) return;
+    this.ensureSpace(doc, 40);
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.neutral).text(title, MARGIN, doc.y);
+    doc.moveDown(0.3);
+    items.forEach(item => {
+      this.ensureSpace(doc, 20);
+      const y = doc.y;
+      doc.circle(MARGIN + 4, y + 5, 2.5).fill(color);
+      doc.font('Helvetica').fontSize(10).fillColor(COLORS.neutral).text(item, MARGIN + 14, y, { width: CONTENT_WIDTH - 14 });
+      doc.moveDown(0.3);
+    });
+    doc.moveDown(0.6);
+  }
+
+  drawCompass(doc, directionalAnalysis) {
+    this.ensureSpace(doc, 330);
+    this.heading(doc, 'Directional Compass', 'Score of each of the eight directions and the centre of the plot.');
+
+    const radius = 105;
+    const cx = MARGIN + radius + 20;
+    const cy = doc.y + radius + 15;
+    const inner = radius * 0.36;
+
+    COMPASS.forEach(({ direction, label }, index) => {
+      const bearing = index * 45;
+      const score = (directionalAnalysis[direction] || {}).score;
+      const outer = arcPoints(cx, cy, radius, bearing - 22.5, bearing + 22.5);
+      const hole = arcPoints(cx, cy, inner, bearing + 22.5, bearing - 22.5);
+      doc.polygon(...outer, ...hole).lineWidth(2).fillAndStroke(scoreColor(score), COLORS.white);
+
+      const [sx, sy] = onCircle(cx, cy, radius * 0.68, bearing);
+      doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.white)
+        .text(isScore(score) ? String(Math.round(score)) : '-', sx - 20, sy - 6, { width: 40, align: 'center' });
+      const [lx, ly] = onCircle(cx, cy, radius + 14, bearing);
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.neutral).text(label, lx - 15, ly - 5, { width: 30, align: 'center' });
+    });
+
+    const center = (directionalAnalysis.center || {}).score;
+    doc.circle(cx, cy, inner - 3).fill(COLORS.secondary);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(scoreColor(center))
+      .text(isScore(center) ? String(Math.round(center)) : '-', cx - 25, cy - 10, { width: 50, align: 'center' });
+    doc.font('Helvetica').fontSize(7).fillColor(COLORS.gray).text('CENTRE', cx - 25, cy + 5, { width: 50, align: 'center' });
+
+    // Main issue per direction beside the rose
+    const listX = cx + radius + 45;
+    const listWidth = PAGE_WIDTH - MARGIN - listX;
+    let y = cy - radius;
+    [...COMPASS, { direction: 'center', label: 'C' }].forEach(({ direction }) => {
+      const entry = directionalAnalysis[direction] || {};
+      const note = (entry.issues || [])[0] || 'No issues found';
+      doc.font('Helvetica-Bold').fontSize(9).fillColor(scoreColor(entry.score)).text(titleCase(direction), listX, y, { width: listWidth });
+      doc.font('Helvetica').fontSize(8).fillColor(COLORS.neutral).text(note, listX, doc.y, { width: listWidth, height: 20, ellipsis: true });
+      y = doc.y + 4;
+    });
+
+    doc.y = Math.max(y, cy + radius + 30);
+    doc.x = MARGIN;
+  }
+
+  drawElements(doc, fiveElements) {
+    this.heading(doc, 'Five Elements', 'Balance of earth, water, fire, air and space (Pancha Bhootas) across the plan.');
+
+    const trackX = MARGIN + 70;
+    const trackWidth = 300;
+    Object.keys(ELEMENT_COLORS).forEach(element => {
+      const entry = fiveElements[element] || {};
+      const score = isScore(entry.score) ? Math.max(0, Math.min(100, entry.score)) : 0;
+      const y = doc.y;
+
+      doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.neutral).text(titleCase(element), MARGIN, y + 3);
+      doc.roundedRect(trackX, y, trackWidth, 16, 8).fill(COLORS.light);
+      if (score > 0) {
+        doc.roundedRect(trackX, y, Math.max(16, trackWidth * score / 100), 16, 8).fill(ELEMENT_COLORS[element]);
+      }
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.neutral)
+        .text(isScore(entry.score) ? String(Math.round(entry.score)) : '-', trackX + trackWidth + 10, y + 3, { width: 30 });
+      doc.font('Helvetica').fontSize(10).fillColor(COLORS.gray).text(entry.balance || '', trackX + trackWidth + 45, y + 3, { width: 80 });
+      doc.y = y + 28;
+    });
+
+    doc.x = MARGIN;
+    doc.moveDown();
+  }
+
+  /**
+   * Table with a header row repeated on every page it spans
+   * @param {PDFDocument} doc - Document
+   * @param {Object[]} columns - { header, width, align }
+   * @param {Array[]} rows - Cells: text, or { text, color, bold }
+   */
+  table(doc, columns, rows) {
+    const cellOf = (cell) => (cell !== null && typeof cell === 'object' ? cell : { text: cell });
+    const cellText = (cell) => {
+      const { text } = cellOf(cell);
+      return text === undefined || text === null ? '' : String(text);
+    };
+    const drawHeader = () => {
+      const y = doc.y;
+      doc.rect(MARGIN, y, CONTENT_WIDTH, 20).fill(COLORS.primary);
+      let x = MARGIN;
+      columns.forEach(column => {
+        doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.white)
+          .text(column.header, x + 5, y + 6, { width: column.width - 10, align: column.align || 'left' });
+        x += column.width;
+      });
+      doc.y = y + 20;
+    };
+
+    drawHeader();
+    rows.forEach((row, index) => {
+      doc.font('Helvetica').fontSize(9);
+      const height = Math.max(...row.map((cell, i) => doc.heightOfString(cellText(cell), { width: columns[i].width - 10 }))) + 10;
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        drawHeader();
+      }
+
+      const y = doc.y;
+      if (index % 2 === 1) doc.rect(MARGIN, y, CONTENT_WIDTH, height).fill(COLORS.secondary);
+      let x = MARGIN;
+      row.forEach((cell, i) => {
+        const { bold, color } = cellOf(cell);
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+          .fillColor(color || COLORS.neutral)
+          .text(cellText(cell), x + 5, y + 5, { width: columns[i].width - 10, align: columns[i].align || 'left' });
+        x += columns[i].width;
+      });
+      doc.y = y + height;
+    });
+
+    doc.x = MARGIN;
+    doc.moveDown();
+  }
+
+  drawRooms(doc, roomAnalysis) {
+    this.heading(doc, 'Room by Room', 'Each room\'s direction, score and the first issue and remedy found for it.');
+
+    if (roomAnalysis.length === 0) {
+      doc.font('Helvetica').fontSize(10).fillColor(COLORS.gray).text('No rooms were analysed.', MARGIN, doc.y);
+      doc.moveDown(2);
+      return;
+    }
+
+    this.table(doc, [
+      { header: 'Room', width: 90 },
+      { header: 'Type', width: 65 },
+      { header: 'Direction', width: 60 },
+      { header: 'Score', width: 40, align: 'right' },
+      { header: 'Main issue', width: 125 },
+      { header: 'Remedy', width: 115 }
+    ], roomAnalysis.map(room => [
+      { text: room.roomName, bold: true },
+      titleCase(room.roomType),
+      titleCase(room.direction || '-'),
+      { text: isScore(room.vastuScore) ? Math.round(room.vastuScore) : '-', color: scoreColor(room.vastuScore), bold: true },
+      (room.issues || [])[0] || 'None',
+      (room.remedies || [])[0] || '-'
+    ]));
+  }
+
+  drawRemedies(doc, remedies) {
+    this.heading(doc, 'Remedies', 'Suggested corrections, most important first, with their expected cost and difficulty.');
+
+    if (remedies.length === 0) {
+      doc.font('Helvetica').fontSize(10).fillColor(COLORS.gray).text('No remedies are needed.', MARGIN, doc.y);
+      doc.moveDown(2);
+      return;
+    }
+
+    const sorted = [...remedies].sort((a, b) => (PRIORITY_ORDER[a.priority] ?? 3) - (PRIORITY_ORDER[b.priority] ?? 3));
+    const level = (value) => ({ text: titleCase(value || '-'), color: LEVEL_COLORS[value] || COLORS.gray, bold: true });
+    this.table(doc, [
+      { header: 'Remedy', width: 235 },
+      { header: 'Type', width: 70 },
+      { header: 'Priority', width: 60 },
+      { header: 'Cost', width: 55 },
+      { header: 'Difficulty', width: 75 }
+    ], sorted.map(remedy => [
+      remedy.description,
+      titleCase(remedy.type || 'other'),
+      level(remedy.priority),
+      level(remedy.cost),
+      level(remedy.difficulty)
+    ]));
+  }
+
+  /**
+   * Floor plan with the 16 mandala zones and the Brahmasthan drawn over it,
+   * on the uploaded plan image when it can be placed in plan coordinates
+   * @param {PDFDocument} doc - Document
+   * @param {Analysis} analysis - Analysis
+   * @param {Object|null} background - Output of loadFloorPlanImage
+   */
+  drawFloorPlan(doc, analysis, background) {
+    this.heading(doc, 'Floor Plan and Zones', 'The plot divided into the 16 zones of the Vastu Purusha Mandala, with the Brahmasthan at its centre.');
+
+    const plan = analysis.floorPlan || {};
+    const zoning = analysis.zoning || {};
+    const zones = (zoning.zones || []).filter(zone => zone.polygon && zone.polygon.length >= 3);
+    const rooms = (plan.rooms || []).filter(room => room.polygon && room.polygon.length >= 3);
+    const points = [
+      ...zones.flatMap(zone => zone.polygon),
+      ...(plan.boundary || []),
+      ...rooms.flatMap(room => room.polygon),
+      ...(background ? [{ x: 0, y: 0 }, { x: background.width, y: background.height }] : [])
+    ];
+
+    if (points.length === 0) {
+      doc.font('Helvetica').fontSize(10).fillColor(COLORS.gray)
+        .text('The floor plan has no room or plot geometry to draw. Add room polygons or a plot boundary to see the zones.', MARGIN, doc.y, { width: CONTENT_WIDTH });
+      return;
+    }
+
+    const bounds = geometry.boundingBox(points);
+    const spanX = Math.max(bounds.maxX - bounds.minX, 1e-6);
+    const spanY = Math.max(bounds.maxY - bounds.minY, 1e-6);
+    const k = Math.min(CONTENT_WIDTH / spanX, 440 / spanY);
+    const box = { x: MARGIN, y: doc.y, width: CONTENT_WIDTH, height: spanY * k };
+    const offsetX = box.x + (box.width - spanX * k) / 2;
+    const offsetY = box.y;
+    // Plan y grows upwards, page y downwards
+    const toPage = (point) => [offsetX + (point.x - bounds.minX) * k, offsetY + (bounds.maxY - point.y) * k];
+
+    doc.rect(box.x, box.y, box.width, box.height).fill(COLORS.white);
+
+    if (background) {
+      const [left, top] = toPage({ x: 0, y: background.height });
+      doc.save().opacity(0.55);
+      doc.image(background.image, left, top, { width: background.width * k, height: background.height * k });
+      doc.restore();
+    }
+
+    zones.forEach((zone, index) => {
+      doc.save();
+      doc.polygon(...zone.polygon.map(toPage))
+        .fillOpacity(0.2)
+        .lineWidth(0.6)
+        .dash(3, { space: 2 })
+        .fillAndStroke(index % 2 === 0 ? COLORS.primary : COLORS.accent, COLORS.primary);
+      doc.restore();
+
+      if (zone.polygon.length >= 3) {
+        const [lx, ly] = toPage(geometry.polygonCentroid(zone.polygon));
+        doc.font('Helvetica-Bold').fontSize(7).fillColor(COLORS.primary).text(zone.zone, lx - 15, ly - 3, { width: 30, align: 'center' });
+      }
+    });
+
+    if (zoning.brahmasthan && zoning.brahmasthan.length >= 3) {
+      doc.save();
+      doc.polygon(...zoning.brahmasthan.map(toPage)).fillOpacity(0.35).lineWidth(1).fillAndStroke(COLORS.accent, COLORS.primary);
+      doc.restore();
+      const [bx, by] = toPage(geometry.polygonCentroid(zoning.brahmasthan));
+      doc.font('Helvetica-Bold').fontSize(7).fillColor(COLORS.neutral).text('BRAHMASTHAN', bx - 40, by - 3, { width: 80, align: 'center' });
+    }
+
+    if (plan.boundary && plan.boundary.length >= 3) {
+      doc.polygon(...plan.boundary.map(toPage)).lineWidth(1.5).stroke(COLORS.neutral);
+    }
+
+    (plan.walls || []).forEach(wall => {
+      if (!wall.start || !wall.end) return;
+      doc.moveTo(...toPage(wall.start)).lineTo(...toPage(wall.end)).lineWidth(2).stroke(COLORS.neutral);
+    });
+
+    rooms.forEach(room => {
+      doc.polygon(...room.polygon.map(toPage)).lineWidth(1).stroke(COLORS.neutral);
+      const [rx, ry] = toPage(room.centroid || geometry.polygonCentroid(room.polygon));
+      doc.font('Helvetica-Bold').fontSize(8).fillColor(COLORS.neutral).text(room.name, rx - 40, ry + 5, { width: 80, align: 'center' });
+    });
+
+    (plan.doors || []).filter(door => door.isMainEntrance && door.position).forEach(door => {
+      const [dx, dy] = toPage(door.position);
+      doc.circle(dx, dy, 5).fill(COLORS.terracotta);
+    });
+
+    this.drawNorthArrow(doc, box.x + box.width - 30, box.y + 40, zoning.trueNorthOffset || 0);
+
+    doc.y = box.y + box.height + 12;
+    doc.x = MARGIN;
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.gray)
+      .text('Dashed wedges are the mandala zones, the shaded square is the Brahmasthan and the red dot marks the main entrance.', MARGIN, doc.y, { width: CONTENT_WIDTH });
+    doc.moveDown();
+
+    const zonedRooms = (zoning.rooms || []).filter(room => room.primaryZone);
+    if (zonedRooms.length > 0) {
+      this.table(doc, [
+        { header: 'Room', width: 165 },
+        { header: 'Main zone', width: 90 },
+        { header: 'Direction', width: 90 },
+        { header: 'Zones overlapped', width: 150 }
+      ], zonedRooms.map(room => [
+        { text: room.name, bold: true },
+        room.primaryZone,
+        titleCase(room.direction || '-'),
+        (room.overlaps || []).map(overlap => `${overlap.zone} ${Math.round(overlap.percentage)}%`).join(', ')
+      ]));
+    }
+  }
+
+  // Arrow pointing to true north; northOffset is the bearing of the plan's +y axis
+  drawNorthArrow(doc, cx, cy, northOffset) {
+    const north = geometry.vectorOfBearing(0, northOffset);
+    const tip = [cx + north.x * 20, cy - north.y * 20];
+    const left = [cx - north.y * 7 - north.x * 8, cy - north.x * 7 + north.y * 8];
+    const right = [cx + north.y * 7 - north.x * 8, cy + north.x * 7 + north.y * 8];
+
+    doc.circle(cx, cy, 26).fill(COLORS.white);
+    doc.polygon(tip, left, [cx, cy], right).fill(COLORS.terracotta);
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.neutral).text('N', cx + north.x * 32 - 5, cy - north.y * 32 - 5, { width: 10, align: 'center' });
+  }
+
+  // Brand line and page numbers on every page after the cover
+  drawFooters(doc, analysis) {
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start + 1; i < start + count; i++) {
+      doc.switchToPage(i);
+      // Writing below the bottom margin would otherwise start a new page
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      const y = doc.page.height - 35;
+      doc.moveTo(MARGIN, y - 8).lineTo(PAGE_WIDTH - MARGIN, y - 8).lineWidth(0.5).stroke(COLORS.light);
+      doc.font('Helvetica').fontSize(8).fillColor(COLORS.gray)
+        .text(`Vastu Vision  |  ${analysis.title}`, MARGIN, y, { width: CONTENT_WIDTH / 2, lineBreak: false, ellipsis: true });
+      doc.text(`Page ${i + 1 - start} of ${count}`, MARGIN + CONTENT_WIDTH / 2, y, { width: CONTENT_WIDTH / 2, align: 'right', lineBreak: false });
+      doc.page.margins.bottom = bottom;
+    }
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const AnalysisRevision = require('../models/AnalysisRevision');
+
+const DIRECTIONS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest', 'center'];
+const ELEMENTS = ['earth', 'water', 'fire', 'air', 'space'];
+
+// Attempts at taking the next revision number when two saves race for it
+const MAX_NUMBER_ATTEMPTS = 3;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// { from, to, change } for a score, or null when neither revision has it
+const scoreChange = (from, to) => {
+  const before = typeof from === 'number' ? from : null;
+  const after = typeof to === 'number' ? to : null;
+  if (before === null && after === null) return null;
+  return { from: before, to: after, change: before !== null && after !== null ? after - before : null };
+};
+
+/**
+ * Keeps the history of an analysis as immutable revisions, one for every
+ * change to its floor plan or results, and compares any two of them.
+ */
+class RevisionService {
+  // The tracked part of an analysis: what its plan looked like and how it scored
+  snapshot(analysis) {
+    const document = analysis.toObject({ depopulate: true, virtuals: false });
+    const data = {
+      title: document.title,
+      status: document.status,
+      floorPlan: document.floorPlan,
+      zoning: document.zoning,
+      vastuAnalysis: document.vastuAnalysis
+    };
+    // Ignore when zoning was computed, which changes on every save of the plan
+    const { computedAt, ...zoning } = data.zoning || {};
+    const checksum = crypto.createHash('sha256')
+      .update(JSON.stringify({ ...data, zoning }))
+      .digest('hex');
+    return { ...data, checksum };
+  }
+
+  /**
+   * Store the analysis's current state as its next revision, unless it matches the latest one
+   * @param {Analysis} analysis - Saved analysis
+   * @param {string} reason - What changed it, see AnalysisRevision.reason
+   * @returns {Promise<AnalysisRevision|null>} New revision, or null when nothing tracked changed
+   */
+  async record(analysis, reason) {
+    const snapshot = this.snapshot(analysis);
+
+    for (let attempt = 1; ; attempt++) {
+      const latest = await AnalysisRevision.findOne({ analysis: analysis._id })
+        .sort('-number')
+        .select('number checksum');
+      if (latest && latest.checksum === snapshot.checksum) return null;
+
+      try {
+        return await AnalysisRevision.create({
+          ...snapshot,
+          analysis: analysis._id,
+          user: analysis.user._id || analysis.user,
+          number: latest ? latest.number + 1 : 1,
+          reason
+        });
+      } catch (error) {
+        // Another save took this number first
+        if (error.code !== 11000 || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Record the state an analysis had before revisions were kept, so its first
+   * change still has something to be compared with. Call before changing it.
+   * @param {Analysis} analysis - Analysis about to change
+   */
+  async ensureBaseline(analysis) {
+    if (analysis.isNew || await AnalysisRevision.exists({ analysis: analysis._id })) return;
+    await this.record(analysis, 'baseline');
+  }
+
+  // Revisions of an analysis, newest first, without their snapshots
+  async list(analysisId, { skip = 0, limit = 20 } = {}) {
+    const query = { analysis: analysisId };
+    const [revisions, total] = await Promise.all([
+      AnalysisRevision.find(query)
+        .sort('-number')
+        .skip(skip)
+        .limit(limit)
+        .select('number reason title status vastuAnalysis.overallScore createdAt')
+        .lean(),
+      AnalysisRevision.countDocuments(query)
+    ]);
+
+    return {
+      total,
+      revisions: revisions.map(({ vastuAnalysis, ...revision }) => ({
+        ...revision,
+        overallScore: vastuAnalysis ? vastuAnalysis.overallScore : undefined
+      }))
+    };
+  }
+
+  // Overall score of every revision with results, oldest first
+  async scoreHistory(analysisId) {
+    const revisions = await AnalysisRevision.find({ analysis: analysisId, 'vastuAnalysis.overallScore': { $exists: true } })
+      .sort('number')
+      .select('number reason createdAt vastuAnalysis.overallScore')
+      .lean();
+    return revisions.map(({ vastuAnalysis, ...revision }) => ({ ...revision, overallScore: vastuAnalysis.overallScore }));
+  }
+
+  async get(analysisId, number) {
+    const revision = await AnalysisRevision.findOne({ analysis: analysisId, number }).lean();
+    if (!revision) throw httpError(`Revision ${number} not found`, 404);
+    return revision;
+  }
+
+  /**
+   * Compare two revisions of an analysis
+   * @param {string} analysisId - Analysis
+   * @param {Object} options - { from, to }: revision numbers; `to` defaults to the latest and `from` to the one before `to`
+   * @returns {Promise<Object>} { from, to, title, scores, rooms, remedies, rules, entrance }
+   */
+  async diff(analysisId, options = {}) {
+    let to;
+    if (options.to) {
+      to = await this.get(analysisId, options.to);
+    } else {
+      to = await AnalysisRevision.findOne({ analysis: analysisId }).sort('-number').lean();
+      if (!to) throw httpError('This analysis has no revisions yet', 404);
+    }
+
+    const fromNumber = options.from || to.number - 1;
+    if (fromNumber < 1) throw httpError('There is no earlier revision to compare with', 400);
+    const from = await this.get(analysisId, fromNumber);
+
+    return this.compare(from, to);
+  }
+
+  // Differences between two revision snapshots
+  compare(from, to) {
+    const before = from.vastuAnalysis || {};
+    const after = to.vastuAnalysis || {};
+    const describe = revision => ({
+      number: revision.number,
+      reason: revision.reason,
+      status: revision.status,
+      createdAt: revision.createdAt
+    });
+
+    const changes = (keys, pick) => {
+      const result = {};
+      keys.forEach(key => {
+        const change = scoreChange(pick(before, key), pick(after, key));
+        if (change) result[key] = change;
+      });
+      return result;
+    };
+
+    const beforeEntrance = (from.floorPlan && from.floorPlan.entrance) || {};
+    const afterEntrance = (to.floorPlan && to.floorPlan.entrance) || {};
+
+    return {
+      from: describe(from),
+      to: describe(to),
+      title: from.title !== to.title ? { from: from.title, to: to.title } : undefined,
+      scores: {
+        overall: scoreChange(before.overallScore, after.overallScore),
+        energyFlow: scoreChange(before.energyFlow && before.energyFlow.score, after.energyFlow && after.energyFlow.score),
+        entrance: scoreChange(before.entranceScore, after.entranceScore),
+        directions: changes(DIRECTIONS, (results, key) => results.directionalAnalysis && results.directionalAnalysis[key] && results.directionalAnalysis[key].score),
+        elements: changes(ELEMENTS, (results, key) => results.fiveElements && results.fiveElements[key] && results.fiveElements[key].score)
+      },
+      rooms: this.compareRooms(from, to),
+      entrance: beforeEntrance.direction !== afterEntrance.direction || beforeEntrance.zone !== afterEntrance.zone
+        ? { from: { direction: beforeEntrance.direction, zone: beforeEntrance.zone }, to: { direction: afterEntrance.direction, zone: afterEntrance.zone } }
+        : undefined,
+      remedies: this.compareLists(
+        (before.remedies || []).map(remedy => remedy.description),
+        (after.remedies || []).map(remedy => remedy.description),
+        ['resolved', 'added']
+      ),
+      rules: this.compareRules(before.ruleEvaluations || [], after.ruleEvaluations || [])
+    };
+  }
+
+  /**
+   * Rooms matched across revisions by key, else by name, with where each sits and how it scored.
+   * `change` is 'added', 'removed', 'moved' (a different direction or mandala zone) or 'unchanged'.
+   */
+  compareRooms(from, to) {
+    const roomsOf = (revision) => {
+      const plan = revision.floorPlan || {};
+      const zoned = (revision.zoning && revision.zoning.rooms) || [];
+      const scored = (revision.vastuAnalysis && revision.vastuAnalysis.roomAnalysis) || [];
+      return (plan.rooms || []).map((room, index) => {
+        const key = room.key || `room-${index}`;
+        const zone = zoned.find(item => item.key === key);
+        const score = scored.find(item => item.roomName === room.name);
+        return {
+          key,
+          name: room.name,
+          type: room.type,
+          direction: room.direction,
+          zone: zone ? zone.primaryZone : undefined,
+          score: score ? score.vastuScore : undefined
+        };
+      });
+    };
+
+    const before = roomsOf(from);
+    const after = roomsOf(to);
+    const unmatched = new Set(before);
+    const match = (room) => {
+      const found = before.find(item => unmatched.has(item) && item.key === room.key && item.name === room.name) ||
+        before.find(item => unmatched.has(item) && item.name === room.name) ||
+        before.find(item => unmatched.has(item) && item.key === room.key);
+      if (found) unmatched.delete(found);
+      return found;
+    };
+
+    const placement = room => ({ direction: room.direction, zone: room.zone });
+    const rooms = after.map(room => {
+      const previous = match(room);
+      if (!previous) {
+        return { key: room.key, name: room.name, type: room.type, change: 'added', to: placement(room), score: scoreChange(undefined, room.score) };
+      }
+      const moved = previous.direction !== room.direction || previous.zone !== room.zone;
+      return {
+        key: room.key,
+        name: room.name,
+        type: room.type,
+        change: moved ? 'moved' : 'unchanged',
+        from: placement(previous),
+        to: placement(room),
+        score: scoreChange(previous.score, room.score)
+      };
+    });
+
+    unmatched.forEach(room => rooms.push({
+      key: room.key,
+      name: room.name,
+      type: room.type,
+      change: 'removed',
+      from: placement(room),
+      score: scoreChange(room.score, undefined)
+    }));
+    return rooms;
+  }
+
+  // Entries only in the first list, and only in the second, under the given names
+  compareLists(before, after, [removedName, addedName]) {
+    return {
+      [removedName]: before.filter(item => !after.includes(item)),
+      [addedName]: after.filter(item => !before.includes(item))
+    };
+  }
+
+  // Rule checks whose outcome changed, matched by rule and subject
+  compareRules(before, after) {
+    const keyOf = item => `${item.rule || item.ruleName}|${item.subjectKey || item.subject || ''}`;
+    const previous = new Map(before.map(item => [keyOf(item), item]));
+
+    const changed = [];
+    after.forEach(item => {
+      const old = previous.get(keyOf(item));
+      previous.delete(keyOf(item));
+      if (!old || old.status !== item.status || old.earned !== item.earned) {
+        changed.push({
+          ruleName: item.ruleName,
+          subject: item.subject,
+          from: old ? old.status : null,
+          to: item.status,
+          earned: scoreChange(old ? old.earned : undefined, item.earned)
+        });
+      }
+    });
+    previous.forEach(item => changed.push({
+      ruleName: item.ruleName,
+      subject: item.subject,
+      from: item.status,
+      to: null,
+      earned: scoreChange(item.earned, undefined)
+    }));
+    return changed;
+  }
+
+  // Delete an analysis's history along with it
+  async removeAll(analysisId) {
+    await AnalysisRevision.deleteMany({ analysis: analysisId });
+  }
+}
+
+module.exports = new RevisionService();
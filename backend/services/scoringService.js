@@ -0,0 +1,457 @@
+const VastuRule = require('../models/VastuRule');
+const zoningService = require('./zoningService');
+const traditionService = require('./traditionService');
+
+// Relative weight of a rule by its importance level
+const IMPORTANCE_WEIGHTS = {
+  critical: 4,
+  high: 3,
+  medium: 2,
+  low: 1
+};
+
+// Governing element of each direction (matches /api/vastu/directions)
+const DIRECTION_ELEMENTS = {
+  north: 'water',
+  northeast: 'water',
+  east: 'air',
+  southeast: 'fire',
+  south: 'fire',
+  southwest: 'earth',
+  west: 'air',
+  northwest: 'air',
+  center: 'space'
+};
+
+const DIRECTIONS = ['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest'];
+const ELEMENTS = ['earth', 'water', 'fire', 'air', 'space'];
+
+// Score given to a section no rule has anything to say about
+const NEUTRAL_SCORE = 70;
+
+// Zones that govern each life area
+const LIFE_AREA_DIRECTIONS = {
+  prosperity: ['northeast', 'north'],
+  career: ['north', 'northeast'],
+  health: ['east', 'northeast'],
+  relationship: ['southwest', 'west'],
+  education: ['northwest', 'northeast']
+};
+
+class ScoringService {
+  constructor() {
+    this.importanceWeights = IMPORTANCE_WEIGHTS;
+    this.directionElements = DIRECTION_ELEMENTS;
+    this.directions = DIRECTIONS;
+    this.elements = ELEMENTS;
+    this.neutralScore = NEUTRAL_SCORE;
+    this.lifeAreaDirections = LIFE_AREA_DIRECTIONS;
+  }
+
+  /**
+   * Load the active rule set used for scoring
+   * @param {Object} filter - Extra query conditions
+   * @param {Object} options - { region } whose tradition to apply; without one only shared rules load
+   * @returns {Array} Plain rule objects ordered by priority
+   */
+  async loadRules(filter = {}, options = {}) {
+    const region = options.region || null;
+    const [rules, profile] = await Promise.all([
+      VastuRule.find({ isActive: true, region: { $in: [null, region] }, ...filter })
+        .sort({ priority: -1, name: 1 })
+        .lean(),
+      region ? traditionService.getProfile(region) : null
+    ]);
+    return profile ? traditionService.applyProfile(rules, profile) : rules;
+  }
+
+  /**
+   * Score a floor plan against the active Vastu rules
+   * @param {Object} floorPlan - Floor plan in the Analysis.floorPlan shape
+   * @param {Object} options - { rules } to score against a preloaded rule set, or { region } to load
+   * @returns {Object} Scores with the rule evaluations behind them
+   */
+  async scoreFloorPlan(floorPlan, options = {}) {
+    const rules = options.rules || await this.loadRules({}, { region: options.region });
+    return this.evaluate(floorPlan, rules);
+  }
+
+  /**
+   * Deterministically evaluate a floor plan against a rule set
+   * @param {Object} floorPlan - Floor plan in the Analysis.floorPlan shape
+   * @param {Array} rules - VastuRule documents or plain objects
+   * @param {Object} options - { credits } for remedies carried out, see applyCredits
+   * @returns {Object} Scores with the rule evaluations behind them
+   */
+  evaluate(floorPlan, rules, options = {}) {
+    // Zones come from the plan geometry wherever rooms have polygons
+    const subjects = this.getSubjects(zoningService.resolve(floorPlan).plan);
+    const evaluations = [];
+
+    // Positive rules for the same room type are alternatives (e.g. main door
+    // north OR east): a room earns the best one it satisfies, not all of them.
+    const positiveGroups = {};
+    const otherRules = [];
+
+    rules.forEach(rule => {
+      if (rule.impact === 'positive' && rule.roomType && rule.roomType !== 'any') {
+        (positiveGroups[rule.roomType] = positiveGroups[rule.roomType] || []).push(rule);
+      } else {
+        otherRules.push(rule);
+      }
+    });
+
+    Object.entries(positiveGroups).forEach(([roomType, group]) => {
+      subjects
+        .filter(subject => subject.roomType === roomType)
+        .forEach(subject => {
+          evaluations.push(...this.evaluatePositiveGroup(subject, group));
+        });
+    });
+
+    otherRules.forEach(rule => {
+      evaluations.push(...this.evaluateRule(rule, subjects));
+    });
+
+    if (options.credits) this.applyCredits(evaluations, options.credits);
+
+    return this.summarize(subjects, evaluations);
+  }
+
+  /**
+   * Win back part of what failed checks lost for the remedies carried out on them.
+   * The check keeps its status, since the plan itself is unchanged.
+   * @param {Array} evaluations - Rule evaluations, changed in place
+   * @param {Object} credits - Share (0-1) of the lost points to win back, keyed by `<rule id>|<subject key>`
+   */
+  applyCredits(evaluations, credits) {
+    evaluations.forEach(item => {
+      const share = credits[`${item.rule}|${item.subjectKey}`];
+      if (!share || item.earned >= item.possible) return;
+      item.credit = Math.round((item.possible - item.earned) * Math.min(share, 1) * 100) / 100;
+      item.earned = Math.round((item.earned + item.credit) * 100) / 100;
+    });
+  }
+
+  // Results in the shape stored as Analysis.vastuAnalysis, with a one-paragraph summary and the region scored under
+  toAnalysisResults(result, region) {
+    const violated = result.ruleEvaluations.filter(item => ['violated', 'unsatisfied'].includes(item.status)).length;
+    const satisfied = result.ruleEvaluations.filter(item => item.status === 'satisfied').length;
+
+    return {
+      overallScore: result.overallScore,
+      directionalAnalysis: result.directionalAnalysis,
+      fiveElements: result.fiveElements,
+      roomAnalysis: result.roomAnalysis,
+      entranceScore: result.entranceScore,
+      remedies: result.remedies,
+      positiveAspects: result.positiveAspects,
+      negativeAspects: result.negativeAspects,
+      ruleEvaluations: result.ruleEvaluations,
+      region,
+      summary: result.ruleEvaluations.length === 0
+        ? 'No active Vastu rules applied to this floor plan.'
+        : `Overall Vastu score ${result.overallScore}/100 from ${result.ruleEvaluations.length} rule checks: ` +
+          `${satisfied} recommendations met and ${violated} issues found.`
+    };
+  }
+
+  // Key rule evaluations of a room are recorded under; rooms saved before keys existed fall back to their position
+  subjectKey(room, index) {
+    return room.key || `room-${index}`;
+  }
+
+  // Rooms plus the main entrance, each with the zone it sits in
+  getSubjects(floorPlan = {}) {
+    const subjects = (floorPlan.rooms || []).map((room, index) => ({
+      key: this.subjectKey(room, index),
+      name: room.name || `Room ${index + 1}`,
+      roomType: room.type,
+      direction: room.direction || null,
+      directionSource: room.directionSource || null
+    }));
+
+    const entranceDirection = (floorPlan.entrance && floorPlan.entrance.direction) || floorPlan.orientation;
+    if (entranceDirection) {
+      subjects.push({
+        key: 'entrance',
+        name: 'Main Entrance',
+        roomType: 'entrance',
+        direction: entranceDirection
+      });
+    }
+
+    return subjects;
+  }
+
+  // Weight of a rule: importance scaled by its 1-10 priority (5 is neutral)
+  getRuleWeight(rule) {
+    const importance = IMPORTANCE_WEIGHTS[rule.importance] || IMPORTANCE_WEIGHTS.medium;
+    const priority = rule.priority || 5;
+    return Math.round(importance * (priority / 5) * 100) / 100;
+  }
+
+  matchesDirection(rule, direction) {
+    return !rule.direction || rule.direction === 'any' || rule.direction === direction;
+  }
+
+  evaluatePositiveGroup(subject, group) {
+    const weighted = group
+      .map(rule => ({ rule, weight: this.getRuleWeight(rule) }))
+      .sort((a, b) => b.weight - a.weight);
+    const possible = weighted[0].weight;
+    const match = weighted.find(item => subject.direction && this.matchesDirection(item.rule, subject.direction));
+
+    if (match) {
+      return [this.buildEvaluation(match.rule, subject, {
+        weight: match.weight,
+        possible,
+        earned: match.weight,
+        status: 'satisfied',
+        reason: `${subject.name} is in the ${subject.direction}, as "${match.rule.name}" recommends`
+      })];
+    }
+
+    const expected = [...new Set(weighted.map(item => item.rule.direction))].join(' or ');
+    const top = weighted[0];
+    return [this.buildEvaluation(top.rule, subject, {
+      weight: top.weight,
+      possible,
+      earned: 0,
+      status: 'unsatisfied',
+      reason: subject.direction
+        ? `${subject.name} is in the ${subject.direction}; "${top.rule.name}" recommends ${expected}`
+        : `${subject.name} has no known zone, so "${top.rule.name}" cannot be confirmed`
+    })];
+  }
+
+  evaluateRule(rule, subjects) {
+    const weight = this.getRuleWeight(rule);
+    const planWide = !rule.roomType || rule.roomType === 'any';
+    const candidates = planWide ? subjects : subjects.filter(subject => subject.roomType === rule.roomType);
+    const plan = { key: 'plan', name: 'Floor plan', roomType: 'any', direction: null };
+
+    if (rule.impact === 'negative' && planWide) {
+      // Whole-plan rule: every room in the restricted zone is a violation
+      const violators = candidates.filter(subject => subject.direction && this.matchesDirection(rule, subject.direction));
+      if (violators.length === 0) {
+        return [this.buildEvaluation(rule, plan, {
+          weight,
+          possible: weight,
+          earned: weight,
+          status: 'clear',
+          reason: `No room occupies the ${rule.direction || 'restricted zone'}`
+        })];
+      }
+      return violators.map(subject => this.buildEvaluation(rule, subject, {
+        weight,
+        possible: weight,
+        earned: 0,
+        status: 'violated',
+        reason: `${subject.name} is in the ${subject.direction}, which "${rule.name}" advises against`
+      }));
+    }
+
+    if (rule.impact === 'negative') {
+      return candidates.map(subject => {
+        const violated = Boolean(subject.direction) && this.matchesDirection(rule, subject.direction);
+        return this.buildEvaluation(rule, subject, {
+          weight,
+          possible: weight,
+          earned: violated ? 0 : weight,
+          status: violated ? 'violated' : 'clear',
+          reason: violated
+            ? `${subject.name} is in the ${subject.direction}, which "${rule.name}" advises against`
+            : `${subject.name} is not in the ${rule.direction || 'restricted zone'}`
+        });
+      });
+    }
+
+    if (rule.impact === 'positive') {
+      // Whole-plan rule: satisfied when any room occupies the recommended zone
+      const occupant = candidates.find(subject => subject.direction && this.matchesDirection(rule, subject.direction));
+      return [this.buildEvaluation(rule, occupant || plan, {
+        weight,
+        possible: weight,
+        earned: occupant ? weight : 0,
+        status: occupant ? 'satisfied' : 'unsatisfied',
+        reason: occupant
+          ? `${occupant.name} occupies the ${occupant.direction}, as "${rule.name}" recommends`
+          : `No room occupies the ${rule.direction || 'recommended zone'} for "${rule.name}"`
+      })];
+    }
+
+    // Neutral rules are informational and never move a score
+    return [];
+  }
+
+  buildEvaluation(rule, subject, result) {
+    return {
+      rule: rule._id,
+      ruleName: rule.name,
+      category: rule.category,
+      impact: rule.impact,
+      importance: rule.importance,
+      priority: rule.priority,
+      element: rule.element && rule.element !== 'any' ? rule.element : this.directionElements[rule.direction] || null,
+      expectedDirection: rule.direction || 'any',
+      subject: subject.name,
+      subjectKey: subject.key,
+      roomType: subject.roomType,
+      direction: subject.direction,
+      remedies: result.earned < result.possible ? (rule.remedies || []) : [],
+      ...result
+    };
+  }
+
+  toScore(evaluations) {
+    const possible = evaluations.reduce((sum, item) => sum + item.possible, 0);
+    if (possible === 0) return null;
+    const earned = evaluations.reduce((sum, item) => sum + item.earned, 0);
+    return Math.round((earned / possible) * 100);
+  }
+
+  summarize(subjects, evaluations) {
+    const scoreOf = list => {
+      const score = this.toScore(list);
+      return score === null ? NEUTRAL_SCORE : score;
+    };
+    const failing = list => list.filter(item => item.earned < item.possible);
+
+    const directionalAnalysis = {};
+    DIRECTIONS.concat('center').forEach(direction => {
+      const list = evaluations.filter(item => item.direction === direction);
+      directionalAnalysis[direction] = {
+        score: scoreOf(list),
+        issues: failing(list).map(item => item.reason),
+        recommendations: this.collectRemedyText(failing(list))
+      };
+    });
+
+    const fiveElements = {};
+    ELEMENTS.forEach(element => {
+      const list = evaluations.filter(item => item.element === element);
+      const score = scoreOf(list);
+      fiveElements[element] = {
+        score,
+        balance: this.describeBalance(score),
+        recommendations: this.collectRemedyText(failing(list))
+      };
+    });
+
+    const roomAnalysis = subjects
+      .filter(subject => subject.roomType !== 'entrance')
+      .map(subject => {
+        const list = evaluations.filter(item => item.subjectKey === subject.key);
+        return {
+          roomName: subject.name,
+          roomType: subject.roomType,
+          direction: subject.direction,
+          vastuScore: scoreOf(list),
+          issues: failing(list).map(item => item.reason),
+          recommendations: list.filter(item => item.earned > 0).map(item => item.reason),
+          remedies: this.collectRemedyText(failing(list))
+        };
+      });
+
+    const categories = {};
+    evaluations.forEach(item => {
+      (categories[item.category] = categories[item.category] || []).push(item);
+    });
+    const categoryScores = {};
+    Object.entries(categories).forEach(([category, list]) => {
+      categoryScores[category] = this.toScore(list);
+    });
+
+    const entranceList = evaluations.filter(item => item.roomType === 'entrance');
+    const overall = this.toScore(evaluations);
+
+    return {
+      overallScore: overall === null ? NEUTRAL_SCORE : overall,
+      directionalAnalysis,
+      fiveElements,
+      roomAnalysis,
+      entranceScore: scoreOf(entranceList),
+      categoryScores,
+      remedies: this.collectRemedies(failing(evaluations)),
+      positiveAspects: evaluations.filter(item => item.status === 'satisfied').map(item => item.reason),
+      negativeAspects: evaluations.filter(item => ['violated', 'unsatisfied'].includes(item.status)).map(item => item.reason),
+      ruleEvaluations: evaluations.map(({ remedies, ...item }) => item)
+    };
+  }
+
+  /**
+   * Score one section of a scoring result from the evaluations it covers
+   * @param {Object} result - Output of evaluate()
+   * @param {Function} predicate - Selects the rule evaluations in the section
+   * @returns {Object} { score, rules } where rules explain the score
+   */
+  scoreSection(result, predicate) {
+    const evaluations = result.ruleEvaluations.filter(predicate);
+    const score = this.toScore(evaluations);
+
+    return {
+      score: score === null ? NEUTRAL_SCORE : score,
+      rules: evaluations.map(item => ({
+        rule: item.rule,
+        ruleName: item.ruleName,
+        subject: item.subject,
+        status: item.status,
+        weight: item.weight,
+        earned: item.earned,
+        possible: item.possible,
+        reason: item.reason
+      }))
+    };
+  }
+
+  describeBalance(score) {
+    if (score >= 90) return 'Excellent';
+    if (score >= 75) return 'Good';
+    if (score >= 50) return 'Moderate';
+    return 'Weak';
+  }
+
+  collectRemedyText(evaluations) {
+    const text = [];
+    evaluations.forEach(item => {
+      item.remedies.forEach(remedy => {
+        if (remedy.description && !text.includes(remedy.description)) {
+          text.push(remedy.description);
+        }
+      });
+    });
+    return text;
+  }
+
+  // Remedies in the Analysis.vastuAnalysis.remedies shape, most important first
+  collectRemedies(evaluations) {
+    const priorityOf = importance => (importance === 'critical' || importance === 'high')
+      ? 'high'
+      : importance === 'low' ? 'low' : 'medium';
+    const seen = new Set();
+    const remedies = [];
+
+    [...evaluations]
+      .sort((a, b) => b.weight - a.weight)
+      .forEach(item => {
+        item.remedies.forEach(remedy => {
+          const key = `${item.rule}:${remedy.description}`;
+          if (seen.has(key)) return;
+          seen.add(key);
+          remedies.push({
+            rule: item.rule,
+            type: remedy.type || 'other',
+            description: remedy.description,
+            priority: priorityOf(item.importance),
+            cost: remedy.cost,
+            difficulty: remedy.difficulty
+          });
+        });
+      });
+
+    return remedies;
+  }
+}
+
+module.exports = new ScoringService();
@@ -0,0 +1,130 @@
+const floorPlanService = require('./floorPlanService');
+const zoningService = require('./zoningService');
+const scoringService = require('./scoringService');
+const revisionService = require('./revisionService');
+const traditionService = require('./traditionService');
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Answers "what if" questions about a floor plan: applies edits to a copy of
+ * an analysis's plan and re-scores it against the same rules as the plan as
+ * it stands. Nothing is saved.
+ */
+class SimulationService {
+  /**
+   * Score an analysis's floor plan before and after a list of edits
+   * @param {Analysis} analysis - Analysis whose plan to edit
+   * @param {Object[]} edits - Applied in order, see applyEdit
+   * @returns {Promise<Object>} { edits, scores, rooms, entrance, remedies, rules, plan }
+   */
+  async simulate(analysis, edits) {
+    const original = typeof analysis.floorPlan.toObject === 'function'
+      ? analysis.floorPlan.toObject({ virtuals: false })
+      : JSON.parse(JSON.stringify(analysis.floorPlan));
+    const edited = JSON.parse(JSON.stringify(original));
+    edits.forEach((edit, index) => this.applyEdit(edited, edit, index));
+
+    // Both plans are scored now, under the owner's tradition, so the deltas come from the edits and not from rules changed since the analysis ran
+    const region = await traditionService.getUserRegion(analysis.user);
+    const ruleSet = await scoringService.loadRules({}, { region });
+    const before = this.score(original, ruleSet);
+    const after = this.score(edited, ruleSet);
+    const diff = revisionService.compare(before, after);
+
+    // A swap leaves rooms where they are and trades their names, so rule checks follow the name rather than the position
+    const bySubject = evaluations => evaluations.map(({ subjectKey, ...item }) => item);
+    const rules = revisionService.compareRules(bySubject(before.vastuAnalysis.ruleEvaluations), bySubject(after.vastuAnalysis.ruleEvaluations));
+
+    return {
+      edits,
+      scores: diff.scores,
+      rooms: diff.rooms.filter(room => room.change !== 'unchanged' || (room.score && room.score.change)),
+      entrance: diff.entrance,
+      remedies: diff.remedies,
+      rules: rules.filter(rule => rule.from !== rule.to),
+      plan: {
+        rooms: after.floorPlan.rooms.map(room => ({ key: room.key, name: room.name, type: room.type, direction: room.direction })),
+        entrance: after.floorPlan.entrance
+      }
+    };
+  }
+
+  // A plan with its zoning and results, in the shape revisionService.compare takes
+  score(floorPlan, rules) {
+    const { plan, zoning } = zoningService.resolve(floorPlan);
+    plan.rooms.forEach((room, index) => {
+      room.key = room.key || `room-${index}`;
+    });
+    // Scoring falls back to the orientation when no entrance is set
+    if (!(plan.entrance && plan.entrance.direction) && plan.orientation) {
+      plan.entrance = { direction: plan.orientation };
+    }
+    return { floorPlan: plan, zoning, vastuAnalysis: scoringService.evaluate(floorPlan, rules) };
+  }
+
+  // Room with the given key, where rooms without one are keyed by position like everywhere else
+  findRoom(plan, key, index) {
+    const room = (plan.rooms || []).find((item, position) => (item.key || `room-${position}`) === key);
+    if (!room) throw httpError(`Edit ${index + 1}: room ${key} not found`, 400);
+    return room;
+  }
+
+  /**
+   * Apply one edit to a plain floor plan
+   * - swap-room-types { rooms: [key, key] }: the two rooms trade their use (type and name)
+   * - move-room { room: key, direction }: the room is placed in another zone as a whole, without redrawing it
+   * - move-door { door: index, position: { x, y }, wall? }: the door's facing is derived again from where it now sits
+   * - set-entrance { direction }: the entrance faces the given direction instead of the one derived from the main door
+   */
+  applyEdit(plan, edit, index) {
+    switch (edit.type) {
+      case 'swap-room-types': {
+        const [first, second] = edit.rooms.map(key => this.findRoom(plan, key, index));
+        if (first === second) throw httpError(`Edit ${index + 1}: a room cannot be swapped with itself`, 400);
+        [first.type, second.type] = [second.type, first.type];
+        [first.name, second.name] = [second.name, first.name];
+        break;
+      }
+      case 'move-room': {
+        const room = this.findRoom(plan, edit.room, index);
+        delete room.polygon;
+        delete room.centroid;
+        room.direction = edit.direction;
+        room.directionSource = 'manual';
+        break;
+      }
+      case 'move-door': {
+        const door = (plan.doors || [])[edit.door];
+        if (!door) throw httpError(`Edit ${index + 1}: door ${edit.door} not found`, 400);
+        if (!floorPlanService.hasGeometry(plan)) {
+          throw httpError(`Edit ${index + 1}: doors can only be moved on a plan with room outlines`, 400);
+        }
+        door.position = { x: edit.position.x, y: edit.position.y };
+        // The old wall no longer holds the door unless the edit says so
+        if (edit.wall !== undefined) {
+          door.wall = edit.wall;
+        } else {
+          delete door.wall;
+        }
+        break;
+      }
+      case 'set-entrance': {
+        // A main door would otherwise set the entrance again when the plan is resolved
+        (plan.doors || []).forEach(door => {
+          door.isMainEntrance = false;
+        });
+        plan.entrance = { direction: edit.direction, source: 'manual' };
+        break;
+      }
+      default:
+        throw httpError(`Edit ${index + 1}: unknown edit type ${edit.type}`, 400);
+    }
+  }
+}
+
+module.exports = new SimulationService();
@@ -0,0 +1,129 @@
+const axios = require('axios');
+const cloudinary = require('cloudinary').v2;
+const StorageAdapter = require('./storageAdapter');
+
+// Images and PDFs are image resources in Cloudinary; anything else, such as DXF, is raw
+const resourceTypeOf = (mimetype = '') => (
+  mimetype.startsWith('image/') || mimetype === 'application/pdf' ? 'image' : 'raw'
+);
+
+class CloudinaryStorageAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super('cloudinary');
+    cloudinary.config({
+      cloud_name: options.cloudName || process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: options.apiKey || process.env.CLOUDINARY_API_KEY,
+      api_secret: options.apiSecret || process.env.CLOUDINARY_API_SECRET
+    });
+  }
+
+  async upload(buffer, { key, mimetype }) {
+    const result = await cloudinary.uploader.upload(
+      `data:${mimetype};base64,${buffer.toString('base64')}`,
+      { public_id: key, resource_type: resourceTypeOf(mimetype) }
+    );
+
+    return {
+      key: result.public_id,
+      url: result.secure_url,
+      format: result.format,
+      bytes: result.bytes,
+      width: result.width,
+      height: result.height
+    };
+  }
+
+  async uploadStream(stream, { key, mimetype }) {
+    const result = await new Promise((resolve, reject) => {
+      const upload = cloudinary.uploader.upload_stream(
+        { public_id: key, resource_type: resourceTypeOf(mimetype) },
+        (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+      );
+      stream.on('error', reject);
+      stream.pipe(upload);
+    });
+
+    return {
+      key: result.public_id,
+      url: result.secure_url,
+      format: result.format,
+      bytes: result.bytes,
+      width: result.width,
+      height: result.height
+    };
+  }
+
+  async read(key, options = {}) {
+    const response = await axios.get(this.getSignedUrl(key, options) || options.url, {
+      responseType: 'arraybuffer',
+      signal: options.signal,
+      timeout: 30000
+    });
+    return Buffer.from(response.data);
+  }
+
+  // Without a MIME type the key is tried as an image, then as a raw file
+  async remove(key, options = {}) {
+    const types = options.mimetype ? [resourceTypeOf(options.mimetype)] : ['image', 'raw'];
+    for (const resourceType of types) {
+      const result = await cloudinary.uploader.destroy(key, { resource_type: resourceType });
+      if (result.result === 'ok') return true;
+    }
+    return false;
+  }
+
+  async stat(key, options = {}) {
+    const types = options.mimetype ? [resourceTypeOf(options.mimetype)] : ['image', 'raw'];
+    for (const resourceType of types) {
+      try {
+        const result = await cloudinary.api.resource(key, { resource_type: resourceType });
+        return {
+          key: result.public_id,
+          url: result.secure_url,
+          format: result.format,
+          bytes: result.bytes,
+          width: result.width,
+          height: result.height,
+          createdAt: result.created_at,
+          resourceType
+        };
+      } catch (error) {
+        if (!error.error || error.error.http_code !== 404) throw error;
+      }
+    }
+    return null;
+  }
+
+  // Image downloads need the format; without it there is no signed URL (null)
+  getSignedUrl(key, options = {}) {
+    const resourceType = options.resourceType || resourceTypeOf(options.mimetype);
+    if (resourceType === 'image' && !options.format) return null;
+
+    return cloudinary.utils.private_download_url(key, options.format || '', {
+      resource_type: resourceType,
+      type: 'upload',
+      expires_at: Math.floor(Date.now() / 1000) + (options.expiresIn || 3600)
+    });
+  }
+
+  async getUsage(folder) {
+    let bytes = 0;
+    for (const resourceType of ['image', 'raw']) {
+      let cursor;
+      do {
+        const page = await cloudinary.api.resources({
+          type: 'upload',
+          resource_type: resourceType,
+          prefix: folder,
+          max_results: 500,
+          next_cursor: cursor
+        });
+        bytes += page.resources.reduce((sum, resource) => sum + (resource.bytes || 0), 0);
+        cursor = page.next_cursor;
+      } while (cursor);
+    }
+    return bytes;
+  }
+}
+
+module.exports = CloudinaryStorageAdapter;
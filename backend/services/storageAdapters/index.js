@@ -0,0 +1,28 @@
+const CloudinaryStorageAdapter = require('./cloudinaryStorageAdapter');
+const LocalStorageAdapter = require('./localStorageAdapter');
+
+const ADAPTERS = {
+  cloudinary: CloudinaryStorageAdapter,
+  local: LocalStorageAdapter
+};
+
+/**
+ * Create the storage adapter selected by name, or by STORAGE_PROVIDER
+ * @param {string} name - cloudinary or local
+ * @param {Object} options - Adapter options, e.g. { root } for local
+ * @returns {StorageAdapter} Adapter instance
+ */
+const createStorageAdapter = (name = process.env.STORAGE_PROVIDER || 'cloudinary', options = {}) => {
+  const Adapter = ADAPTERS[name];
+  if (!Adapter) {
+    throw new Error(`Unknown storage provider "${name}". Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  return new Adapter(options);
+};
+
+module.exports = {
+  STORAGE_PROVIDERS: Object.keys(ADAPTERS),
+  createStorageAdapter,
+  CloudinaryStorageAdapter,
+  LocalStorageAdapter
+};
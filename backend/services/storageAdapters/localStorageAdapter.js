@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const StorageAdapter = require('./storageAdapter');
+
+// File extensions for stored MIME types; the extension sets the Content-Type when served
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'application/pdf': 'pdf',
+  'application/dxf': 'dxf'
+};
+
+/**
+ * Stores uploads on the local filesystem for self-hosted and offline
+ * deployments. Files are served from /uploads only with a valid signature.
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super('local');
+    this.root = path.resolve(options.root || process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../uploads'));
+    this.baseUrl = (options.baseUrl || process.env.STORAGE_LOCAL_URL || '/uploads').replace(/\/$/, '');
+    this.secret = options.secret || process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  }
+
+  // Absolute path of a key, refusing keys that escape the storage root
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  }
+
+  async upload(buffer, { key, mimetype, format }) {
+    const extension = format || EXTENSIONS[mimetype] || 'bin';
+    const storedKey = `${key}.${extension}`;
+    const filePath = this.resolve(storedKey);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    const { width, height } = await this.getImageSize(buffer, mimetype);
+    return {
+      key: storedKey,
+      url: `${this.baseUrl}/${storedKey}`,
+      format: extension,
+      bytes: buffer.length,
+      width,
+      height
+    };
+  }
+
+  async uploadStream(stream, { key, mimetype, format }) {
+    const extension = format || EXTENSIONS[mimetype] || 'bin';
+    const storedKey = `${key}.${extension}`;
+    const filePath = this.resolve(storedKey);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await pipeline(stream, createWriteStream(filePath));
+
+    const stats = await fs.stat(filePath);
+    const { width, height } = await this.getImageSize(filePath, mimetype);
+    return {
+      key: storedKey,
+      url: `${this.baseUrl}/${storedKey}`,
+      format: extension,
+      bytes: stats.size,
+      width,
+      height
+    };
+  }
+
+  // Pixel size of an image buffer or file path
+  async getImageSize(input, mimetype = '') {
+    if (!mimetype.startsWith('image/')) return {};
+    try {
+      const { width, height } = await sharp(input).metadata();
+      return { width, height };
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async read(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async stat(key, options = {}) {
+    try {
+      const stats = await fs.stat(this.resolve(key));
+      const format = path.extname(key).slice(1);
+      const mimetype = options.mimetype || Object.keys(EXTENSIONS).find(type => EXTENSIONS[type] === format);
+      const { width, height } = await this.getImageSize(this.resolve(key), mimetype);
+      return {
+        key,
+        url: `${this.baseUrl}/${key}`,
+        format,
+        bytes: stats.size,
+        width,
+        height,
+        createdAt: stats.birthtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  getSignedUrl(key, options = {}) {
+    const expires = Math.floor(Date.now() / 1000) + (options.expiresIn || 3600);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}/${encodedKey}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  /**
+   * Check the signature of a download request
+   * @param {string} key - File key from the request path
+   * @param {string} expires - expires query parameter (Unix seconds)
+   * @param {string} signature - signature query parameter
+   * @returns {boolean} Whether the URL was signed here and has not expired
+   */
+  verify(key, expires, signature) {
+    if (!key || !expires || typeof signature !== 'string' || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(key, expires));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  async getUsage(folder) {
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+      }
+
+      let bytes = 0;
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        bytes += entry.isDirectory() ? await walk(entryPath) : (await fs.stat(entryPath)).size;
+      }
+      return bytes;
+    };
+
+    return walk(this.resolve(folder));
+  }
+}
+
+module.exports = LocalStorageAdapter;
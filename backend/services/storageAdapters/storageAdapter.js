@@ -0,0 +1,84 @@
+/**
+ * Interface every upload storage backend implements.
+ * Files are addressed by key, a path-like id such as "vastu-vision/users/<id>/<uuid>",
+ * which is stored as the file's filename on the analysis.
+ */
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store a file
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { key, mimetype, format }
+   * @returns {Promise<Object>} { key, url, format, bytes, width, height }
+   */
+  async upload(buffer, options) {
+    throw this.notSupported('upload');
+  }
+
+  /**
+   * Store a file from a stream without holding it in memory
+   * @param {Readable} stream - File contents
+   * @param {Object} options - { key, mimetype, format }
+   * @returns {Promise<Object>} { key, url, format, bytes, width, height }
+   */
+  async uploadStream(stream, options) {
+    throw this.notSupported('uploadStream');
+  }
+
+  /**
+   * Contents of a stored file
+   * @param {string} key - File key
+   * @param {Object} options - { mimetype, format, url (stored URL), signal }
+   * @returns {Promise<Buffer>} File contents
+   */
+  async read(key, options = {}) {
+    throw this.notSupported('read');
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} key - File key
+   * @param {Object} options - { mimetype }
+   * @returns {Promise<boolean>} false when there was no such file
+   */
+  async remove(key, options = {}) {
+    throw this.notSupported('remove');
+  }
+
+  /**
+   * Details of a stored file
+   * @param {string} key - File key
+   * @returns {Promise<Object|null>} { key, url, format, bytes, width, height, createdAt }
+   */
+  async stat(key, options = {}) {
+    throw this.notSupported('stat');
+  }
+
+  /**
+   * URL that downloads the file until it expires
+   * @param {string} key - File key
+   * @param {Object} options - { expiresIn (seconds), mimetype, format, resourceType (from stat) }
+   * @returns {string|null} Signed URL, or null when the file cannot be signed
+   */
+  getSignedUrl(key, options = {}) {
+    throw this.notSupported('getSignedUrl');
+  }
+
+  /**
+   * Bytes stored under a folder
+   * @param {string} folder - Key prefix
+   * @returns {Promise<number>} Total size in bytes
+   */
+  async getUsage(folder) {
+    throw this.notSupported('getUsage');
+  }
+
+  notSupported(method) {
+    return new Error(`Storage adapter "${this.name}" does not support ${method}`);
+  }
+}
+
+module.exports = StorageAdapter;
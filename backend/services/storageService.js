@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { createStorageAdapter } = require('./storageAdapters');
+
+/**
+ * Stores uploaded files through the configured storage adapter. Image
+ * optimization and thumbnails happen here, so every backend gets the same files.
+ */
+class StorageService {
+  constructor() {
+    this.provider = process.env.STORAGE_PROVIDER || 'cloudinary';
+    this.adapters = {};
+    this.urlExpiresIn = parseInt(process.env.STORAGE_URL_EXPIRES_SECONDS) || 60 * 60;
+    this.thumbnailSize = 320;
+  }
+
+  // Adapter by name, defaulting to STORAGE_PROVIDER; files keep the backend they were stored in
+  getAdapter(name = this.provider) {
+    if (!this.adapters[name]) {
+      this.adapters[name] = createStorageAdapter(name);
+    }
+    return this.adapters[name];
+  }
+
+  setAdapter(adapter) {
+    this.adapters[adapter.name] = adapter;
+    this.provider = adapter.name;
+  }
+
+  // Folder holding a user's uploads
+  getUserFolder(userId) {
+    return `vastu-vision/users/${userId}`;
+  }
+
+  // Whether a key lies in a user's folder; keys with empty, `.` or `..` segments could resolve outside it
+  ownsFile(key, userId) {
+    if (typeof key !== 'string') return false;
+    if (key.split(/[\/\\]/).some(segment => segment === '' || segment === '.' || segment === '..')) return false;
+    return key.startsWith(`${this.getUserFolder(userId)}/`);
+  }
+
+  /**
+   * Store an uploaded file, optimizing images, stripping their metadata and adding a thumbnail
+   * @param {Object} file - Multer file { buffer, mimetype, originalname }
+   * @param {string} folder - Destination folder
+   * @returns {Promise<Object>} File record for Analysis.files
+   */
+  async store(file, folder) {
+    const adapter = this.getAdapter();
+    const key = `${folder}/${crypto.randomUUID()}`;
+    const isImage = file.mimetype.startsWith('image/');
+
+    // Re-encoding drops EXIF, including any GPS position, so orientation is applied first
+    const buffer = isImage
+      ? await sharp(file.buffer)
+        .rotate()
+        .resize(1920, 1080, {
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .jpeg({ quality: 85 })
+        .toBuffer()
+      : file.buffer;
+
+    const stored = await adapter.upload(buffer, {
+      key,
+      mimetype: isImage ? 'image/jpeg' : file.mimetype,
+      format: isImage ? 'jpg' : undefined
+    });
+
+    const thumbnail = isImage ? await this.storeThumbnail(adapter, key, buffer) : undefined;
+    return this.toFileRecord(stored, adapter, { ...file, thumbnail });
+  }
+
+  /**
+   * Store a file from a stream, e.g. one assembled from upload chunks.
+   * Images are optimized while streaming; the thumbnail is made from a second read.
+   * @param {Function} openStream - Returns a new Readable of the file each time it is called
+   * @param {Object} file - { mimetype, originalname }
+   * @param {string} folder - Destination folder
+   * @returns {Promise<Object>} File record for Analysis.files
+   */
+  async storeStream(openStream, file, folder) {
+    const adapter = this.getAdapter();
+    const key = `${folder}/${crypto.randomUUID()}`;
+    const isImage = file.mimetype.startsWith('image/');
+
+    const stream = isImage
+      ? openStream().pipe(sharp()
+        .rotate()
+        .resize(1920, 1080, {
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .jpeg({ quality: 85 }))
+      : openStream();
+
+    const stored = await adapter.uploadStream(stream, {
+      key,
+      mimetype: isImage ? 'image/jpeg' : file.mimetype,
+      format: isImage ? 'jpg' : undefined
+    });
+
+    const thumbnail = isImage ? await this.storeThumbnail(adapter, key, openStream()) : undefined;
+    return this.toFileRecord(stored, adapter, { ...file, thumbnail });
+  }
+
+  // Small JPEG preview of an image buffer or stream; a failed thumbnail does not fail the upload
+  async storeThumbnail(adapter, key, input) {
+    try {
+      const resize = (image) => image
+        .rotate()
+        .resize(this.thumbnailSize, this.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 75 });
+      const preview = Buffer.isBuffer(input)
+        ? await resize(sharp(input)).toBuffer()
+        : await input.pipe(resize(sharp())).toBuffer();
+      return (await adapter.upload(preview, { key: `${key}-thumb`, mimetype: 'image/jpeg', format: 'jpg' })).key;
+    } catch (error) {
+      console.error('Thumbnail upload error:', error.message);
+      return undefined;
+    }
+  }
+
+  toFileRecord(stored, adapter, file) {
+    return {
+      filename: stored.key,
+      originalName: file.originalname,
+      url: stored.url,
+      size: stored.bytes,
+      type: file.mimetype,
+      format: stored.format,
+      storage: adapter.name,
+      thumbnail: file.thumbnail,
+      dimensions: {
+        width: stored.width,
+        height: stored.height
+      }
+    };
+  }
+
+  // Delete a stored file record and its thumbnail
+  async remove(file) {
+    const adapter = this.getAdapter(file.storage);
+    const removed = await adapter.remove(file.filename, { mimetype: file.type });
+    if (file.thumbnail) {
+      await adapter.remove(file.thumbnail, { mimetype: 'image/jpeg' });
+    }
+    return removed;
+  }
+
+  async read(file, options = {}) {
+    return this.getAdapter(file.storage).read(file.filename, {
+      mimetype: file.type,
+      format: file.format,
+      url: file.url,
+      signal: options.signal
+    });
+  }
+
+  /**
+   * Time-limited download URL for a stored file record
+   * @param {Object} file - Analysis file record
+   * @param {Object} options - { thumbnail: true for the thumbnail, expiresIn }
+   * @returns {string} Signed URL
+   */
+  getSignedUrl(file, options = {}) {
+    const signed = this.getAdapter(file.storage).getSignedUrl(options.thumbnail ? file.thumbnail : file.filename, {
+      mimetype: options.thumbnail ? 'image/jpeg' : file.type,
+      format: options.thumbnail ? 'jpg' : file.format,
+      expiresIn: options.expiresIn || this.urlExpiresIn
+    });
+    // Cloudinary records from before formats were stored can only use their public URL
+    return signed || file.url;
+  }
+
+  // File records with signed download URLs in place of the stored ones
+  signFiles(files = []) {
+    return files.map(file => ({
+      ...file,
+      url: this.getSignedUrl(file),
+      thumbnailUrl: file.thumbnail ? this.getSignedUrl(file, { thumbnail: true }) : undefined
+    }));
+  }
+
+  async getUsage(userId) {
+    return this.getAdapter().getUsage(this.getUserFolder(userId));
+  }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,144 @@
+const TraditionProfile = require('../models/TraditionProfile');
+const VastuRule = require('../models/VastuRule');
+const User = require('../models/User');
+
+const REGIONS = ['north', 'south', 'east', 'west', 'central'];
+
+// Region of users who never chose one (User.preferences.vastuPreferences.region default)
+const DEFAULT_REGION = 'central';
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Regional Vastu traditions. Each region may have a profile that turns shared
+ * rules off or changes their importance and priority, and rules may belong to
+ * a single region; scoring applies both for the region a user has chosen.
+ */
+class TraditionService {
+  constructor() {
+    this.regions = REGIONS;
+    this.defaultRegion = DEFAULT_REGION;
+  }
+
+  // Region a user's analyses are scored under
+  regionOf(user) {
+    const preferences = user && user.preferences && user.preferences.vastuPreferences;
+    return (preferences && preferences.region) || DEFAULT_REGION;
+  }
+
+  async getUserRegion(userId) {
+    const user = await User.findById(userId).select('preferences.vastuPreferences.region').lean();
+    return this.regionOf(user);
+  }
+
+  // The active profile of a region, or null when the region follows the shared rules
+  async getProfile(region) {
+    return TraditionProfile.findOne({ region, isActive: true }).lean();
+  }
+
+  /**
+   * Apply a profile's overrides to a rule set
+   * @param {Array} rules - Plain rule objects
+   * @param {Object} profile - Tradition profile
+   * @returns {Array} Rules left enabled, with their importance and priority overridden
+   */
+  applyProfile(rules, profile) {
+    const overrides = new Map(profile.ruleOverrides.map(override => [String(override.rule), override]));
+
+    return rules
+      .filter(rule => {
+        const override = overrides.get(String(rule._id));
+        return !override || override.enabled !== false;
+      })
+      .map(rule => {
+        const override = overrides.get(String(rule._id));
+        if (!override) return rule;
+        return {
+          ...rule,
+          importance: override.importance || rule.importance,
+          priority: override.priority || rule.priority
+        };
+      });
+  }
+
+  // Active profiles, without their overrides
+  async list() {
+    const profiles = await TraditionProfile.find({ isActive: true }).sort('region').lean();
+    return profiles.map(({ ruleOverrides, ...profile }) => ({ ...profile, overrides: ruleOverrides.length }));
+  }
+
+  /**
+   * A region's profile with the rules it overrides and the rules of its own
+   * @param {string} region - Region
+   * @returns {Promise<Object>} { profile, rules }
+   */
+  async get(region) {
+    const [profile, rules] = await Promise.all([
+      TraditionProfile.findOne({ region, isActive: true })
+        .populate('ruleOverrides.rule', 'name category roomType direction impact importance priority region')
+        .lean(),
+      VastuRule.find({ region, isActive: true })
+        .sort({ priority: -1, name: 1 })
+        .select('name category description roomType direction impact importance priority')
+        .lean()
+    ]);
+    if (!profile) throw httpError('Tradition profile not found', 404);
+    return { profile, rules };
+  }
+
+  /**
+   * Create or replace a region's profile
+   * @param {string} region - Region
+   * @param {Object} data - { name, description, ruleOverrides, isActive }
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<Object>} { profile, created }
+   */
+  async save(region, data, userId) {
+    const ruleOverrides = data.ruleOverrides || [];
+    const ids = [...new Set(ruleOverrides.map(override => String(override.rule)))];
+    if (ids.length < ruleOverrides.length) {
+      throw httpError('Each rule may be overridden only once', 400);
+    }
+
+    const found = await VastuRule.find({ _id: { $in: ids } }).select('_id').lean();
+    const known = new Set(found.map(rule => String(rule._id)));
+    const unknown = ids.filter(id => !known.has(id));
+    if (unknown.length > 0) {
+      throw httpError(`Unknown rules: ${unknown.join(', ')}`, 400);
+    }
+
+    let profile = await TraditionProfile.findOne({ region });
+    const created = !profile;
+    if (created) {
+      profile = new TraditionProfile({ region, createdBy: userId });
+    }
+
+    profile.name = data.name;
+    profile.description = data.description;
+    profile.ruleOverrides = ruleOverrides.map(override => ({
+      rule: override.rule,
+      enabled: override.enabled,
+      importance: override.importance,
+      priority: override.priority
+    }));
+    profile.isActive = data.isActive !== undefined ? data.isActive : true;
+    profile.lastModifiedBy = userId;
+    await profile.save();
+
+    return { profile, created };
+  }
+
+  // Stop applying a region's profile; its region-specific rules stay until deactivated themselves
+  async deactivate(region) {
+    const profile = await TraditionProfile.findOne({ region });
+    if (!profile) throw httpError('Tradition profile not found', 404);
+    profile.isActive = false;
+    await profile.save();
+  }
+}
+
+module.exports = new TraditionService();
@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const QuarantinedFile = require('../models/QuarantinedFile');
+const storageService = require('./storageService');
+const { readGpsLocation } = require('../utils/exif');
+
+const MB = 1024 * 1024;
+
+// Bytes read from the start of a file to recognize its type
+const HEAD_SIZE = 1024;
+
+// Text kept between reads so a keyword split across two reads is still found
+const CARRY = 64;
+
+// Largest PDF object stream, compressed and inflated, that is inspected
+const MAX_OBJECT_STREAM = 32 * MB;
+const MAX_INFLATED_OBJECT_STREAM = 128 * MB;
+
+// Types recognized from the first bytes of a file
+const SIGNATURES = [
+  { type: 'image/jpeg', test: head => head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff },
+  { type: 'image/png', test: head => head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  // The header may follow some junk, which readers allow within the first kilobyte
+  { type: 'application/pdf', test: head => head.includes('%PDF-') },
+  // ASCII DXF: group code 0 then SECTION, optionally after a 999 comment
+  { type: 'application/dxf', test: head => /^(?:\xEF\xBB\xBF)?\s*(?:999\r?\n[^\n]*\n\s*)?0\r?\n\s*SECTION\s/.test(head.toString('latin1')) }
+];
+
+// Image formats sharp must decode each type as
+const SHARP_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png'
+};
+
+// PDF names that carry or point to scripts
+const PDF_SCRIPT_NAMES = ['JavaScript', 'JS'];
+
+// Decoders for the filters object streams are read through, by full and abbreviated name
+const asciiHexDecode = (data) => {
+  const hex = data.toString('latin1').split('>')[0].replace(/\s+/g, '');
+  if (/[^0-9A-Fa-f]/.test(hex)) throw new Error('Invalid ASCIIHex data');
+  return Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+};
+
+const ascii85Decode = (data) => {
+  const text = data.toString('latin1').replace(/\s+/g, '').replace(/^<~/, '').split('~>')[0];
+  const bytes = [];
+  let group = [];
+  const flush = (count) => {
+    const value = group.reduce((sum, digit) => sum * 85 + digit, 0);
+    [24, 16, 8, 0].slice(0, count).forEach(shift => bytes.push(Math.floor(value / Math.pow(2, shift)) % 256));
+  };
+
+  for (const char of text) {
+    if (char === 'z' && group.length === 0) {
+      bytes.push(0, 0, 0, 0);
+      continue;
+    }
+    const digit = char.charCodeAt(0) - 33;
+    if (digit < 0 || digit > 84) throw new Error('Invalid ASCII85 data');
+    group.push(digit);
+    if (group.length === 5) {
+      flush(4);
+      group = [];
+    }
+  }
+  if (group.length === 1) throw new Error('Invalid ASCII85 data');
+  if (group.length > 0) {
+    const count = group.length - 1;
+    while (group.length < 5) group.push(84);
+    flush(count);
+  }
+  return Buffer.from(bytes);
+};
+
+const flateDecode = data => zlib.inflateSync(data, { maxOutputLength: MAX_INFLATED_OBJECT_STREAM });
+
+const PDF_FILTERS = {
+  FlateDecode: flateDecode,
+  Fl: flateDecode,
+  ASCIIHexDecode: asciiHexDecode,
+  AHx: asciiHexDecode,
+  ASCII85Decode: ascii85Decode,
+  A85: ascii85Decode
+};
+const PDF_NAME = /\/((?:[^\s/[\]<>(){}%#]|#[0-9A-Fa-f]{2})+)/g;
+
+const normalizeType = (mimetype = '') => (mimetype === 'image/jpg' ? 'image/jpeg' : mimetype);
+
+// PDF names may hide letters as #xx escapes, e.g. /J#61vaScript
+const findPdfNames = (text, names) => {
+  for (const [, raw] of text.matchAll(PDF_NAME)) {
+    names.add(raw.replace(/#([0-9A-Fa-f]{2})/g, (escape, hex) => String.fromCharCode(parseInt(hex, 16))));
+  }
+};
+
+// Where to split text so no PDF name is cut in two: at a delimiter at least CARRY from the end
+const safeSplit = (text) => {
+  const limit = text.length - CARRY;
+  const start = Math.max(0, limit - 1024);
+  for (let i = limit; i >= start; i--) {
+    if (/[\s/[\]<>(){}%]/.test(text[i])) return i;
+  }
+  // A kilobyte without delimiters is binary data, not names
+  return start > 0 ? limit : 0;
+};
+
+// First bytes of a stream; leaving the loop early closes the stream
+const readHead = async (stream, size) => {
+  const chunks = [];
+  let length = 0;
+  for await (const data of stream) {
+    chunks.push(data);
+    length += data.length;
+    if (length >= size) break;
+  }
+  return Buffer.concat(chunks).subarray(0, size);
+};
+
+/**
+ * Checks that uploaded bytes are what they claim to be before they are stored:
+ * the type is sniffed from the content, images must decode, and PDFs must be
+ * well formed and free of JavaScript. Files that fail are quarantined.
+ */
+class UploadVerificationService {
+  constructor() {
+    this.quarantineDays = parseInt(process.env.QUARANTINE_RETENTION_DAYS) || 30;
+  }
+
+  // MIME type of the content, or null when it is not a type uploads accept
+  sniff(head) {
+    const match = SIGNATURES.find(signature => signature.test(head));
+    return match ? match.type : null;
+  }
+
+  /**
+   * Verify a file from a stream; nothing is held in memory whole
+   * @param {Function} openStream - Returns a new Readable of the file each time it is called
+   * @param {Object} file - { mimetype, originalname } as declared by the client
+   * @param {Object} options - { extractLocation: read the EXIF GPS position of images }
+   * @returns {Promise<Object>} { passed, type, detectedType, reasons, location }
+   */
+  async verify(openStream, file, options = {}) {
+    const declaredType = normalizeType(file.mimetype);
+    const detectedType = this.sniff(await readHead(openStream(), HEAD_SIZE));
+    const result = { passed: false, type: declaredType, detectedType, reasons: [], location: null };
+
+    if (!detectedType) {
+      result.reasons.push('File content is not a JPG, PNG, PDF or DXF file');
+      return result;
+    }
+    if (detectedType !== declaredType) {
+      result.reasons.push(`File content is ${detectedType}, not ${declaredType}`);
+      return result;
+    }
+
+    if (SHARP_FORMATS[detectedType]) {
+      const image = await this.checkImage(openStream(), SHARP_FORMATS[detectedType]);
+      result.reasons.push(...image.reasons);
+      if (options.extractLocation) {
+        result.location = readGpsLocation(image.exif);
+      }
+    } else if (detectedType === 'application/pdf') {
+      result.reasons.push(...await this.checkPdf(openStream()));
+    }
+
+    result.passed = result.reasons.length === 0;
+    return result;
+  }
+
+  // Verify a multer memory-storage file
+  async verifyBuffer(file, options = {}) {
+    return this.verify(() => Readable.from([file.buffer]), file, options);
+  }
+
+  /**
+   * Decode an image completely, so truncated or forged files are caught
+   * @param {Readable} stream - Image contents
+   * @param {string} format - sharp format name the image must have
+   * @returns {Promise<Object>} { reasons, exif }
+   */
+  async checkImage(stream, format) {
+    const image = sharp();
+    stream.on('error', error => image.destroy(error));
+    stream.pipe(image);
+
+    try {
+      const metadata = await image.metadata();
+      if (metadata.format !== format) {
+        return { reasons: [`Image is ${metadata.format}, not ${format}`] };
+      }
+      await image.stats();
+      return { reasons: [], exif: metadata.exif };
+    } catch (error) {
+      return { reasons: [`Image could not be decoded: ${error.message}`] };
+    }
+  }
+
+  /**
+   * Check a PDF's structure and look for JavaScript, in the file itself and
+   * inside compressed object streams where object dictionaries can be hidden
+   * @param {Readable} stream - PDF contents
+   * @returns {Promise<string[]>} Reasons the PDF fails, empty when it passes
+   */
+  async checkPdf(stream) {
+    const names = new Set();
+    const reasons = [];
+    let pending = '';
+    let recent = ''; // text of the current object, to read a stream's dictionary
+    let tail = '';
+    let current = null; // { collect, filters } while inside a stream
+    let uninspected = 0;
+
+    const scan = (text) => {
+      findPdfNames(text, names);
+      recent = (recent + text).slice(-4096);
+    };
+
+    // Decode an object stream through its filter chain, in order, and read the names inside
+    const inspect = (content, filters) => {
+      const data = Buffer.from(content.replace(/\r?\n$/, ''), 'latin1');
+      try {
+        const decoded = filters.reduce((bytes, name) => PDF_FILTERS[name](bytes), data);
+        findPdfNames(decoded.toString('latin1'), names);
+      } catch (error) {
+        uninspected++;
+      }
+    };
+
+    for await (const data of stream) {
+      const text = data.toString('latin1');
+      pending += text;
+      tail = (tail + text).slice(-1024);
+
+      while (pending) {
+        if (!current) {
+          // "stream" at the end of a line, but not the end of "endstream"
+          const match = /(?<!end)stream(?:\r\n|\n|\r)/.exec(pending);
+          if (!match) {
+            const split = safeSplit(pending);
+            scan(pending.slice(0, split));
+            pending = pending.slice(split);
+            break;
+          }
+
+          scan(pending.slice(0, match.index));
+          const dictionary = recent.slice(Math.max(0, recent.lastIndexOf(' obj')));
+          const filter = dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/[^\s/[\]<>]+)/);
+          const filters = filter ? filter[1].match(/[^\s/[\]]+/g) || [] : [];
+          const objectStream = /\/Type\s*\/ObjStm/.test(dictionary);
+          const readable = filters.every(name => PDF_FILTERS[name]);
+          if (objectStream && !readable) uninspected++;
+
+          current = { collect: objectStream && readable, filters };
+          pending = pending.slice(match.index + match[0].length);
+          recent = '';
+        } else {
+          const end = pending.indexOf('endstream');
+          if (end < 0) {
+            if (current.collect && pending.length > MAX_OBJECT_STREAM) {
+              current.collect = false;
+              uninspected++;
+            }
+            if (!current.collect) pending = pending.slice(-CARRY);
+            break;
+          }
+
+          if (current.collect) inspect(pending.slice(0, end), current.filters);
+          current = null;
+          pending = pending.slice(end + 'endstream'.length);
+        }
+      }
+    }
+    if (!current) scan(pending);
+
+    if (!tail.includes('%%EOF') || !tail.includes('startxref')) {
+      reasons.push('PDF is truncated or malformed');
+    }
+    if (PDF_SCRIPT_NAMES.some(name => names.has(name))) {
+      reasons.push('PDF contains JavaScript');
+    }
+    // An object stream that could not be read may hide a script, so the PDF fails closed.
+    // Names outside object streams are never encrypted, but object streams are.
+    if (uninspected > 0) {
+      reasons.push(names.has('Encrypt')
+        ? 'PDF is encrypted and could not be checked for JavaScript'
+        : 'PDF has object streams that could not be checked for JavaScript');
+    }
+    return reasons;
+  }
+
+  /**
+   * Keep a copy of a file that failed verification, apart from the user's uploads
+   * @param {Function} openStream - Returns a new Readable of the file
+   * @param {Object} file - { mimetype, originalname, size }
+   * @param {Object} verification - Result of verify()
+   * @param {string} userId - Uploader
+   * @param {string} source - 'upload' or 'session'
+   * @returns {Promise<QuarantinedFile>} Quarantine record
+   */
+  async quarantine(openStream, file, verification, userId, source = 'upload') {
+    this.purgeExpired().catch(error => console.error('Quarantine cleanup error:', error.message));
+
+    // Stored as opaque bytes so the copy is never served as an image or PDF
+    const adapter = storageService.getAdapter();
+    let stored;
+    try {
+      stored = await adapter.uploadStream(openStream(), {
+        key: `vastu-vision/quarantine/${userId}/${crypto.randomUUID()}`,
+        mimetype: 'application/octet-stream',
+        format: 'bin'
+      });
+    } catch (error) {
+      console.error('Quarantine storage error:', error.message);
+    }
+
+    return QuarantinedFile.create({
+      user: userId,
+      originalName: file.originalname,
+      declaredType: file.mimetype,
+      detectedType: verification.detectedType || undefined,
+      size: stored ? stored.bytes : file.size,
+      reasons: verification.reasons,
+      source,
+      filename: stored ? stored.key : undefined,
+      storage: stored ? adapter.name : undefined,
+      expiresAt: new Date(Date.now() + this.quarantineDays * 24 * 60 * 60 * 1000)
+    });
+  }
+
+  // Quarantine a multer memory-storage file
+  async quarantineBuffer(file, verification, userId) {
+    return this.quarantine(() => Readable.from([file.buffer]), file, verification, userId, 'upload');
+  }
+
+  // Delete a quarantine record and its stored copy
+  async remove(entry) {
+    if (entry.filename) {
+      await storageService.getAdapter(entry.storage).remove(entry.filename, { mimetype: 'application/octet-stream' });
+    }
+    await QuarantinedFile.deleteOne({ _id: entry._id });
+  }
+
+  // Remove quarantined files kept longer than QUARANTINE_RETENTION_DAYS
+  async purgeExpired() {
+    const expired = await QuarantinedFile.find({ expiresAt: { $lt: new Date() } }).limit(100);
+    for (const entry of expired) {
+      await this.remove(entry);
+    }
+  }
+}
+
+module.exports = new UploadVerificationService();
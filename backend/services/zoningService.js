@@ -0,0 +1,267 @@
+const geometry = require('../utils/geometry');
+const floorPlanService = require('./floorPlanService');
+
+// The 16 zones of the Vastu Purusha Mandala, clockwise from north, each spanning 22.5°
+const MANDALA_ZONES = [
+  'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+  'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+];
+
+const BRAHMASTHAN = 'BRAHMASTHAN';
+
+// Principal zone of each of the 8 compass directions; the zones between them are shared
+const ZONE_DIRECTIONS = {
+  N: 'north',
+  NE: 'northeast',
+  E: 'east',
+  SE: 'southeast',
+  S: 'south',
+  SW: 'southwest',
+  W: 'west',
+  NW: 'northwest'
+};
+
+const ZONE_SPAN = 360 / MANDALA_ZONES.length;
+
+const round = (value, digits = 1) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+class ZoningService {
+  constructor() {
+    this.mandalaZones = MANDALA_ZONES;
+    this.brahmasthan = BRAHMASTHAN;
+    this.zoneDirections = ZONE_DIRECTIONS;
+  }
+
+  /**
+   * Central third of the plot in each compass axis, centred on the plot centroid
+   * @param {Object} frame - Output of floorPlanService.getCompassFrame
+   * @returns {Array} Brahmasthan polygon in plan coordinates
+   */
+  getBrahmasthan(frame) {
+    const centre = geometry.toCompassFrame(frame.centroid, frame.northOffset);
+    const halfEast = (frame.maxEast - frame.minEast) / 6;
+    const halfNorth = (frame.maxNorth - frame.minNorth) / 6;
+
+    return [
+      { east: centre.east - halfEast, north: centre.north - halfNorth },
+      { east: centre.east + halfEast, north: centre.north - halfNorth },
+      { east: centre.east + halfEast, north: centre.north + halfNorth },
+      { east: centre.east - halfEast, north: centre.north + halfNorth }
+    ].map(point => geometry.fromCompassFrame(point, frame.northOffset));
+  }
+
+  // Triangle from the plot centre covering one zone's 22.5° sector, reaching past the plot
+  getSector(index, frame) {
+    const reach = frame.plot.reduce((max, point) => Math.max(max, geometry.distance(frame.centroid, point)), 0) * 2 + 1;
+    const bearing = index * ZONE_SPAN;
+    const edge = (angle) => {
+      const vector = geometry.vectorOfBearing(angle, frame.northOffset);
+      return { x: frame.centroid.x + vector.x * reach, y: frame.centroid.y + vector.y * reach };
+    };
+
+    return [frame.centroid, edge(bearing - ZONE_SPAN / 2), edge(bearing + ZONE_SPAN / 2)];
+  }
+
+  // Zone of a single plan point
+  getZoneForPoint(point, frame, brahmasthan) {
+    if (geometry.pointInPolygon(point, brahmasthan)) return BRAHMASTHAN;
+
+    const vector = { x: point.x - frame.centroid.x, y: point.y - frame.centroid.y };
+    const bearing = geometry.bearingOfVector(vector, frame.northOffset);
+    return MANDALA_ZONES[Math.round(bearing / ZONE_SPAN) % MANDALA_ZONES.length];
+  }
+
+  /**
+   * Share of a polygon falling in each zone
+   * @param {Array} polygon - Polygon in plan coordinates
+   * @param {Array} sectors - Sector triangles in MANDALA_ZONES order
+   * @param {Array} brahmasthan - Brahmasthan polygon
+   * @returns {Array} [{ zone, percentage }] sorted by percentage, zones not touched left out
+   */
+  getOverlaps(polygon, sectors, brahmasthan) {
+    const area = geometry.polygonArea(polygon);
+    if (area === 0) return [];
+
+    const centreArea = geometry.overlapArea(polygon, brahmasthan);
+    const overlaps = sectors.map((sector, index) => {
+      const inSector = geometry.clipPolygon(polygon, sector);
+      const sectorArea = inSector.length ? geometry.polygonArea(inSector) - geometry.overlapArea(inSector, brahmasthan) : 0;
+      return { zone: MANDALA_ZONES[index], percentage: round((sectorArea / area) * 100) };
+    });
+    overlaps.push({ zone: BRAHMASTHAN, percentage: round((centreArea / area) * 100) });
+
+    return overlaps
+      .filter(overlap => overlap.percentage > 0)
+      .sort((a, b) => b.percentage - a.percentage);
+  }
+
+  /**
+   * Fold 16-zone overlaps onto the 8 compass directions and the centre.
+   * An intermediate zone such as NNE counts half towards each neighbour.
+   * @param {Array} overlaps - Output of getOverlaps
+   * @returns {string|null} The direction with the largest share
+   */
+  getDominantDirection(overlaps) {
+    const shares = {};
+    const add = (direction, value) => { shares[direction] = (shares[direction] || 0) + value; };
+
+    overlaps.forEach(({ zone, percentage }) => {
+      if (zone === BRAHMASTHAN) return add('center', percentage);
+      if (ZONE_DIRECTIONS[zone]) return add(ZONE_DIRECTIONS[zone], percentage);
+
+      const index = MANDALA_ZONES.indexOf(zone);
+      add(ZONE_DIRECTIONS[MANDALA_ZONES[index - 1]], percentage / 2);
+      add(ZONE_DIRECTIONS[MANDALA_ZONES[(index + 1) % MANDALA_ZONES.length]], percentage / 2);
+    });
+
+    const ranked = Object.entries(shares).sort((a, b) => b[1] - a[1]);
+    return ranked.length > 0 ? ranked[0][0] : null;
+  }
+
+  /**
+   * Divide the plot into the 16 mandala zones and the Brahmasthan, and place
+   * every room, door and fixture in the zones it overlaps
+   * @param {Object} floorPlan - Floor plan in the Analysis.floorPlan shape
+   * @returns {Object|null} Zoning in the Analysis.zoning shape, or null without geometry
+   */
+  computeZoning(floorPlan) {
+    const frame = floorPlanService.hasGeometry(floorPlan) || floorPlanService.isPolygon(floorPlan.boundary)
+      ? floorPlanService.getCompassFrame(floorPlan)
+      : null;
+    if (!frame) return null;
+
+    const brahmasthan = this.getBrahmasthan(frame);
+    const sectors = MANDALA_ZONES.map((zone, index) => this.getSector(index, frame));
+
+    const zones = MANDALA_ZONES.map((zone, index) => {
+      const polygon = geometry.clipPolygon(frame.plot, sectors[index]);
+      return {
+        zone,
+        startBearing: geometry.normalizeBearing(index * ZONE_SPAN - ZONE_SPAN / 2),
+        endBearing: geometry.normalizeBearing(index * ZONE_SPAN + ZONE_SPAN / 2),
+        polygon,
+        area: polygon.length ? round(geometry.polygonArea(polygon) - geometry.overlapArea(polygon, brahmasthan), 2) : 0
+      };
+    });
+
+    const rooms = (floorPlan.rooms || [])
+      .map((room, index) => ({ room, index }))
+      .filter(({ room }) => floorPlanService.isPolygon(room.polygon))
+      .map(({ room, index }) => {
+        const overlaps = this.getOverlaps(room.polygon, sectors, brahmasthan);
+        return {
+          key: room.key || `room-${index}`,
+          name: room.name,
+          primaryZone: overlaps.length > 0 ? overlaps[0].zone : undefined,
+          direction: this.getDominantDirection(overlaps) || undefined,
+          overlaps
+        };
+      });
+
+    const placePoint = (item, index) => {
+      if (!item.position) return null;
+      const zone = this.getZoneForPoint(item.position, frame, brahmasthan);
+      return { index, zone, overlaps: [{ zone, percentage: 100 }] };
+    };
+
+    const doors = (floorPlan.doors || [])
+      .map((door, index) => {
+        const placed = placePoint(door, index);
+        return placed && { ...placed, isMainEntrance: Boolean(door.isMainEntrance) };
+      })
+      .filter(Boolean);
+
+    const fixtures = (floorPlan.fixtures || [])
+      .map((fixture, index) => {
+        if (floorPlanService.isPolygon(fixture.polygon)) {
+          const overlaps = this.getOverlaps(fixture.polygon, sectors, brahmasthan);
+          return { index, type: fixture.type, zone: overlaps.length > 0 ? overlaps[0].zone : undefined, overlaps };
+        }
+        const placed = placePoint(fixture, index);
+        return placed && { ...placed, type: fixture.type };
+      })
+      .filter(Boolean);
+
+    return {
+      northReference: floorPlan.northReference || 'true',
+      declination: floorPlan.declination || 0,
+      trueNorthOffset: frame.northOffset,
+      center: frame.centroid,
+      brahmasthan,
+      zones,
+      rooms,
+      doors,
+      fixtures,
+      computedAt: new Date()
+    };
+  }
+
+  /**
+   * Resolve a floor plan and its zoning together. Rooms drawn as polygons take
+   * the direction holding most of their area.
+   * @param {Object} floorPlan - Floor plan in the Analysis.floorPlan shape
+   * @returns {Object} { plan, zoning }
+   */
+  resolve(floorPlan = {}) {
+    const plan = floorPlanService.resolve(floorPlan);
+    const zoning = this.computeZoning(plan);
+    if (!zoning) return { plan, zoning: null };
+
+    zoning.rooms.forEach(zoned => {
+      const room = plan.rooms.find((item, index) => (item.key || `room-${index}`) === zoned.key);
+      if (room && zoned.direction) room.direction = zoned.direction;
+    });
+
+    return { plan, zoning };
+  }
+
+  /**
+   * Store the zoning of an analysis's plan geometry on it, with each room's
+   * zone and each door's facing, before the changed plan is saved. A plan
+   * without geometry keeps its typed directions and has no zoning.
+   * @param {Analysis} analysis - Analysis whose floor plan was set or changed
+   */
+  apply(analysis) {
+    const floorPlan = analysis.floorPlan;
+    if (!floorPlanService.hasGeometry(floorPlan)) {
+      analysis.zoning = undefined;
+      return;
+    }
+
+    // Zoning refers to rooms by key, so they need their lasting keys first
+    analysis.assignRoomKeys();
+    const { plan: resolved, zoning } = this.resolve(floorPlan);
+    analysis.zoning = zoning;
+
+    floorPlan.rooms.forEach((room, index) => {
+      const derived = resolved.rooms[index];
+      if (derived.directionSource === 'geometry') {
+        room.direction = derived.direction;
+        room.directionSource = 'geometry';
+        room.centroid = derived.centroid;
+        room.dimensions.area = derived.dimensions.area;
+      }
+    });
+    floorPlan.doors.forEach((door, index) => {
+      Object.assign(door, {
+        facing: resolved.doors[index].facing,
+        facingBearing: resolved.doors[index].facingBearing,
+        direction: resolved.doors[index].direction
+      });
+    });
+    floorPlan.windows.forEach((window, index) => {
+      window.facing = resolved.windows[index].facing;
+    });
+    floorPlan.staircases.forEach((staircase, index) => {
+      staircase.direction = resolved.staircases[index].direction;
+    });
+    if (floorPlan.walls.every(wall => wall.source === 'derived')) {
+      floorPlan.walls = resolved.walls;
+    }
+    if (resolved.entrance) {
+      floorPlan.entrance = resolved.entrance;
+    }
+  }
+}
+
+module.exports = new ZoningService();
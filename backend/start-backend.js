@@ -30,7 +30,7 @@ EMAIL_FROM=noreply@vastuvision.com
 RATE_LIMIT_WINDOW_MS=900000
 RATE_LIMIT_MAX_REQUESTS=100
 MAX_FILE_SIZE=5242880
-ALLOWED_FILE_TYPES=image/jpeg,image/jpg,image/png,application/pdf
+ALLOWED_FILE_TYPES=image/jpeg,image/jpg,image/png,application/pdf,application/dxf
 CORS_ORIGIN=http://localhost:3000,http://127.0.0.1:3000
 BCRYPT_ROUNDS=12
 SESSION_SECRET=your-session-secret-here
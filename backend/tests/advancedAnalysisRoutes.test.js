@@ -0,0 +1,108 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = { _id: 'user-1', preferences: {} };
+    next();
+  },
+  requirePremium: (req, res, next) => next()
+}));
+
+const scoringService = require('../services/scoringService');
+const mapsService = require('../services/mapsService');
+const advancedAnalysisRoutes = require('../routes/advancedAnalysisRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/advanced', advancedAnalysisRoutes);
+
+const rules = [
+  { _id: 'kitchen-se', name: 'Kitchen in southeast', category: 'kitchen', impact: 'positive', roomType: 'kitchen', direction: 'southeast', importance: 'high', priority: 5, remedies: [] },
+  { _id: 'bath-ne', name: 'No bathroom in northeast', category: 'bathroom', impact: 'negative', roomType: 'bathroom', direction: 'northeast', importance: 'high', priority: 5, remedies: [] }
+];
+
+describe('POST /api/advanced/room-analysis', () => {
+  beforeEach(() => {
+    jest.spyOn(scoringService, 'loadRules').mockResolvedValue(rules);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('explains each room by the rules scored against its key', async () => {
+    const res = await request(app)
+      .post('/api/advanced/room-analysis')
+      .send({
+        floorPlan: {
+          rooms: [
+            { key: 'room-abc', name: 'Kitchen', type: 'kitchen', direction: 'southeast' },
+            { name: 'Bathroom', type: 'bathroom', direction: 'northeast' }
+          ]
+        }
+      })
+      .expect(200);
+
+    const [kitchen, bathroom] = res.body.data.roomAnalysis;
+    expect(kitchen.ruleEvaluations).toEqual([
+      expect.objectContaining({ rule: 'kitchen-se', subject: 'Kitchen', status: 'satisfied' })
+    ]);
+    expect(bathroom.ruleEvaluations).toEqual([
+      expect.objectContaining({ rule: 'bath-ne', subject: 'Bathroom', status: 'violated' })
+    ]);
+  });
+});
+
+describe('POST /api/advanced/directional-analysis', () => {
+  // A park about 1 km away, 25 degrees east of true north
+  const park = {
+    name: 'Park',
+    type: 'park',
+    geometry: { location: { lat: 0.01 * Math.cos(25 * Math.PI / 180), lng: 0.01 * Math.sin(25 * Math.PI / 180) } }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(mapsService, 'getSurroundings').mockImplementation(async (latitude, longitude) => ({
+      places: [park],
+      analysis: mapsService.analyzeSurroundings([park], 0, { lat: latitude, lng: longitude })
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const directionOf = surroundingElements => Object.keys(surroundingElements.directionalAnalysis)
+    .find(direction => surroundingElements.directionalAnalysis[direction].elements.length > 0);
+
+  it('measures surrounding places from true north', async () => {
+    const res = await request(app)
+      .post('/api/advanced/directional-analysis')
+      .send({ latitude: 0, longitude: 0 })
+      .expect(200);
+
+    const { surroundingElements } = res.body.data.directionalAnalysis;
+    expect(surroundingElements.northReference).toBe('true');
+    expect(directionOf(surroundingElements)).toBe('northeast');
+  });
+
+  it('measures them from magnetic north with a declination', async () => {
+    const res = await request(app)
+      .post('/api/advanced/directional-analysis')
+      .send({ latitude: 0, longitude: 0, declination: 5 })
+      .expect(200);
+
+    const { surroundingElements } = res.body.data.directionalAnalysis;
+    expect(surroundingElements).toMatchObject({ northReference: 'magnetic', declination: 5 });
+    expect(directionOf(surroundingElements)).toBe('north');
+    expect(surroundingElements.directionalAnalysis.north.places[0].bearing).toBe(20);
+  });
+
+  it('rejects a declination that is not an angle', async () => {
+    await request(app)
+      .post('/api/advanced/directional-analysis')
+      .send({ latitude: 0, longitude: 0, declination: 'east' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,56 @@
+const EventEmitter = require('events');
+const openEventStream = require('../utils/eventStream');
+
+const response = () => {
+  const res = {
+    written: [],
+    ended: false,
+    status: () => res,
+    set: () => res,
+    flushHeaders: () => {},
+    write: chunk => res.written.push(chunk),
+    end: () => {
+      res.ended = true;
+    }
+  };
+  return res;
+};
+
+describe('openEventStream', () => {
+  it('runs cleanups when the client disconnects', () => {
+    const req = new EventEmitter();
+    const res = response();
+    const stream = openEventStream(req, res);
+    const cleanup = jest.fn();
+
+    stream.onClose(cleanup);
+    req.emit('close');
+
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    expect(stream.closed).toBe(true);
+    expect(res.ended).toBe(true);
+  });
+
+  it('runs a cleanup registered after the client disconnected straight away', () => {
+    const req = new EventEmitter();
+    const stream = openEventStream(req, response());
+    req.emit('close');
+
+    const cleanup = jest.fn();
+    stream.onClose(cleanup);
+
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+
+  it('sends nothing once closed', () => {
+    const req = new EventEmitter();
+    const res = response();
+    const stream = openEventStream(req, res);
+
+    stream.send('status', { progress: 10 });
+    stream.close();
+    stream.send('status', { progress: 20 });
+
+    expect(res.written.join('')).toBe('event: status\ndata: {"progress":10}\n\n');
+  });
+});
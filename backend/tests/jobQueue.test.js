@@ -0,0 +1,63 @@
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+
+const job = (fields) => ({ id: 'job-1', _id: 'job-1', type: 'test', payload: {}, attempts: 1, maxAttempts: 3, timeoutMs: 1000, ...fields });
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('jobQueue.run', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete jobQueue.handlers.test;
+  });
+
+  it('does not reject when the failure of a job cannot be saved', async () => {
+    jobQueue.register('test', async () => {
+      throw new Error('handler broke');
+    });
+    jest.spyOn(Job, 'updateOne').mockRejectedValue(new Error('write failed'));
+
+    await expect(jobQueue.run(job())).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('could not be marked failed'));
+  });
+
+  it('aborts a job that times out and keeps its slot until the handler stops', async () => {
+    let stopped = false;
+    jobQueue.register('test', async (payload, { signal }) => {
+      await new Promise(resolve => signal.addEventListener('abort', resolve));
+      await wait(50);
+      stopped = true;
+      return null;
+    });
+    const updateOne = jest.spyOn(Job, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await jobQueue.run(job({ timeoutMs: 20 }));
+
+    expect(stopped).toBe(true);
+    expect(updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'job-1', status: 'running' }),
+      expect.objectContaining({ status: 'queued', lastError: 'Job timed out after 20ms' })
+    );
+  });
+});
+
+describe('jobQueue.recoverStuckJobs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete jobQueue.handlers.test;
+  });
+
+  it('carries on past a stuck job whose failure cannot be saved', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jobQueue.register('test', async () => null);
+    jest.spyOn(Job, 'find').mockResolvedValue([job({ id: 'job-1' }), job({ id: 'job-2', _id: 'job-2' })]);
+    const updateOne = jest.spyOn(Job, 'updateOne').mockRejectedValue(new Error('write failed'));
+
+    await expect(jobQueue.recoverStuckJobs()).resolves.toBeUndefined();
+    expect(updateOne).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,58 @@
+const mapsService = require('../services/mapsService');
+
+const origin = { lat: 0, lng: 0 };
+
+// A place about 1 km from the origin at the given true bearing
+const placeAt = (bearing, fields = {}) => ({
+  name: `Place at ${bearing}`,
+  type: 'park',
+  geometry: {
+    location: {
+      lat: 0.01 * Math.cos(bearing * Math.PI / 180),
+      lng: 0.01 * Math.sin(bearing * Math.PI / 180)
+    }
+  },
+  ...fields
+});
+
+describe('mapsService.getPlaceBearing', () => {
+  it('measures from true north', () => {
+    expect(mapsService.getPlaceBearing(placeAt(25), origin)).toBeCloseTo(25, 3);
+    expect(mapsService.getPlaceBearing(placeAt(270), origin)).toBeCloseTo(270, 3);
+  });
+
+  it('measures from magnetic north with a declination', () => {
+    expect(mapsService.getPlaceBearing(placeAt(25), origin, { declination: 5 })).toBeCloseTo(20, 3);
+    expect(mapsService.getPlaceBearing(placeAt(10), origin, { declination: 15 })).toBeCloseTo(355, 3);
+    expect(mapsService.getPlaceBearing(placeAt(350), origin, { declination: -20 })).toBeCloseTo(10, 3);
+  });
+
+  it('has no bearing for a place without coordinates', () => {
+    expect(mapsService.getPlaceBearing({ name: 'Nowhere' }, origin)).toBeNull();
+  });
+});
+
+describe('mapsService.analyzeDirections', () => {
+  it('puts a place in the direction it lies in from true north', () => {
+    const directions = mapsService.analyzeDirections([placeAt(25)], origin);
+
+    expect(directions.northeast.elements).toEqual(['Place at 25']);
+    expect(directions.north.elements).toEqual([]);
+    expect(directions.northeast.places[0].bearing).toBe(25);
+  });
+
+  it('shifts the direction by the declination', () => {
+    const directions = mapsService.analyzeDirections([placeAt(25)], origin, { declination: 5 });
+
+    expect(directions.north.elements).toEqual(['Place at 25']);
+    expect(directions.northeast.elements).toEqual([]);
+    expect(directions.north.places[0].bearing).toBe(20);
+  });
+});
+
+describe('mapsService.analyzeSurroundings', () => {
+  it('reports the north the directions are measured from', () => {
+    expect(mapsService.analyzeSurroundings([placeAt(25)], 0, origin).northReference).toBe('true');
+    expect(mapsService.analyzeSurroundings([placeAt(25)], 0, origin, { declination: 0 }).northReference).toBe('magnetic');
+  });
+});
@@ -0,0 +1,85 @@
+const remedyOptimizerService = require('../services/remedyOptimizerService');
+
+const option = (name, estimatedCost, gain) => ({ name, estimatedCost, gain });
+const check = (...options) => ({ options });
+const names = chosen => chosen.map(item => item.name);
+const totalCost = chosen => chosen.reduce((sum, item) => sum + item.estimatedCost, 0);
+
+describe('remedyOptimizerService.choose', () => {
+  it('chooses nothing without checks', () => {
+    expect(remedyOptimizerService.choose([], 1000)).toEqual([]);
+  });
+
+  it('chooses nothing with a budget of 0', () => {
+    const checks = [check(option('paint', 300, 1)), check(option('move', 1250, 2))];
+
+    expect(remedyOptimizerService.choose(checks, 0)).toEqual([]);
+  });
+
+  it('picks at most one remedy per check, for the most gain the budget allows', () => {
+    const checks = [
+      check(option('paint', 300, 0.8), option('rebuild', 5000, 2)),
+      check(option('move', 1250, 1.6))
+    ];
+
+    expect(names(remedyOptimizerService.choose(checks, 1000))).toEqual(['paint']);
+    expect(names(remedyOptimizerService.choose(checks, 5000))).toEqual(['paint', 'move']);
+    expect(names(remedyOptimizerService.choose(checks, 6250))).toEqual(['rebuild', 'move']);
+  });
+
+  it('treats a budget above the ceiling like one that covers every check', () => {
+    const checks = () => [
+      check(option('paint', 300, 0.8), option('rebuild', 5000, 2)),
+      check(option('move', 1250, 1.6))
+    ];
+
+    expect(names(remedyOptimizerService.choose(checks(), 1e9))).toEqual(['rebuild', 'move']);
+    expect(remedyOptimizerService.choose(checks(), 1e9)).toEqual(remedyOptimizerService.choose(checks(), 6250));
+  });
+
+  it('takes the cheapest of remedies with the same gain', () => {
+    const checks = [check(option('dear', 5000, 1), option('cheap', 300, 1), option('middle', 1250, 1))];
+
+    expect(names(remedyOptimizerService.choose(checks, 10000))).toEqual(['cheap']);
+  });
+
+  it('takes the cheapest of plans with the same total gain', () => {
+    const checks = [
+      check(option('first-dear', 1250, 1)),
+      check(option('second-cheap', 300, 1))
+    ];
+
+    expect(names(remedyOptimizerService.choose(checks, 1250))).toEqual(['second-cheap']);
+  });
+
+  describe('past MAX_BUDGET_STEPS', () => {
+    // Costs with no common divisor above 1 would need a step per unit of budget
+    const checks = () => [
+      check(option('a', 10001, 1)),
+      check(option('b', 10002, 1)),
+      check(option('c', 10001, 1))
+    ];
+
+    it('still chooses everything when the budget covers every check', () => {
+      expect(names(remedyOptimizerService.choose(checks(), 1e9))).toEqual(['a', 'b', 'c']);
+      expect(names(remedyOptimizerService.choose(checks(), 30004))).toEqual(['a', 'b', 'c']);
+    });
+
+    it('rounds costs up, so a tight budget is never exceeded', () => {
+      [30003, 25000, 20003, 10001].forEach(budget => {
+        expect(totalCost(remedyOptimizerService.choose(checks(), budget))).toBeLessThanOrEqual(budget);
+      });
+    });
+
+    it('works through a bounded number of steps', () => {
+      const many = Array.from({ length: 50 }, (value, index) => check(option(`remedy-${index}`, 99991 + index, 1)));
+
+      const start = Date.now();
+      const chosen = remedyOptimizerService.choose(many, 2500000);
+
+      expect(chosen.length).toBeGreaterThan(20);
+      expect(totalCost(chosen)).toBeLessThanOrEqual(2500000);
+      expect(Date.now() - start).toBeLessThan(2000);
+    });
+  });
+});
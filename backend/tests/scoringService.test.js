@@ -0,0 +1,152 @@
+const scoringService = require('../services/scoringService');
+
+const rule = (fields) => ({
+  category: 'room-placement',
+  importance: 'medium',
+  priority: 5,
+  remedies: [],
+  ...fields
+});
+
+const plan = (...rooms) => ({
+  rooms: rooms.map(([key, type, direction]) => ({ key, name: key, type, direction }))
+});
+
+describe('scoringService.evaluate', () => {
+  describe('positive rules for one room type', () => {
+    const kitchenRules = [
+      rule({ _id: 'kitchen-se', name: 'Kitchen in southeast', impact: 'positive', roomType: 'kitchen', direction: 'southeast', importance: 'critical' }),
+      rule({ _id: 'kitchen-nw', name: 'Kitchen in northwest', impact: 'positive', roomType: 'kitchen', direction: 'northwest', importance: 'medium' })
+    ];
+
+    it('scores a room once, against the best alternative it meets', () => {
+      const result = scoringService.evaluate(plan(['kitchen', 'kitchen', 'northwest']), kitchenRules);
+
+      expect(result.ruleEvaluations).toHaveLength(1);
+      expect(result.ruleEvaluations[0]).toMatchObject({
+        rule: 'kitchen-nw',
+        subjectKey: 'kitchen',
+        status: 'satisfied',
+        earned: 2,
+        possible: 4
+      });
+      expect(result.overallScore).toBe(50);
+    });
+
+    it('gives full marks for the most important alternative', () => {
+      const result = scoringService.evaluate(plan(['kitchen', 'kitchen', 'southeast']), kitchenRules);
+
+      expect(result.ruleEvaluations[0]).toMatchObject({ rule: 'kitchen-se', earned: 4, possible: 4 });
+      expect(result.overallScore).toBe(100);
+    });
+
+    it('fails a room that meets none of them, naming every recommended direction', () => {
+      const result = scoringService.evaluate(plan(['kitchen', 'kitchen', 'north']), kitchenRules);
+
+      expect(result.ruleEvaluations).toHaveLength(1);
+      expect(result.ruleEvaluations[0]).toMatchObject({ rule: 'kitchen-se', status: 'unsatisfied', earned: 0, possible: 4 });
+      expect(result.ruleEvaluations[0].reason).toContain('southeast or northwest');
+    });
+
+    it('scales the weight by priority', () => {
+      const rules = [rule({ _id: 'bed-sw', name: 'Bedroom in southwest', impact: 'positive', roomType: 'bedroom', direction: 'southwest', importance: 'high', priority: 10 })];
+      const result = scoringService.evaluate(plan(['bed', 'bedroom', 'southwest']), rules);
+
+      expect(result.ruleEvaluations[0]).toMatchObject({ weight: 6, earned: 6, possible: 6 });
+    });
+  });
+
+  describe('negative rules', () => {
+    it('checks every room of the rule\'s type', () => {
+      const rules = [rule({ _id: 'bath-ne', name: 'No bathroom in northeast', impact: 'negative', roomType: 'bathroom', direction: 'northeast' })];
+      const result = scoringService.evaluate(plan(['bath-1', 'bathroom', 'northeast'], ['bath-2', 'bathroom', 'west']), rules);
+
+      expect(result.ruleEvaluations.map(item => [item.subjectKey, item.status, item.earned])).toEqual([
+        ['bath-1', 'violated', 0],
+        ['bath-2', 'clear', 2]
+      ]);
+      expect(result.overallScore).toBe(50);
+    });
+
+    it('records one clear check for a plan-wide rule no room breaks', () => {
+      const rules = [rule({ _id: 'open-center', name: 'Keep the centre open', impact: 'negative', roomType: 'any', direction: 'center' })];
+      const result = scoringService.evaluate(plan(['living', 'living-room', 'north']), rules);
+
+      expect(result.ruleEvaluations).toHaveLength(1);
+      expect(result.ruleEvaluations[0]).toMatchObject({ subjectKey: 'plan', status: 'clear', earned: 2, possible: 2 });
+    });
+
+    it('records a violation for each room breaking a plan-wide rule', () => {
+      const rules = [rule({ _id: 'open-center', name: 'Keep the centre open', impact: 'negative', roomType: 'any', direction: 'center' })];
+      const result = scoringService.evaluate(plan(['bath', 'bathroom', 'center'], ['store', 'other', 'center']), rules);
+
+      expect(result.ruleEvaluations.map(item => [item.subjectKey, item.status])).toEqual([
+        ['bath', 'violated'],
+        ['store', 'violated']
+      ]);
+      expect(result.overallScore).toBe(0);
+    });
+  });
+
+  describe('neutral fallback', () => {
+    it('scores a plan no rule applies to as neutral', () => {
+      const result = scoringService.evaluate(plan(['study', 'study', 'west']), []);
+
+      expect(result.ruleEvaluations).toEqual([]);
+      expect(result.overallScore).toBe(70);
+      expect(result.roomAnalysis[0].vastuScore).toBe(70);
+      expect(result.directionalAnalysis.west.score).toBe(70);
+    });
+
+    it('never lets neutral rules move the score', () => {
+      const rules = [rule({ _id: 'note', name: 'Plants in the north', impact: 'neutral', roomType: 'any', direction: 'north' })];
+      const result = scoringService.evaluate(plan(['study', 'study', 'north']), rules);
+
+      expect(result.ruleEvaluations).toEqual([]);
+      expect(result.overallScore).toBe(70);
+    });
+  });
+});
+
+describe('scoringService.applyCredits', () => {
+  const evaluation = (fields) => ({ rule: 'rule-1', subjectKey: 'kitchen', possible: 4, earned: 0, status: 'unsatisfied', ...fields });
+
+  it('wins back the credited share of the lost points and keeps the status', () => {
+    const evaluations = [evaluation({ earned: 1 })];
+    scoringService.applyCredits(evaluations, { 'rule-1|kitchen': 0.4 });
+
+    expect(evaluations[0]).toMatchObject({ credit: 1.2, earned: 2.2, status: 'unsatisfied' });
+  });
+
+  it('never credits more than the points lost', () => {
+    const evaluations = [evaluation()];
+    scoringService.applyCredits(evaluations, { 'rule-1|kitchen': 1.5 });
+
+    expect(evaluations[0]).toMatchObject({ credit: 4, earned: 4 });
+  });
+
+  it('leaves passed checks and checks without credit alone', () => {
+    const evaluations = [
+      evaluation({ earned: 4, status: 'satisfied' }),
+      evaluation({ subjectKey: 'bedroom' })
+    ];
+    scoringService.applyCredits(evaluations, { 'rule-1|kitchen': 0.5 });
+
+    expect(evaluations[0]).not.toHaveProperty('credit');
+    expect(evaluations[0].earned).toBe(4);
+    expect(evaluations[1]).not.toHaveProperty('credit');
+    expect(evaluations[1].earned).toBe(0);
+  });
+
+  it('is applied by evaluate to the room the credit is keyed by', () => {
+    const rules = [rule({ _id: 'bath-ne', name: 'No bathroom in northeast', impact: 'negative', roomType: 'bathroom', direction: 'northeast' })];
+    const floorPlan = plan(['bath-1', 'bathroom', 'northeast'], ['bath-2', 'bathroom', 'northeast']);
+    const result = scoringService.evaluate(floorPlan, rules, { credits: { 'bath-ne|bath-2': 0.5 } });
+
+    expect(result.ruleEvaluations.map(item => [item.subjectKey, item.earned])).toEqual([
+      ['bath-1', 0],
+      ['bath-2', 1]
+    ]);
+    expect(result.overallScore).toBe(25);
+  });
+});
@@ -0,0 +1,28 @@
+const Analysis = require('../models/Analysis');
+const storageService = require('../services/storageService');
+
+describe('storageService.toFileRecord', () => {
+  const stored = { key: 'vastu-vision/user-1/plan', url: '/uploads/plan.jpg', bytes: 2048, format: 'jpg', width: 1920, height: 1080 };
+  const adapter = { name: 'local' };
+  const file = { originalname: 'plan.png', mimetype: 'image/png', thumbnail: 'vastu-vision/user-1/plan-thumb' };
+
+  it('describes the stored file', () => {
+    expect(storageService.toFileRecord(stored, adapter, file)).toEqual({
+      filename: 'vastu-vision/user-1/plan',
+      originalName: 'plan.png',
+      url: '/uploads/plan.jpg',
+      size: 2048,
+      type: 'image/png',
+      format: 'jpg',
+      storage: 'local',
+      thumbnail: 'vastu-vision/user-1/plan-thumb',
+      dimensions: { width: 1920, height: 1080 }
+    });
+  });
+
+  it('keeps image dimensions when saved on an analysis', () => {
+    const analysis = new Analysis({ files: [storageService.toFileRecord(stored, adapter, file)] });
+
+    expect(analysis.files[0].toObject().dimensions).toEqual({ width: 1920, height: 1080 });
+  });
+});
@@ -0,0 +1,248 @@
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const QuarantinedFile = require('../models/QuarantinedFile');
+const storageService = require('../services/storageService');
+const uploadVerificationService = require('../services/uploadVerificationService');
+
+// A stream handing over the given pieces one read at a time
+const streamOf = (...pieces) => () => Readable.from(pieces.map(piece => Buffer.from(piece, 'latin1')));
+
+const PDF_END = '\nstartxref\n0\n%%EOF\n';
+const pdf = (body) => `%PDF-1.7\n${body}${PDF_END}`;
+
+// An object stream holding `content`, encoded through `filter`
+const objectStreamPdf = (filter, content) => pdf(
+  `1 0 obj\n<< /Type /ObjStm /N 1 /First 4 /Filter ${filter} /Length ${content.length} >>\nstream\n` +
+  `${content.toString('latin1')}\nendstream\nendobj`
+);
+
+const ascii85 = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 4) {
+    const group = bytes.subarray(i, i + 4);
+    let value = Buffer.concat([group, Buffer.alloc(4 - group.length)]).readUInt32BE(0);
+    const digits = [];
+    for (let k = 0; k < 5; k++) {
+      digits.unshift(String.fromCharCode((value % 85) + 33));
+      value = Math.floor(value / 85);
+    }
+    text += digits.join('').slice(0, group.length + 1);
+  }
+  return Buffer.from(`${text}~>`, 'latin1');
+};
+
+const SCRIPT = Buffer.from('2 0 << /S /JavaScript /JS (app.alert(1)) >>');
+const CLEAN = Buffer.from('2 0 << /Type /Page >>');
+
+const checkPdf = (...pieces) => uploadVerificationService.checkPdf(streamOf(...pieces)());
+
+describe('uploadVerificationService.sniff', () => {
+  const sniff = text => uploadVerificationService.sniff(Buffer.from(text, 'latin1'));
+
+  it('recognizes JPG and PNG by their signatures', () => {
+    expect(uploadVerificationService.sniff(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]))).toBe('image/jpeg');
+    expect(uploadVerificationService.sniff(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0]))).toBe('image/png');
+  });
+
+  it('finds a PDF header after leading junk', () => {
+    expect(sniff('%PDF-1.4\n')).toBe('application/pdf');
+    expect(sniff('junk before the header\n%PDF-1.7\n')).toBe('application/pdf');
+  });
+
+  it('recognizes ASCII DXF, with a byte order mark or a leading comment', () => {
+    expect(sniff('  0\nSECTION\n  2\nHEADER\n')).toBe('application/dxf');
+    expect(sniff('\xEF\xBB\xBF999\nexported by CAD\n  0\r\nSECTION\r\n')).toBe('application/dxf');
+  });
+
+  it('recognizes nothing else', () => {
+    expect(sniff('GIF89a')).toBeNull();
+    expect(sniff('<svg xmlns="http://www.w3.org/2000/svg"/>')).toBeNull();
+    expect(uploadVerificationService.sniff(Buffer.from([0xff, 0xd8]))).toBeNull();
+  });
+});
+
+describe('uploadVerificationService.verify', () => {
+  let png;
+
+  beforeAll(async () => {
+    png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  });
+
+  it('passes an image that decodes as its declared type', async () => {
+    const result = await uploadVerificationService.verifyBuffer({ buffer: png, mimetype: 'image/png' });
+
+    expect(result).toMatchObject({ passed: true, type: 'image/png', detectedType: 'image/png', reasons: [] });
+  });
+
+  it('fails content that is not the declared type', async () => {
+    const result = await uploadVerificationService.verifyBuffer({ buffer: png, mimetype: 'image/jpeg' });
+
+    expect(result.passed).toBe(false);
+    expect(result.reasons).toEqual(['File content is image/png, not image/jpeg']);
+  });
+
+  it('fails content of no accepted type', async () => {
+    const result = await uploadVerificationService.verifyBuffer({ buffer: Buffer.from('MZ\x90\x00'), mimetype: 'application/pdf' });
+
+    expect(result).toMatchObject({ passed: false, detectedType: null });
+    expect(result.reasons).toEqual(['File content is not a JPG, PNG, PDF or DXF file']);
+  });
+
+  it('fails an image that does not decode', async () => {
+    const result = await uploadVerificationService.verifyBuffer({ buffer: png.subarray(0, 40), mimetype: 'image/png' });
+
+    expect(result.passed).toBe(false);
+    expect(result.reasons[0]).toMatch(/^Image could not be decoded/);
+  });
+});
+
+describe('uploadVerificationService.checkPdf', () => {
+  it('passes a well-formed PDF without scripts', async () => {
+    expect(await checkPdf(pdf('1 0 obj\n<< /Type /Catalog >>\nendobj'))).toEqual([]);
+  });
+
+  it('fails a truncated PDF', async () => {
+    expect(await checkPdf('%PDF-1.7\n1 0 obj\n<< /Type /Catalog >>\nendobj\n')).toEqual(['PDF is truncated or malformed']);
+  });
+
+  it('finds JavaScript in object dictionaries', async () => {
+    expect(await checkPdf(pdf('1 0 obj\n<< /OpenAction << /S /JavaScript /JS (app.alert(1)) >> >>\nendobj')))
+      .toContain('PDF contains JavaScript');
+  });
+
+  it('finds a name split across two reads', async () => {
+    const text = pdf(`1 0 obj\n<< /OpenAction << /S /JavaScript >> >>\nendobj${' '.repeat(2000)}`);
+    const cut = text.indexOf('JavaScript') + 4;
+
+    expect(await checkPdf(text.slice(0, cut), text.slice(cut))).toContain('PDF contains JavaScript');
+  });
+
+  it('finds a name split across many small reads', async () => {
+    const text = pdf('1 0 obj\n<< /OpenAction << /S /JS (x) >> >>\nendobj');
+    const pieces = text.match(/[\s\S]{1,3}/g);
+
+    expect(await checkPdf(...pieces)).toContain('PDF contains JavaScript');
+  });
+
+  it('decodes #xx escapes in names', async () => {
+    expect(await checkPdf(pdf('1 0 obj\n<< /S /J#61vaScript >>\nendobj'))).toContain('PDF contains JavaScript');
+    expect(await checkPdf(pdf('1 0 obj\n<< /#4A#53 (x) >>\nendobj'))).toContain('PDF contains JavaScript');
+  });
+
+  it('finds JavaScript inside a compressed object stream', async () => {
+    expect(await checkPdf(objectStreamPdf('/FlateDecode', zlib.deflateSync(SCRIPT)))).toContain('PDF contains JavaScript');
+    expect(await checkPdf(objectStreamPdf('/FlateDecode', zlib.deflateSync(CLEAN)))).toEqual([]);
+  });
+
+  it('ignores content streams, which hold no objects', async () => {
+    const page = pdf('1 0 obj\n<< /Length 20 >>\nstream\nBT /F1 12 Tf (JS) Tj ET\nendstream\nendobj');
+
+    expect(await checkPdf(page)).toEqual([]);
+  });
+
+  describe('object stream filter chains', () => {
+    it('decodes each filter of a chain in order', async () => {
+      const hexFlate = Buffer.from(`${zlib.deflateSync(SCRIPT).toString('hex')}>`);
+      const ascii85Flate = ascii85(zlib.deflateSync(SCRIPT));
+
+      expect(await checkPdf(objectStreamPdf('[/ASCIIHexDecode /FlateDecode]', hexFlate))).toContain('PDF contains JavaScript');
+      expect(await checkPdf(objectStreamPdf('[/A85 /Fl]', ascii85Flate))).toContain('PDF contains JavaScript');
+      expect(await checkPdf(objectStreamPdf('[/AHx /Fl]', Buffer.from(`${zlib.deflateSync(CLEAN).toString('hex')}>`)))).toEqual([]);
+    });
+
+    it('decodes ASCII85 zero groups', async () => {
+      // Each z stands for four zero bytes
+      const content = Buffer.concat([Buffer.from('<~zz'), ascii85(SCRIPT)]);
+
+      expect(await checkPdf(objectStreamPdf('/ASCII85Decode', content))).toContain('PDF contains JavaScript');
+    });
+
+    it('fails closed on a filter it cannot decode', async () => {
+      expect(await checkPdf(objectStreamPdf('[/LZWDecode]', Buffer.from('\x80\x0b\x60\x50')))).toEqual([
+        'PDF has object streams that could not be checked for JavaScript'
+      ]);
+      expect(await checkPdf(objectStreamPdf('[/ASCIIHexDecode /LZWDecode]', Buffer.from('800B6050>')))).toEqual([
+        'PDF has object streams that could not be checked for JavaScript'
+      ]);
+    });
+
+    it('fails closed on data its filters cannot decode', async () => {
+      expect(await checkPdf(objectStreamPdf('/FlateDecode', Buffer.from('not deflated')))).toEqual([
+        'PDF has object streams that could not be checked for JavaScript'
+      ]);
+    });
+
+    it('says when the unreadable object streams are encrypted', async () => {
+      const encrypted = objectStreamPdf('/FlateDecode', Buffer.from('ciphertext')).replace('startxref', 'trailer\n<< /Encrypt 9 0 R >>\nstartxref');
+
+      expect(await checkPdf(encrypted)).toEqual(['PDF is encrypted and could not be checked for JavaScript']);
+    });
+  });
+});
+
+describe('uploadVerificationService.quarantine', () => {
+  const file = { originalname: 'plan.pdf', mimetype: 'application/pdf', size: 12 };
+  const verification = { passed: false, detectedType: 'application/pdf', reasons: ['PDF contains JavaScript'] };
+  let adapter;
+
+  beforeEach(() => {
+    adapter = {
+      name: 'local',
+      uploadStream: jest.fn(async (stream, options) => {
+        let bytes = 0;
+        for await (const data of stream) bytes += data.length;
+        return { key: options.key, bytes };
+      })
+    };
+    jest.spyOn(storageService, 'getAdapter').mockReturnValue(adapter);
+    jest.spyOn(QuarantinedFile, 'create').mockImplementation(async record => record);
+    jest.spyOn(QuarantinedFile, 'find').mockReturnValue({ limit: async () => [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores the file as opaque bytes under the uploader\'s quarantine folder', async () => {
+    const record = await uploadVerificationService.quarantine(streamOf('%PDF-', '1.7 ...'), file, verification, 'user-1', 'session');
+
+    const [, options] = adapter.uploadStream.mock.calls[0];
+    expect(options.mimetype).toBe('application/octet-stream');
+    expect(options.key).toMatch(/^vastu-vision\/quarantine\/user-1\/[0-9a-f-]{36}$/);
+    expect(record).toMatchObject({
+      user: 'user-1',
+      originalName: 'plan.pdf',
+      declaredType: 'application/pdf',
+      detectedType: 'application/pdf',
+      size: 12,
+      reasons: ['PDF contains JavaScript'],
+      source: 'session',
+      filename: options.key,
+      storage: 'local'
+    });
+  });
+
+  it('keeps the record for the retention period', async () => {
+    const before = Date.now();
+    const record = await uploadVerificationService.quarantine(streamOf('x'), file, verification, 'user-1');
+
+    const days = (record.expiresAt.getTime() - before) / (24 * 60 * 60 * 1000);
+    expect(days).toBeCloseTo(uploadVerificationService.quarantineDays, 2);
+  });
+
+  it('records the file even when its copy cannot be stored', async () => {
+    adapter.uploadStream.mockRejectedValue(new Error('disk full'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const record = await uploadVerificationService.quarantine(streamOf('x'), file, verification, 'user-1');
+
+    expect(record).toMatchObject({ size: 12, filename: undefined, storage: undefined, source: 'upload' });
+  });
+
+  it('quarantines memory-storage uploads', async () => {
+    const record = await uploadVerificationService.quarantineBuffer({ ...file, buffer: Buffer.from('%PDF-1.7') }, verification, 'user-2');
+
+    expect(record).toMatchObject({ user: 'user-2', size: 8, source: 'upload' });
+  });
+});
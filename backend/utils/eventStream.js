@@ -0,0 +1,60 @@
+// Open a Server-Sent Events stream on an Express response
+const openEventStream = (req, res, options = {}) => {
+  const heartbeatMs = options.heartbeatMs || 15000;
+  let closed = false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // compression() buffers output until flushed
+  const flush = () => {
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    flush();
+  }, heartbeatMs);
+
+  const cleanups = [() => clearInterval(heartbeat)];
+
+  const stream = {
+    get closed() {
+      return closed;
+    },
+
+    send(type, data) {
+      if (closed) return;
+      res.write(`event: ${type}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+      flush();
+    },
+
+    // Run cleanup once the stream closes, or straight away when it already has
+    onClose(cleanup) {
+      if (closed) {
+        cleanup();
+        return;
+      }
+      cleanups.push(cleanup);
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      cleanups.forEach(cleanup => cleanup());
+      res.end();
+    }
+  };
+
+  req.on('close', () => stream.close());
+
+  return stream;
+};
+
+module.exports = openEventStream;
@@ -0,0 +1,86 @@
+// Minimal EXIF reader for the GPS position of a photo.
+// Works on the EXIF block sharp returns in metadata().exif: an optional "Exif\0\0"
+// prefix followed by a TIFF structure, with offsets relative to the TIFF header.
+
+const GPS_IFD_POINTER = 0x8825;
+const GPS_LATITUDE_REF = 1;
+const GPS_LATITUDE = 2;
+const GPS_LONGITUDE_REF = 3;
+const GPS_LONGITUDE = 4;
+
+const TYPE_ASCII = 2;
+const TYPE_LONG = 4;
+const TYPE_RATIONAL = 5;
+
+// Tag number to { type, count, valueOffset } for one image file directory
+const readIfd = (tiff, offset, read) => {
+  const entries = {};
+  const count = read.u16(offset);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    entries[read.u16(entry)] = {
+      type: read.u16(entry + 2),
+      count: read.u32(entry + 4),
+      valueOffset: entry + 8
+    };
+  }
+  return entries;
+};
+
+// Degrees, minutes and seconds as decimal degrees, negative to the south or west
+const readCoordinate = (tiff, read, value, ref) => {
+  if (!value || value.type !== TYPE_RATIONAL || value.count < 3 || !ref || ref.type !== TYPE_ASCII) {
+    return null;
+  }
+
+  const start = read.u32(value.valueOffset);
+  const [degrees, minutes, seconds] = [0, 1, 2].map(i => (
+    read.u32(start + i * 8) / read.u32(start + i * 8 + 4)
+  ));
+  const decimal = degrees + minutes / 60 + seconds / 3600;
+  const hemisphere = tiff.toString('latin1', ref.valueOffset, ref.valueOffset + 1);
+  return ['S', 'W'].includes(hemisphere) ? -decimal : decimal;
+};
+
+/**
+ * GPS position recorded in an EXIF block
+ * @param {Buffer} exif - EXIF data, as in sharp's metadata().exif
+ * @returns {Object|null} { latitude, longitude }, or null when there is no usable position
+ */
+const readGpsLocation = (exif) => {
+  if (!Buffer.isBuffer(exif)) return null;
+
+  const tiff = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif;
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') return null;
+
+  const little = order === 'II';
+  const read = {
+    u16: offset => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset)),
+    u32: offset => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset))
+  };
+
+  // Corrupt offsets read past the buffer; treat them as no position
+  try {
+    const ifd0 = readIfd(tiff, read.u32(4), read);
+    const pointer = ifd0[GPS_IFD_POINTER];
+    if (!pointer || pointer.type !== TYPE_LONG) return null;
+
+    const gps = readIfd(tiff, read.u32(pointer.valueOffset), read);
+    const latitude = readCoordinate(tiff, read, gps[GPS_LATITUDE], gps[GPS_LATITUDE_REF]);
+    const longitude = readCoordinate(tiff, read, gps[GPS_LONGITUDE], gps[GPS_LONGITUDE_REF]);
+
+    const valid = Number.isFinite(latitude) && Number.isFinite(longitude) &&
+      Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 &&
+      // Cameras without a fix often write 0,0
+      !(latitude === 0 && longitude === 0);
+    return valid ? { latitude, longitude } : null;
+  } catch (error) {
+    if (error instanceof RangeError) return null;
+    throw error;
+  }
+};
+
+module.exports = {
+  readGpsLocation
+};
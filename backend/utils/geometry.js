@@ -0,0 +1,189 @@
+// Plane geometry helpers for floor plans.
+// Plan coordinates are Cartesian: x grows to the right, y grows upwards.
+
+const EPSILON = 1e-9;
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+const toDegrees = (radians) => radians * (180 / Math.PI);
+
+// Normalize an angle to [0, 360)
+const normalizeBearing = (degrees) => ((degrees % 360) + 360) % 360;
+
+// Signed shoelace area: positive for counter-clockwise polygons
+const signedArea = (polygon) => {
+  let area = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+};
+
+const polygonArea = (polygon) => Math.abs(signedArea(polygon));
+
+const polygonCentroid = (polygon) => {
+  const area = signedArea(polygon);
+
+  // Degenerate polygons fall back to the vertex average
+  if (Math.abs(area) < EPSILON) {
+    const sum = polygon.reduce((acc, point) => ({ x: acc.x + point.x, y: acc.y + point.y }), { x: 0, y: 0 });
+    return { x: sum.x / polygon.length, y: sum.y / polygon.length };
+  }
+
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    const cross = a.x * b.y - b.x * a.y;
+    cx += (a.x + b.x) * cross;
+    cy += (a.y + b.y) * cross;
+  }
+  return { x: cx / (6 * area), y: cy / (6 * area) };
+};
+
+const boundingBox = (points) => ({
+  minX: Math.min(...points.map(point => point.x)),
+  minY: Math.min(...points.map(point => point.y)),
+  maxX: Math.max(...points.map(point => point.x)),
+  maxY: Math.max(...points.map(point => point.y))
+});
+
+// Ray-casting point-in-polygon test
+const pointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Rotate a plan point into the compass frame
+ * @param {Object} point - { x, y } in plan coordinates
+ * @param {number} northOffset - Compass bearing (degrees clockwise from north) of the plan's +y axis
+ * @returns {Object} { east, north }
+ */
+const toCompassFrame = (point, northOffset = 0) => {
+  const phi = toRadians(northOffset);
+  return {
+    east: point.x * Math.cos(phi) + point.y * Math.sin(phi),
+    north: -point.x * Math.sin(phi) + point.y * Math.cos(phi)
+  };
+};
+
+// Inverse of toCompassFrame
+const fromCompassFrame = (point, northOffset = 0) => {
+  const phi = toRadians(northOffset);
+  return {
+    x: point.east * Math.cos(phi) - point.north * Math.sin(phi),
+    y: point.east * Math.sin(phi) + point.north * Math.cos(phi)
+  };
+};
+
+// Compass bearing of a plan vector, in degrees clockwise from north
+const bearingOfVector = (vector, northOffset = 0) => {
+  return normalizeBearing(toDegrees(Math.atan2(vector.x, vector.y)) + northOffset);
+};
+
+// Unit plan vector pointing at a compass bearing
+const vectorOfBearing = (bearing, northOffset = 0) => {
+  const theta = toRadians(bearing - northOffset);
+  return { x: Math.sin(theta), y: Math.cos(theta) };
+};
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+/**
+ * Clip a polygon against a convex polygon (Sutherland-Hodgman)
+ * @param {Array} subject - Polygon to clip, may be concave
+ * @param {Array} clip - Convex clipping polygon, either winding
+ * @returns {Array} The clipped polygon, empty when they do not overlap
+ */
+const clipPolygon = (subject, clip) => {
+  const orientation = signedArea(clip) >= 0 ? 1 : -1;
+  const inside = (point, a, b) => orientation * ((b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x)) >= -EPSILON;
+  const intersect = (p1, p2, a, b) => {
+    const d = (p1.x - p2.x) * (a.y - b.y) - (p1.y - p2.y) * (a.x - b.x);
+    if (Math.abs(d) < EPSILON) return p2;
+    const t = ((p1.x - a.x) * (a.y - b.y) - (p1.y - a.y) * (a.x - b.x)) / d;
+    return { x: p1.x + t * (p2.x - p1.x), y: p1.y + t * (p2.y - p1.y) };
+  };
+
+  let output = subject;
+  for (let i = 0; i < clip.length && output.length > 0; i++) {
+    const a = clip[i];
+    const b = clip[(i + 1) % clip.length];
+    const input = output;
+    output = [];
+
+    for (let j = 0; j < input.length; j++) {
+      const current = input[j];
+      const previous = input[(j + input.length - 1) % input.length];
+      const currentInside = inside(current, a, b);
+
+      if (currentInside) {
+        if (!inside(previous, a, b)) output.push(intersect(previous, current, a, b));
+        output.push(current);
+      } else if (inside(previous, a, b)) {
+        output.push(intersect(previous, current, a, b));
+      }
+    }
+  }
+
+  return output.length >= 3 ? output : [];
+};
+
+// Area shared by a polygon and a convex polygon
+const overlapArea = (subject, convex) => {
+  const clipped = clipPolygon(subject, convex);
+  return clipped.length ? polygonArea(clipped) : 0;
+};
+
+// Overlapping part of two collinear segments, or null
+const collinearOverlap = (a1, a2, b1, b2, tolerance = 0.01) => {
+  const length = distance(a1, a2);
+  if (length < EPSILON) return null;
+
+  const dir = { x: (a2.x - a1.x) / length, y: (a2.y - a1.y) / length };
+  const offset = (point) => Math.abs((point.x - a1.x) * dir.y - (point.y - a1.y) * dir.x);
+  if (offset(b1) > tolerance || offset(b2) > tolerance) return null;
+
+  const project = (point) => (point.x - a1.x) * dir.x + (point.y - a1.y) * dir.y;
+  const start = Math.max(0, Math.min(project(b1), project(b2)));
+  const end = Math.min(length, Math.max(project(b1), project(b2)));
+  if (end - start <= tolerance) return null;
+
+  return {
+    start: { x: a1.x + dir.x * start, y: a1.y + dir.y * start },
+    end: { x: a1.x + dir.x * end, y: a1.y + dir.y * end }
+  };
+};
+
+const polygonEdges = (polygon) => polygon.map((point, index) => [point, polygon[(index + 1) % polygon.length]]);
+
+module.exports = {
+  toRadians,
+  toDegrees,
+  normalizeBearing,
+  signedArea,
+  polygonArea,
+  polygonCentroid,
+  boundingBox,
+  pointInPolygon,
+  toCompassFrame,
+  fromCompassFrame,
+  bearingOfVector,
+  vectorOfBearing,
+  distance,
+  clipPolygon,
+  overlapArea,
+  collinearOverlap,
+  polygonEdges
+};
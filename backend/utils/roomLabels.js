@@ -0,0 +1,33 @@
+// Words in floor-plan labels that identify each room type in the Analysis model
+const ROOM_LABEL_KEYWORDS = [
+  { type: 'puja-room', keywords: ['puja', 'pooja', 'prayer', 'mandir', 'temple', 'shrine'] },
+  { type: 'kitchen', keywords: ['kitchen', 'kit', 'pantry', 'cook'] },
+  { type: 'bathroom', keywords: ['bath', 'bathroom', 'toilet', 'wc', 'washroom', 'restroom', 'powder', 'lavatory'] },
+  { type: 'bedroom', keywords: ['bed', 'bedroom', 'br', 'master', 'guest', 'kids', 'nursery'] },
+  { type: 'living-room', keywords: ['living', 'lounge', 'hall', 'drawing', 'family', 'sitting'] },
+  { type: 'dining-room', keywords: ['dining', 'dinning'] },
+  { type: 'study', keywords: ['study', 'office', 'library', 'den', 'work'] },
+  { type: 'balcony', keywords: ['balcony', 'terrace', 'verandah', 'veranda', 'sitout', 'deck', 'patio'] }
+];
+
+// Room type for a label such as "MASTER BED 12'x14'", or null when nothing matches
+const roomTypeFromLabel = (label) => {
+  const words = String(label || '').toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  const match = ROOM_LABEL_KEYWORDS.find(entry => entry.keywords.some(keyword => words.includes(keyword)));
+  return match ? match.type : null;
+};
+
+// Label text without dimensions, e.g. "MASTER BED 12'x14'" becomes "Master Bed"
+const roomNameFromLabel = (label) => {
+  const name = String(label || '')
+    .replace(/\d+(\.\d+)?\s*('|"|ft|m|mm|cm)?\s*[x×]\s*\d+(\.\d+)?\s*('|"|ft|m|mm|cm)?/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return name.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+};
+
+module.exports = {
+  ROOM_LABEL_KEYWORDS,
+  roomTypeFromLabel,
+  roomNameFromLabel
+};
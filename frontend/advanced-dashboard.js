@@ -138,6 +138,15 @@ function initializeTabContent(tabName) {
         case 'recommendations':
             initializeRecommendations();
             break;
+        case 'compare':
+            initializeComparison();
+            break;
+        case 'what-if':
+            initializeSimulation();
+            break;
+        case 'remedy-tracker':
+            initializeRemedyTracker();
+            break;
         case 'ai-chat':
             initializeAIChat();
             break;
@@ -815,6 +824,627 @@ function generateAIResponse(userMessage) {
     }
 }
 
+// Compare Homes
+const MAX_COMPARED_ANALYSES = 5;
+
+const COMPARISON_LABELS = {
+    north: 'North', northeast: 'Northeast', east: 'East', southeast: 'Southeast',
+    south: 'South', southwest: 'Southwest', west: 'West', northwest: 'Northwest', center: 'Center',
+    earth: 'Earth', water: 'Water', fire: 'Fire', air: 'Air', space: 'Space'
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape text from analyses before it is put into HTML, including quoted attribute values
+function escapeHtml(text) {
+    const value = text === undefined || text === null ? '' : String(text);
+    return value.replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+function formatLabel(key) {
+    return COMPARISON_LABELS[key] || key.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Load the user's completed analyses to choose from
+async function initializeComparison() {
+    const picker = document.getElementById('comparisonPicker');
+    const compareBtn = document.getElementById('compareBtn');
+    const token = getAuthToken();
+
+    if (!token) {
+        picker.innerHTML = '<p class="comparison-empty">Sign in to compare your analyses.</p>';
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/analysis/my-analyses?limit=100`, {
+            headers: { Authorization: `Bearer ${token}` }
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message);
+        }
+
+        const completed = result.data.analyses.filter(analysis => analysis.status === 'completed');
+        if (completed.length < 2) {
+            picker.innerHTML = '<p class="comparison-empty">Complete at least two analyses to compare them.</p>';
+            return;
+        }
+
+        picker.innerHTML = completed.map(analysis => `
+            <label class="comparison-option">
+                <input type="checkbox" value="${escapeHtml(analysis._id)}">
+                <span>${escapeHtml(analysis.title)}</span>
+                <span class="comparison-option-score">${analysis.vastuAnalysis ? analysis.vastuAnalysis.overallScore : '--'}</span>
+            </label>
+        `).join('');
+    } catch (error) {
+        picker.innerHTML = '';
+        showNotification(error.message || 'Your analyses could not be loaded', 'error');
+        return;
+    }
+
+    const checkboxes = picker.querySelectorAll('input[type="checkbox"]');
+    checkboxes.forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const selected = picker.querySelectorAll('input:checked').length;
+            compareBtn.disabled = selected < 2;
+            checkboxes.forEach(box => {
+                box.disabled = !box.checked && selected >= MAX_COMPARED_ANALYSES;
+            });
+        });
+    });
+
+    compareBtn.onclick = () => {
+        const ids = Array.from(picker.querySelectorAll('input:checked')).map(box => box.value);
+        compareAnalyses(ids);
+    };
+}
+
+// Ask the API to compare the chosen analyses
+async function compareAnalyses(ids) {
+    const compareBtn = document.getElementById('compareBtn');
+    compareBtn.disabled = true;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/analysis/compare`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${getAuthToken()}`
+            },
+            body: JSON.stringify({ analysisIds: ids })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message);
+        }
+
+        renderComparison(result.data.comparison);
+    } catch (error) {
+        showNotification(error.message || 'The comparison failed', 'error');
+    } finally {
+        compareBtn.disabled = false;
+    }
+}
+
+// Show the comparison as a table with one column per home
+function renderComparison(comparison) {
+    const cell = (row, index) => {
+        const value = row.values[index];
+        const best = row.best.includes(index) ? ' class="best"' : '';
+        return `<td${best}>${value === null ? '--' : value}</td>`;
+    };
+    const rows = (heading, entries) => {
+        const present = entries.filter(([, row]) => row.values.some(value => value !== null));
+        if (present.length === 0) return '';
+        return `<tr class="comparison-group"><th colspan="${comparison.analyses.length + 1}">${heading}</th></tr>` +
+            present.map(([label, row]) => `<tr><th>${escapeHtml(label)}</th>${comparison.analyses.map((analysis, index) => cell(row, index)).join('')}</tr>`).join('');
+    };
+    const rankOf = index => comparison.ranking.find(entry => entry.index === index).rank;
+
+    document.getElementById('comparisonRecommendation').textContent = comparison.recommendation.summary;
+
+    document.getElementById('comparisonTable').innerHTML = `
+        <thead>
+            <tr>
+                <th></th>
+                ${comparison.analyses.map((analysis, index) => `<th><span class="comparison-rank">#${rankOf(index)}</span> ${escapeHtml(analysis.title)}</th>`).join('')}
+            </tr>
+        </thead>
+        <tbody>
+            ${rows('Scores', [
+                ['Overall', comparison.scores.overall],
+                ['Energy Flow', comparison.scores.energyFlow],
+                ['Entrance', comparison.scores.entrance]
+            ])}
+            ${rows('Directions', Object.entries(comparison.directions).map(([key, row]) => [formatLabel(key), row]))}
+            ${rows('Five Elements', Object.entries(comparison.elements).map(([key, row]) => [formatLabel(key), row]))}
+            ${rows('Rooms', Object.entries(comparison.roomTypes).map(([key, row]) => [formatLabel(key), row]))}
+        </tbody>
+    `;
+
+    document.getElementById('comparisonViolations').innerHTML = comparison.analyses.map((analysis, index) => {
+        const violations = comparison.criticalViolations[index];
+        const items = violations.unique.length > 0
+            ? violations.unique.map(item => `<li><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(item.reason || item.ruleName)}</li>`).join('')
+            : '<li class="none"><i class="fas fa-check"></i> None the others avoid</li>';
+        return `
+            <div class="comparison-violation-card">
+                <h5>${escapeHtml(analysis.title)}</h5>
+                <ul>${items}</ul>
+            </div>
+        `;
+    }).join('');
+
+    document.getElementById('comparisonResults').style.display = 'block';
+}
+
+// What If simulator
+const SIMULATION_GRID = [
+    'northwest', 'north', 'northeast',
+    'west', 'center', 'east',
+    'southwest', 'south', 'southeast'
+];
+
+const simulation = {
+    analysisId: null,
+    rooms: [],
+    edits: []
+};
+
+// Load the user's analyses to experiment with
+async function initializeSimulation() {
+    const select = document.getElementById('simulationAnalysis');
+    const token = getAuthToken();
+
+    if (!token) {
+        document.getElementById('simulationGrid').innerHTML = '<p class="simulation-empty">Sign in to try changes on your analyses.</p>';
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/analysis/my-analyses?limit=100`, {
+            headers: { Authorization: `Bearer ${token}` }
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message);
+        }
+
+        select.innerHTML = '<option value="">Choose an analysis</option>' + result.data.analyses.map(analysis =>
+            `<option value="${escapeHtml(analysis._id)}">${escapeHtml(analysis.title)}</option>`
+        ).join('');
+    } catch (error) {
+        showNotification(error.message || 'Your analyses could not be loaded', 'error');
+        return;
+    }
+
+    select.onchange = () => loadSimulationPlan(select.value);
+    document.getElementById('simulationEntrance').onchange = (event) => {
+        if (event.target.value) {
+            addSimulationEdit({ type: 'set-entrance', direction: event.target.value });
+        }
+    };
+    document.getElementById('simulationReset').onclick = () => loadSimulationPlan(simulation.analysisId);
+}
+
+// Start over from the analysis's floor plan as saved
+async function loadSimulationPlan(analysisId) {
+    simulation.analysisId = analysisId;
+    simulation.edits = [];
+    document.getElementById('simulationResults').style.display = 'none';
+    document.getElementById('simulationEntrance').value = '';
+    document.getElementById('simulationEntrance').disabled = !analysisId;
+    document.getElementById('simulationReset').disabled = !analysisId;
+
+    if (!analysisId) {
+        simulation.rooms = [];
+        renderSimulationGrid();
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/analysis/${analysisId}`, {
+            headers: { Authorization: `Bearer ${getAuthToken()}` }
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message);
+        }
+
+        simulation.rooms = result.data.analysis.floorPlan.rooms.map((room, index) => ({
+            key: room.key || `room-${index}`,
+            name: room.name,
+            type: room.type,
+            direction: room.direction
+        }));
+        renderSimulationGrid();
+    } catch (error) {
+        showNotification(error.message || 'The floor plan could not be loaded', 'error');
+    }
+}
+
+// Rooms laid out in a 3x3 compass grid, north at the top
+function renderSimulationGrid() {
+    const grid = document.getElementById('simulationGrid');
+    const chip = room => `
+        <span class="simulation-room" draggable="true" data-room="${escapeHtml(room.key)}" title="${escapeHtml(formatLabel(room.type))}">
+            ${escapeHtml(room.name)}
+        </span>
+    `;
+    const unplaced = simulation.rooms.filter(room => !SIMULATION_GRID.includes(room.direction));
+
+    grid.innerHTML = SIMULATION_GRID.map(direction => `
+        <div class="simulation-zone" data-direction="${direction}">
+            <span class="simulation-zone-label">${formatLabel(direction)}</span>
+            ${simulation.rooms.filter(room => room.direction === direction).map(chip).join('')}
+        </div>
+    `).join('') + (unplaced.length > 0 ? `
+        <div class="simulation-unplaced">
+            <span class="simulation-zone-label">No direction yet</span>
+            ${unplaced.map(chip).join('')}
+        </div>
+    ` : '');
+
+    grid.querySelectorAll('.simulation-room').forEach(element => {
+        element.addEventListener('dragstart', (event) => {
+            event.dataTransfer.setData('text/plain', element.dataset.room);
+        });
+        // Dropping a room on another one swaps what the two rooms are used for
+        element.addEventListener('dragover', event => event.preventDefault());
+        element.addEventListener('drop', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            const dragged = event.dataTransfer.getData('text/plain');
+            if (dragged && dragged !== element.dataset.room) {
+                addSimulationEdit({ type: 'swap-room-types', rooms: [dragged, element.dataset.room] });
+            }
+        });
+    });
+
+    grid.querySelectorAll('.simulation-zone').forEach(zone => {
+        zone.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            zone.classList.add('over');
+        });
+        zone.addEventListener('dragleave', () => zone.classList.remove('over'));
+        zone.addEventListener('drop', (event) => {
+            event.preventDefault();
+            zone.classList.remove('over');
+            const dragged = event.dataTransfer.getData('text/plain');
+            const room = simulation.rooms.find(item => item.key === dragged);
+            if (room && room.direction !== zone.dataset.direction) {
+                addSimulationEdit({ type: 'move-room', room: dragged, direction: zone.dataset.direction });
+            }
+        });
+    });
+}
+
+// Re-score the plan with every edit so far
+async function addSimulationEdit(edit) {
+    const edits = [...simulation.edits, edit];
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/analysis/${simulation.analysisId}/simulate`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${getAuthToken()}`
+            },
+            body: JSON.stringify({ edits })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message);
+        }
+
+        simulation.edits = edits;
+        simulation.rooms = result.data.simulation.plan.rooms;
+        renderSimulationGrid();
+        renderSimulation(result.data.simulation);
+    } catch (error) {
+        showNotification(error.message || 'The change could not be simulated', 'error');
+    }
+}
+
+// Show how each section's score would change
+function renderSimulation(result) {
+    const delta = change => {
+        if (change === null || change === undefined) return '<td>--</td>';
+        const trend = change > 0 ? 'up' : change < 0 ? 'down' : 'level';
+        return `<td class="simulation-delta ${trend}">${change > 0 ? '+' : ''}${change}</td>`;
+    };
+    const rows = (heading, entries) => {
+        const changed = entries.filter(([, score]) => score && score.change);
+        if (changed.length === 0) return '';
+        return `<tr class="simulation-group"><th colspan="4">${heading}</th></tr>` +
+            changed.map(([label, score]) => `
+                <tr>
+                    <th>${escapeHtml(label)}</th>
+                    <td>${score.from === null ? '--' : score.from}</td>
+                    <td>${score.to === null ? '--' : score.to}</td>
+                    ${delta(score.change)}
+                </tr>
+            `).join('');
+    };
+
+    const overall = result.scores.overall;
+    const change = overall ? overall.change : 0;
+    document.getElementById('simulationOverall').innerHTML = `
+        <span class="simulation-overall-label">Overall score</span>
+        <span class="simulation-overall-value">${overall ? overall.from : '--'} &rarr; ${overall ? overall.to : '--'}</span>
+        <span class="simulation-delta ${change > 0 ? 'up' : change < 0 ? 'down' : 'level'}">${change > 0 ? '+' : ''}${change}</span>
+    `;
+
+    const body = [
+        rows('Scores', [['Energy Flow', result.scores.energyFlow], ['Entrance', result.scores.entrance]]),
+        rows('Directions', Object.entries(result.scores.directions).map(([key, score]) => [formatLabel(key), score])),
+        rows('Five Elements', Object.entries(result.scores.elements).map(([key, score]) => [formatLabel(key), score])),
+        rows('Rooms', result.rooms.map(room => [room.name, room.score]))
+    ].join('');
+    document.getElementById('simulationTable').innerHTML = body
+        ? `<thead><tr><th></th><th>Now</th><th>After</th><th>Change</th></tr></thead><tbody>${body}</tbody>`
+        : '<tbody><tr><td>No section score changes.</td></tr></tbody>';
+
+    document.getElementById('simulationRules').innerHTML = result.rules.length > 0
+        ? result.rules.map(rule => {
+            // A failing check that passes, or stops applying, is an improvement
+            const failing = status => ['violated', 'unsatisfied'].includes(status);
+            const improved = rule.to ? !failing(rule.to) : failing(rule.from);
+            return `
+                <li class="${improved ? 'improved' : 'worsened'}">
+                    <i class="fas fa-${improved ? 'arrow-up' : 'arrow-down'}"></i>
+                    ${escapeHtml(rule.ruleName)}${rule.subject ? ` (${escapeHtml(rule.subject)})` : ''}:
+                    ${escapeHtml(rule.from || 'not checked')} &rarr; ${escapeHtml(rule.to || 'not checked')}
+                </li>
+            `;
+        }).join('')
+        : '<li class="none">No rule changed its outcome.</li>';
+
+    document.getElementById('simulationResults').style.display = 'block';
+}
+
+// Remedy tracker
+const REMEDY_STATUSES = ['pending', 'started', 'done'];
+
+const remedyTracker = {
+    analysisId: null,
+    chart: null
+};
+
+// Load the user's completed analyses to track remedies on
+async function initializeRemedyTracker() {
+    const select = document.getElementById('remedyAnalysis');
+    const token = getAuthToken();
+
+    if (!token) {
+        document.getElementById('remedyList').innerHTML = '<p class="remedy-empty">Sign in to track the remedies on your analyses.</p>';
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/analysis/my-analyses?limit=100`, {
+            headers: { Authorization: `Bearer ${token}` }
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message);
+        }
+
+        const completed = result.data.analyses.filter(analysis => analysis.status === 'completed');
+        select.innerHTML = '<option value="">Choose an analysis</option>' + completed.map(analysis =>
+            `<option value="${escapeHtml(analysis._id)}">${escapeHtml(analysis.title)}</option>`
+        ).join('');
+    } catch (error) {
+        showNotification(error.message || 'Your analyses could not be loaded', 'error');
+        return;
+    }
+
+    select.onchange = () => loadRemedies(select.value);
+}
+
+// Fetch the checklist and the score trajectory of an analysis
+async function loadRemedies(analysisId) {
+    remedyTracker.analysisId = analysisId;
+
+    if (!analysisId) {
+        document.getElementById('remedySummary').textContent = '';
+        document.getElementById('remedyList').innerHTML = '';
+        document.getElementById('remedyTrajectory').style.display = 'none';
+        return;
+    }
+
+    try {
+        const headers = { Authorization: `Bearer ${getAuthToken()}` };
+        const [list, trajectory] = await Promise.all([
+            fetch(`${API_BASE_URL}/analysis/${analysisId}/remedies`, { headers }),
+            fetch(`${API_BASE_URL}/analysis/${analysisId}/remedies/trajectory`, { headers })
+        ].map(async request => {
+            const response = await request;
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message);
+            }
+            return result.data;
+        }));
+
+        renderRemedies(list);
+        renderRemedyTrajectory(trajectory.trajectory);
+    } catch (error) {
+        showNotification(error.message || 'The remedies could not be loaded', 'error');
+    }
+}
+
+// One card per remedy, with its status, notes and photos
+function renderRemedies({ remedies, summary }) {
+    const list = document.getElementById('remedyList');
+    document.getElementById('remedySummary').textContent = summary.total > 0
+        ? `${summary.done} of ${summary.total} done, ${summary.started} in progress`
+        : '';
+
+    if (remedies.length === 0) {
+        list.innerHTML = '<p class="remedy-empty">No remedies to carry out for this analysis.</p>';
+        return;
+    }
+
+    list.innerHTML = remedies.map(remedy => `
+        <div class="remedy-card ${remedy.status}" data-remedy="${escapeHtml(remedy._id)}">
+            <div class="remedy-card-header">
+                <div>
+                    <p class="remedy-description">${escapeHtml(remedy.description)}</p>
+                    <p class="remedy-rule">
+                        ${escapeHtml(remedy.ruleName || '')}${remedy.subject ? ` (${escapeHtml(remedy.subject)})` : ''}
+                        ${remedy.importance ? `<span class="remedy-tag">${escapeHtml(formatLabel(remedy.importance))}</span>` : ''}
+                        <span class="remedy-tag">${escapeHtml(formatLabel(remedy.type))}</span>
+                    </p>
+                </div>
+                <select class="remedy-status">
+                    ${REMEDY_STATUSES.map(status => `<option value="${status}"${status === remedy.status ? ' selected' : ''}>${formatLabel(status)}</option>`).join('')}
+                </select>
+            </div>
+            ${remedy.status === 'done' && remedy.scoreAfter !== undefined ? `
+                <p class="remedy-score">Score ${remedy.scoreBefore} &rarr; ${remedy.scoreAfter} when completed</p>
+            ` : ''}
+            ${remedy.notes.length > 0 ? `
+                <ul class="remedy-notes">
+                    ${remedy.notes.map(note => `<li><span>${new Date(note.createdAt).toLocaleDateString()}</span> ${escapeHtml(note.text)}</li>`).join('')}
+                </ul>
+            ` : ''}
+            ${remedy.photos.length > 0 ? `
+                <div class="remedy-photos">
+                    ${remedy.photos.map(photo => `
+                        <a href="${escapeHtml(photo.url)}" target="_blank" rel="noopener">
+                            <img src="${escapeHtml(photo.thumbnailUrl || photo.url)}" alt="${escapeHtml(photo.originalName || 'Remedy photo')}">
+                        </a>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <div class="remedy-actions">
+                <input type="text" class="remedy-note" maxlength="1000" placeholder="Add a note">
+                <button class="btn-secondary remedy-note-btn">
+                    <i class="fas fa-sticky-note"></i>
+                    Add Note
+                </button>
+                <label class="btn-secondary remedy-photo-btn">
+                    <i class="fas fa-camera"></i>
+                    Add Photos
+                    <input type="file" class="remedy-photo" accept="image/jpeg,image/png" multiple hidden>
+                </label>
+            </div>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.remedy-card').forEach(card => {
+        const remedyId = card.dataset.remedy;
+        card.querySelector('.remedy-status').onchange = (event) => updateRemedy(remedyId, { status: event.target.value });
+        card.querySelector('.remedy-note-btn').onclick = () => {
+            const note = card.querySelector('.remedy-note').value.trim();
+            if (note) {
+                updateRemedy(remedyId, { note });
+            }
+        };
+        card.querySelector('.remedy-photo').onchange = (event) => {
+            if (event.target.files.length > 0) {
+                uploadRemedyPhotos(remedyId, event.target.files);
+            }
+        };
+    });
+}
+
+// Change a remedy's status or add a note; completing one re-scores the analysis
+async function updateRemedy(remedyId, changes) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/analysis/${remedyTracker.analysisId}/remedies/${remedyId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${getAuthToken()}`
+            },
+            body: JSON.stringify(changes)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message);
+        }
+
+        showNotification(result.message, 'success');
+    } catch (error) {
+        showNotification(error.message || 'The remedy could not be updated', 'error');
+    }
+
+    loadRemedies(remedyTracker.analysisId);
+}
+
+// Send photos of a remedy through the upload pipeline
+async function uploadRemedyPhotos(remedyId, files) {
+    const formData = new FormData();
+    formData.append('analysisId', remedyTracker.analysisId);
+    formData.append('remedyId', remedyId);
+    Array.from(files).forEach(file => formData.append('photos', file));
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/upload/remedy-photos`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${getAuthToken()}` },
+            body: formData
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message);
+        }
+
+        showNotification(result.message, 'success');
+        loadRemedies(remedyTracker.analysisId);
+    } catch (error) {
+        showNotification(error.message || 'The photos could not be uploaded', 'error');
+    }
+}
+
+// Overall score at each revision, as a line chart
+function renderRemedyTrajectory(trajectory) {
+    const container = document.getElementById('remedyTrajectory');
+    if (remedyTracker.chart) {
+        remedyTracker.chart.destroy();
+        remedyTracker.chart = null;
+    }
+
+    if (trajectory.length < 2 || typeof Chart === 'undefined') {
+        container.style.display = 'none';
+        return;
+    }
+    container.style.display = 'block';
+
+    remedyTracker.chart = new Chart(document.getElementById('remedyTrajectoryChart'), {
+        type: 'line',
+        data: {
+            labels: trajectory.map(point => new Date(point.createdAt).toLocaleDateString()),
+            datasets: [{
+                label: 'Overall score',
+                data: trajectory.map(point => point.overallScore),
+                borderColor: '#667eea',
+                backgroundColor: 'rgba(102, 126, 234, 0.15)',
+                fill: true,
+                tension: 0.3
+            }]
+        },
+        options: {
+            scales: {
+                y: { min: 0, max: 100 }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        // The remedies completed at each point
+                        afterLabel: (context) => trajectory[context.dataIndex].remedies
+                            .map(remedy => `Done: ${remedy.description}`)
+                    }
+                }
+            }
+        }
+    });
+}
+
 // Show Notification
 function showNotification(message, type = 'info') {
     const notification = document.createElement('div');
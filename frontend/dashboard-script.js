@@ -28,6 +28,12 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Analyze button handler
     analyzeBtn.addEventListener('click', analyzeFloorPlan);
+    
+    // Report download handler; the advanced dashboard has no report button
+    const downloadReportBtn = document.getElementById('downloadReportBtn');
+    if (downloadReportBtn) {
+        downloadReportBtn.addEventListener('click', exportResults);
+    }
 });
 
 // Initialize dashboard
@@ -85,14 +91,16 @@ function processFiles(files) {
 function validateFile(file) {
     const maxSize = 5 * 1024 * 1024; // 5MB
     const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf'];
+    // Browsers seldom report a MIME type for CAD drawings
+    const isDxf = /\.dxf$/i.test(file.name);
     
     if (file.size > maxSize) {
         showNotification('File size must be less than 5MB', 'error');
         return false;
     }
     
-    if (!allowedTypes.includes(file.type)) {
-        showNotification('Only JPG, PNG, and PDF files are allowed', 'error');
+    if (!allowedTypes.includes(file.type) && !isDxf) {
+        showNotification('Only JPG, PNG, PDF, and DXF files are allowed', 'error');
         return false;
     }
     
@@ -118,6 +126,11 @@ function updateUI() {
 
 // Update uploaded files display
 function updateUploadedFiles() {
+    // The advanced dashboard has no list of uploaded files
+    const uploadedFiles = document.getElementById('uploadedFiles');
+    const filesList = document.getElementById('filesList');
+    if (!uploadedFiles || !filesList) return;
+    
     if (uploadedFilesList.length === 0) {
         uploadedFiles.style.display = 'none';
         return;
@@ -203,6 +216,17 @@ function updateAnalyzeButton() {
     }
 }
 
+// API configuration
+const API_BASE_URL = '/api';
+
+// Analysis whose results are shown, once it has completed
+let completedAnalysisId = null;
+
+// Get the stored auth token, if the user is signed in
+function getAuthToken() {
+    return localStorage.getItem('vastuVisionToken');
+}
+
 // Analyze floor plan
 function analyzeFloorPlan() {
     if (uploadedFilesList.length === 0) {
@@ -217,6 +241,15 @@ function analyzeFloorPlan() {
     analyzeBtn.classList.add('loading');
     analyzeBtn.disabled = true;
     
+    const token = getAuthToken();
+    if (token) {
+        startLiveAnalysis(token).catch(error => {
+            finishAnalysis();
+            showNotification(error.message || 'Analysis could not be started', 'error');
+        });
+        return;
+    }
+    
     // Simulate analysis process
     setTimeout(() => {
         analyzeBtn.classList.remove('loading');
@@ -230,6 +263,138 @@ function analyzeFloorPlan() {
     }, 3000);
 }
 
+// Upload the files, start the analysis and follow it live
+async function startLiveAnalysis(token) {
+    const headers = { Authorization: `Bearer ${token}` };
+    const formData = new FormData();
+    uploadedFilesList.forEach(item => formData.append('files', item.file));
+    
+    const uploadResponse = await fetch(`${API_BASE_URL}/upload/files`, {
+        method: 'POST',
+        headers,
+        body: formData
+    });
+    const uploadResult = await uploadResponse.json();
+    if (!uploadResult.success) {
+        throw new Error(uploadResult.message);
+    }
+    
+    const analysisId = uploadResult.data.analysis.id;
+    const startResponse = await fetch(`${API_BASE_URL}/analysis/${analysisId}/start`, {
+        method: 'POST',
+        headers
+    });
+    const startResult = await startResponse.json();
+    if (!startResult.success) {
+        throw new Error(startResult.message);
+    }
+    
+    await watchAnalysis(analysisId, token);
+}
+
+// Follow analysis progress over Server-Sent Events. EventSource cannot send headers, so the
+// stream is opened with a short-lived token for this analysis rather than the login token.
+async function watchAnalysis(analysisId, token, reconnects = 3) {
+    const tokenResponse = await fetch(`${API_BASE_URL}/analysis/${analysisId}/events/token`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    const tokenResult = await tokenResponse.json();
+    if (!tokenResult.success) {
+        throw new Error(tokenResult.message);
+    }
+    
+    const source = new EventSource(`${API_BASE_URL}/analysis/${analysisId}/events?token=${encodeURIComponent(tokenResult.data.token)}`);
+    
+    source.addEventListener('status', event => {
+        const data = JSON.parse(event.data);
+        updateAnalysisProgress(data.progress);
+    });
+    
+    source.addEventListener('progress', event => {
+        const data = JSON.parse(event.data);
+        updateAnalysisProgress(data.progress);
+    });
+    
+    source.addEventListener('completed', event => {
+        const data = JSON.parse(event.data);
+        source.close();
+        finishAnalysis();
+        completedAnalysisId = analysisId;
+        renderAnalysisResults(data.vastuAnalysis);
+        showNotification('Analysis completed successfully!', 'success');
+    });
+    
+    source.addEventListener('failed', event => {
+        const data = JSON.parse(event.data);
+        source.close();
+        finishAnalysis();
+        showNotification(data.reason || 'Analysis failed, please try again', 'error');
+    });
+    
+    source.onerror = () => {
+        // EventSource reconnects on its own unless the server refused the stream,
+        // as it does once the stream token has expired; then try again with a new one
+        if (source.readyState === EventSource.CLOSED) {
+            if (reconnects > 0) {
+                watchAnalysis(analysisId, token, reconnects - 1).catch(() => {
+                    finishAnalysis();
+                    showNotification('Lost connection to the analysis', 'error');
+                });
+                return;
+            }
+            finishAnalysis();
+            showNotification('Lost connection to the analysis', 'error');
+        }
+    };
+}
+
+// Show percent progress on the analyze button
+function updateAnalysisProgress(progress) {
+    const analyzeBtn = document.getElementById('analyzeBtn');
+    analyzeBtn.innerHTML = `
+        <i class="fas fa-spinner"></i>
+        Analyzing... ${progress || 0}%
+    `;
+}
+
+// Reset the analyze button after an analysis ends
+function finishAnalysis() {
+    const analyzeBtn = document.getElementById('analyzeBtn');
+    analyzeBtn.classList.remove('loading');
+    updateAnalyzeButton();
+}
+
+// Render the final analysis results
+function renderAnalysisResults(vastuAnalysis) {
+    const analysisResults = document.getElementById('analysisResults');
+    const resultsContent = analysisResults.querySelector('.results-content');
+    const issues = vastuAnalysis.negativeAspects || [];
+    const strengths = vastuAnalysis.positiveAspects || [];
+    
+    resultsContent.innerHTML = '';
+    resultsContent.appendChild(createResultItem('fa-compass', `Overall Vastu Score: ${vastuAnalysis.overallScore}/100`, vastuAnalysis.summary));
+    strengths.slice(0, 3).forEach(text => {
+        resultsContent.appendChild(createResultItem('fa-check-circle', 'Strength', text));
+    });
+    issues.slice(0, 3).forEach(text => {
+        resultsContent.appendChild(createResultItem('fa-exclamation-triangle', 'Needs Attention', text));
+    });
+    
+    analysisResults.style.display = 'block';
+    analysisResults.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Create a result item (text is set safely, never as HTML)
+function createResultItem(icon, title, text) {
+    const item = document.createElement('div');
+    item.className = 'result-item';
+    item.innerHTML = `<i class="fas ${icon}"></i><div><h4></h4><p></p></div>`;
+    item.querySelector('h4').textContent = title;
+    item.querySelector('p').textContent = text || '';
+    return item;
+}
+
 // Show notification
 function showNotification(message, type = 'info') {
     const notification = document.createElement('div');
@@ -314,8 +479,29 @@ function showUploadProgress(fileId, progress) {
     }
 }
 
-// Export functionality (for future implementation)
-function exportResults() {
+// Download the PDF report of the completed analysis, or the upload details before there is one
+async function exportResults() {
+    const token = getAuthToken();
+    if (completedAnalysisId && token) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/analysis/${completedAnalysisId}/report.pdf`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.message);
+            }
+            
+            // Save under the name the server gives the report
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="?([^";]+)"?/);
+            saveBlob(await response.blob(), match ? match[1] : 'vastu-report.pdf');
+        } catch (error) {
+            showNotification(error.message || 'The report could not be downloaded', 'error');
+        }
+        return;
+    }
+    
     const results = {
         files: uploadedFilesList.map(item => ({
             name: item.name,
@@ -329,10 +515,17 @@ function exportResults() {
     const dataStr = JSON.stringify(results, null, 2);
     const dataBlob = new Blob([dataStr], {type: 'application/json'});
     
+    saveBlob(dataBlob, 'vastu-analysis-results.json');
+}
+
+// Download a blob as a file, releasing its object URL once the download has started
+function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
-    link.href = URL.createObjectURL(dataBlob);
-    link.download = 'vastu-analysis-results.json';
+    link.href = url;
+    link.download = filename;
     link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
 // Initialize tooltips